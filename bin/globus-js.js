@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+require('../lib/cli').run(process.argv.slice(2)).then(function(code) {
+  process.exitCode = code
+})
@@ -0,0 +1,1224 @@
+// Type definitions for globus-js
+//
+// Documents are discriminated by their DATA_TYPE, as in the Transfer API:
+// https://docs.globus.org/api/transfer/overview/#document_types
+
+// Documents
+
+export interface Result {
+  DATA_TYPE: 'result'
+  code: string
+  message: string
+  request_id: string
+  resource: string
+}
+
+export interface OffsetList<Type extends string, Item> {
+  DATA_TYPE: Type
+  DATA: Item[]
+  offset?: number
+  limit?: number
+  total?: number
+  has_next_page?: boolean
+  length?: number
+}
+
+export type PrincipalType = 'identity' | 'group' | 'all_authenticated_users' | 'anonymous'
+
+export type Permissions = 'r' | 'rw'
+
+export interface Access {
+  DATA_TYPE: 'access'
+  id: number | null
+  role_id: string | null
+  principal_type: PrincipalType
+  principal: string
+  path: string
+  permissions: Permissions
+  create_time?: string
+}
+
+export interface AccessCreateResult {
+  DATA_TYPE: 'access_create_result'
+  code: string
+  message: string
+  access_id: number
+  request_id: string
+  resource: string
+}
+
+export type AccessList = OffsetList<'access_list', Access> & { endpoint: string }
+
+export interface Server {
+  DATA_TYPE: 'server'
+  id: number
+  hostname: string
+  uri: string
+  port: number
+  scheme: 'gsiftp' | 'ftp'
+  subject: string | null
+  is_connected?: boolean
+  is_paused?: boolean
+  incoming_data_port_start?: number | null
+  incoming_data_port_end?: number | null
+  outgoing_data_port_start?: number | null
+  outgoing_data_port_end?: number | null
+}
+
+export interface ServerDocument {
+  DATA_TYPE: 'server'
+  hostname: string
+  port?: number | string
+  scheme?: 'gsiftp' | 'ftp'
+  subject?: string | null
+}
+
+export type ServerList = OffsetList<'endpoint_server_list', Server> & { endpoint: string }
+
+export type NetworkUse = 'normal' | 'minimal' | 'aggressive' | 'custom'
+
+export interface Endpoint {
+  DATA_TYPE: 'endpoint'
+  id: string
+  display_name: string
+  canonical_name: string
+  owner_id: string
+  owner_string: string
+  username: string
+  description: string | null
+  organization: string | null
+  department: string | null
+  keywords: string | null
+  contact_email: string | null
+  contact_info: string | null
+  info_link: string | null
+  public: boolean
+  default_directory: string | null
+  force_encryption: boolean
+  disable_verify: boolean
+  myproxy_server: string | null
+  myproxy_dn: string | null
+  oauth_server: string | null
+  location: string | null
+  network_use: NetworkUse | null
+  host_endpoint_id: string | null
+  host_path: string | null
+  is_globus_connect: boolean
+  gcp_connected: boolean | null
+  gcp_paused: boolean | null
+  activated: boolean
+  expires_in: number
+  expire_time: string | null
+  subscription_id: string | null
+  DATA: Server[]
+}
+
+export type EndpointUpdate = Partial<Omit<Endpoint, 'DATA_TYPE' | 'id' | 'DATA'>> & { DATA_TYPE: 'endpoint' }
+
+export interface EndpointCreateResult {
+  DATA_TYPE: 'endpoint_create_result'
+  code: string
+  message: string
+  id: string
+  canonical_name?: string
+  globus_connect_setup_key?: string | null
+  request_id: string
+  resource: string
+}
+
+export type EndpointList = OffsetList<'endpoint_list', Endpoint>
+
+export interface SharedEndpointList {
+  DATA_TYPE: 'endpoint_list'
+  shared_endpoints: Endpoint[]
+  next_token: string | null
+}
+
+export interface PauseRule {
+  DATA_TYPE: 'pause_rule_limited'
+  id: string
+  message: string | null
+  start_time: string | null
+  endpoint_id: string
+  identity_id: string | null
+  modified_by_id: string
+  created_by_host_manager: boolean
+  editable: boolean
+  pause_ls: boolean
+  pause_mkdir: boolean
+  pause_symlink?: boolean
+  pause_rename: boolean
+  pause_task_delete: boolean
+  pause_task_transfer_write: boolean
+  pause_task_transfer_read: boolean
+}
+
+export interface PauseRuleList {
+  DATA_TYPE: 'pause_rule_limited_list'
+  DATA: PauseRule[]
+}
+
+export type PauseOperation = 'ls' | 'mkdir' | 'symlink' | 'rename' | 'task_delete' | 'task_transfer_write' | 'task_transfer_read'
+
+export type RoleName = 'administrator' | 'access_manager' | 'activity_manager' | 'activity_monitor'
+
+export interface Role {
+  DATA_TYPE: 'role'
+  id: string
+  principal_type: 'identity' | 'group'
+  principal: string
+  role: RoleName
+}
+
+export type RoleList = OffsetList<'role_list', Role>
+
+export interface Bookmark {
+  DATA_TYPE: 'bookmark'
+  id: string
+  name: string
+  endpoint_id: string
+  path: string
+}
+
+export type BookmarkList = OffsetList<'bookmark_list', Bookmark>
+
+export interface Location {
+  endpoint_xid: string
+  path: string
+}
+
+export type ActivationType = 'myproxy' | 'delegate_proxy' | 'oauth'
+
+export interface ActivationRequirement {
+  DATA_TYPE: 'activation_requirement'
+  type: ActivationType
+  name: string
+  value: string | null
+  required?: boolean
+  private?: boolean
+  ui_name?: string
+  description?: string
+}
+
+export interface ActivationRequirements {
+  DATA_TYPE: 'activation_requirements'
+  activated?: boolean
+  auto_activation_supported?: boolean
+  expires_in?: number
+  expire_time?: string | null
+  oauth_server?: string | null
+  length?: number
+  DATA: ActivationRequirement[]
+}
+
+export interface ActivationResult {
+  DATA_TYPE: 'activation_result'
+  code: string
+  message: string
+  expires_in: number
+  expire_time: string | null
+  subject?: string | null
+  oauth_server?: string | null
+  request_id: string
+  resource: string
+  DATA?: ActivationRequirement[]
+}
+
+export interface FileDocument {
+  DATA_TYPE: 'file'
+  name: string
+  type: 'file' | 'dir' | 'invalid_symlink'
+  link_target: string | null
+  permissions: string
+  size: number
+  user: string | null
+  group: string | null
+  last_modified: string
+}
+
+export type FileList = OffsetList<'file_list', FileDocument> & {
+  path: string
+  endpoint: string
+}
+
+export interface MkdirResult {
+  DATA_TYPE: 'mkdir_result'
+  code: string
+  message: string
+  request_id: string
+  resource: string
+}
+
+export interface SubmissionId {
+  DATA_TYPE: 'submission_id'
+  value: string
+}
+
+export interface TransferItem {
+  DATA_TYPE: 'transfer_item'
+  source_path: string
+  destination_path: string
+  recursive?: boolean
+  external_checksum?: string
+  checksum_algorithm?: string
+}
+
+export interface TransferSymlinkItem {
+  DATA_TYPE: 'transfer_symlink_item'
+  source_path: string
+  destination_path: string
+}
+
+export interface FilterRule {
+  DATA_TYPE: 'filter_rule'
+  method: 'include' | 'exclude'
+  name: string
+  type?: 'file' | 'dir'
+}
+
+export interface DeleteItem {
+  DATA_TYPE: 'delete_item'
+  path: string
+}
+
+export interface TransferDocument {
+  DATA_TYPE: 'transfer'
+  submission_id: string
+  source_endpoint: string
+  destination_endpoint: string
+  DATA: Array<TransferItem | TransferSymlinkItem>
+  label?: string
+  deadline?: string
+  sync_level?: 0 | 1 | 2 | 3
+  encrypt_data?: boolean
+  verify_checksum?: boolean
+  preserve_timestamp?: boolean
+  delete_destination_extra?: boolean
+  skip_source_errors?: boolean
+  fail_on_quota_errors?: boolean
+  filter_rules?: FilterRule[]
+  notify_on_succeeded?: boolean
+  notify_on_failed?: boolean
+  notify_on_inactive?: boolean
+}
+
+export interface TaskSubmissionResult {
+  DATA_TYPE: 'transfer_result' | 'delete_result'
+  code: 'Accepted' | 'Duplicate'
+  message: string
+  task_id: string
+  submission_id: string
+  task_link?: { href: string, rel: string, resource: string, title: string, DATA_TYPE: 'link' }
+  request_id: string
+  resource: string
+}
+
+export type TaskStatus = 'ACTIVE' | 'INACTIVE' | 'SUCCEEDED' | 'FAILED'
+
+export interface Task {
+  DATA_TYPE: 'task'
+  task_id: string
+  type: 'TRANSFER' | 'DELETE'
+  status: TaskStatus
+  nice_status: string | null
+  nice_status_short_description?: string | null
+  label: string | null
+  owner_id: string
+  username: string
+  request_time: string
+  completion_time: string | null
+  deadline: string
+  source_endpoint_id: string
+  source_endpoint_display_name: string
+  destination_endpoint_id: string | null
+  destination_endpoint_display_name: string | null
+  sync_level: number | null
+  encrypt_data: boolean
+  verify_checksum: boolean
+  delete_destination_extra: boolean
+  recursive_symlinks: string | null
+  preserve_timestamp: boolean
+  files: number
+  directories: number
+  files_skipped: number
+  files_transferred: number
+  subtasks_total: number
+  subtasks_pending: number
+  subtasks_retrying: number
+  subtasks_succeeded: number
+  subtasks_expired: number
+  subtasks_canceled: number
+  subtasks_failed: number
+  bytes_transferred: number
+  bytes_checksummed: number
+  effective_bytes_per_second: number
+  faults: number
+  is_paused: boolean
+  history_deleted: boolean
+}
+
+export type TaskList = OffsetList<'task_list', Task>
+
+export interface Event {
+  DATA_TYPE: 'event'
+  code: string
+  is_error: boolean
+  description: string
+  details: string
+  time: string
+}
+
+export type EventList = OffsetList<'event_list', Event>
+
+export interface SuccessfulTransfer {
+  DATA_TYPE: 'successful_transfer'
+  source_path: string
+  destination_path: string
+}
+
+export interface SuccessfulTransferList {
+  DATA_TYPE: 'successful_transfers'
+  marker: number
+  next_marker: number | null
+  DATA: SuccessfulTransfer[]
+}
+
+export interface PauseInfo {
+  DATA_TYPE: 'pause_info_limited'
+  source_pause_message: string | null
+  source_pause_message_share: string | null
+  destination_pause_message: string | null
+  destination_pause_message_share: string | null
+  pause_rules: PauseRule[]
+}
+
+export interface Identity {
+  id: string
+  username: string
+  status: 'unused' | 'used' | 'private' | 'closed'
+  name: string | null
+  email: string | null
+  organization: string | null
+  identity_provider: string
+}
+
+export interface IdentityIds {
+  identity_ids: { [username: string]: string }
+}
+
+export interface IdentityProvider {
+  id: string
+  name: string
+  short_name: string
+  domains: string[]
+  alternative_names: string[]
+}
+
+export interface UserInfo extends IdentityIds {
+  sub: string
+  preferred_username: string
+  name?: string
+  email?: string
+  organization?: string
+  identity_provider?: string
+  identity_provider_display_name?: string
+  last_authentication?: number
+  identity_set?: Array<{ sub: string, username: string, name?: string, email?: string, organization?: string }>
+}
+
+// Options
+
+export interface EndpointOptions {
+  /** The id of the endpoint. */
+  endpoint_xid: string
+}
+
+export interface OffsetOptions {
+  limit?: number
+  offset?: number
+}
+
+export interface AccessRulesListOptions extends EndpointOptions, OffsetOptions {}
+
+export interface AccessRuleOptions extends EndpointOptions {
+  id: number | string
+}
+
+export interface CreateAccessRuleOptions extends EndpointOptions {
+  /** Required unless principal is given. */
+  userId?: string
+  principal_type?: PrincipalType
+  principal?: string
+  path: string
+  permissions?: Permissions
+  userEmail?: string
+  emailMessage?: string
+}
+
+export interface UpdateAccessRuleOptions extends EndpointOptions {
+  id: number | string
+  role_id?: string | null
+  principal_type?: PrincipalType
+  principal?: string
+  path?: string
+  permissions?: Permissions
+}
+
+export interface ActivateEndpointOptions extends EndpointOptions {
+  document: ActivationRequirements
+}
+
+export interface AutoActivateEndpointOptions extends EndpointOptions {
+  if_expires_in?: number
+}
+
+export interface MyProxyCredentials {
+  username: string
+  passphrase: string
+  lifetime_in_hours?: number
+  hostname?: string
+  server_dn?: string
+}
+
+export interface EnsureActivatedOptions {
+  myproxy?: MyProxyCredentials
+  delegate_proxy?: { proxy_chain: string } | DelegateProxyCredentials
+  minRemainingSeconds?: number
+}
+
+export interface ActivationStatus {
+  code: string
+  /** -1 if the activation doesn't expire */
+  expires_in: number
+  expire_time: string | null
+}
+
+export interface UserIdOptions {
+  userEmail: string
+}
+
+export interface IdentitiesOptions {
+  usernames?: string[]
+  ids?: string[]
+  provision?: boolean
+}
+
+export interface IdentityOptions {
+  id: string
+}
+
+export interface IdentityProvidersOptions {
+  domains?: string[]
+  ids?: string[]
+}
+
+export interface CreateEndpointOptions {
+  display_name: string
+  documents?: ServerDocument[]
+}
+
+export type CreateSharedEndpointOptions = {
+  description?: string
+  organization?: string
+} & (
+  | { display_name: string, host_endpoint: string, host_path: string }
+  /** @deprecated use display_name, host_endpoint and host_path */
+  | { displayName: string, hostId: string, path: string }
+)
+
+export interface UpdateEndpointOptions extends EndpointOptions {
+  document: EndpointUpdate
+}
+
+export interface EndpointServerOptions extends EndpointOptions {
+  server_id: string | number
+}
+
+export interface AddEndpointServerOptions extends EndpointOptions {
+  hostname: string
+  uri?: string
+  port?: number | string
+  scheme?: 'gsiftp' | 'ftp'
+  subject?: string
+}
+
+export interface UpdateEndpointServerOptions extends EndpointServerOptions {
+  hostname?: string
+  uri?: string
+  port?: number | string
+  scheme?: 'gsiftp' | 'ftp'
+  subject?: string
+}
+
+export interface SharedEndpointListOptions extends EndpointOptions {
+  next_token?: string
+  max_results?: number
+}
+
+export interface PauseRuleListOptions extends EndpointOptions {
+  operations?: PauseOperation | PauseOperation[]
+  active?: boolean
+}
+
+export type Grantee = { permissions?: Permissions } & (
+  | { email: string, identity_id?: undefined, group_id?: undefined }
+  | { identity_id: string, email?: undefined, group_id?: undefined }
+  | { group_id: string, email?: undefined, identity_id?: undefined }
+)
+
+export interface ShareDirectoryOptions {
+  host_endpoint: string
+  path: string
+  display_name: string
+  grantees?: Grantee[]
+  notify_email?: boolean
+  provision?: boolean
+}
+
+export interface SharedAccessRule {
+  id: number
+  principal_type: 'identity' | 'group'
+  principal: string
+  permissions: Permissions
+  code: 'Created' | 'Updated' | 'Unchanged'
+}
+
+export interface ShareDirectoryResult {
+  endpoint_xid: string
+  directory_created: boolean
+  endpoint_created: boolean
+  access_rules: SharedAccessRule[]
+}
+
+export type DesiredAccessRule =
+  | { principal_type?: PrincipalType, principal?: string, path: string, permissions: Permissions, username?: undefined }
+  | { username: string, path: string, permissions: Permissions, principal_type?: 'identity', principal?: undefined }
+
+export interface ReconcileAccessRulesOptions {
+  dryRun?: boolean
+  prune?: boolean
+}
+
+export interface PlannedAccessRule {
+  id?: number | string | null
+  principal_type: PrincipalType
+  principal: string
+  path: string
+  permissions: Permissions
+  username?: string
+  /** Set for the updates. */
+  previous_permissions?: Permissions
+}
+
+export interface AccessRuleChangeResult {
+  action: 'create' | 'update' | 'delete'
+  rule: PlannedAccessRule
+  id: number | string | null
+  code: string
+  error?: Error
+}
+
+export interface AccessRulesPlan {
+  endpoint_xid: string
+  create: PlannedAccessRule[]
+  update: PlannedAccessRule[]
+  delete: PlannedAccessRule[]
+  unchanged: PlannedAccessRule[]
+  /** Empty for a dry run. */
+  results: AccessRuleChangeResult[]
+}
+
+export interface RoleOptions extends EndpointOptions {
+  role_id: string
+}
+
+export type CreateRoleOptions = EndpointOptions & { role: RoleName, provision?: boolean } & (
+  | { principal_type?: 'identity', principal: string, username?: undefined }
+  | { principal_type: 'group', principal: string, username?: undefined }
+  | { principal_type?: 'identity', username: string, principal?: undefined }
+)
+
+export interface BookmarkOptions {
+  bookmark_id: string
+}
+
+export interface CreateBookmarkOptions {
+  name: string
+  endpoint_xid: string
+  path: string
+}
+
+export interface UpdateBookmarkOptions extends BookmarkOptions {
+  name: string
+}
+
+export type ResolveBookmarkOptions = { name: string, bookmark_id?: undefined } | { bookmark_id: string, name?: undefined }
+
+export type EndpointSearchScope =
+  'all' | 'my-endpoints' | 'my-gcp-endpoints' | 'recently-used' | 'in-use' | 'shared-by-me' | 'shared-with-me' | 'administered-by-me'
+
+export interface SearchEndpointsOptions extends OffsetOptions {
+  filter_fulltext?: string
+  filter_scope?: EndpointSearchScope
+  filter_owner_id?: string
+  filter_host_endpoint?: string
+  filter_non_functional?: boolean
+  fields?: string
+}
+
+export interface ListDirectoryOptions extends EndpointOptions, OffsetOptions {
+  path?: string
+  show_hidden?: boolean
+  orderby?: string | string[]
+  filter?: string | string[]
+  /** @deprecated use show_hidden, orderby and filter */
+  query_parameters?: string
+}
+
+export interface MakeDirectoryOptions extends EndpointOptions {
+  path: string
+}
+
+export interface RenameOptions extends EndpointOptions {
+  old_path: string
+  new_path: string
+}
+
+export interface SymlinkOptions extends EndpointOptions {
+  path: string
+  symlink_target: string
+}
+
+export interface RemovePathOptions {
+  recursive?: boolean
+  ignore_missing?: boolean
+  label?: string
+  timeout?: number
+}
+
+export interface WalkEntry extends FileDocument {
+  path: string
+  relative: string
+}
+
+export interface WalkOptions {
+  maxDepth?: number
+  filter?: (entry: WalkEntry) => boolean
+  concurrency?: number
+}
+
+export interface DiffTreesOptions extends WalkOptions {
+  transfer?: Partial<TransferDataOptions>
+}
+
+export interface SubmitTransferOptions {
+  submission_id: string
+  source_endpoint: string
+  destination_endpoint: string
+  DATA: Array<TransferItem | TransferSymlinkItem>
+  label?: string
+  notify_on_succeeded?: boolean
+  notify_on_failed?: boolean
+  notify_on_inactive?: boolean
+  encrypt_data?: boolean
+  sync_level?: 0 | 1 | 2 | 3
+  verify_checksum?: boolean
+  preserve_timestamp?: boolean
+  delete_destination_extra?: boolean
+}
+
+export interface SubmitDeletionOptions {
+  endpoint: string
+  DATA: Array<string | DeleteItem>
+  submission_id?: string
+  label?: string
+  deadline?: Date | string
+  recursive?: boolean
+  ignore_missing?: boolean
+  interpret_globs?: boolean
+  notify_on_succeeded?: boolean
+  notify_on_failed?: boolean
+  notify_on_inactive?: boolean
+}
+
+export interface TaskOptions {
+  task_id: string
+}
+
+export interface TaskListOptions extends OffsetOptions {
+  filter_task_id?: string | string[]
+  filter_status?: TaskStatus | TaskStatus[]
+  filter_type?: 'TRANSFER' | 'DELETE' | Array<'TRANSFER' | 'DELETE'>
+  filter_label?: string
+  filter_request_time?: { from?: Date | string, to?: Date | string }
+  fields?: string
+  orderby?: string
+}
+
+export interface UpdateTaskOptions extends TaskOptions {
+  label?: string
+  deadline?: Date | string
+}
+
+export interface TaskEventListOptions extends TaskOptions, OffsetOptions {
+  filter_is_error?: boolean
+}
+
+export interface SuccessfulTransfersOptions extends TaskOptions {
+  marker?: number
+}
+
+export interface TaskProgress {
+  task_id: string
+  status: TaskStatus
+  bytes_transferred: number
+  files: number
+  files_transferred: number
+  files_skipped: number
+  faults: number
+  task: Task
+}
+
+export interface WaitForTaskOptions extends TaskOptions {
+  interval?: number
+  maxInterval?: number
+  timeout?: number
+  inactiveTimeout?: number
+  onProgress?: (progress: TaskProgress) => void
+  clock?: { now(): number, sleep(ms: number): Promise<void> }
+}
+
+// Delegate proxies
+
+export interface DelegateProxyCredentials {
+  /** PEM encoded certificate, or proxy chain, of the user. */
+  certificate: string
+  /** PEM encoded private key of the certificate, or its crypto.KeyObject. */
+  key: string | object
+  passphrase?: string
+  /** Capped at the expiry of the certificate, 12 hours by default. */
+  lifetime_in_hours?: number
+}
+
+export interface CreateProxyChainOptions extends DelegateProxyCredentials {
+  /** PEM encoded public key the proxy certificate is issued for. */
+  public_key: string
+}
+
+export function createProxyChain(options: CreateProxyChainOptions): string
+export function fillDelegateProxy(requirements: ActivationRequirements | ActivationResult, credentials: DelegateProxyCredentials): ActivationRequirements
+
+// Pagination
+
+export class PageIterator<Item, Page = unknown> implements AsyncIterable<Item> {
+  constructor(pages: () => AsyncIterator<Page>)
+  pages(): AsyncIterator<Page>
+  [Symbol.asyncIterator](): AsyncIterator<Item>
+  toArray(options?: { max?: number }): Promise<Item[]>
+}
+
+// Transfer documents
+
+export type SyncLevel = 'exists' | 'size' | 'mtime' | 'checksum' | 0 | 1 | 2 | 3
+
+export interface TransferDataOptions {
+  source_endpoint: string
+  destination_endpoint: string
+  submission_id?: string
+  label?: string
+  sync_level?: SyncLevel
+  deadline?: Date | string
+  filter_rules?: FilterRule[]
+  skip_source_errors?: boolean
+  fail_on_quota_errors?: boolean
+  encrypt_data?: boolean
+  verify_checksum?: boolean
+  preserve_timestamp?: boolean
+  delete_destination_extra?: boolean
+  notify_on_succeeded?: boolean
+  notify_on_failed?: boolean
+  notify_on_inactive?: boolean
+}
+
+export class TransferData {
+  constructor(options: TransferDataOptions)
+  source_endpoint: string
+  destination_endpoint: string
+  submission_id?: string
+  label?: string
+  sync_level?: SyncLevel
+  deadline?: Date | string
+  filter_rules: FilterRule[]
+  DATA: Array<TransferItem | TransferSymlinkItem>
+  addItem(source_path: string, destination_path: string, options?: {
+    recursive?: boolean
+    external_checksum?: string
+    checksum_algorithm?: string
+  }): this
+  addSymlinkItem(source_path: string, destination_path: string): this
+  addFilterRule(method: 'include' | 'exclude', name: string, type?: 'file' | 'dir'): this
+  validate(): this
+  toJSON(): Omit<TransferDocument, 'submission_id'> & { submission_id?: string }
+}
+
+// Errors
+
+export class GlobusAPIError extends Error {
+  constructor(status: number, body: any, headers?: { [name: string]: string })
+  static fromResponse(response: { statusCode: number, body: any, headers: { [name: string]: string } }): GlobusAPIError
+  status: number
+  statusCode: number
+  code?: string
+  request_id?: string
+  resource?: string
+  error: any
+  headers: { [name: string]: string }
+}
+
+export class AuthError extends GlobusAPIError {}
+export class NotFoundError extends GlobusAPIError {}
+export class ConflictError extends GlobusAPIError {}
+
+export class RateLimitError extends GlobusAPIError {
+  retryAfter?: number
+}
+
+export class ServiceUnavailableError extends GlobusAPIError {
+  retryAfter?: number
+}
+
+export class TaskError extends Error {
+  constructor(message: string, task: Task)
+  task_id: string
+  task: Task
+}
+
+export class TaskFailedError extends TaskError {
+  constructor(task: Task)
+}
+
+export class TaskTimeoutError extends TaskError {
+  constructor(task: Task, timeout: number)
+  timeout: number
+}
+
+export class TaskInactiveError extends TaskError {
+  constructor(task: Task, inactiveTimeout: number)
+  inactiveTimeout: number
+}
+
+export interface ValidationProblem {
+  /** Path of the invalid field, e.g. "DATA[0].source_path". */
+  path: string
+  message: string
+}
+
+export class ValidationError extends Error {
+  constructor(problems: ValidationProblem[], documentType?: string)
+  problems: ValidationProblem[]
+}
+
+export class ActivationError extends Error {
+  constructor(endpoint_xid: string, requirements: ActivationRequirements | ActivationResult)
+  endpoint_xid: string
+  requirements: ActivationRequirements | ActivationResult
+}
+
+// OAuth2
+
+export interface TokenResponse {
+  access_token: string
+  expires_in: number
+  resource_server: string
+  scope: string
+  token_type: 'Bearer'
+  refresh_token?: string
+  id_token?: string
+  state?: string
+  other_tokens?: TokenResponse[]
+}
+
+export interface ClientOptions {
+  client_id: string
+  client_secret?: string
+  oauth2BaseURL?: string
+}
+
+export interface AuthorizerOptions {
+  access_token?: string
+  expires_at?: number
+  resource_server?: string
+  minValidity?: number
+  onRenew?: (response: TokenResponse) => void
+  oauth2BaseURL?: string
+  now?: () => number
+}
+
+export abstract class Authorizer {
+  constructor(options: AuthorizerOptions)
+  access_token?: string
+  expires_at?: number
+  resource_server: string
+  getToken(): Promise<string>
+  update(response: TokenResponse): void
+  abstract renew(): Promise<TokenResponse>
+}
+
+export class RefreshTokenAuthorizer extends Authorizer {
+  constructor(options: AuthorizerOptions & ClientOptions & { refresh_token: string })
+  renew(): Promise<TokenResponse>
+}
+
+export class ClientCredentialsAuthorizer extends Authorizer {
+  constructor(options: AuthorizerOptions & ClientOptions & { client_secret: string, scope?: string })
+  renew(): Promise<TokenResponse>
+}
+
+type AuthorizerClass = typeof Authorizer
+type RefreshTokenAuthorizerClass = typeof RefreshTokenAuthorizer
+type ClientCredentialsAuthorizerClass = typeof ClientCredentialsAuthorizer
+
+export namespace oauth2 {
+  const scopes: { transfer: string, auth: string }
+  function createPKCE(): { code_verifier: string, code_challenge: string, code_challenge_method: 'S256' }
+  function authorizeURL(options: {
+    client_id: string
+    redirect_uri: string
+    scope?: string
+    state?: string
+    code_challenge?: string
+    code_challenge_method?: string
+    offline?: boolean
+    oauth2BaseURL?: string
+  }): string
+  function exchangeCode(options: ClientOptions & { code: string, redirect_uri: string, code_verifier?: string }): Promise<TokenResponse>
+  function refreshToken(options: ClientOptions & { refresh_token: string }): Promise<TokenResponse>
+  function clientCredentials(options: ClientOptions & { client_secret: string, scope?: string }): Promise<TokenResponse>
+  function introspectToken(options: ClientOptions & { client_secret: string, token: string, include?: string }): Promise<{
+    active: boolean
+    scope?: string
+    client_id?: string
+    sub?: string
+    username?: string
+    aud?: string[]
+    exp?: number
+    identity_set?: string[]
+  }>
+  function revokeToken(options: ClientOptions & { token: string }): Promise<{ active: false }>
+  const Authorizer: AuthorizerClass
+  const RefreshTokenAuthorizer: RefreshTokenAuthorizerClass
+  const ClientCredentialsAuthorizer: ClientCredentialsAuthorizerClass
+}
+
+// Client
+
+export interface RetryOptions {
+  maxAttempts?: number
+  baseDelay?: number
+  maxDelay?: number
+  jitter?: number
+  respectRetryAfter?: boolean
+  sleep?: (ms: number) => Promise<void>
+}
+
+export interface GlobusClientOptions {
+  token?: string
+  authorizer?: Authorizer
+  authToken?: string
+  authAuthorizer?: Authorizer
+  transferBaseURL?: string
+  authBaseURL?: string
+  oauth2BaseURL?: string
+  timeout?: number
+  userAgent?: string
+  proxy?: string
+  retry?: RetryOptions | false
+  validate?: boolean
+}
+
+export type DocumentSchema = 'access' | 'activation' | 'delete' | 'endpoint' | 'server' | 'shared_endpoint' | 'transfer'
+
+export interface RequestOptions {
+  method?: 'GET' | 'POST' | 'PUT' | 'DELETE'
+  body?: any
+  qs?: { [name: string]: any }
+  retryable?: boolean
+  schema?: DocumentSchema
+  partial?: boolean
+}
+
+export class GlobusClient {
+  constructor(options?: GlobusClientOptions)
+
+  request<T = any>(url: string, options?: RequestOptions): Promise<T>
+
+  getAccessRulesList(options: AccessRulesListOptions): Promise<AccessList>
+  iterAccessRules(options: EndpointOptions & { limit?: number }): PageIterator<Access, AccessList>
+  getAccessRulesListById(options: AccessRuleOptions): Promise<Access>
+  createAccessRule(options: CreateAccessRuleOptions): Promise<AccessCreateResult>
+  updateAccessRule(options: UpdateAccessRuleOptions): Promise<Result>
+  deleteAccessRule(options: AccessRuleOptions): Promise<Result>
+  reconcileAccessRules(endpoint_xid: string, desiredRules: DesiredAccessRule[], options?: ReconcileAccessRulesOptions): Promise<AccessRulesPlan>
+
+  getActivationRequirements(options: EndpointOptions): Promise<ActivationRequirements>
+  autoActivateEndpoint(options: AutoActivateEndpointOptions): Promise<ActivationResult>
+  activateEndpoint(options: ActivateEndpointOptions): Promise<ActivationResult>
+  deactivateEndpoint(options: EndpointOptions): Promise<Result>
+  ensureActivated(endpoint_xid: string, options?: EnsureActivatedOptions): Promise<ActivationStatus>
+
+  getUserId(options: UserIdOptions): Promise<{ identities: Identity[] } & IdentityIds>
+  getIdentities(options: IdentitiesOptions): Promise<{ identities: Identity[] } & IdentityIds>
+  getIdentity(options: IdentityOptions): Promise<{ identity: Identity } & IdentityIds>
+  getUserInfo(): Promise<UserInfo>
+  getIdentityProviders(options?: IdentityProvidersOptions): Promise<{ identity_providers: IdentityProvider[] }>
+
+  getEndpointById(options: EndpointOptions): Promise<Endpoint>
+  createEndpoint(options: CreateEndpointOptions): Promise<EndpointCreateResult>
+  createSharedEndpoint(options: CreateSharedEndpointOptions): Promise<EndpointCreateResult>
+  updateEndpointById(options: UpdateEndpointOptions): Promise<Result>
+  deleteEndpointById(options: EndpointOptions): Promise<Result>
+  getMyEffectivePauseRuleList(options: PauseRuleListOptions): Promise<PauseRuleList>
+  /** @deprecated use getMyEffectivePauseRuleList */
+  getEffectivePauseRuleList(options: EndpointOptions): Promise<PauseRuleList>
+  getEndpointServerList(options: EndpointOptions): Promise<ServerList>
+  iterEndpointServers(options: EndpointOptions): PageIterator<Server, ServerList>
+  getEndpointServerById(options: EndpointServerOptions): Promise<Server>
+  addEndpointServer(options: AddEndpointServerOptions): Promise<Result & { id: number }>
+  updateEndpointServerById(options: UpdateEndpointServerOptions): Promise<Result>
+  deleteEndpointServerById(options: EndpointServerOptions): Promise<Result>
+  getSharedEndpointList(options: SharedEndpointListOptions): Promise<SharedEndpointList>
+  iterSharedEndpoints(options: EndpointOptions & { max_results?: number }): PageIterator<Endpoint, SharedEndpointList>
+  shareDirectory(options: ShareDirectoryOptions): Promise<ShareDirectoryResult>
+
+  getRoleList(options: EndpointOptions): Promise<RoleList>
+  getRole(options: RoleOptions): Promise<Role>
+  createRole(options: CreateRoleOptions): Promise<Role>
+  deleteRole(options: RoleOptions): Promise<Result>
+
+  getBookmarkList(): Promise<BookmarkList>
+  getBookmark(options: BookmarkOptions): Promise<Bookmark>
+  createBookmark(options: CreateBookmarkOptions): Promise<Bookmark>
+  updateBookmark(options: UpdateBookmarkOptions): Promise<Bookmark>
+  deleteBookmark(options: BookmarkOptions): Promise<Result>
+  resolveBookmark(options: ResolveBookmarkOptions): Promise<Location>
+
+  searchEndpoints(options?: SearchEndpointsOptions): Promise<EndpointList>
+  iterEndpoints(options?: SearchEndpointsOptions): PageIterator<Endpoint, EndpointList>
+
+  listDirectoryContents(options: ListDirectoryOptions): Promise<FileList>
+  iterDirectoryContents(options: ListDirectoryOptions): PageIterator<FileDocument, FileList>
+  makeDirectory(options: MakeDirectoryOptions): Promise<MkdirResult>
+  rename(options: RenameOptions): Promise<Result>
+  symlink(options: SymlinkOptions): Promise<Result>
+  stat(endpoint_xid: string, path: string): Promise<FileDocument>
+  exists(endpoint_xid: string, path: string): Promise<boolean>
+  ensureDirectory(endpoint_xid: string, path: string): Promise<boolean>
+  removePath(endpoint_xid: string, path: string, options?: RemovePathOptions): Promise<Task>
+  walk(endpoint_xid: string, path: string, options?: WalkOptions): AsyncGenerator<WalkEntry, void, undefined>
+  diffTrees(source_endpoint: string, source_path: string, destination_endpoint: string, destination_path: string, options?: DiffTreesOptions): Promise<TransferData>
+
+  getSubmissionId(): Promise<SubmissionId>
+  submitTransferTask(options: SubmitTransferOptions | TransferData): Promise<TaskSubmissionResult>
+  submitDeletionTask(options: SubmitDeletionOptions): Promise<TaskSubmissionResult>
+
+  getTaskList(options?: TaskListOptions): Promise<TaskList>
+  iterTasks(options?: TaskListOptions): PageIterator<Task, TaskList>
+  getTask(options: TaskOptions): Promise<Task>
+  updateTask(options: UpdateTaskOptions): Promise<Result>
+  cancelTask(options: TaskOptions): Promise<Result>
+  getTaskEventList(options: TaskEventListOptions): Promise<EventList>
+  iterTaskEvents(options: TaskEventListOptions): PageIterator<Event, EventList>
+  getSuccessfulTransfers(options: SuccessfulTransfersOptions): Promise<SuccessfulTransferList>
+  iterSuccessfulTransfers(options: TaskOptions): PageIterator<SuccessfulTransfer, SuccessfulTransferList>
+  getTaskPauseInfo(options: TaskOptions): Promise<PauseInfo>
+  waitForTask(options: WaitForTaskOptions): Promise<Task>
+}
+
+export function bookmarkLocation(bookmark: Bookmark): Location
+
+// Every method of GlobusClient, except request, is also exported as a function taking
+// the bearer token as its first argument.
+
+type WithToken<Method> = Method extends (...args: infer Args) => infer Returns
+  ? (bearerToken: string, ...args: Args) => Returns
+  : never
+
+export const getAccessRulesList: WithToken<GlobusClient['getAccessRulesList']>
+export const iterAccessRules: WithToken<GlobusClient['iterAccessRules']>
+export const getAccessRulesListById: WithToken<GlobusClient['getAccessRulesListById']>
+export const createAccessRule: WithToken<GlobusClient['createAccessRule']>
+export const updateAccessRule: WithToken<GlobusClient['updateAccessRule']>
+export const deleteAccessRule: WithToken<GlobusClient['deleteAccessRule']>
+export const reconcileAccessRules: WithToken<GlobusClient['reconcileAccessRules']>
+
+export const getActivationRequirements: WithToken<GlobusClient['getActivationRequirements']>
+export const autoActivateEndpoint: WithToken<GlobusClient['autoActivateEndpoint']>
+export const activateEndpoint: WithToken<GlobusClient['activateEndpoint']>
+export const deactivateEndpoint: WithToken<GlobusClient['deactivateEndpoint']>
+export const ensureActivated: WithToken<GlobusClient['ensureActivated']>
+
+export const getUserId: WithToken<GlobusClient['getUserId']>
+export const getIdentities: WithToken<GlobusClient['getIdentities']>
+export const getIdentity: WithToken<GlobusClient['getIdentity']>
+export const getUserInfo: WithToken<GlobusClient['getUserInfo']>
+export const getIdentityProviders: WithToken<GlobusClient['getIdentityProviders']>
+
+export const getEndpointById: WithToken<GlobusClient['getEndpointById']>
+export const createEndpoint: WithToken<GlobusClient['createEndpoint']>
+export const createSharedEndpoint: WithToken<GlobusClient['createSharedEndpoint']>
+export const updateEndpointById: WithToken<GlobusClient['updateEndpointById']>
+export const deleteEndpointById: WithToken<GlobusClient['deleteEndpointById']>
+export const getMyEffectivePauseRuleList: WithToken<GlobusClient['getMyEffectivePauseRuleList']>
+export const getEffectivePauseRuleList: WithToken<GlobusClient['getEffectivePauseRuleList']>
+export const getEndpointServerList: WithToken<GlobusClient['getEndpointServerList']>
+export const iterEndpointServers: WithToken<GlobusClient['iterEndpointServers']>
+export const getEndpointServerById: WithToken<GlobusClient['getEndpointServerById']>
+export const addEndpointServer: WithToken<GlobusClient['addEndpointServer']>
+export const updateEndpointServerById: WithToken<GlobusClient['updateEndpointServerById']>
+export const deleteEndpointServerById: WithToken<GlobusClient['deleteEndpointServerById']>
+export const getSharedEndpointList: WithToken<GlobusClient['getSharedEndpointList']>
+export const iterSharedEndpoints: WithToken<GlobusClient['iterSharedEndpoints']>
+export const shareDirectory: WithToken<GlobusClient['shareDirectory']>
+
+export const getRoleList: WithToken<GlobusClient['getRoleList']>
+export const getRole: WithToken<GlobusClient['getRole']>
+export const createRole: WithToken<GlobusClient['createRole']>
+export const deleteRole: WithToken<GlobusClient['deleteRole']>
+
+export const getBookmarkList: WithToken<GlobusClient['getBookmarkList']>
+export const getBookmark: WithToken<GlobusClient['getBookmark']>
+export const createBookmark: WithToken<GlobusClient['createBookmark']>
+export const updateBookmark: WithToken<GlobusClient['updateBookmark']>
+export const deleteBookmark: WithToken<GlobusClient['deleteBookmark']>
+export const resolveBookmark: WithToken<GlobusClient['resolveBookmark']>
+
+export const searchEndpoints: WithToken<GlobusClient['searchEndpoints']>
+export const iterEndpoints: WithToken<GlobusClient['iterEndpoints']>
+
+export const listDirectoryContents: WithToken<GlobusClient['listDirectoryContents']>
+export const iterDirectoryContents: WithToken<GlobusClient['iterDirectoryContents']>
+export const makeDirectory: WithToken<GlobusClient['makeDirectory']>
+export const rename: WithToken<GlobusClient['rename']>
+export const symlink: WithToken<GlobusClient['symlink']>
+export const stat: WithToken<GlobusClient['stat']>
+export const exists: WithToken<GlobusClient['exists']>
+export const ensureDirectory: WithToken<GlobusClient['ensureDirectory']>
+export const removePath: WithToken<GlobusClient['removePath']>
+export const walk: WithToken<GlobusClient['walk']>
+export const diffTrees: WithToken<GlobusClient['diffTrees']>
+
+export const getSubmissionId: WithToken<GlobusClient['getSubmissionId']>
+export const submitTransferTask: WithToken<GlobusClient['submitTransferTask']>
+export const submitDeletionTask: WithToken<GlobusClient['submitDeletionTask']>
+
+export const getTaskList: WithToken<GlobusClient['getTaskList']>
+export const iterTasks: WithToken<GlobusClient['iterTasks']>
+export const getTask: WithToken<GlobusClient['getTask']>
+export const updateTask: WithToken<GlobusClient['updateTask']>
+export const cancelTask: WithToken<GlobusClient['cancelTask']>
+export const getTaskEventList: WithToken<GlobusClient['getTaskEventList']>
+export const iterTaskEvents: WithToken<GlobusClient['iterTaskEvents']>
+export const getSuccessfulTransfers: WithToken<GlobusClient['getSuccessfulTransfers']>
+export const iterSuccessfulTransfers: WithToken<GlobusClient['iterSuccessfulTransfers']>
+export const getTaskPauseInfo: WithToken<GlobusClient['getTaskPauseInfo']>
+export const waitForTask: WithToken<GlobusClient['waitForTask']>
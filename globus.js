@@ -1,75 +1,250 @@
 const request = require('request-promise-native')
+const errors = require('./lib/errors')
+const retry = require('./lib/retry')
+const paginate = require('./lib/paginate')
+const oauth2 = require('./lib/oauth2')
+const transferData = require('./lib/transfer_data')
+const tree = require('./lib/tree')
+const urls = require('./lib/url')
+const delegateProxy = require('./lib/proxy')
+const schema = require('./lib/schema')
+const pkg = require('./package.json')
 
 const transferBaseURL = 'https://transfer.api.globusonline.org/v0.10'
 const authBaseURL = 'https://auth.globus.org/v2/api'
+const oauth2BaseURL = 'https://auth.globus.org/v2/oauth2'
+
+// Maximum number of usernames or ids the Auth API accepts in one identities request
+const identitiesPerRequest = 100
+
+/**
+ * GlobusClient - A client holding the configuration shared by all calls to the
+ * globus.org REST API. Its methods are the functions exported by this module,
+ * without the bearerToken argument.
+ *
+ * @example
+ * const client = new GlobusClient({ token: bearerToken })
+ * client.getEndpointById({ endpoint_xid: endpoint_xid }).then(...)
+ *
+ * @param  {Object} options
+ * @param  {string} options.token           token authorized by globus.org
+ * @param  {Authorizer} options.authorizer  (**OPTIONAL**) Provides the token instead, renewing it before it expires, e.g. a RefreshTokenAuthorizer or a ClientCredentialsAuthorizer.
+ * @param  {string} options.authToken       (**OPTIONAL**) Token issued for auth.globus.org, sent to the Auth API instead of token, e.g. to resolve usernames when granting roles.
+ * @param  {Authorizer} options.authAuthorizer (**OPTIONAL**) Provides the token sent to the Auth API instead of authToken, e.g. an authorizer with `resource_server: 'auth.globus.org'`.
+ * @param  {string} options.transferBaseURL (**OPTIONAL**) Base URL of the Transfer API. Default: https://transfer.api.globusonline.org/v0.10
+ * @param  {string} options.authBaseURL     (**OPTIONAL**) Base URL of the Auth API. Default: https://auth.globus.org/v2/api
+ * @param  {string} options.oauth2BaseURL   (**OPTIONAL**) Base URL of the OAuth2 endpoints of Globus Auth. Default: https://auth.globus.org/v2/oauth2
+ * @param  {number} options.timeout         (**OPTIONAL**) Milliseconds to wait for a response before aborting a request.
+ * @param  {string} options.userAgent       (**OPTIONAL**) User-Agent header sent with each request. Default: globus-js/VERSION
+ * @param  {string} options.proxy           (**OPTIONAL**) URL of an HTTP proxy to send the requests through.
+ * @param  {Object|boolean} options.retry   (**OPTIONAL**) How transient failures (429, 502, 503, 504, connection and timeout ExternalErrors and dropped connections) are retried, or false to never retry. Only idempotent requests and submissions with a submission_id are retried.
+ * @param  {number} options.retry.maxAttempts       (**OPTIONAL**) Number of attempts, including the first one. Default: 3.
+ * @param  {number} options.retry.baseDelay         (**OPTIONAL**) Milliseconds to wait before the first retry, doubled for each retry. Default: 500.
+ * @param  {number} options.retry.maxDelay          (**OPTIONAL**) Maximum number of milliseconds to wait between two attempts, Retry-After included. Default: 30000.
+ * @param  {number} options.retry.jitter            (**OPTIONAL**) Fraction of the delay that is randomized, between 0 and 1. Default: 0.5.
+ * @param  {boolean} options.retry.respectRetryAfter (**OPTIONAL**) Wait for the time given by the Retry-After header of a response instead. Default: true.
+ * @param  {boolean} options.validate       (**OPTIONAL**) Check the documents sent to the API against their schema first, rejecting with a ValidationError instead of sending invalid ones. Default: true.
+ */
+function GlobusClient(options) {
+  options = options || {}
+
+  this.token = options.token
+  this.authorizer = options.authorizer
+  this.authToken = options.authToken
+  this.authAuthorizer = options.authAuthorizer
+  this.transferBaseURL = options.transferBaseURL || transferBaseURL
+  this.authBaseURL = options.authBaseURL || authBaseURL
+  this.oauth2BaseURL = options.oauth2BaseURL || oauth2BaseURL
+  this.timeout = options.timeout
+  this.userAgent = options.userAgent || 'globus-js/' + pkg.version
+  this.proxy = options.proxy
+  this.retry = retry.retryPolicy(options.retry)
+  this.validate = options.validate !== false
+}
+
+exports.GlobusClient = GlobusClient
+
+/**
+ * request - Sends an authenticated request with the client's configuration. JSON
+ * bodies are serialized and JSON responses parsed. Error responses reject with a
+ * GlobusAPIError, or the subclass matching their status.
+ *
+ * Transient failures are retried according to the client's retry policy if the
+ * method is idempotent, or if `options.retryable` is true.
+ *
+ * @param  {string} url      absolute URL of the resource
+ * @param  {Object} options  (**OPTIONAL**) request options, e.g. method, body or qs
+ * @param  {boolean} options.retryable (**OPTIONAL**) Whether the request is safe to send again. Default: true for idempotent methods.
+ * @param  {string} options.schema     (**OPTIONAL**) Name of the schema the body is checked against before it is sent, e.g. "access".
+ * @param  {boolean} options.partial   (**OPTIONAL**) The body is a partial update, its top level fields aren't required.
+ * @return {promise}         containing the body of the response
+ */
+GlobusClient.prototype.request = function(url, options) {
+  options = Object.assign({}, options)
+
+  const retryable = options.retryable !== undefined ? options.retryable : retry.isIdempotent(options.method)
+  const documentSchema = this.validate ? options.schema : undefined
+  const partial = options.partial
+  delete options.retryable
+  delete options.schema
+  delete options.partial
+
+  if (documentSchema) {
+    try {
+      schema.assertValid(documentSchema, options.body, { partial: partial })
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  }
+
+  const self = this
+  const requestOptions = Object.assign({
+    headers: { 'User-Agent': this.userAgent },
+    timeout: this.timeout,
+    proxy: this.proxy,
+    json: true
+  }, options)
+
+  function send() {
+    return bearerToken(self, url).then(function(token) {
+      return request(url, Object.assign({ auth: { bearer: token } }, requestOptions))
+    }).catch(function(err) {
+      if (err.name === 'StatusCodeError') {
+        throw errors.GlobusAPIError.fromResponse(err.response)
+      }
+      throw err
+    })
+  }
+
+  return retryable ? retry.withRetry(send, this.retry) : send()
+}
+
+/**
+ * bearerToken - The token of a client, from its authorizer if it has one. Requests to
+ * Globus Auth use the client's Auth token instead, if it was given one.
+ *
+ * @param  {GlobusClient} client
+ * @param  {string} url           URL the token is sent to
+ * @return {promise}              containing the token
+ */
+function bearerToken(client, url) {
+  const isAuth = url.indexOf(client.authBaseURL) === 0 || url.indexOf(client.oauth2BaseURL) === 0
+
+  if (isAuth && client.authAuthorizer) {
+    return client.authAuthorizer.getToken()
+  }
+  if (isAuth && client.authToken) {
+    return Promise.resolve(client.authToken)
+  }
+  return client.authorizer ? client.authorizer.getToken() : Promise.resolve(client.token)
+}
+
+exports.oauth2 = oauth2
+exports.Authorizer = oauth2.Authorizer
+exports.RefreshTokenAuthorizer = oauth2.RefreshTokenAuthorizer
+exports.ClientCredentialsAuthorizer = oauth2.ClientCredentialsAuthorizer
+
+exports.GlobusAPIError = errors.GlobusAPIError
+exports.AuthError = errors.AuthError
+exports.NotFoundError = errors.NotFoundError
+exports.ConflictError = errors.ConflictError
+exports.RateLimitError = errors.RateLimitError
+exports.ServiceUnavailableError = errors.ServiceUnavailableError
+exports.TaskError = errors.TaskError
+exports.TaskFailedError = errors.TaskFailedError
+exports.TaskTimeoutError = errors.TaskTimeoutError
+exports.TaskInactiveError = errors.TaskInactiveError
+exports.ValidationError = errors.ValidationError
+exports.ActivationError = errors.ActivationError
+
+exports.createProxyChain = delegateProxy.createProxyChain
+exports.fillDelegateProxy = delegateProxy.fillDelegateProxy
+
+exports.PageIterator = paginate.PageIterator
+exports.TransferData = transferData.TransferData
 
 // https://docs.globus.org/api/transfer/acl
 
 /**
  * getAccessRulesList - Get the list of access rules in the ACL for a specified endpoint.
  *
- * @param  {string} bearerToken  token authorized by globus.org.
  * @param  {Object} options
  * @param  {string} options.endpoint_xid   the id of the endpoint you'd like to list ACL's from.
+ * @param  {number} options.limit          (**OPTIONAL**) Maximum number of access rules to return.
+ * @param  {number} options.offset         (**OPTIONAL**) Zero based offset into the list of access rules.
  * @return {promise}             containing the body of the response.
  */
-exports.getAccessRulesList = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/access_list'
-
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
+GlobusClient.prototype.getAccessRulesList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'access_list'], {
+    limit: options.limit,
+    offset: options.offset
   })
+
+  return this.request(url)
+}
+
+/**
+ * iterAccessRules - Iterate over all the access rules of an endpoint, fetching the
+ * following pages of the list as needed.
+ *
+ * @example
+ * for await (const rule of client.iterAccessRules({ endpoint_xid: endpoint_xid })) {
+ *   console.log(rule.principal, rule.path, rule.permissions)
+ * }
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid   the id of the endpoint you'd like to list ACL's from.
+ * @param  {number} options.limit          (**OPTIONAL**) Number of access rules to fetch per page.
+ * @return {PageIterator}                  of access documents
+ */
+GlobusClient.prototype.iterAccessRules = function(options) {
+  return paginate.offsetPages(this.getAccessRulesList.bind(this), options)
 }
 
 /**
  * getAccessRulesListById - Get a single access rule for a specified endpoint by id.
  *
- * @param  {string} bearerToken          token authorized by globus.org.
  * @param  {Object} options
  * @param  {string} options.endpoint_xid the id of the endpoint you'd like to get an ACL from.
  * @param  {number} options.id           Integer id of an access rule.
  * @return {promise}                     containing the body of the response.
  */
-exports.getAccessRulesListById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/access/' + options.id
+GlobusClient.prototype.getAccessRulesListById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'access', options.id])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+  return this.request(url)
 }
 
 /**
  * createAccessRule - opens an access point with a given user. Shared endpoint_xid's can be
  * found by looking at the details of the endpoint you want to piggy back off of.
  *
- * @param  {string} bearerToken  token authorized by globus.org.
  * @param  {Object} options
  * @param  {string} options.endpoint_xid   the id of the endpoint you'd like to base your share off of.
  * @param  {string} options.userId       the UUID of the user you'd like to share this endpoint with
+ * @param  {string} options.principal_type (**OPTIONAL**) "identity", "group", "all_authenticated_users" or "anonymous". Default: "identity"
+ * @param  {string} options.principal    (**OPTIONAL**) id of the group when principal_type is "group", instead of userId.
  * @param  {string} options.path         an absolute path to the resoureces you'd like to share
- * @param  {string} options.permissions  a combination of 'r', 'w', to give the user read and write permissions
+ * @param  {string} options.permissions  (**OPTIONAL**) "r" for read-only, or "rw" for read-write access. Default: "r"
  * @param  {string} options.userEmail    the email of the user you'd like to notify
  * @param  {string} options.emailMessage the message you'd like to attach to the e-mail
  * @return {promise}             containing the body of the response
  */
-exports.createAccessRule = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/access'
+GlobusClient.prototype.createAccessRule = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'access'])
   const body = {
     DATA_TYPE: 'access',
-    principal_type: 'identity',
-    principal: options.userId,
+    principal_type: options.principal_type || 'identity',
+    principal: options.principal !== undefined ? options.principal : options.userId,
     path: options.path,
-    permissions: 'r',
+    permissions: options.permissions || 'r',
     notify_email: options.userEmail
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'access'
   })
 }
 
@@ -77,7 +252,6 @@ exports.createAccessRule = function(bearerToken, options) {
  * updateAccessRule - Update the permissions on an existing access rule. Other fields (besides DATA_TYPE which must always be present) may be omitted.
  * If the id is present it must match the id in the URL.
  *
- * @param  {string} bearerToken  token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.id             Unique id for this access rule. Implicit access rules from "access_manager" role assignments will have a null id, see role_id.
  * @param  {string} options.endpoint_xid   the id of the endpoint you'd like to base your share off of.
@@ -88,8 +262,8 @@ exports.createAccessRule = function(bearerToken, options) {
  * @param  {string} options.permissions    How much permission to grant the principal specified in principal_type and principal. Either read-only, specified as "r", or read-write, specified as "rw".
  * @return {promise}             containing the body of the response
  */
-exports.updateAccessRule = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/access/' + options.id
+GlobusClient.prototype.updateAccessRule = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'access', options.id])
   const body = {
     DATA_TYPE: 'access',
     id: options.id,
@@ -100,11 +274,11 @@ exports.updateAccessRule = function(bearerToken, options) {
     permissions: options.permissions
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
+  return this.request(url, {
+    method: 'PUT',
     body: body,
-    json: true
+    schema: 'access',
+    partial: true
   })
 }
 
@@ -114,19 +288,186 @@ exports.updateAccessRule = function(bearerToken, options) {
  * If the client is using a retry loop, both should be accepted as success in case the first successful attempt is disconnected after the request is processed
  * but before the response is received by the client.
  *
- * @param  {string} bearerToken  token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid the id of the endpoint you'd like to delete an ACL from
  * @param  {number} options.id          Integer id of an access rule.
  * @return {promise}             containing the body of the response
  */
-exports.deleteAccessRule = function(bearerToken, options) {
-  const url = options.transferBaseURL + '/endpoint/' + options.endpoint_xid + '/access/' + options.id
+GlobusClient.prototype.deleteAccessRule = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'access', options.id])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'DELETE',
-    json: true
+  return this.request(url, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * reconcileAccessRules - Make the ACL of an endpoint match a list of desired access
+ * rules, e.g. kept in a file under version control. Rules are matched on principal_type,
+ * principal and path: the missing ones are created, the ones with other permissions
+ * updated and, with `prune`, the ones not desired deleted. The rules of role
+ * assignments (which have no id) are left alone.
+ *
+ * @example
+ * client.reconcileAccessRules(endpoint_xid, [
+ *   { principal_type: 'group', principal: group_id, path: '/projects/', permissions: 'r' },
+ *   { username: 'alice@globusid.org', path: '/projects/alice/', permissions: 'rw' }
+ * ], { prune: true, dryRun: true }).then(function(plan) { console.log(plan.create, plan.update, plan.delete) })
+ *
+ * @param  {string} endpoint_xid          The id of the endpoint.
+ * @param  {Object[]} desiredRules        `{ principal_type, principal, path, permissions }` of each rule, or `{ username, path, permissions }` for an identity, looked up with getIdentities(..).
+ * @param  {Object} options               (**OPTIONAL**)
+ * @param  {boolean} options.dryRun       (**OPTIONAL**) Only compute the plan, without changing the ACL. Default: false
+ * @param  {boolean} options.prune        (**OPTIONAL**) Delete the rules that aren't desired. Default: false
+ * @return {promise}                      containing the plan, `{ endpoint_xid, create, update, delete, unchanged, results }`, results having the `{ action, rule, id, code }` of each change applied, id being the one of the rule created for a create, or its `error` if it failed, in order. Nothing is applied with dryRun, results being empty.
+ */
+GlobusClient.prototype.reconcileAccessRules = function(endpoint_xid, desiredRules, options) {
+  const self = this
+  options = options || {}
+
+  const problems = [].concat.apply([], desiredRules.map(function(rule, i) {
+    const principal_type = rule.principal_type || 'identity'
+    const anyone = principal_type === 'all_authenticated_users' || principal_type === 'anonymous'
+    const found = schema.validate('access', {
+      DATA_TYPE: 'access',
+      principal_type: principal_type,
+      principal: anyone ? rule.principal || '' : rule.principal || rule.username,
+      path: rule.path,
+      permissions: rule.permissions
+    })
+    return found.map(function(problem) {
+      return { path: 'desiredRules[' + i + '].' + problem.path, message: problem.message }
+    })
+  }))
+  if (problems.length > 0) {
+    return Promise.reject(new errors.ValidationError(problems, 'desired access rules'))
+  }
+
+  return Promise.all([
+    resolveRulePrincipals(this, desiredRules),
+    this.iterAccessRules({ endpoint_xid: endpoint_xid }).toArray()
+  ]).then(function(results) {
+    const plan = planAccessRules(endpoint_xid, results[0], results[1], options.prune === true)
+
+    if (options.dryRun) {
+      return plan
+    }
+    return applyAccessRules(self, plan)
+  })
+}
+
+/**
+ * resolveRulePrincipals - The desired rules with the principal of the ones given by
+ * username, looked up with a single getIdentities(..).
+ *
+ * @return {promise}  containing the rules
+ */
+function resolveRulePrincipals(client, rules) {
+  const usernames = rules.filter(function(rule) { return rule.username }).map(function(rule) { return rule.username })
+  const lookup = usernames.length > 0 ?
+    client.getIdentities({ usernames: usernames }) :
+    Promise.resolve({ identity_ids: {} })
+
+  return lookup.then(function(result) {
+    return rules.map(function(rule) {
+      if (!rule.username) {
+        return Object.assign({ principal_type: 'identity' }, rule, { principal: rule.principal || '' })
+      }
+      if (!result.identity_ids[rule.username]) {
+        throw new Error('No Globus identity found for "' + rule.username + '"')
+      }
+      return Object.assign({}, rule, { principal_type: 'identity', principal: result.identity_ids[rule.username] })
+    })
+  })
+}
+
+/**
+ * planAccessRules - The changes that make the rules of an ACL the desired ones.
+ *
+ * @return {Object}  `{ endpoint_xid, create, update, delete, unchanged, results }`, results being empty
+ */
+function planAccessRules(endpoint_xid, desired, existing, prune) {
+  const key = function(rule) {
+    return [rule.principal_type, rule.principal || '', rule.path].join(' ')
+  }
+  const current = new Map()
+  existing.forEach(function(rule) {
+    if (rule.id !== null && rule.id !== undefined) {
+      current.set(key(rule), rule)
+    }
+  })
+
+  const plan = { endpoint_xid: endpoint_xid, create: [], update: [], delete: [], unchanged: [], results: [] }
+  const seen = new Set()
+  desired.forEach(function(rule) {
+    const found = current.get(key(rule))
+    if (seen.has(key(rule))) {
+      throw new Error('The access rule of ' + rule.principal_type + ' "' + rule.principal + '" on "' + rule.path + '" is desired more than once')
+    }
+    seen.add(key(rule))
+
+    if (!found) {
+      plan.create.push(rule)
+    } else if (found.permissions !== rule.permissions) {
+      plan.update.push(Object.assign({}, rule, { id: found.id, previous_permissions: found.permissions }))
+    } else {
+      plan.unchanged.push(Object.assign({}, rule, { id: found.id }))
+    }
+  })
+  if (prune) {
+    current.forEach(function(rule, ruleKey) {
+      if (!seen.has(ruleKey)) {
+        plan.delete.push(rule)
+      }
+    })
+  }
+  return plan
+}
+
+/**
+ * applyAccessRules - Apply the changes of a plan one by one: creates, then updates, then
+ * deletes, so that no principal loses access while it runs. A change that fails doesn't
+ * stop the following ones.
+ *
+ * @return {promise}  containing the plan, with the results of the changes
+ */
+function applyAccessRules(client, plan) {
+  const endpoint_xid = plan.endpoint_xid
+  const changes = [].concat(
+    plan.create.map(function(rule) {
+      return { action: 'create', rule: rule, apply: function() {
+        return client.createAccessRule({
+          endpoint_xid: endpoint_xid,
+          principal_type: rule.principal_type,
+          principal: rule.principal,
+          path: rule.path,
+          permissions: rule.permissions
+        })
+      } }
+    }),
+    plan.update.map(function(rule) {
+      return { action: 'update', rule: rule, apply: function() {
+        return client.updateAccessRule({ endpoint_xid: endpoint_xid, id: rule.id, permissions: rule.permissions })
+      } }
+    }),
+    plan.delete.map(function(rule) {
+      return { action: 'delete', rule: rule, apply: function() {
+        return client.deleteAccessRule({ endpoint_xid: endpoint_xid, id: rule.id })
+      } }
+    })
+  )
+
+  return changes.reduce(function(previous, change) {
+    return previous.then(function() {
+      return change.apply().then(function(result) {
+        const id = change.action === 'create' ? result.access_id : change.rule.id
+        plan.results.push({ action: change.action, rule: change.rule, id: id, code: result.code })
+      }, function(err) {
+        plan.results.push({ action: change.action, rule: change.rule, id: change.rule.id, code: err.code, error: err })
+      })
+    })
+  }, Promise.resolve()).then(function() {
+    return plan
   })
 }
 
@@ -134,18 +475,14 @@ exports.deleteAccessRule = function(bearerToken, options) {
 /**
  * getActivationRequirements - Gets the activation requirements of a particular endpoint.
  *
- * @param  {string} bearerToken token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  UUID of endpoint you want to get the activation requirements for
  * @return {promise}          containing the body of the response
  */
-exports.getActivationRequirements = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/activation_requirements'
+GlobusClient.prototype.getActivationRequirements = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'activation_requirements'])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+  return this.request(url)
 }
 
 /**
@@ -153,17 +490,18 @@ exports.getActivationRequirements = function(bearerToken, options) {
  * activation requirements document, which can be filled in and submited to activate. On success, it will return a result code of the form "AutoActivated.CREDENTIAL_SOURCE", where
  * CREDENTIAL_SOURCE indicates the how the credential was acquired.
  *
- * @param  {type} bearerToken  description
- * @param  {type} endpoint_xid description
- * @return {type}              description
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid  UUID of endpoint you want to auto activate
+ * @param  {number} options.if_expires_in (**OPTIONAL**) Only activate the endpoint again if its activation expires within this many seconds, answering "AlreadyActivated" otherwise.
+ * @return {promise}          containing the body of the response
  */
-exports.autoActivateEndpoint = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/autoactivate'
+GlobusClient.prototype.autoActivateEndpoint = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'autoactivate'], {
+    if_expires_in: options.if_expires_in
+  })
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
-    json: true
+  return this.request(url, {
+    method: 'POST'
   })
 }
 
@@ -177,82 +515,268 @@ exports.autoActivateEndpoint = function(bearerToken, options) {
  * On success, it will return a result code of the form "Activated.TYPE", where
  * TYPE indicates the type of activation used.
  *
- * @param  {string} bearerToken                      token authorized by globus.org
  * @param  {object} options
  * @param  {string} options.endpoint_xid                       UUID of endpoint you want to activate
  * @param  {object} options.document a json object gotten from getActivationRequirements(..) with the required values filled in (https://docs.globus.org/api/transfer/endpoint_activation/#activation_requirements_document)
  * @return {promise}                                  containing the body of the response
  */
-exports.activateEndpoint = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/activate'
+GlobusClient.prototype.activateEndpoint = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'activate'])
   const body = options.document
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'activation'
+  })
+}
+
+/**
+ * ensureActivated - Make sure an endpoint is activated for at least some time, e.g.
+ * before submitting a long transfer. An endpoint that is activated for long enough is
+ * left as is. Otherwise auto-activation is tried, then activation with the credentials
+ * given for a method the endpoint supports, the requirements of that method being filled
+ * in by name.
+ *
+ * @example
+ * client.ensureActivated(endpoint_xid, {
+ *   myproxy: { username: 'alice', passphrase: passphrase, lifetime_in_hours: 48 },
+ *   minRemainingSeconds: 24 * 3600
+ * }).then(function(status) { console.log('activated until ' + status.expire_time) })
+ *
+ * @param  {string} endpoint_xid                        UUID of the endpoint.
+ * @param  {Object} options                             (**OPTIONAL**)
+ * @param  {Object} options.myproxy                     (**OPTIONAL**) Credentials to activate the endpoint with from a MyProxy server: `{ username, passphrase, lifetime_in_hours, hostname, server_dn }`, the missing ones keeping the endpoint's defaults.
+ * @param  {Object} options.delegate_proxy              (**OPTIONAL**) `{ certificate, key, passphrase, lifetime_in_hours }` of a user certificate to issue a proxy certificate for the public_key of the endpoint with, see createProxyChain(..), or an already built `{ proxy_chain }`. Preferred to myproxy if both are given.
+ * @param  {number} options.minRemainingSeconds         (**OPTIONAL**) Number of seconds the endpoint must stay activated for. Default: 0, any activation being enough.
+ * @return {promise}                                    containing `{ code, expires_in, expire_time }` of the activation, expires_in being -1 if it doesn't expire. Rejects with an ActivationError if no method could be used.
+ */
+GlobusClient.prototype.ensureActivated = function(endpoint_xid, options) {
+  const self = this
+  options = options || {}
+  const minRemainingSeconds = options.minRemainingSeconds || 0
+
+  function activatedLongEnough(document) {
+    return document.activated !== false && document.expires_in !== 0 &&
+      (document.expires_in === -1 || document.expires_in >= minRemainingSeconds)
+  }
+
+  return this.getActivationRequirements({ endpoint_xid: endpoint_xid }).then(function(requirements) {
+    if (activatedLongEnough(requirements)) {
+      return activationStatus('AlreadyActivated', requirements)
+    }
+    return self.autoActivateEndpoint({ endpoint_xid: endpoint_xid, if_expires_in: minRemainingSeconds }).then(function(result) {
+      if (result.code !== 'AutoActivationFailed' && activatedLongEnough(result)) {
+        return activationStatus(result.code, result)
+      }
+
+      const document = fillActivationRequirements(result.DATA ? result : requirements, options)
+      if (!document) {
+        throw new errors.ActivationError(endpoint_xid, result.DATA ? result : requirements)
+      }
+      return self.activateEndpoint({ endpoint_xid: endpoint_xid, document: document }).then(function(activated) {
+        return activationStatus(activated.code, activated)
+      })
+    })
   })
 }
 
+/**
+ * fillActivationRequirements - The activation requirements document to submit: the
+ * requirements of the first method with credentials in the options, their values set by
+ * name, e.g. `options.myproxy.passphrase` for the "passphrase" requirement of "myproxy".
+ *
+ * @param  {Object} requirements  activation requirements document
+ * @param  {Object} options       options of ensureActivated
+ * @return {Object|null}          null if no method of the endpoint has credentials
+ */
+function fillActivationRequirements(requirements, options) {
+  const type = ['delegate_proxy', 'myproxy'].filter(function(candidate) {
+    return options[candidate] && requirements.DATA.some(function(requirement) {
+      return requirement.type === candidate
+    })
+  })[0]
+
+  if (!type) {
+    return null
+  }
+  if (type === 'delegate_proxy' && !options.delegate_proxy.proxy_chain) {
+    return delegateProxy.fillDelegateProxy(requirements, options.delegate_proxy)
+  }
+  return {
+    DATA_TYPE: 'activation_requirements',
+    DATA: requirements.DATA.filter(function(requirement) {
+      return requirement.type === type
+    }).map(function(requirement) {
+      const value = options[type][requirement.name]
+      return Object.assign({}, requirement, value !== undefined && value !== null ? { value: String(value) } : {})
+    })
+  }
+}
+
+/**
+ * activationStatus - What ensureActivated resolves to, from an activation requirements
+ * or activation result document.
+ */
+function activationStatus(code, document) {
+  return { code: code, expires_in: document.expires_in, expire_time: document.expire_time }
+}
+
 /**
  * deactivateEndpoint - Deactivates a endpoint given its UUID.
  *
- * @param  {string} bearerToken token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  UUID of endpoint you want to deactivate
  * @return {promise}          containing the body of the response
  */
-exports.deactivateEndpoint = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/deactivate'
+GlobusClient.prototype.deactivateEndpoint = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'deactivate'])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
-    json: true
+  return this.request(url, {
+    method: 'POST'
   })
 }
 
 // https://docs.globus.org/api/auth/reference/#api_endpoints
+//
+// The calls below need a token issued for auth.globus.org, rather than the Transfer
+// API, e.g. with the scope "openid profile email urn:globus:auth:scope:auth.globus.org:view_identities".
+// A client can hold both, see the authToken option of GlobusClient.
+
 /**
  * getUserId - Given a token authorized by globus.org and a user's e-mail registered by globus
  * it returns the user's id. Can be used in conjunction with shareEndpointWithUser's userId
  * feild.
  *
- * @param  {string} bearerToken token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.userEmail   User's e-mail
+ * @return {promise}            containing the body of the response, with an `identity_ids` map of username to id
+ */
+GlobusClient.prototype.getUserId = function(options) {
+  return this.getIdentities({ usernames: [options.userEmail] })
+}
+
+/**
+ * getIdentities - Look up identities by usernames or by ids. Any number of them can be
+ * given, they are split in as many requests as the Auth API needs.
+ *
+ * @example
+ * client.getIdentities({ usernames: ['alice@globusid.org', 'bob+lab@example.edu'] })
+ *   .then(function(result) { return result.identity_ids['alice@globusid.org'] })
+ *
+ * @param  {Object} options
+ * @param  {string[]} options.usernames  (**OPTIONAL**) Usernames to look up, e.g. "user@globusid.org".
+ * @param  {string[]} options.ids        (**OPTIONAL**) Identity ids to look up, instead of usernames.
+ * @param  {boolean} options.provision   (**OPTIONAL**) Create identities for the usernames Globus doesn't know yet, so that they can be granted access before they first log in.
+ * @return {promise}            containing `{ identities, identity_ids }`, identity_ids being a map of username to id
+ */
+GlobusClient.prototype.getIdentities = function(options) {
+  const self = this
+  const field = options.ids ? 'ids' : 'usernames'
+  const values = [].concat(options.ids || options.usernames || [])
+  const chunks = []
+
+  for (let i = 0; i < values.length; i += identitiesPerRequest) {
+    chunks.push(values.slice(i, i + identitiesPerRequest))
+  }
+
+  return Promise.all(chunks.map(function(chunk) {
+    return self.request(urls.build(self.authBaseURL, ['identities'], {
+      [field]: chunk,
+      provision: options.provision ? 'true' : undefined
+    }))
+  })).then(function(responses) {
+    return withIdentityIds({
+      identities: [].concat.apply([], responses.map(function(response) { return response.identities }))
+    })
+  })
+}
+
+/**
+ * getIdentity - Get a single identity by id.
+ *
+ * @param  {Object} options
+ * @param  {string} options.id  The id of the identity.
+ * @return {promise}            containing `{ identity, identity_ids }`
+ */
+GlobusClient.prototype.getIdentity = function(options) {
+  const url = urls.build(this.authBaseURL, ['identities', options.id])
+
+  return this.request(url).then(function(response) {
+    return Object.assign(response, withIdentityIds({ identities: [response.identity] }))
+  })
+}
+
+/**
+ * getUserInfo - Get the identity the token was issued to, and the other identities
+ * linked to it, as OpenID Connect claims. Needs the "openid" scope, and "email" and
+ * "profile" for the corresponding claims.
+ *
+ * @return {promise}            containing the claims (sub, preferred_username, identity_set...), with an `identity_ids` map of username to id
+ */
+GlobusClient.prototype.getUserInfo = function() {
+  const url = urls.build(this.oauth2BaseURL, ['userinfo'])
+
+  return this.request(url).then(function(response) {
+    const identities = (response.identity_set || []).map(function(identity) {
+      return { id: identity.sub, username: identity.username }
+    })
+    identities.unshift({ id: response.sub, username: response.preferred_username })
+    return Object.assign(response, withIdentityIds({ identities: identities }))
+  })
+}
+
+/**
+ * getIdentityProviders - Get the identity providers users can log in with, e.g. to
+ * find the one of an institution by its domain.
+ *
+ * @param  {Object} options
+ * @param  {string[]} options.domains  (**OPTIONAL**) Only return the providers of these domains, e.g. "uchicago.edu".
+ * @param  {string[]} options.ids      (**OPTIONAL**) Only return the providers with these ids.
  * @return {promise}            containing the body of the response
  */
-exports.getUserId = function(bearerToken, options) {
-  const url = authBaseURL + '/identities?usernames=' + options.userEmail.replace('@', '%40')
+GlobusClient.prototype.getIdentityProviders = function(options) {
+  options = options || {}
+  const url = urls.build(this.authBaseURL, ['identity_providers'], {
+    domains: options.domains ? [].concat(options.domains).join(',') : undefined,
+    ids: options.ids ? [].concat(options.ids).join(',') : undefined
+  })
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
+  return this.request(url)
+}
+
+/**
+ * withIdentityIds - Adds a map of username to id to a list of identities.
+ *
+ * @param  {Object} result  with an `identities` list
+ * @return {Object}         the result, with `identity_ids`
+ */
+function withIdentityIds(result) {
+  result.identity_ids = {}
+  result.identities.forEach(function(identity) {
+    if (identity && identity.username) {
+      result.identity_ids[identity.username] = identity.id
+    }
   })
+  return result
 }
 
 // https://docs.globus.org/api/transfer/endpoint/#operations
 /**
  * getEndpointById - get's information about an endpoint given its endpoint_xid.
  *
- * @param  {string} bearerToken token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
  * @return {promise}            containing the body of the response
  */
-exports.getEndpointById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid
+GlobusClient.prototype.getEndpointById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+  return this.request(url)
 }
 
 /**
- * createEndpoint - (__UNTESTED__) Create an endpoint. Which fields are required depends on the type of endpoint.
+ * createEndpoint - Create an endpoint. Which fields are required depends on the type of endpoint.
  * Note that name and canonical_name are deprecated and supported only for backward compatibility; display_name
  * should be used instead of, or in addition to, these fields. If canonical_name is not set, it will
  * default to "USERNAME#ENDPOINT_UUID". At least one of them must be specified.
@@ -260,24 +784,23 @@ exports.getEndpointById = function(bearerToken, options) {
  * be used to further manipulate the endpoint document, and to perform transfers and other operations
  * on the endpoint’s filesystem.
  *
- * @param  {string} bearerToken      token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.display_name     Friendly name for the endpoint, not unique. Unicode string, max 128 characters, no new lines (\r or \n). If not specified, will default to canonical_name, but that is deprecated and all new clients hould use id and display_name. Searchable.
  * @param  {object[]} options.documents Array of [server documents](https://docs.globus.org/api/transfer/endpoint/#server_document) that each represents a network service that provides access to a filesystem. The most common type is a GridFTP server, which is represented by scheme "gsiftp". This is also the default scheme.
  * @return {promise}            containing the body of the response
  */
-exports.createEndpoint = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint'
+GlobusClient.prototype.createEndpoint = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint'])
   const body = {
+    DATA_TYPE: 'endpoint',
     display_name: options.display_name,
     DATA: options.documents
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'endpoint'
   })
 }
 
@@ -285,53 +808,53 @@ exports.createEndpoint = function(bearerToken, options) {
  * createSharedEndpoint - creates a shared_endpoint endpoint that it's ACL can be editted
  * to share paths with certain people.
  *
- * @param  {string} bearerToken  token authorized by globus.org
  * @param  {Object} options
- * @param  {string} options.displayName  Friendly name for the endpoint, not unique. Unicode string, max 128 characters, no new lines (\r or \n). If not specified, will default to canonical_name, but that is deprecated and all new clients hould use id and display_name. Searchable.
- * @param  {string} options.hostId       Id of standard endpoint hosting the shared endpoint.
- * @param  {string} options.path         Root path being shared on the host endpoint.
+ * @param  {string} options.display_name  Friendly name for the endpoint, not unique. Unicode string, max 128 characters, no new lines (\r or \n). If not specified, will default to canonical_name, but that is deprecated and all new clients hould use id and display_name. Searchable.
+ * @param  {string} options.host_endpoint Id of standard endpoint hosting the shared endpoint.
+ * @param  {string} options.host_path     Root path being shared on the host endpoint.
+ * @param  {string} options.displayName  (**DEPRECATED**) same as display_name.
+ * @param  {string} options.hostId       (**DEPRECATED**) same as host_endpoint.
+ * @param  {string} options.path         (**DEPRECATED**) same as host_path.
  * @param  {string} options.description  A description of the endpoint. Unicode string, max length 4096 characters. Included in fulltext search.
  * @param  {string} options.organization Organization that runs the server(s) represented by the endpoint. Optional to preserve backward compatibility, but will eventually be required and all clients are encouraged to require users to specify it. Unicode string, max 1024 characters, no new lines. Searchable.
  * @return {promise}             containing the body of the response
  */
-exports.createSharedEndpoint = function(bearerToken, options) {
-  const url = transferBaseURL + '/shared_endpoint'
+GlobusClient.prototype.createSharedEndpoint = function(options) {
+  const url = urls.build(this.transferBaseURL, ['shared_endpoint'])
   const body = {
     DATA_TYPE: 'shared_endpoint',
-    display_name: options.displayName,
-    host_endpoint: options.hostId,
-    host_path: options.path,
+    display_name: options.display_name || options.displayName,
+    host_endpoint: options.host_endpoint || options.hostId,
+    host_path: options.host_path || options.path,
     description: options.description,
     organization: options.organization
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'shared_endpoint'
   })
 }
 
 /**
- * exports - Update an endpoint. This can be done using a partial document by specifying only DATA_TYPE and the fields to be updated, or doing a GET on the endpoint,
+ * updateEndpointById - Update an endpoint. This can be done using a partial document by specifying only DATA_TYPE and the fields to be updated, or doing a GET on the endpoint,
  * changing the appropriate fields, and doing a PUT of the full document. Using a partial document is preferred.
  *
- * @param  {string} bearerToken               token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid              The UUID of the endpoint.
  * @param  {object} options.document Look at this [link](https://docs.globus.org/api/transfer/endpoint/#update_endpoint_by_id) for an explanation of a partial_endpoint_document based off of server and updated fields.
  * @return {promise}             containing the body of the response
  */
-exports.updateEndpointById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid
+GlobusClient.prototype.updateEndpointById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid])
   const body = options.document
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
+  return this.request(url, {
+    method: 'PUT',
     body: body,
-    json: true
+    schema: 'endpoint',
+    partial: true
   })
 }
 
@@ -340,157 +863,179 @@ exports.updateEndpointById = function(bearerToken, options) {
  *  including roles and the ACL, will be deleted as well. If the hostname of the server has changed, the server document(s) in the endpoint should be changed rather than deleting and
  *  recreating the endpoint with different servers.
  *
- * @param  {string} bearerToken               token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid              The UUID of the endpoint.
  * @return {promise}             containing the body of the response
  */
-exports.deleteEndpointById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid
+GlobusClient.prototype.deleteEndpointById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'DELETE',
-    json: true
+  return this.request(url, {
+    method: 'DELETE'
   })
 }
 
+const pauseOperations = ['ls', 'mkdir', 'symlink', 'rename', 'task_delete', 'task_transfer_write', 'task_transfer_read']
+
 /**
- * getEffectivePauseRuleList - Get all pause rules on an endpoint that affect the current user, with sensitive administrator only fields removed.
+ * getMyEffectivePauseRuleList - Get all pause rules on an endpoint that affect the current user, with sensitive administrator only fields removed.
+ * The API doesn't filter them, the rules are filtered on the operations they pause and their start_time here.
+ *
+ * @example
+ * client.getMyEffectivePauseRuleList({ endpoint_xid: endpoint_xid, operations: ['task_transfer_read'], active: true })
+ *   .then(function(list) { list.DATA.forEach(function(rule) { console.log(rule.message) }) })
  *
- * @param  {string} bearerToken           token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
- * @return {promise}             containing the body of the response
+ * @param  {string[]} options.operations  (**OPTIONAL**) Only keep the rules pausing one of these operations: "ls", "mkdir", "symlink", "rename", "task_delete", "task_transfer_write" or "task_transfer_read".
+ * @param  {boolean} options.active       (**OPTIONAL**) Only keep the rules in effect now, leaving out the ones starting later.
+ * @return {promise}             containing the body of the response, a pause_rule_limited_list
  */
-exports.getEffectivePauseRuleList = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/my_effective_pause_rule_list'
+GlobusClient.prototype.getMyEffectivePauseRuleList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'my_effective_pause_rule_list'])
+  const operations = options.operations && [].concat(options.operations)
+  const unknown = (operations || []).filter(function(operation) { return pauseOperations.indexOf(operation) === -1 })
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
+  if (unknown.length > 0) {
+    return Promise.reject(new Error('Invalid operation "' + unknown[0] + '", expected one of ' + pauseOperations.join(', ')))
+  }
+
+  return this.request(url).then(function(list) {
+    list.DATA = list.DATA.filter(function(rule) {
+      const pauses = !operations || operations.some(function(operation) { return rule['pause_' + operation] === true })
+      const started = !options.active || !rule.start_time || Date.parse(rule.start_time) <= Date.now()
+      return pauses && started
+    })
+    return list
   })
 }
 
+/**
+ * getEffectivePauseRuleList - (**DEPRECATED**) Use getMyEffectivePauseRuleList(..), which it calls.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid  The UUID of the endpoint.
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.getEffectivePauseRuleList = function(options) {
+  return this.getMyEffectivePauseRuleList(options)
+}
+
 /**
  * getEndpointServerList - Get a list of all servers belonging to the specified endpoint. Note that this is the same as the server list included under the "DATA" key
  * of the endpoint document.
  *
- * @param  {string} bearerToken               token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid              The UUID of the endpoint.
  * @return {promise}             containing the body of the response
  */
-exports.getEndpointServerList = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/server_list'
+GlobusClient.prototype.getEndpointServerList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'server_list'])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+  return this.request(url)
+}
+
+/**
+ * iterEndpointServers - Iterate over all the servers belonging to the specified endpoint.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid  The UUID of the endpoint.
+ * @return {PageIterator}                 of server documents
+ */
+GlobusClient.prototype.iterEndpointServers = function(options) {
+  return paginate.offsetPages(this.getEndpointServerList.bind(this), options)
 }
 
 /**
  * getEndpointServerById - Get a specific server belonging to the specified endpoint.
  *
- * @param  {string} bearerToken   token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
  * @param  {string} options.server_id     UUID of the server you want get.
  * @return {promise}             containing the body of the response
  */
-exports.getEndpointServerById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/server_list'
-
-  throw new Error('FIXME(param server_id not used)')
+GlobusClient.prototype.getEndpointServerById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'server', options.server_id])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+  return this.request(url)
 }
 
 /**
- * exports - Add a server to the specified endpoint. The hostname field is required, scheme and port default to "gsiftp" and 2811, and subject defaults to "null". The derived fields
+ * addEndpointServer - Add a server to the specified endpoint. The hostname field is required, scheme and port default to "gsiftp" and 2811, and subject defaults to "null". The derived fields
  * and boolean status fields are ignored, and should not be included in the request body.
  * Returns a result document containing the id of the newly added server.
  *
- * @param  {string} bearerToken   token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
  * @param  {string} options.hostname     Hostname of the server.
  * @param  {string} options.uri          URI of the server. This is a derived field combining the scheme, hostname, and port, and is not used when creating servers.
  * @param  {string} options.port         Port the server is listening on. Default: 2811.
  * @param  {string} options.scheme       URI scheme (protocol) used by the endpoint. Must be "gsiftp" or "ftp". Default: "gsiftp".
+ * @param  {string} options.subject      (**OPTIONAL**) subject of the x509 certificate of the server. If not specified, the CN in the subject must match its hostname.
  * @return {promise}             containing the body of the response
  */
-exports.addEndpointServer = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/server'
+GlobusClient.prototype.addEndpointServer = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'server'])
   const body = {
     DATA_TYPE: 'server',
     hostname: options.hostname,
     uri: options.uri,
     port: options.port || '2811',
-    scheme: options.scheme || 'gsiftp'
+    scheme: options.scheme || 'gsiftp',
+    subject: options.subject
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'server'
   })
 }
 
 /**
  * updateEndpointServerById - Update a server belonging to the specified endpoint. Include only the fields to be updated in the request body - any of hostname, scheme, port, and subject can be updated.
+ * The fields that aren't given are left as they are.
  *
- * @param  {string} bearerToken   token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
  * @param  {string} options.server_id       The UUID of the server you wish to update.
- * @param  {string} options.hostname     Hostname of the server.
- * @param  {string} options.uri          URI of the server. This is a derived field combining the scheme, hostname, and port, and is not used when creating servers.
- * @param  {string} options.port         Port the server is listening on. Default: 2811.
- * @param  {string} options.scheme       URI scheme (protocol) used by the endpoint. Must be "gsiftp" or "ftp". Default: "gsiftp".
- * @param  {string} options.subject      subject of the x509 certificate of the server. If not specified, the CN in the subject must match its hostname.
+ * @param  {string} options.hostname     (**OPTIONAL**) Hostname of the server.
+ * @param  {string} options.port         (**OPTIONAL**) Port the server is listening on.
+ * @param  {string} options.scheme       (**OPTIONAL**) URI scheme (protocol) used by the endpoint. Must be "gsiftp" or "ftp".
+ * @param  {string} options.subject      (**OPTIONAL**) subject of the x509 certificate of the server. If not specified, the CN in the subject must match its hostname.
  * @return {promise}             containing the body of the response
  */
-exports.updateEndpointServerById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/server/' + options.server_id
+GlobusClient.prototype.updateEndpointServerById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'server', options.server_id])
   const body = {
     DATA_TYPE: 'server',
     hostname: options.hostname,
-    uri: options.uri,
-    port: options.port || '2811',
-    scheme: options.scheme || 'gsiftp',
+    port: options.port,
+    scheme: options.scheme,
     subject: options.subject
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'PUT',
     body: body,
-    json: true
+    schema: 'server',
+    partial: true
   })
 }
 
 /**
  * deleteEndpointServerById - Delete a server belonging to the specified endpoint.
  *
- * @param  {string} bearerToken   token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
  * @param  {string} options.server_id       The UUID of the server you wish to update.
  * @return {promise}             containing the body of the response
  */
-exports.deleteEndpointServerById = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + '/server/' + options.server_id
+GlobusClient.prototype.deleteEndpointServerById = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'server', options.server_id])
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'DELETE',
-    json: true
+  return this.request(url, {
+    method: 'DELETE'
   })
 }
 
@@ -498,118 +1043,852 @@ exports.deleteEndpointServerById = function(bearerToken, options) {
  * getSharedEndpointList - Get a list of shared endpoints owned by the current user and hosted by a given GridFTP or Globus Connect Personal endpoint. Returns a
  * "BadRequest" error if called on an endpoint that can’t host shared endpoints.
  *
- * @param  {string} bearerToken   token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint_xid  The UUID of the endpoint.
+ * @param  {string} options.next_token    (**OPTIONAL**) Token of the page to get, from the next_token of a previous response.
+ * @param  {number} options.max_results   (**OPTIONAL**) Maximum number of shared endpoints in the page.
  * @return {promise}              containing the body of the response
  */
-exports.getSharedEndpointList = function(bearerToken, options) {
-  const url = transferBaseURL + '/endpoint/' + options.endpoint_xid + 'my_shared_endpoint_list'
-
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
+GlobusClient.prototype.getSharedEndpointList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'my_shared_endpoint_list'], {
+    next_token: options.next_token,
+    max_results: options.max_results
   })
-}
 
-// https://docs.globus.org/api/transfer/file_operations/#operations
+  return this.request(url)
+}
 
 /**
- * listDirectoryContents - List the contents of the directory at the specified path on an endpoint’s filesystem. The endpoint must be activated before performing this operation.
+ * iterSharedEndpoints - Iterate over all the shared endpoints owned by the current user
+ * and hosted by a given endpoint, following the next_token of each page.
  *
- * The path is specified in the path query parameter. If the parameter is not passed, the default path depends on the type of endpoint
- *
- * @param  {string} bearerToken       Token authorized by globus.org.
  * @param  {Object} options
- * @param  {string} options.endpoint_xid      The id of the endpoint you'd like to get an ACL from.
- * @param  {string} options.path              (**OPTIONAL**) For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
- * @param  {string} options.query_parameters  (**OPTIONAL**) Added on query parameters to the end of the string (must be prefixed with an ampersand).  [Link](https://docs.globus.org/api/transfer/file_operations/#dir_listing_query_parameters)
- * @return {promise}             containing the body of the response.
+ * @param  {string} options.endpoint_xid  The UUID of the host endpoint.
+ * @param  {number} options.max_results   (**OPTIONAL**) Number of shared endpoints to fetch per page.
+ * @return {PageIterator}                 of endpoint documents
  */
-exports.listDirectoryContents = function(bearerToken, options) {
-  const url = transferBaseURL + '/operation/endpoint/' + options.endpoint_xid + '/ls?path='
-    + (options.path || '/')
-    + (options.query_parameters || '')
-
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
-  })
+GlobusClient.prototype.iterSharedEndpoints = function(options) {
+  return paginate.markerPages(this.getSharedEndpointList.bind(this), options, 'next_token')
 }
 
 /**
- * makeDirectory - Create a directory at the specified path on an endpoint filesystem. The endpoint must be activated before performing this operation.
+ * shareDirectory - Share a directory of a host endpoint with collaborators: create the
+ * directory, a shared endpoint for it and an access rule for each grantee, the pieces
+ * that already exist being reused. Running it again with the same options changes
+ * nothing, and with other grantees or permissions only adds or updates their rules.
+ * If a step fails, what was created or updated by this call is undone before rejecting.
+ *
+ * @example
+ * client.shareDirectory({
+ *   host_endpoint: endpoint_xid,
+ *   path: '/~/datasets/run42/',
+ *   display_name: 'run42 for the Smith lab',
+ *   grantees: [{ email: 'bob@example.org', permissions: 'rw' }, { group_id: group_id }],
+ *   notify_email: true
+ * })
  *
- * @param  {string} bearerToken       Token authorized by globus.org.
  * @param  {Object} options
- * @param  {string} options.endpoint_xid      The id of the endpoint you'd like to get an ACL from.
- * @param  {string} options.path              For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
- * @return {promise}             containing the body of the response.
+ * @param  {string} options.host_endpoint  Id of the endpoint hosting the directory.
+ * @param  {string} options.path           Absolute path of the directory on the host endpoint.
+ * @param  {string} options.display_name   Display name of the shared endpoint.
+ * @param  {Object[]} options.grantees     (**OPTIONAL**) `{ email, permissions }`, `{ identity_id, permissions }` or `{ group_id, permissions }`, permissions being "r" or "rw". Default permissions: "r"
+ * @param  {boolean} options.notify_email  (**OPTIONAL**) Send an e-mail to the grantees given by email when their access rule is created. Default: false
+ * @param  {boolean} options.provision     (**OPTIONAL**) Create the identities of emails Globus doesn't know yet.
+ * @return {promise}                       containing `{ endpoint_xid, directory_created, endpoint_created, access_rules }`, access_rules being `{ id, principal_type, principal, permissions, code }` for each grantee, code being "Created", "Updated" or "Unchanged"
  */
-exports.makeDirectory = function(bearerToken, options) {
-  const url = transferBaseURL + '/operation/endpoint/' + options.endpoint_xid + '/mkdir'
-  const body = {
-    DATA_TYPE: 'mkdir',
-    path: options.path,
+GlobusClient.prototype.shareDirectory = function(options) {
+  const self = this
+  const grantees = options.grantees || []
+  const invalid = grantees.filter(function(grantee) {
+    return ['email', 'identity_id', 'group_id'].filter(function(field) { return grantee[field] }).length !== 1 ||
+      ['r', 'rw', undefined].indexOf(grantee.permissions) === -1
+  })[0]
+
+  if (!options.host_endpoint || !options.path || !options.display_name) {
+    return Promise.reject(new Error('host_endpoint, path and display_name are required'))
+  }
+  if (invalid) {
+    return Promise.reject(new Error('Invalid grantee ' + JSON.stringify(invalid) + ', expected one of email, identity_id or group_id, and permissions "r" or "rw"'))
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
-    body: body,
-    json: true
+  const path = options.path.replace(/\/*$/, '/')
+  const undo = []
+  const share = { directory_created: false, endpoint_created: false, access_rules: [] }
+
+  return resolveGrantees(this, grantees, options.provision).then(function(principals) {
+    return self.ensureDirectory(options.host_endpoint, path).then(function(created) {
+      share.directory_created = created
+      if (created) {
+        undo.push(function() {
+          return self.removePath(options.host_endpoint, path, { recursive: true, label: 'Undo shareDirectory' })
+        })
+      }
+      return findSharedEndpoint(self, options.host_endpoint, path, options.display_name)
+    }).then(function(endpoint) {
+      if (endpoint) {
+        return endpoint.id
+      }
+      return self.createSharedEndpoint({
+        display_name: options.display_name,
+        host_endpoint: options.host_endpoint,
+        host_path: path
+      }).then(function(result) {
+        share.endpoint_created = true
+        undo.push(function() {
+          return self.deleteEndpointById({ endpoint_xid: result.id })
+        })
+        return result.id
+      })
+    }).then(function(endpoint_xid) {
+      share.endpoint_xid = endpoint_xid
+      return self.iterAccessRules({ endpoint_xid: endpoint_xid }).toArray()
+    }).then(function(rules) {
+      // One grantee at a time, so that the rules created before a failure are known
+      return principals.reduce(function(previous, principal) {
+        return previous.then(function() {
+          return grantAccess(self, share, rules, principal, options.notify_email, undo)
+        })
+      }, Promise.resolve())
+    })
+  }).then(function() {
+    return share
+  }, function(err) {
+    return rollback(undo).then(function(rollbackErrors) {
+      if (rollbackErrors.length > 0) {
+        err.rollbackErrors = rollbackErrors
+      }
+      throw err
+    })
   })
 }
 
 /**
- * rename - Rename or move a file or directory on an endpoint filesystem. The endpoint must be activated before performing this operation. When moving to a different parent directory, the parent directory of the new path must already exist.
+ * resolveGrantees - The principal_type, principal and permissions of each grantee of
+ * shareDirectory(..), the emails being looked up with a single getIdentities(..).
  *
- * @param  {string} bearerToken       Token authorized by globus.org.
- * @param  {Object} options
- * @param  {string} options.endpoint_xid  The id of the endpoint you'd like to get an ACL from.
- * @param  {string} options.old_path      For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
- * @param  {string} options.new_path      For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
- * @return {promise}             containing the body of the response.
+ * @return {promise}  containing the principals, in the order of the grantees
  */
-exports.rename = function(bearerToken, options) {
-  const url = transferBaseURL + '/operation/endpoint/' + options.endpoint_xid + '/rename'
-  const body = {
-    DATA_TYPE: 'rename',
-    old_path: options.old_path,
-    new_path: options.new_path
-  }
+function resolveGrantees(client, grantees, provision) {
+  const emails = grantees.filter(function(grantee) { return grantee.email }).map(function(grantee) { return grantee.email })
+  const lookup = emails.length > 0 ?
+    client.getIdentities({ usernames: emails, provision: provision }) :
+    Promise.resolve({ identity_ids: {} })
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
-    body: body,
-    json: true
+  return lookup.then(function(result) {
+    return grantees.map(function(grantee) {
+      const principal = grantee.group_id || grantee.identity_id || result.identity_ids[grantee.email]
+      if (!principal) {
+        throw new Error('No Globus identity found for "' + grantee.email + '"')
+      }
+      return {
+        principal_type: grantee.group_id ? 'group' : 'identity',
+        principal: principal,
+        permissions: grantee.permissions || 'r',
+        email: grantee.email
+      }
+    })
   })
 }
 
-// https://docs.globus.org/api/transfer/task_submit/#operations_requirements
 /**
- * getSubmissionId - Get a submission id, required when submitting transfer and delete tasks.
- * Note that this is different than the task id returned by the submit operations.
+ * findSharedEndpoint - The shared endpoint of the current user with a display name,
+ * hosted on a directory of an endpoint, if there is one.
  *
- * @param  {string} bearerToken     token authorized by globus.org
- * @return {promise}                containing the body of the response object
+ * @return {promise}  containing the endpoint document, or undefined
  */
-exports.getSubmissionId = function(bearerToken) {
-  const url = transferBaseURL + '/submission_id'
+function findSharedEndpoint(client, host_endpoint, path, display_name) {
+  return client.iterSharedEndpoints({ endpoint_xid: host_endpoint }).toArray().then(function(endpoints) {
+    return endpoints.filter(function(endpoint) {
+      return endpoint.display_name === display_name && (endpoint.host_path || '').replace(/\/*$/, '/') === path
+    })[0]
+  })
+}
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    json: true
+/**
+ * grantAccess - Create the access rule of a principal on the root of a shared endpoint,
+ * or update its permissions, adding what was done to share.access_rules and how to
+ * revert it to undo.
+ *
+ * @return {promise}
+ */
+function grantAccess(client, share, rules, principal, notify_email, undo) {
+  const endpoint_xid = share.endpoint_xid
+  const existing = rules.filter(function(rule) {
+    return rule.principal_type === principal.principal_type && rule.principal === principal.principal && rule.path === '/'
+  })[0]
+  const record = function(id, code) {
+    share.access_rules.push({
+      id: id,
+      principal_type: principal.principal_type,
+      principal: principal.principal,
+      permissions: principal.permissions,
+      code: code
+    })
+  }
+
+  if (existing && existing.permissions === principal.permissions) {
+    record(existing.id, 'Unchanged')
+    return Promise.resolve()
+  }
+  if (existing) {
+    const update = function(permissions) {
+      return client.updateAccessRule(Object.assign({}, existing, { endpoint_xid: endpoint_xid, permissions: permissions }))
+    }
+    return update(principal.permissions).then(function() {
+      record(existing.id, 'Updated')
+      undo.push(function() { return update(existing.permissions) })
+    })
+  }
+  return client.createAccessRule({
+    endpoint_xid: endpoint_xid,
+    principal_type: principal.principal_type,
+    principal: principal.principal,
+    path: '/',
+    permissions: principal.permissions,
+    userEmail: notify_email ? principal.email : undefined
+  }).then(function(result) {
+    record(result.access_id, 'Created')
+    undo.push(function() {
+      return client.deleteAccessRule({ endpoint_xid: endpoint_xid, id: result.access_id })
+    })
   })
 }
 
 /**
- * submitTransferTask - Submits a transfer task.
+ * rollback - Run the undo steps in reverse order, each one even if another failed.
+ *
+ * @return {promise}  containing the errors of the steps that failed
+ */
+function rollback(undo) {
+  return undo.reverse().reduce(function(previous, step) {
+    return previous.then(function(rollbackErrors) {
+      return step().then(function() {
+        return rollbackErrors
+      }, function(err) {
+        return rollbackErrors.concat([err])
+      })
+    })
+  }, Promise.resolve([]))
+}
+
+// https://docs.globus.org/api/transfer/endpoint_roles/
+
+const endpointRoles = ['administrator', 'access_manager', 'activity_manager', 'activity_monitor']
+
+/**
+ * getRoleList - Get the list of role assignments of an endpoint.
  *
- * @param  {string} bearerToken              token authorized by globus.org
  * @param  {Object} options
- * @param  {string} options.submission_id            Id acquired from getSubmissionId
+ * @param  {string} options.endpoint_xid   the id of the endpoint
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.getRoleList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'role_list'])
+
+  return this.request(url)
+}
+
+/**
+ * getRole - Get a single role assignment of an endpoint.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid   the id of the endpoint
+ * @param  {string} options.role_id        the id of the role assignment
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.getRole = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'role', options.role_id])
+
+  return this.request(url)
+}
+
+/**
+ * createRole - Grant a role on an endpoint to an identity or a group. An identity can be
+ * given by its username, which is looked up with getIdentities(..) and so needs an Auth
+ * token, see the authToken option of GlobusClient.
+ *
+ * @example
+ * client.createRole({ endpoint_xid: endpoint_xid, role: 'access_manager', username: 'alice@globusid.org' })
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid   the id of the endpoint
+ * @param  {string} options.role           One of "administrator", "access_manager", "activity_manager" or "activity_monitor".
+ * @param  {string} options.principal_type (**OPTIONAL**) Either "identity" or "group". Default: "identity"
+ * @param  {string} options.principal      (**OPTIONAL**) The id of the identity or of the group.
+ * @param  {string} options.username       (**OPTIONAL**) The username of the identity, instead of principal, e.g. "alice@globusid.org".
+ * @param  {boolean} options.provision     (**OPTIONAL**) Create the identity of a username Globus doesn't know yet.
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.createRole = function(options) {
+  if (endpointRoles.indexOf(options.role) === -1) {
+    return Promise.reject(new Error('Invalid role "' + options.role + '", expected one of ' + endpointRoles.join(', ')))
+  }
+
+  const self = this
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'role'])
+  const principalType = options.principal_type || 'identity'
+
+  return resolvePrincipal(this, options).then(function(principal) {
+    return self.request(url, {
+      method: 'POST',
+      body: {
+        DATA_TYPE: 'role',
+        principal_type: principalType,
+        principal: principal,
+        role: options.role
+      }
+    })
+  })
+}
+
+/**
+ * deleteRole - Remove a role assignment from an endpoint.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid   the id of the endpoint
+ * @param  {string} options.role_id        the id of the role assignment
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.deleteRole = function(options) {
+  const url = urls.build(this.transferBaseURL, ['endpoint', options.endpoint_xid, 'role', options.role_id])
+
+  return this.request(url, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * resolvePrincipal - The identity id of options.username, or options.principal.
+ *
+ * @param  {GlobusClient} client
+ * @param  {Object} options       with a principal or a username
+ * @return {promise}              containing the principal
+ */
+function resolvePrincipal(client, options) {
+  if (!options.username) {
+    return Promise.resolve(options.principal)
+  }
+
+  return client.getIdentities({
+    usernames: [options.username],
+    provision: options.provision
+  }).then(function(result) {
+    const id = result.identity_ids[options.username]
+    if (!id) {
+      throw new Error('No Globus identity found for "' + options.username + '"')
+    }
+    return id
+  })
+}
+
+// https://docs.globus.org/api/transfer/endpoint_bookmarks/
+
+/**
+ * getBookmarkList - Get the list of bookmarks of the current user.
+ *
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.getBookmarkList = function() {
+  const url = urls.build(this.transferBaseURL, ['bookmark_list'])
+
+  return this.request(url)
+}
+
+/**
+ * getBookmark - Get a single bookmark by id.
+ *
+ * @param  {Object} options
+ * @param  {string} options.bookmark_id  the id of the bookmark
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.getBookmark = function(options) {
+  const url = urls.build(this.transferBaseURL, ['bookmark', options.bookmark_id])
+
+  return this.request(url)
+}
+
+/**
+ * createBookmark - Bookmark a path on an endpoint. Bookmark names are unique for each user.
+ *
+ * @param  {Object} options
+ * @param  {string} options.name          Name of the bookmark, at most 128 characters.
+ * @param  {string} options.endpoint_xid  the id of the endpoint
+ * @param  {string} options.path          Absolute path to a directory, ending with a slash.
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.createBookmark = function(options) {
+  const url = urls.build(this.transferBaseURL, ['bookmark'])
+  const body = {
+    DATA_TYPE: 'bookmark',
+    name: options.name,
+    endpoint_id: options.endpoint_xid,
+    path: options.path
+  }
+
+  return this.request(url, {
+    method: 'POST',
+    body: body
+  })
+}
+
+/**
+ * updateBookmark - Rename a bookmark. Its endpoint and path can't be changed.
+ *
+ * @param  {Object} options
+ * @param  {string} options.bookmark_id  the id of the bookmark
+ * @param  {string} options.name         New name of the bookmark.
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.updateBookmark = function(options) {
+  const url = urls.build(this.transferBaseURL, ['bookmark', options.bookmark_id])
+  const body = {
+    DATA_TYPE: 'bookmark',
+    name: options.name
+  }
+
+  return this.request(url, {
+    method: 'PUT',
+    body: body
+  })
+}
+
+/**
+ * deleteBookmark - Delete a bookmark.
+ *
+ * @param  {Object} options
+ * @param  {string} options.bookmark_id  the id of the bookmark
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.deleteBookmark = function(options) {
+  const url = urls.build(this.transferBaseURL, ['bookmark', options.bookmark_id])
+
+  return this.request(url, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * resolveBookmark - The endpoint and path of a bookmark, found by name or by id, in the
+ * form listDirectoryContents(..) takes them.
+ *
+ * @example
+ * client.resolveBookmark({ name: 'project data' })
+ *   .then(function(location) { return client.listDirectoryContents(location) })
+ *
+ * @param  {Object} options
+ * @param  {string} options.name         (**OPTIONAL**) the name of the bookmark
+ * @param  {string} options.bookmark_id  (**OPTIONAL**) the id of the bookmark, instead of its name
+ * @return {promise}             containing `{ endpoint_xid, path }`
+ */
+GlobusClient.prototype.resolveBookmark = function(options) {
+  const bookmark = options.bookmark_id
+    ? this.getBookmark(options)
+    : this.getBookmarkList().then(function(list) {
+      const found = list.DATA.filter(function(bookmark) { return bookmark.name === options.name })[0]
+      if (!found) {
+        throw new Error('No bookmark named "' + options.name + '"')
+      }
+      return found
+    })
+
+  return bookmark.then(bookmarkLocation)
+}
+
+/**
+ * bookmarkLocation - The endpoint and path of a bookmark document.
+ *
+ * @param  {Object} bookmark  a bookmark document
+ * @return {Object}           `{ endpoint_xid, path }`
+ */
+function bookmarkLocation(bookmark) {
+  return {
+    endpoint_xid: bookmark.endpoint_id,
+    path: bookmark.path
+  }
+}
+
+exports.bookmarkLocation = bookmarkLocation
+
+// https://docs.globus.org/api/transfer/endpoint_search/
+
+const endpointSearchScopes = ['all', 'my-endpoints', 'my-gcp-endpoints', 'recently-used', 'in-use', 'shared-by-me', 'shared-with-me', 'administered-by-me']
+
+/**
+ * searchEndpoints - Search endpoints by name, description, owner... and by their relation
+ * to the current user. Only endpoints the user can see are returned.
+ *
+ * @param  {Object} options
+ * @param  {string} options.filter_fulltext      (**OPTIONAL**) Words to search for in the display name, description, organization... of endpoints.
+ * @param  {string} options.filter_scope         (**OPTIONAL**) One of "all", "my-endpoints", "my-gcp-endpoints", "recently-used", "in-use", "shared-by-me", "shared-with-me" or "administered-by-me". Default: "all".
+ * @param  {string} options.filter_owner_id      (**OPTIONAL**) Only return endpoints owned by this identity id.
+ * @param  {string} options.filter_host_endpoint (**OPTIONAL**) Only return the shared endpoints hosted by this endpoint.
+ * @param  {boolean} options.filter_non_functional (**OPTIONAL**) Only return non functional endpoints (true), or only functional ones (false).
+ * @param  {string} options.fields               (**OPTIONAL**) Comma separated list of the fields to include in each endpoint document.
+ * @param  {number} options.limit                (**OPTIONAL**) Maximum number of endpoints to return, at most 100. Default: 25.
+ * @param  {number} options.offset               (**OPTIONAL**) Zero based offset into the results. offset + limit can't exceed 1000.
+ * @return {promise}             containing the body of the response
+ */
+GlobusClient.prototype.searchEndpoints = function(options) {
+  options = options || {}
+  const url = urls.build(this.transferBaseURL, ['endpoint_search'], {
+    filter_fulltext: options.filter_fulltext,
+    filter_scope: options.filter_scope,
+    filter_owner_id: options.filter_owner_id,
+    filter_host_endpoint: options.filter_host_endpoint,
+    filter_non_functional: options.filter_non_functional !== undefined ? String(options.filter_non_functional) : undefined,
+    fields: options.fields,
+    limit: options.limit,
+    offset: options.offset
+  })
+
+  if (options.filter_scope !== undefined && endpointSearchScopes.indexOf(options.filter_scope) === -1) {
+    return Promise.reject(new Error('Invalid filter_scope "' + options.filter_scope + '", expected one of: ' + endpointSearchScopes.join(', ')))
+  }
+
+  return this.request(url)
+}
+
+/**
+ * iterEndpoints - Iterate over all the endpoints matching a search, fetching the
+ * following pages of results as needed. The Transfer API returns at most 1000 results.
+ *
+ * @example
+ * for await (const endpoint of client.iterEndpoints({ filter_fulltext: 'genomics', filter_scope: 'shared-with-me' })) {
+ *   console.log(endpoint.id, endpoint.display_name)
+ * }
+ *
+ * @param  {Object} options  same filters as searchEndpoints(..), limit being the number of endpoints per page.
+ * @return {PageIterator}    of endpoint documents
+ */
+GlobusClient.prototype.iterEndpoints = function(options) {
+  return paginate.offsetPages(this.searchEndpoints.bind(this), options)
+}
+
+// https://docs.globus.org/api/transfer/file_operations/#operations
+
+/**
+ * listDirectoryContents - List the contents of the directory at the specified path on an endpoint’s filesystem. The endpoint must be activated before performing this operation.
+ *
+ * The path is specified in the path query parameter. If the parameter is not passed, the default path depends on the type of endpoint
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid      The id of the endpoint you'd like to get an ACL from.
+ * @param  {string} options.path              (**OPTIONAL**) For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
+ * @param  {boolean} options.show_hidden     (**OPTIONAL**) Whether to list the files whose name begins with a dot. Default: true.
+ * @param  {string|string[]} options.orderby  (**OPTIONAL**) Fields to sort the entries by, each followed by ASC or DESC, e.g. "type ASC" or ["size DESC", "name ASC"].
+ * @param  {string|string[]} options.filter   (**OPTIONAL**) Only list the entries matching all of these filters, e.g. "type:file" or ["type:file", "name:~*.fastq"]. [Link](https://docs.globus.org/api/transfer/file_operations/#dir_listing_filtering)
+ * @param  {number} options.limit             (**OPTIONAL**) Maximum number of entries to return.
+ * @param  {number} options.offset            (**OPTIONAL**) Zero based offset into the list of entries.
+ * @param  {string} options.query_parameters  (**OPTIONAL**) Deprecated, use the options above. Extra query parameters, prefixed with an ampersand.
+ * @return {promise}             containing the body of the response.
+ */
+GlobusClient.prototype.listDirectoryContents = function(options) {
+  const query = {
+    path: options.path || '/',
+    show_hidden: options.show_hidden !== undefined ? String(options.show_hidden) : undefined,
+    orderby: options.orderby,
+    filter: options.filter !== undefined ? [].concat(options.filter).join('/') : undefined,
+    limit: options.limit,
+    offset: options.offset
+  }
+
+  new URLSearchParams(options.query_parameters || '').forEach(function(value, name) {
+    if (query[name] === undefined) {
+      query[name] = value
+    }
+  })
+
+  const url = urls.build(this.transferBaseURL, ['operation', 'endpoint', options.endpoint_xid, 'ls'], query)
+
+  return this.request(url)
+}
+
+/**
+ * iterDirectoryContents - Iterate over all the entries of a directory, fetching the
+ * following pages of the listing as needed.
+ *
+ * @param  {Object} options                   same as listDirectoryContents(..), limit being the number of entries per page.
+ * @return {PageIterator}                     of file documents
+ */
+GlobusClient.prototype.iterDirectoryContents = function(options) {
+  return paginate.offsetPages(this.listDirectoryContents.bind(this), options)
+}
+
+/**
+ * makeDirectory - Create a directory at the specified path on an endpoint filesystem. The endpoint must be activated before performing this operation.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid      The id of the endpoint you'd like to get an ACL from.
+ * @param  {string} options.path              For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
+ * @return {promise}             containing the body of the response.
+ */
+GlobusClient.prototype.makeDirectory = function(options) {
+  const url = urls.build(this.transferBaseURL, ['operation', 'endpoint', options.endpoint_xid, 'mkdir'])
+  const body = {
+    DATA_TYPE: 'mkdir',
+    path: options.path,
+  }
+
+  return this.request(url, {
+    method: 'POST',
+    body: body
+  })
+}
+
+/**
+ * rename - Rename or move a file or directory on an endpoint filesystem. The endpoint must be activated before performing this operation. When moving to a different parent directory, the parent directory of the new path must already exist.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid  The id of the endpoint you'd like to get an ACL from.
+ * @param  {string} options.old_path      For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
+ * @param  {string} options.new_path      For shared endpoints, S3 endpoints, and anonymous FTP endpoints, the default is /. For GridFTP endpoints, the default is /~/. Most of the time this will map to the user’s home directory. However the administrator of the GridFTP server can configure it to point elsewhere. Also as a special case, if the restricted paths configuration on the server does not allow the user’s home directory, it will fall back to /.
+ * @return {promise}             containing the body of the response.
+ */
+GlobusClient.prototype.rename = function(options) {
+  const url = urls.build(this.transferBaseURL, ['operation', 'endpoint', options.endpoint_xid, 'rename'])
+  const body = {
+    DATA_TYPE: 'rename',
+    old_path: options.old_path,
+    new_path: options.new_path
+  }
+
+  return this.request(url, {
+    method: 'POST',
+    body: body
+  })
+}
+
+/**
+ * symlink - Create a symbolic link on an endpoint filesystem, on the endpoints that support it (symlink_supported). The endpoint must be activated before performing this operation.
+ *
+ * @param  {Object} options
+ * @param  {string} options.endpoint_xid    The id of the endpoint.
+ * @param  {string} options.path            Absolute path of the link to create. Its parent directory must exist.
+ * @param  {string} options.symlink_target  Path the link points to, absolute or relative to the directory of the link.
+ * @return {promise}             containing the body of the response.
+ */
+GlobusClient.prototype.symlink = function(options) {
+  const url = urls.build(this.transferBaseURL, ['operation', 'endpoint', options.endpoint_xid, 'symlink'])
+  const body = {
+    DATA_TYPE: 'symlink',
+    path: options.path,
+    symlink_target: options.symlink_target
+  }
+
+  return this.request(url, {
+    method: 'POST',
+    body: body
+  })
+}
+
+/**
+ * stat - Get the file document of a single file or directory, by listing its parent
+ * directory filtered on its name.
+ *
+ * @example
+ * client.stat(endpoint_xid, '/~/data/run1.h5').then(function(file) { console.log(file.size) })
+ *
+ * @param  {string} endpoint_xid  The id of the endpoint.
+ * @param  {string} path          Absolute path of the file or directory.
+ * @return {promise}              containing the file document, rejecting with a NotFoundError if there is nothing at the path
+ */
+GlobusClient.prototype.stat = function(endpoint_xid, path) {
+  const location = splitPath(path)
+
+  if (!location.name) {
+    return this.listDirectoryContents({ endpoint_xid: endpoint_xid, path: path, limit: 1 }).then(function() {
+      return { DATA_TYPE: 'file', name: '', type: 'dir', link_target: null }
+    })
+  }
+
+  return this.listDirectoryContents({
+    endpoint_xid: endpoint_xid,
+    path: location.parent,
+    // The filter syntax can't match names with commas or starting with an operator
+    filter: /,|^[~!<>]/.test(location.name) ? undefined : 'name:' + location.name
+  }).then(function(list) {
+    const file = list.DATA.filter(function(candidate) {
+      return candidate.name === location.name
+    })[0]
+
+    if (!file) {
+      throw new errors.NotFoundError(404, {
+        code: 'ClientError.NotFound',
+        message: 'No file or directory at "' + path + '" on endpoint ' + endpoint_xid
+      })
+    }
+    return file
+  })
+}
+
+/**
+ * splitPath - The parent directory and the name of a path, e.g. "/~/data/" and "run1"
+ * for "/~/data/run1/". The name of a root directory is empty.
+ *
+ * @param  {string} path
+ * @return {Object}        `{ parent, name }`
+ */
+function splitPath(path) {
+  const match = /^(.*\/)([^/]+)\/*$/.exec(path)
+
+  if (!match || match[1] + match[2] === '/~') {
+    return { parent: null, name: '' }
+  }
+  return { parent: match[1], name: match[2] }
+}
+
+/**
+ * exists - Whether there is a file or directory at a path.
+ *
+ * @param  {string} endpoint_xid  The id of the endpoint.
+ * @param  {string} path          Absolute path of the file or directory.
+ * @return {promise}              containing true or false
+ */
+GlobusClient.prototype.exists = function(endpoint_xid, path) {
+  return this.stat(endpoint_xid, path).then(function() {
+    return true
+  }, function(err) {
+    if (err instanceof errors.NotFoundError) {
+      return false
+    }
+    throw err
+  })
+}
+
+/**
+ * ensureDirectory - Create a directory and its missing parents, like `mkdir -p`. A
+ * directory that already exists isn't an error.
+ *
+ * @param  {string} endpoint_xid  The id of the endpoint.
+ * @param  {string} path          Absolute path of the directory.
+ * @return {promise}              containing true if the directory was created, false if it already existed
+ */
+GlobusClient.prototype.ensureDirectory = function(endpoint_xid, path) {
+  const self = this
+
+  return this.makeDirectory({ endpoint_xid: endpoint_xid, path: path }).then(function() {
+    return true
+  }, function(err) {
+    const parent = splitPath(path).parent
+
+    if (err.code === 'ExternalError.MkdirFailed.Exists') {
+      return self.stat(endpoint_xid, path).then(function(file) {
+        if (file.type !== 'dir') {
+          throw err
+        }
+        return false
+      })
+    }
+    if (parent && /NotFound/.test(err.code || '')) {
+      return self.ensureDirectory(endpoint_xid, parent).then(function() {
+        return self.ensureDirectory(endpoint_xid, path)
+      })
+    }
+    throw err
+  })
+}
+
+/**
+ * removePath - Delete a file, or a directory with `recursive: true`, submitting a
+ * delete task and waiting for it to complete.
+ *
+ * @example
+ * client.removePath(endpoint_xid, '/~/scratch/run1/', { recursive: true, timeout: 600000 })
+ *
+ * @param  {string} endpoint_xid            The id of the endpoint.
+ * @param  {string} path                    Absolute path of the file or directory.
+ * @param  {Object} options                 (**OPTIONAL**)
+ * @param  {boolean} options.recursive      (**OPTIONAL**) Delete a directory and its contents. Default: false.
+ * @param  {boolean} options.ignore_missing (**OPTIONAL**) Succeed if there is nothing at the path. Default: false.
+ * @param  {string} options.label           (**OPTIONAL**) Label of the delete task.
+ * @param  {number} options.timeout         (**OPTIONAL**) Milliseconds after which to stop waiting, see waitForTask(..).
+ * @return {promise}                        containing the task document once it SUCCEEDED, rejecting with a TaskError otherwise
+ */
+GlobusClient.prototype.removePath = function(endpoint_xid, path, options) {
+  const self = this
+  options = options || {}
+
+  return this.submitDeletionTask({
+    endpoint: endpoint_xid,
+    DATA: [path],
+    recursive: options.recursive === true,
+    ignore_missing: options.ignore_missing === true,
+    label: options.label
+  }).then(function(submitted) {
+    return self.waitForTask({ task_id: submitted.task_id, timeout: options.timeout })
+  })
+}
+
+/**
+ * walk - Iterate over every file and directory under a directory of an endpoint, listing
+ * its subdirectories as needed. Each file document has its full `path`, and its path
+ * `relative` to the walked directory, e.g. "run1/reads.fastq".
+ *
+ * @example
+ * for await (const file of client.walk(endpoint_xid, '/~/data/', { filter: function(file) { return file.name[0] !== '.' } })) {
+ *   console.log(file.path, file.size)
+ * }
+ *
+ * @param  {string} endpoint_xid          The id of the endpoint.
+ * @param  {string} path                  Absolute path of the directory to walk.
+ * @param  {Object} options               (**OPTIONAL**)
+ * @param  {number} options.maxDepth      (**OPTIONAL**) Number of levels of subdirectories to descend into, 0 listing the directory only. Default: no limit.
+ * @param  {function} options.filter      (**OPTIONAL**) Called with each file document, returning false to skip it. A skipped directory isn't descended into.
+ * @param  {number} options.concurrency   (**OPTIONAL**) Maximum number of directories listed at once. Default: 4.
+ * @return {AsyncIterator}                of file documents
+ */
+GlobusClient.prototype.walk = function(endpoint_xid, path, options) {
+  return tree.walk(this, endpoint_xid, path, options)
+}
+
+/**
+ * diffTrees - Compare the files under two directories, to preview a sync before
+ * submitting it. The files of the source that are missing from the destination, differ
+ * in size or were modified after their copy are added to a TransferData. A destination
+ * directory that doesn't exist yet is treated as an empty one.
+ *
+ * @example
+ * client.diffTrees(lab_xid, '/~/data/', backup_xid, '/backup/data/').then(function(data) {
+ *   console.log(data.DATA.length + ' files to transfer')
+ *   return data.DATA.length > 0 ? client.submitTransferTask(data) : null
+ * })
+ *
+ * @param  {string} source_endpoint       The id of the source endpoint.
+ * @param  {string} source_path           Absolute path of the source directory.
+ * @param  {string} destination_endpoint  The id of the destination endpoint.
+ * @param  {string} destination_path      Absolute path of the destination directory.
+ * @param  {Object} options               (**OPTIONAL**) maxDepth, filter and concurrency of both walks, see walk(..), along with:
+ * @param  {Object} options.transfer      (**OPTIONAL**) Other options of the TransferData, e.g. label.
+ * @return {promise}                      containing a TransferData with an item per file to transfer
+ */
+GlobusClient.prototype.diffTrees = function(source_endpoint, source_path, destination_endpoint, destination_path, options) {
+  return tree.diffTrees(this, source_endpoint, source_path, destination_endpoint, destination_path, options)
+}
+
+// https://docs.globus.org/api/transfer/task_submit/#operations_requirements
+/**
+ * getSubmissionId - Get a submission id, required when submitting transfer and delete tasks.
+ * Note that this is different than the task id returned by the submit operations.
+ *
+ * @return {promise}                containing the body of the response object
+ */
+GlobusClient.prototype.getSubmissionId = function() {
+  const url = urls.build(this.transferBaseURL, ['submission_id'])
+
+  return this.request(url)
+}
+
+/**
+ * submitTransferTask - Submits a transfer task. Instead of options, it can be given a
+ * TransferData, which is validated first and gets a submission_id if it has none.
+ *
+ * @example
+ * const data = new TransferData({ source_endpoint: source_xid, destination_endpoint: destination_xid })
+ *   .addItem('/data/run1/', '/backup/run1/', { recursive: true })
+ * client.submitTransferTask(data)
+ *
+ * @param  {Object|TransferData} options
+ * @param  {string} options.submission_id            Id acquired from getSubmissionId. When given, the submission is retried on transient failures since the task is only created once.
  * @param  {string} options.label                    user specified string to help identify the Transfer or delete task.
  * @param  {boolean} options.notify_on_succeeded     If true and the user has notification enabled, send a notification email when the transfer completes with status SUCCEEDED.
  * @param  {boolean} options.notify_on_failed        If true and the user has notification enabled, send a notification email when the transfer completes with status FAILED.
@@ -624,8 +1903,12 @@ exports.getSubmissionId = function(bearerToken) {
  * @param  {boolean} options.delete_destination_extra Delete extraneous files in the destination directory. Only applies for recursive directory transfers.
  * @return {promise}                containing the body of the response object
  */
-exports.submitTransferTask = function(bearerToken, options) {
-  const url = transferBaseURL + '/transfer'
+GlobusClient.prototype.submitTransferTask = function(options) {
+  if (options instanceof transferData.TransferData) {
+    return submitTransferData(this, options)
+  }
+
+  const url = urls.build(this.transferBaseURL, ['transfer'])
   const body = {
     DATA_TYPE: 'transfer',
     submission_id: options.submission_id,
@@ -643,43 +1926,419 @@ exports.submitTransferTask = function(bearerToken, options) {
     delete_destination_extra: options.delete_destination_extra
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
+  return this.request(url, {
     method: 'POST',
     body: body,
-    json: true
+    schema: 'transfer',
+    retryable: options.submission_id !== undefined
+  })
+}
+
+/**
+ * submitTransferData - Submits the document of a TransferData.
+ *
+ * @param  {GlobusClient} client
+ * @param  {TransferData} data
+ * @return {promise}                containing the body of the response object
+ */
+function submitTransferData(client, data) {
+  try {
+    data.validate()
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  const url = urls.build(client.transferBaseURL, ['transfer'])
+  const submissionId = data.submission_id ?
+    Promise.resolve(data.submission_id) :
+    client.getSubmissionId().then(function(result) { return result.value })
+
+  return submissionId.then(function(submission_id) {
+    return client.request(url, {
+      method: 'POST',
+      body: Object.assign(data.toJSON(), { submission_id: submission_id }),
+      schema: 'transfer',
+      retryable: true
+    })
   })
 }
 
 /**
- * submitDeletionTask - Submit a delete task to globus
+ * submitDeletionTask - Submit a delete task to globus. If no submission_id is given, one
+ * is acquired with getSubmissionId first.
  *
- * @param  {string} bearerToken     token authorized by globus.org
  * @param  {Object} options
  * @param  {string} options.endpoint        UUID of the endpoint containing the file system you want to delete from
- * @param  {object} options.DATA            List of [delete_item](https://docs.globus.org/api/transfer/task_submit/#delete_item_fields) documents containing paths to delete.
+ * @param  {Array<string|Object>} options.DATA List of paths to delete, each either an absolute path or a [delete_item](https://docs.globus.org/api/transfer/task_submit/#delete_item_fields) document.
+ * @param  {string} options.submission_id   (**OPTIONAL**) Id acquired from getSubmissionId. Reusing the id of a previous submission makes resubmitting it safe, the task will only be created once.
+ * @param  {string} options.label           (**OPTIONAL**) user specified string to help identify the Transfer or delete task.
+ * @param  {Date|string} options.deadline   (**OPTIONAL**) Date after which the task is aborted if it hasn't completed yet.
  * @param  {boolean} options.recursive       Delete directory contents recursively. Required if any of the delete items point to a directory.
  * @param  {boolean} options.ignore_missing  Don’t generate errors for non existent files and directories.
  * @param  {boolean} options.interpret_globs Interpret shell globs at the end of paths. Supports *, ?, [, and ] with their standard shell meanings and \ for escaping, but only in the last segment of the path. If false (the default), these special characters will be escaped and treated as literals.
+ * @param  {boolean} options.notify_on_succeeded If true and the user has notification enabled, send a notification email when the delete completes with status SUCCEEDED.
+ * @param  {boolean} options.notify_on_failed    If true and the user has notification enabled, send a notification email when the delete completes with status FAILED.
+ * @param  {boolean} options.notify_on_inactive  If true and the user has notification enabled, send a notification email when the delete enters status INACTIVE, e.g. from activation credentials expiring.
  * @return {promise}                 containing the body of the response object
  */
-exports.submitDeletionTask = function(bearerToken, options) {
-  throw new Error('Not implemented')
+GlobusClient.prototype.submitDeletionTask = function(options) {
+  const self = this
+  const url = urls.build(this.transferBaseURL, ['delete'])
+  const submissionId = options.submission_id ?
+    Promise.resolve(options.submission_id) :
+    this.getSubmissionId().then(function(result) { return result.value })
+
+  return submissionId.then(function(submission_id) {
+    const body = {
+      DATA_TYPE: 'delete',
+      submission_id: submission_id,
+      endpoint: options.endpoint,
+      label: options.label,
+      deadline: options.deadline !== undefined ? formatTime(options.deadline) : undefined,
+      recursive: options.recursive,
+      ignore_missing: options.ignore_missing,
+      interpret_globs: options.interpret_globs,
+      notify_on_succeeded: options.notify_on_succeeded,
+      notify_on_failed: options.notify_on_failed,
+      notify_on_inactive: options.notify_on_inactive,
+      DATA: options.DATA.map(deleteItem)
+    }
+
+    return self.request(url, {
+      method: 'POST',
+      body: body,
+      schema: 'delete',
+      retryable: true
+    })
+  })
+}
+
+/**
+ * deleteItem - Turns a path into a delete_item document. Documents are passed through.
+ *
+ * @param  {string|Object} item  an absolute path or a delete_item document
+ * @return {Object}              the delete_item document
+ */
+function deleteItem(item) {
+  if (typeof item === 'string') {
+    return { DATA_TYPE: 'delete_item', path: item }
+  }
+  return item
+}
 
-  // Refer to documentation to validate code below
-  const url = transferBaseURL + '/delete'
+// https://docs.globus.org/api/transfer/task/
+
+/**
+ * taskListFilter - Builds the `filter` query parameter of a task list from the
+ * filter_* options. Multiple values of a field are joined with commas and fields
+ * are separated by slashes, e.g. "status:ACTIVE,INACTIVE/type:TRANSFER".
+ *
+ * @param  {Object} options
+ * @return {string|undefined}  the filter, or undefined when no filter was given
+ */
+function taskListFilter(options) {
+  const filters = []
+
+  if (options.filter_task_id) {
+    filters.push('task_id:' + [].concat(options.filter_task_id).join(','))
+  }
+  if (options.filter_status) {
+    filters.push('status:' + [].concat(options.filter_status).join(','))
+  }
+  if (options.filter_type) {
+    filters.push('type:' + [].concat(options.filter_type).join(','))
+  }
+  if (options.filter_label) {
+    filters.push('label:' + options.filter_label)
+  }
+  if (options.filter_request_time) {
+    const range = options.filter_request_time
+    filters.push('request_time:' + formatTime(range.from) + ',' + formatTime(range.to))
+  }
+
+  return filters.length > 0 ? filters.join('/') : undefined
+}
+
+/**
+ * formatTime - Formats a Date for the Transfer API. Strings are passed through
+ * unchanged, missing values become an empty string (an open-ended range).
+ *
+ * @param  {Date|string} time
+ * @return {string}
+ */
+function formatTime(time) {
+  if (time === undefined || time === null) {
+    return ''
+  }
+  if (time instanceof Date) {
+    return time.toISOString()
+  }
+  return time
+}
+
+/**
+ * getTaskList - Get a list of tasks submitted by the current user, most recent first.
+ *
+ * @param  {Object} options
+ * @param  {string|string[]} options.filter_task_id  (**OPTIONAL**) Only return the tasks with these ids.
+ * @param  {string|string[]} options.filter_status   (**OPTIONAL**) Only return tasks with these statuses: "ACTIVE", "INACTIVE", "SUCCEEDED" or "FAILED".
+ * @param  {string|string[]} options.filter_type     (**OPTIONAL**) Only return tasks of these types: "TRANSFER" or "DELETE".
+ * @param  {string} options.filter_label             (**OPTIONAL**) Only return tasks with this label.
+ * @param  {Object} options.filter_request_time      (**OPTIONAL**) Only return tasks requested in this range, given as `{ from, to }`. Either end is a Date or a string and can be left out for an open-ended range.
+ * @param  {string} options.fields                   (**OPTIONAL**) Comma separated list of the fields to include in each task document.
+ * @param  {string} options.orderby                  (**OPTIONAL**) Comma separated list of fields to sort by, each optionally followed by " ASC" or " DESC".
+ * @param  {number} options.limit                    (**OPTIONAL**) Maximum number of tasks to return, at most 1000. Default: 10.
+ * @param  {number} options.offset                   (**OPTIONAL**) Zero based offset into the list of tasks. Default: 0.
+ * @return {promise}                   containing the body of the response
+ */
+GlobusClient.prototype.getTaskList = function(options) {
+  options = options || {}
+  const url = urls.build(this.transferBaseURL, ['task_list'], {
+    filter: taskListFilter(options),
+    fields: options.fields,
+    orderby: options.orderby,
+    limit: options.limit,
+    offset: options.offset
+  })
+
+  return this.request(url)
+}
+
+/**
+ * iterTasks - Iterate over all the tasks of the current user matching the filters,
+ * fetching the following pages of the list as needed.
+ *
+ * @param  {Object} options  same filters as getTaskList(..), limit being the number of tasks per page.
+ * @return {PageIterator}    of task documents
+ */
+GlobusClient.prototype.iterTasks = function(options) {
+  return paginate.offsetPages(this.getTaskList.bind(this), options)
+}
+
+/**
+ * getTask - Get a single task by id, including its status and progress counters
+ * (files, bytes_transferred, faults...).
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id The id of the task, as returned by submitTransferTask or submitDeletionTask.
+ * @return {promise}                containing the body of the response
+ */
+GlobusClient.prototype.getTask = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id])
+
+  return this.request(url)
+}
+
+/**
+ * updateTask - Update the label and/or deadline of an active task. Only the fields
+ * to be updated need to be given.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id   The id of the task.
+ * @param  {string} options.label     (**OPTIONAL**) New label for the task.
+ * @param  {Date|string} options.deadline (**OPTIONAL**) New deadline for the task. It can only be moved earlier than the current deadline.
+ * @return {promise}                  containing the body of the response
+ */
+GlobusClient.prototype.updateTask = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id])
   const body = {
-    DATA_TYPE: 'delete',
-    endpoint: options.endpoint,
-    recursive: options.recursive,
-    ignore_missing: options.ignore_missing,
-    interpret_globs: options.interpret_globs,
+    DATA_TYPE: 'task',
+    label: options.label,
+    deadline: options.deadline !== undefined ? formatTime(options.deadline) : undefined
   }
 
-  return request(url, {
-    auth: { bearer: bearerToken },
-    method: 'POST',
-    body: body,
-    json: true
+  return this.request(url, {
+    method: 'PUT',
+    body: body
+  })
+}
+
+/**
+ * cancelTask - Cancel a task that hasn't completed yet. Returns a result document
+ * with code "Canceled", or "TaskComplete" if the task had already completed.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id The id of the task.
+ * @return {promise}                containing the body of the response
+ */
+GlobusClient.prototype.cancelTask = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id, 'cancel'])
+
+  return this.request(url, {
+    method: 'POST'
+  })
+}
+
+/**
+ * getTaskEventList - Get the list of events of a task, most recent first. Events
+ * report progress and the errors (faults) encountered while processing the task.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id         The id of the task.
+ * @param  {boolean} options.filter_is_error (**OPTIONAL**) Only return error events.
+ * @param  {number} options.limit           (**OPTIONAL**) Maximum number of events to return, at most 1000. Default: 10.
+ * @param  {number} options.offset          (**OPTIONAL**) Zero based offset into the list of events. Default: 0.
+ * @return {promise}                        containing the body of the response
+ */
+GlobusClient.prototype.getTaskEventList = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id, 'event_list'], {
+    filter: options.filter_is_error ? 'is_error:1' : undefined,
+    limit: options.limit,
+    offset: options.offset
   })
+
+  return this.request(url)
+}
+
+/**
+ * iterTaskEvents - Iterate over all the events of a task, most recent first.
+ *
+ * @param  {Object} options  same as getTaskEventList(..), limit being the number of events per page.
+ * @return {PageIterator}    of event documents
+ */
+GlobusClient.prototype.iterTaskEvents = function(options) {
+  return paginate.offsetPages(this.getTaskEventList.bind(this), options)
+}
+
+/**
+ * getSuccessfulTransfers - Get the list of files transferred successfully by a
+ * transfer task. The list is paged with markers: pass the `next_marker` of a
+ * response as `marker` to get the next page, until `next_marker` is null.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id The id of the transfer task.
+ * @param  {number} options.marker  (**OPTIONAL**) Marker of the page to get, from a previous response.
+ * @return {promise}                containing the body of the response
+ */
+GlobusClient.prototype.getSuccessfulTransfers = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id, 'successful_transfers'], { marker: options.marker })
+
+  return this.request(url)
+}
+
+/**
+ * iterSuccessfulTransfers - Iterate over all the files transferred successfully by a
+ * transfer task, following the next_marker of each page.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id The id of the transfer task.
+ * @return {PageIterator}           of successful_transfer documents
+ */
+GlobusClient.prototype.iterSuccessfulTransfers = function(options) {
+  return paginate.markerPages(this.getSuccessfulTransfers.bind(this), options)
+}
+
+/**
+ * getTaskPauseInfo - Get the pause rules currently affecting a task, and whether it
+ * was paused by an administrator. Useful to explain why an ACTIVE task is not
+ * making progress.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id The id of the task.
+ * @return {promise}                containing the body of the response
+ */
+GlobusClient.prototype.getTaskPauseInfo = function(options) {
+  const url = urls.build(this.transferBaseURL, ['task', options.task_id, 'pause_info'])
+
+  return this.request(url)
+}
+
+const defaultClock = {
+  now: function() {
+    return Date.now()
+  },
+  sleep: function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms) })
+  }
+}
+
+/**
+ * waitForTask - Poll a task until it reaches a terminal state. The delay between polls
+ * starts at `interval` and doubles after each poll, up to `maxInterval`.
+ *
+ * Resolves with the task document once its status is SUCCEEDED. Rejects with a
+ * TaskFailedError if it FAILED, with a TaskTimeoutError if it didn't complete within
+ * `timeout`, and with a TaskInactiveError if it stayed INACTIVE for longer than
+ * `inactiveTimeout`.
+ *
+ * @param  {Object} options
+ * @param  {string} options.task_id          The id of the task.
+ * @param  {number} options.interval         (**OPTIONAL**) Milliseconds to wait before the second poll. Default: 1000.
+ * @param  {number} options.maxInterval      (**OPTIONAL**) Maximum number of milliseconds between two polls. Default: 60000.
+ * @param  {number} options.timeout          (**OPTIONAL**) Milliseconds after which to give up. Default: no timeout.
+ * @param  {number} options.inactiveTimeout  (**OPTIONAL**) Milliseconds the task may stay INACTIVE before giving up. Default: no limit.
+ * @param  {function} options.onProgress     (**OPTIONAL**) Called after each poll with `{ task_id, status, bytes_transferred, files, files_transferred, files_skipped, faults, task }`.
+ * @param  {Object} options.clock            (**OPTIONAL**) Replaces the timer functions, as `{ now(), sleep(ms) }`. Used for testing.
+ * @return {promise}                         containing the task document
+ */
+GlobusClient.prototype.waitForTask = function(options) {
+  const self = this
+  const clock = options.clock || defaultClock
+  const maxInterval = options.maxInterval || 60000
+  const timeout = options.timeout !== undefined ? options.timeout : Infinity
+  const inactiveTimeout = options.inactiveTimeout !== undefined ? options.inactiveTimeout : Infinity
+  const start = clock.now()
+
+  let interval = options.interval || 1000
+  let inactiveSince = null
+
+  function poll() {
+    return self.getTask({ task_id: options.task_id }).then(function(task) {
+      const now = clock.now()
+
+      if (options.onProgress) {
+        options.onProgress({
+          task_id: task.task_id,
+          status: task.status,
+          bytes_transferred: task.bytes_transferred,
+          files: task.files,
+          files_transferred: task.files_transferred,
+          files_skipped: task.files_skipped,
+          faults: task.faults,
+          task: task
+        })
+      }
+
+      if (task.status === 'SUCCEEDED') {
+        return task
+      }
+      if (task.status === 'FAILED') {
+        throw new errors.TaskFailedError(task)
+      }
+
+      if (task.status === 'INACTIVE') {
+        inactiveSince = inactiveSince === null ? now : inactiveSince
+        if (now - inactiveSince >= inactiveTimeout) {
+          throw new errors.TaskInactiveError(task, inactiveTimeout)
+        }
+      } else {
+        inactiveSince = null
+      }
+
+      const remaining = start + timeout - now
+      if (remaining <= 0) {
+        throw new errors.TaskTimeoutError(task, timeout)
+      }
+
+      const delay = Math.min(interval, remaining)
+      interval = Math.min(interval * 2, maxInterval)
+
+      return clock.sleep(delay).then(poll)
+    })
+  }
+
+  return poll()
 }
+
+// Every method of GlobusClient is also exported as a function taking the bearer
+// token as its first argument, e.g. exports.getEndpointById(bearerToken, options).
+Object.keys(GlobusClient.prototype).forEach(function(name) {
+  if (name === 'request') {
+    return
+  }
+
+  exports[name] = function(bearerToken) {
+    const client = new GlobusClient({ token: bearerToken })
+    return client[name].apply(client, Array.prototype.slice.call(arguments, 1))
+  }
+})
@@ -0,0 +1,524 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const globus = require('../globus')
+
+// Options taking no value. Every other --option takes one.
+const booleans = ['json', 'help', 'recursive', 'wait', 'ignore-missing', 'public', 'no-public', 'all', 'dry-run', 'prune']
+
+const endpointFields = ['id', 'display_name', 'owner_string', 'organization', 'description', 'activated', 'expires_in', 'host_endpoint_id', 'host_path', 'public']
+
+/**
+ * UsageError - A command line that can't be run, reported with the usage of the command.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * parseArgs - Splits command line arguments into positionals and options. Options are
+ * given as `--name value` or `--name=value`, the ones in `booleans` without a value.
+ * A repeated option has the list of its values.
+ *
+ * @param  {string[]} argv
+ * @return {Object}         `{ positionals, options }`
+ */
+function parseArgs(argv) {
+  const positionals = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg)
+
+    if (!match) {
+      positionals.push(arg)
+      continue
+    }
+
+    const name = match[1]
+    let value = match[2]
+    if (booleans.indexOf(name) !== -1) {
+      value = value === undefined ? true : value !== 'false'
+    } else if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError('--' + name + ' needs a value')
+      }
+      value = argv[++i]
+    }
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value)
+  }
+
+  return { positionals: positionals, options: options }
+}
+
+/**
+ * loadConfig - Reads the configuration of the command line: the JSON file given by
+ * --config, GLOBUS_JS_CONFIG or ~/.globus-js.json, overridden by the environment.
+ *
+ * @param  {Object} options  parsed options
+ * @param  {Object} env      environment variables
+ * @return {Object}          options of GlobusClient
+ */
+function loadConfig(options, env) {
+  const file = options.config || env.GLOBUS_JS_CONFIG || path.join(os.homedir(), '.globus-js.json')
+  let config = {}
+
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (err) {
+      throw new Error('Invalid configuration file ' + file + ': ' + err.message)
+    }
+  } else if (options.config || env.GLOBUS_JS_CONFIG) {
+    throw new Error('Configuration file ' + file + ' not found')
+  }
+
+  return {
+    token: env.GLOBUS_TOKEN || config.token,
+    authToken: env.GLOBUS_AUTH_TOKEN || config.authToken,
+    transferBaseURL: env.GLOBUS_TRANSFER_BASE_URL || config.transferBaseURL,
+    authBaseURL: env.GLOBUS_AUTH_BASE_URL || config.authBaseURL,
+    oauth2BaseURL: env.GLOBUS_OAUTH2_BASE_URL || config.oauth2BaseURL
+  }
+}
+
+/**
+ * table - Formats rows as aligned columns under a header.
+ *
+ * @param  {Object[]} rows
+ * @param  {string[]} columns  fields of the rows to show
+ * @return {string}
+ */
+function table(rows, columns) {
+  const cells = [columns.map(function(column) { return column.toUpperCase() })].concat(rows.map(function(row) {
+    return columns.map(function(column) { return cell(row[column]) })
+  }))
+  const widths = columns.map(function(column, i) {
+    return Math.max.apply(null, cells.map(function(line) { return line[i].length }))
+  })
+
+  return cells.map(function(line) {
+    return line.map(function(value, i) {
+      return i === line.length - 1 ? value : value + ' '.repeat(widths[i] - value.length)
+    }).join('  ')
+  }).join('\n')
+}
+
+/**
+ * fields - Formats the fields of a document as "name: value" lines.
+ *
+ * @param  {Object} document
+ * @param  {string[]} names   (**OPTIONAL**) fields to show. Default: all
+ * @return {string}
+ */
+function fields(document, names) {
+  names = names || Object.keys(document).filter(function(name) {
+    return typeof document[name] !== 'object' || document[name] === null
+  })
+  const width = Math.max.apply(null, names.map(function(name) { return name.length }))
+
+  return names.map(function(name) {
+    return name + ':' + ' '.repeat(width - name.length + 1) + cell(document[name])
+  }).join('\n')
+}
+
+function cell(value) {
+  return value === null || value === undefined ? '-' : String(value)
+}
+
+function required(args, count, usage) {
+  if (args.positionals.length < count) {
+    throw new UsageError('Usage: globus-js ' + usage)
+  }
+  return args.positionals
+}
+
+/**
+ * wait - Waits for a submitted task when --wait is given.
+ */
+function wait(client, args, submitted) {
+  if (!args.options.wait) {
+    return submitted
+  }
+  return client.waitForTask({ task_id: submitted.task_id, interval: 1000, maxInterval: 10000 })
+}
+
+/**
+ * principal - The identity id of --identity, or of --username looked up with the Auth API.
+ */
+function principal(client, options) {
+  if (options.identity) {
+    return Promise.resolve(options.identity)
+  }
+  if (!options.username) {
+    return Promise.reject(new UsageError('--identity or --username is required'))
+  }
+  return client.getIdentities({ usernames: [options.username] }).then(function(result) {
+    if (!result.identity_ids[options.username]) {
+      throw new Error('No Globus identity found for "' + options.username + '"')
+    }
+    return result.identity_ids[options.username]
+  })
+}
+
+/**
+ * endpointDocument - The fields of an endpoint given as options, e.g. --display-name.
+ */
+function endpointDocument(options) {
+  const document = { DATA_TYPE: 'endpoint' }
+
+  ;['display_name', 'description', 'organization', 'department', 'contact_email', 'info_link', 'default_directory'].forEach(function(field) {
+    const value = options[field.replace(/_/g, '-')]
+    if (value !== undefined) {
+      document[field] = [].concat(value).pop()
+    }
+  })
+  if (options.public !== undefined || options['no-public'] !== undefined) {
+    document.public = options.public === true && !options['no-public']
+  }
+  return document
+}
+
+/**
+ * activate - Activates an endpoint unless it already is for --min-hours: auto activation
+ * first, then MyProxy with the credentials given as options.
+ */
+function activate(client, endpoint_xid, options) {
+  const myproxy = options['myproxy-username'] ? {
+    username: options['myproxy-username'],
+    passphrase: options.passphrase,
+    hostname: options['myproxy-hostname'],
+    lifetime_in_hours: options.lifetime
+  } : undefined
+
+  return client.ensureActivated(endpoint_xid, {
+    myproxy: myproxy,
+    minRemainingSeconds: options['min-hours'] !== undefined ? Number(options['min-hours']) * 3600 : undefined
+  }).catch(function(err) {
+    if (err instanceof globus.ActivationError && !myproxy) {
+      throw new Error('Auto activation failed, give --myproxy-username and GLOBUS_MYPROXY_PASSPHRASE to activate with MyProxy')
+    }
+    throw err
+  })
+}
+
+/**
+ * readRules - The desired access rules of acl sync, a JSON list of
+ * `{ principal_type, principal, path, permissions }` or `{ username, path, permissions }`.
+ */
+function readRules(file) {
+  let rules
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error('Can\'t read the access rules of ' + file + ': ' + err.message)
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('The access rules of ' + file + ' must be a JSON list')
+  }
+  return rules
+}
+
+/**
+ * commands - The subcommands, by name. Each one has its usage, and a run function called
+ * with the client and the parsed arguments, which resolves to what is printed:
+ * `{ rows, columns }` for a table, `{ document, fields }` for a single document, with
+ * `failed: true` for an exit code of 1 though it was printed.
+ */
+const commands = {
+  'endpoint show': {
+    usage: 'endpoint show ENDPOINT_ID',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      return client.getEndpointById({ endpoint_xid: positionals[0] }).then(function(endpoint) {
+        return { document: endpoint, fields: endpointFields }
+      })
+    }
+  },
+  'endpoint create': {
+    usage: 'endpoint create --display-name NAME (--hostname HOST... | --host-endpoint ENDPOINT_ID --host-path PATH) [--description TEXT] [--organization NAME]',
+    run: function(client, args) {
+      const options = args.options
+      if (!options['display-name']) {
+        throw new UsageError('Usage: globus-js ' + this.usage)
+      }
+
+      const created = options['host-endpoint'] ?
+        client.createSharedEndpoint({
+          display_name: options['display-name'],
+          host_endpoint: options['host-endpoint'],
+          host_path: options['host-path'] || '/',
+          description: options.description,
+          organization: options.organization
+        }) :
+        client.createEndpoint({
+          display_name: options['display-name'],
+          documents: [].concat(options.hostname || []).map(function(hostname) {
+            return { DATA_TYPE: 'server', hostname: hostname }
+          })
+        })
+      return created.then(function(result) {
+        return { document: result, fields: ['code', 'id', 'message'] }
+      })
+    }
+  },
+  'endpoint update': {
+    usage: 'endpoint update ENDPOINT_ID [--display-name NAME] [--description TEXT] [--organization NAME] [--contact-email EMAIL] [--default-directory PATH] [--public | --no-public]',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      const document = endpointDocument(args.options)
+
+      if (Object.keys(document).length === 1) {
+        throw new UsageError('Nothing to update. Usage: globus-js ' + this.usage)
+      }
+      return client.updateEndpointById({ endpoint_xid: positionals[0], document: document }).then(function(result) {
+        return { document: result, fields: ['code', 'message'] }
+      })
+    }
+  },
+  'endpoint delete': {
+    usage: 'endpoint delete ENDPOINT_ID',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      return client.deleteEndpointById({ endpoint_xid: positionals[0] }).then(function(result) {
+        return { document: result, fields: ['code', 'message'] }
+      })
+    }
+  },
+  'acl list': {
+    usage: 'acl list ENDPOINT_ID',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      return client.iterAccessRules({ endpoint_xid: positionals[0] }).toArray().then(function(rules) {
+        return { rows: rules, columns: ['id', 'principal_type', 'principal', 'path', 'permissions'] }
+      })
+    }
+  },
+  'acl add': {
+    usage: 'acl add ENDPOINT_ID PATH (--identity ID | --username NAME) [--permissions r|rw] [--notify-email EMAIL]',
+    run: function(client, args) {
+      const positionals = required(args, 2, this.usage)
+      return principal(client, args.options).then(function(identity_id) {
+        return client.createAccessRule({
+          endpoint_xid: positionals[0],
+          path: positionals[1],
+          userId: identity_id,
+          permissions: args.options.permissions,
+          userEmail: args.options['notify-email']
+        })
+      }).then(function(result) {
+        return { document: result, fields: ['code', 'access_id', 'message'] }
+      })
+    }
+  },
+  'acl rm': {
+    usage: 'acl rm ENDPOINT_ID RULE_ID',
+    run: function(client, args) {
+      const positionals = required(args, 2, this.usage)
+      return client.deleteAccessRule({ endpoint_xid: positionals[0], id: positionals[1] }).then(function(result) {
+        return { document: result, fields: ['code', 'message'] }
+      })
+    }
+  },
+  'acl sync': {
+    usage: 'acl sync ENDPOINT_ID RULES_FILE [--prune] [--dry-run]',
+    run: function(client, args) {
+      const positionals = required(args, 2, this.usage)
+      const rules = readRules(positionals[1])
+      const dryRun = args.options['dry-run'] === true
+
+      return client.reconcileAccessRules(positionals[0], rules, {
+        dryRun: dryRun,
+        prune: args.options.prune === true
+      }).then(function(plan) {
+        const rows = dryRun ? [].concat(
+          plan.create.map(function(rule) { return Object.assign({ action: 'create', result: 'planned' }, rule) }),
+          plan.update.map(function(rule) { return Object.assign({ action: 'update', result: 'planned' }, rule) }),
+          plan.delete.map(function(rule) { return Object.assign({ action: 'delete', result: 'planned' }, rule) })
+        ) : plan.results.map(function(result) {
+          return Object.assign({ action: result.action }, result.rule, {
+            id: result.id,
+            result: result.error ? 'failed: ' + result.error.message : result.code
+          })
+        })
+        return {
+          rows: rows,
+          columns: ['action', 'id', 'principal_type', 'principal', 'path', 'permissions', 'result'],
+          failed: plan.results.some(function(result) { return result.error })
+        }
+      })
+    }
+  },
+  'ls': {
+    usage: 'ls ENDPOINT_ID [PATH] [--all]',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      return client.iterDirectoryContents({
+        endpoint_xid: positionals[0],
+        path: positionals[1],
+        show_hidden: args.options.all === true
+      }).toArray().then(function(files) {
+        return { rows: files, columns: ['type', 'permissions', 'size', 'last_modified', 'name'] }
+      })
+    }
+  },
+  'mkdir': {
+    usage: 'mkdir ENDPOINT_ID PATH',
+    run: function(client, args) {
+      const positionals = required(args, 2, this.usage)
+      return client.makeDirectory({ endpoint_xid: positionals[0], path: positionals[1] }).then(function(result) {
+        return { document: result, fields: ['code', 'message'] }
+      })
+    }
+  },
+  'rename': {
+    usage: 'rename ENDPOINT_ID OLD_PATH NEW_PATH',
+    run: function(client, args) {
+      const positionals = required(args, 3, this.usage)
+      return client.rename({ endpoint_xid: positionals[0], old_path: positionals[1], new_path: positionals[2] }).then(function(result) {
+        return { document: result, fields: ['code', 'message'] }
+      })
+    }
+  },
+  'transfer': {
+    usage: 'transfer SOURCE_ENDPOINT_ID SOURCE_PATH DESTINATION_ENDPOINT_ID DESTINATION_PATH [--recursive] [--label LABEL] [--sync-level exists|size|mtime|checksum] [--wait]',
+    run: function(client, args) {
+      const positionals = required(args, 4, this.usage)
+      const data = new globus.TransferData({
+        source_endpoint: positionals[0],
+        destination_endpoint: positionals[2],
+        label: args.options.label,
+        sync_level: args.options['sync-level']
+      }).addItem(positionals[1], positionals[3], { recursive: args.options.recursive === true })
+
+      return client.submitTransferTask(data).then(function(submitted) {
+        return wait(client, args, submitted)
+      }).then(function(result) {
+        return { document: result, fields: result.status ? ['task_id', 'status', 'files_transferred', 'bytes_transferred'] : ['code', 'task_id', 'message'] }
+      })
+    }
+  },
+  'delete': {
+    usage: 'delete ENDPOINT_ID PATH... [--recursive] [--ignore-missing] [--label LABEL] [--wait]',
+    run: function(client, args) {
+      const positionals = required(args, 2, this.usage)
+      return client.submitDeletionTask({
+        endpoint: positionals[0],
+        DATA: positionals.slice(1),
+        label: args.options.label,
+        recursive: args.options.recursive === true,
+        ignore_missing: args.options['ignore-missing'] === true
+      }).then(function(submitted) {
+        return wait(client, args, submitted)
+      }).then(function(result) {
+        return { document: result, fields: result.status ? ['task_id', 'status', 'files', 'directories'] : ['code', 'task_id', 'message'] }
+      })
+    }
+  },
+  'activate': {
+    usage: 'activate ENDPOINT_ID [--min-hours HOURS] [--myproxy-username NAME] [--myproxy-hostname HOST] [--lifetime HOURS]',
+    run: function(client, args) {
+      const positionals = required(args, 1, this.usage)
+      return activate(client, positionals[0], args.options).then(function(result) {
+        return { document: result, fields: ['code', 'expires_in', 'expire_time'] }
+      })
+    }
+  },
+  'whoami': {
+    usage: 'whoami',
+    run: function(client) {
+      return client.getUserInfo().then(function(info) {
+        return { document: info, fields: ['preferred_username', 'sub', 'name', 'email'] }
+      })
+    }
+  }
+}
+
+/**
+ * usage - The list of the subcommands.
+ */
+function usage() {
+  return 'Usage: globus-js COMMAND [ARGS] [--json] [--config FILE]\n\nCommands:\n' +
+    Object.keys(commands).map(function(name) {
+      return '  globus-js ' + commands[name].usage
+    }).join('\n') + '\n\n' +
+    'The token is read from GLOBUS_TOKEN, or from the "token" of the configuration file\n' +
+    '(default: ~/.globus-js.json). whoami and --username need a token for auth.globus.org,\n' +
+    'from GLOBUS_AUTH_TOKEN or "authToken". The MyProxy passphrase of activate is read\n' +
+    'from GLOBUS_MYPROXY_PASSPHRASE.'
+}
+
+/**
+ * print - Writes the result of a command, as JSON or as text.
+ */
+function print(out, output, json) {
+  if (json) {
+    return out.write(JSON.stringify(output.rows || output.document, null, 2) + '\n')
+  }
+  if (output.rows) {
+    return out.write(table(output.rows, output.columns) + '\n')
+  }
+  return out.write(fields(output.document, output.fields) + '\n')
+}
+
+/**
+ * run - Runs a command line.
+ *
+ * @example
+ * cli.run(process.argv.slice(2)).then(function(code) { process.exitCode = code })
+ *
+ * @param  {string[]} argv        arguments, without the node and script paths
+ * @param  {Object} io            (**OPTIONAL**)
+ * @param  {Object} io.env        (**OPTIONAL**) environment variables. Default: process.env
+ * @param  {Stream} io.stdout     (**OPTIONAL**) Default: process.stdout
+ * @param  {Stream} io.stderr     (**OPTIONAL**) Default: process.stderr
+ * @return {promise}              containing the exit code: 0 on success, 1 if the command failed, 2 if it was misused
+ */
+function run(argv, io) {
+  io = io || {}
+  const env = io.env || process.env
+  const stdout = io.stdout || process.stdout
+  const stderr = io.stderr || process.stderr
+
+  return Promise.resolve().then(function() {
+    const args = parseArgs(argv)
+    const two = args.positionals.slice(0, 2).join(' ')
+    const name = commands[two] ? two : args.positionals[0]
+    const command = commands[name]
+
+    if (args.options.help || args.positionals.length === 0) {
+      stdout.write(usage() + '\n')
+      return 0
+    }
+    if (!command) {
+      throw new UsageError('Unknown command "' + args.positionals.join(' ') + '"\n\n' + usage())
+    }
+
+    const config = loadConfig(args.options, env)
+    if (!config.token) {
+      throw new Error('No token: set GLOBUS_TOKEN, or "token" in ' + (args.options.config || env.GLOBUS_JS_CONFIG || '~/.globus-js.json'))
+    }
+    args.positionals = args.positionals.slice(name.split(' ').length)
+    args.options.passphrase = env.GLOBUS_MYPROXY_PASSPHRASE
+
+    return command.run(new globus.GlobusClient(config), args).then(function(output) {
+      print(stdout, output, args.options.json)
+      return output.failed ? 1 : 0
+    })
+  }).catch(function(err) {
+    stderr.write('globus-js: ' + err.message + '\n')
+    return err instanceof UsageError ? 2 : 1
+  })
+}
+
+module.exports = {
+  run: run,
+  parseArgs: parseArgs,
+  loadConfig: loadConfig,
+  table: table,
+  UsageError: UsageError
+}
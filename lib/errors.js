@@ -0,0 +1,217 @@
+/**
+ * GlobusAPIError - An error response of the Transfer or Auth API. The fields of the
+ * error document are copied on the error: `code` (e.g. "ClientError.NotFound" or
+ * "EndpointNotActivated"), `request_id` and `resource`. `status` is the HTTP status
+ * and `error` the raw body of the response.
+ */
+class GlobusAPIError extends Error {
+  constructor(status, body, headers) {
+    const fields = errorFields(body)
+
+    super(fields.message || 'Request failed with status ' + status)
+    this.name = this.constructor.name
+    this.status = status
+    this.statusCode = status
+    this.code = fields.code
+    this.request_id = fields.request_id
+    this.resource = fields.resource
+    this.error = body
+    this.headers = headers || {}
+  }
+
+  /**
+   * fromResponse - Creates the error matching the status of a response, e.g. a
+   * NotFoundError for a 404.
+   *
+   * @param  {http.IncomingMessage} response  with its body already parsed
+   * @return {GlobusAPIError}
+   */
+  static fromResponse(response) {
+    const ErrorType = errorTypes[response.statusCode] || GlobusAPIError
+    return new ErrorType(response.statusCode, response.body, response.headers)
+  }
+}
+
+/**
+ * AuthError - The token is missing, invalid or expired (401), or doesn't grant access
+ * to the resource (403).
+ */
+class AuthError extends GlobusAPIError {}
+
+/**
+ * NotFoundError - The resource doesn't exist (404), e.g. "EndpointNotFound" or
+ * "ClientError.NotFound".
+ */
+class NotFoundError extends GlobusAPIError {}
+
+/**
+ * ConflictError - The request conflicts with the state of the resource (409), e.g.
+ * "EndpointNotActivated" or "Exists".
+ */
+class ConflictError extends GlobusAPIError {}
+
+/**
+ * RateLimitError - Too many requests were made (429). `retryAfter` is the number of
+ * seconds to wait before retrying, if the server said so.
+ */
+class RateLimitError extends GlobusAPIError {
+  constructor(status, body, headers) {
+    super(status, body, headers)
+    this.retryAfter = retryAfter(this.headers)
+  }
+}
+
+/**
+ * ServiceUnavailableError - The service is down for maintenance or overloaded (503).
+ * `retryAfter` is the number of seconds to wait before retrying, if the server said so.
+ */
+class ServiceUnavailableError extends GlobusAPIError {
+  constructor(status, body, headers) {
+    super(status, body, headers)
+    this.retryAfter = retryAfter(this.headers)
+  }
+}
+
+const errorTypes = {
+  401: AuthError,
+  403: AuthError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: RateLimitError,
+  503: ServiceUnavailableError
+}
+
+/**
+ * errorFields - Reads code, message, request_id and resource from an error body.
+ * The Transfer API has them at the top level, the Auth API in an `errors` list and
+ * the OAuth2 endpoints as `error` and `error_description`.
+ *
+ * @param  {Object|string} body
+ * @return {Object}
+ */
+function errorFields(body) {
+  if (!body || typeof body !== 'object') {
+    return { message: body || undefined }
+  }
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    const error = body.errors[0]
+    return { code: error.code, message: error.detail || error.title, request_id: error.id }
+  }
+  if (typeof body.error === 'string') {
+    return { code: body.error, message: body.error_description }
+  }
+  return { code: body.code, message: body.message, request_id: body.request_id, resource: body.resource }
+}
+
+/**
+ * retryAfter - Parses the Retry-After header, given in seconds or as an HTTP date.
+ *
+ * @param  {Object} headers
+ * @return {number|undefined}  seconds to wait
+ */
+function retryAfter(headers) {
+  const value = headers['retry-after']
+  if (value === undefined) {
+    return undefined
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value)
+  }
+  const date = Date.parse(value)
+  return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000))
+}
+
+/**
+ * TaskError - Base class of the errors a task can end waitForTask with. The last
+ * task document polled is available as `task`.
+ */
+class TaskError extends Error {
+  constructor(message, task) {
+    super(message)
+    this.name = this.constructor.name
+    this.task_id = task.task_id
+    this.task = task
+  }
+}
+
+/**
+ * TaskFailedError - The task completed with status FAILED.
+ */
+class TaskFailedError extends TaskError {
+  constructor(task) {
+    super('Task ' + task.task_id + ' failed' + (task.nice_status ? ': ' + task.nice_status : ''), task)
+  }
+}
+
+/**
+ * TaskTimeoutError - The task didn't complete before the timeout given to waitForTask.
+ */
+class TaskTimeoutError extends TaskError {
+  constructor(task, timeout) {
+    super('Task ' + task.task_id + ' did not complete within ' + timeout + 'ms', task)
+    this.timeout = timeout
+  }
+}
+
+/**
+ * TaskInactiveError - The task stayed INACTIVE, usually because the credentials of an
+ * endpoint expired, for longer than the inactiveTimeout given to waitForTask.
+ */
+class TaskInactiveError extends TaskError {
+  constructor(task, inactiveTimeout) {
+    super('Task ' + task.task_id + ' has been inactive for more than ' + inactiveTimeout + 'ms' +
+      (task.nice_status ? ': ' + task.nice_status : ''), task)
+    this.inactiveTimeout = inactiveTimeout
+  }
+}
+
+/**
+ * ValidationError - A document was rejected before being sent, because it would have
+ * been rejected by the API. `problems` lists each invalid field as `{ path, message }`,
+ * e.g. `{ path: 'DATA[0].source_path', message: 'is required' }`.
+ */
+class ValidationError extends Error {
+  constructor(problems, documentType) {
+    super('Invalid ' + (documentType || 'document') + ': ' + problems.map(function(problem) {
+      return problem.path + ' ' + problem.message
+    }).join(', '))
+    this.name = this.constructor.name
+    this.problems = problems
+  }
+}
+
+/**
+ * ActivationError - ensureActivated couldn't activate an endpoint: auto-activation
+ * failed and no credentials of a method the endpoint supports were given. The activation
+ * requirements document of the endpoint is available as `requirements`.
+ */
+class ActivationError extends Error {
+  constructor(endpoint_xid, requirements) {
+    const types = requirements.DATA.map(function(requirement) {
+      return requirement.type
+    }).filter(function(type, i, all) {
+      return all.indexOf(type) === i
+    })
+
+    super('Endpoint ' + endpoint_xid + ' could not be auto-activated' +
+      (types.length > 0 ? ', give the credentials of one of: ' + types.join(', ') : ''))
+    this.name = this.constructor.name
+    this.endpoint_xid = endpoint_xid
+    this.requirements = requirements
+  }
+}
+
+module.exports = {
+  GlobusAPIError: GlobusAPIError,
+  AuthError: AuthError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  RateLimitError: RateLimitError,
+  ServiceUnavailableError: ServiceUnavailableError,
+  TaskError: TaskError,
+  TaskFailedError: TaskFailedError,
+  TaskTimeoutError: TaskTimeoutError,
+  TaskInactiveError: TaskInactiveError,
+  ValidationError: ValidationError,
+  ActivationError: ActivationError
+}
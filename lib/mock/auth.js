@@ -0,0 +1,225 @@
+const MockError = require('./error')
+
+// https://docs.globus.org/api/auth/reference/
+//
+// Route handlers are called like the ones of the Transfer API. The OAuth2 routes
+// authenticate the client themselves, so their `identity` is undefined.
+
+const resourceServers = {
+  'urn:globus:auth:scope:transfer.api.globus.org:all': 'transfer.api.globus.org',
+  'openid': 'auth.globus.org',
+  'profile': 'auth.globus.org',
+  'email': 'auth.globus.org',
+  'urn:globus:auth:scope:auth.globus.org:view_identities': 'auth.globus.org'
+}
+
+const identityProvider = {
+  id: '41143743-f3c8-4d60-bbdb-eeecaba85bd9',
+  name: 'Globus ID',
+  short_name: 'globusid',
+  domains: ['globusid.org'],
+  alternative_names: []
+}
+
+function identityDocument(identity) {
+  return {
+    id: identity.id,
+    username: identity.username,
+    status: identity.status,
+    name: identity.name,
+    email: identity.email,
+    organization: identity.organization,
+    identity_provider: identity.identity_provider
+  }
+}
+
+function list(value) {
+  return value ? String(value).split(',').map(function(item) { return item.trim() }).filter(Boolean) : []
+}
+
+function identities(mock, req) {
+  const usernames = list(req.query.usernames)
+  const ids = list(req.query.ids)
+
+  if (usernames.length > 0 && ids.length > 0) {
+    throw new MockError(400, 'INVALID_PARAMETERS', 'usernames and ids can\'t be given together')
+  }
+
+  const all = Array.from(mock.identities.values())
+  const found = ids.length > 0 ? ids.map(function(id) {
+    return mock.identities.get(id)
+  }) : usernames.map(function(username) {
+    const identity = all.filter(function(candidate) {
+      return candidate.username.toLowerCase() === username.toLowerCase()
+    })[0]
+
+    if (!identity && req.query.provision === 'true') {
+      return mock.addIdentity({ username: username, status: 'unused' })
+    }
+    return identity
+  })
+
+  return {
+    identities: found.filter(Boolean).map(identityDocument)
+  }
+}
+
+function identity(mock, req) {
+  const found = mock.identities.get(req.params.id)
+
+  if (!found) {
+    throw new MockError(404, 'NOT_FOUND', 'No identity with id "' + req.params.id + '"')
+  }
+  return { identity: identityDocument(found) }
+}
+
+function identityProviders(mock, req) {
+  const domains = list(req.query.domains)
+  const ids = list(req.query.ids)
+  const providers = [identityProvider].concat(Array.from(mock.identities.values()).map(function(identity) {
+    const domain = identity.username.replace(/^.*@/, '')
+    return { id: identity.identity_provider, name: domain, short_name: domain, domains: [domain], alternative_names: [] }
+  }))
+
+  return {
+    identity_providers: providers.filter(function(provider) {
+      return (domains.length === 0 || provider.domains.some(function(domain) { return domains.indexOf(domain) !== -1 })) &&
+        (ids.length === 0 || ids.indexOf(provider.id) !== -1)
+    })
+  }
+}
+
+// https://docs.globus.org/api/auth/reference/#oauth2_endpoints
+
+/**
+ * authenticateClient - The client of an OAuth2 request, from its basic credentials or the
+ * client_id of the form for public clients.
+ *
+ * @throws {MockError} 401 if the credentials are wrong
+ */
+function authenticateClient(mock, req, confidential) {
+  const match = /^Basic (.+)$/.exec(req.headers.authorization || '')
+  const credentials = match ? Buffer.from(match[1], 'base64').toString().split(':') : [req.body && req.body.client_id]
+  const client = mock.clients.get(credentials[0])
+
+  if (!client || (match ? credentials[1] !== client.client_secret : confidential)) {
+    throw new MockError(401, 'invalid_client', 'Client authentication failed')
+  }
+  return client
+}
+
+/**
+ * tokenResponse - Issues a token per resource server of the scopes, the first one at
+ * the top level and the others under other_tokens.
+ */
+function tokenResponse(mock, client, identity_id, scope, refresh) {
+  const byServer = {}
+
+  ;(scope || '').split(/\s+/).filter(Boolean).forEach(function(name) {
+    const server = resourceServers[name] || name
+    byServer[server] = (byServer[server] ? byServer[server] + ' ' : '') + name
+  })
+
+  const tokens = Object.keys(byServer).map(function(server) {
+    return {
+      access_token: mock.addToken(identity_id, { scope: byServer[server], client_id: client.client_id }),
+      expires_in: 172800,
+      resource_server: server,
+      token_type: 'Bearer',
+      scope: byServer[server],
+      refresh_token: refresh ? mock.addRefreshToken(client.client_id, identity_id) : undefined,
+      state: undefined
+    }
+  })
+  if (tokens.length === 0) {
+    throw new MockError(400, 'invalid_scope', 'No scope was requested')
+  }
+  return Object.assign(tokens[0], { other_tokens: tokens.slice(1) })
+}
+
+function token(mock, req) {
+  const body = req.body || {}
+  const client = authenticateClient(mock, req, body.grant_type === 'client_credentials')
+
+  if (body.grant_type === 'client_credentials') {
+    return tokenResponse(mock, client, client.identity.id, body.scope, false)
+  }
+  if (body.grant_type === 'refresh_token') {
+    const refresh = mock.tokens.get(body.refresh_token)
+    if (!refresh || !refresh.refresh || refresh.client_id !== client.client_id) {
+      throw new MockError(400, 'invalid_grant', 'Invalid refresh token')
+    }
+    return tokenResponse(mock, client, refresh.identity_id, 'urn:globus:auth:scope:transfer.api.globus.org:all', true)
+  }
+  throw new MockError(400, 'unsupported_grant_type', 'The mock server doesn\'t support the grant type "' + body.grant_type + '"')
+}
+
+function introspect(mock, req) {
+  const client = authenticateClient(mock, req, true)
+  const found = mock.tokens.get(req.body && req.body.token)
+
+  if (!found || found.refresh || found.expires_at <= mock.now()) {
+    return { active: false }
+  }
+  const identity = mock.identities.get(found.identity_id)
+  return {
+    active: true,
+    scope: found.scope,
+    client_id: found.client_id || client.client_id,
+    sub: identity.id,
+    username: identity.username,
+    name: identity.name,
+    email: identity.email,
+    exp: Math.floor(found.expires_at / 1000),
+    iat: Math.floor(mock.now() / 1000),
+    token_type: 'Bearer',
+    identity_set: req.body.include === 'identities_set' ? [identity.id] : undefined
+  }
+}
+
+function revoke(mock, req) {
+  authenticateClient(mock, req, false)
+  mock.tokens.delete(req.body && req.body.token)
+  return { active: false }
+}
+
+function userinfo(mock, req) {
+  const found = mock.identities.get(mock.authenticate(req.headers.authorization).id)
+
+  return {
+    sub: found.id,
+    preferred_username: found.username,
+    name: found.name,
+    email: found.email,
+    organization: found.organization,
+    identity_provider: found.identity_provider,
+    identity_provider_display_name: identityProvider.name,
+    last_authentication: Math.floor(mock.now() / 1000),
+    identity_set: [{
+      sub: found.id,
+      username: found.username,
+      name: found.name,
+      email: found.email,
+      identity_provider: found.identity_provider
+    }]
+  }
+}
+
+const routes = [
+  ['GET', '/identities', identities],
+  ['GET', '/identities/:id', identity],
+  ['GET', '/identity_providers', identityProviders]
+]
+
+const oauth2Routes = [
+  ['GET', '/userinfo', userinfo],
+  ['POST', '/token', token],
+  ['POST', '/token/introspect', introspect],
+  ['POST', '/token/revoke', revoke]
+]
+
+module.exports = {
+  routes: routes,
+  oauth2Routes: oauth2Routes,
+  identityProvider: identityProvider
+}
@@ -0,0 +1,19 @@
+/**
+ * MockError - An error response of the mock server. Route handlers throw it, and the
+ * server answers with the error document of the API the route belongs to.
+ */
+class MockError extends Error {
+  /**
+   * @param  {number} status   HTTP status
+   * @param  {string} code     Globus error code, e.g. "ClientError.NotFound"
+   * @param  {string} message
+   */
+  constructor(status, code, message) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+  }
+}
+
+module.exports = MockError
@@ -0,0 +1,266 @@
+const MockError = require('./error')
+
+/**
+ * FileSystem - The directory tree of a mock endpoint, as a map of absolute paths to
+ * entries. Paths relative to the home directory ("/~/") are rooted at "/". The tree of
+ * a shared endpoint is a view of a directory of its host's tree, see share(..).
+ */
+class FileSystem {
+  /**
+   * @param  {function} now            returns the current time in milliseconds
+   * @param  {Object} options
+   * @param  {Map} options.entries     (**OPTIONAL**) entries of the tree this one is a view of
+   * @param  {string} options.root     (**OPTIONAL**) path of the root of this tree in the entries. Default: "/"
+   */
+  constructor(now, options) {
+    options = options || {}
+    this.now = now
+    this.root = normalize(options.root)
+    this.entries = options.entries || new Map([['/', { type: 'dir', last_modified: now() }]])
+  }
+
+  /**
+   * share - A view of a directory of this tree, as the tree of a shared endpoint.
+   *
+   * @param  {string} path
+   * @return {FileSystem}
+   */
+  share(path) {
+    return new FileSystem(this.now, { entries: this.entries, root: this.real(path) })
+  }
+
+  /**
+   * real - The key of a path of this tree in the entries.
+   *
+   * @param  {string} path
+   * @return {string}
+   */
+  real(path) {
+    return this.root === '/' ? normalize(path) : normalize(this.root + normalize(path))
+  }
+
+  get(path) {
+    return this.entries.get(this.real(path))
+  }
+
+  /**
+   * resolve - The entry a path designates, following a symbolic link.
+   *
+   * @param  {string} path
+   * @return {Object|undefined}
+   */
+  resolve(path) {
+    const entry = this.get(path)
+    return entry && entry.type === 'link' ? this.get(entry.link_target) : entry
+  }
+
+  /**
+   * list - The entries of a directory, sorted by name.
+   *
+   * @param  {string} path
+   * @return {Object[]}       `{ name, entry }`
+   */
+  list(path) {
+    const entry = this.resolve(path)
+    const link = this.get(path)
+    const dir = this.real(link && link.type === 'link' ? link.link_target : path)
+
+    if (!entry) {
+      throw new MockError(404, 'ClientError.NotFound', 'Directory "' + normalize(path) + '" not found')
+    }
+    if (entry.type !== 'dir') {
+      throw new MockError(502, 'ExternalError.DirListingFailed.NotDirectory', '"' + normalize(path) + '" is not a directory')
+    }
+
+    const children = []
+    this.entries.forEach(function(child, childPath) {
+      if (childPath !== '/' && parent(childPath) === dir) {
+        children.push({ name: basename(childPath), entry: child })
+      }
+    })
+    return children.sort(function(a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0 })
+  }
+
+  /**
+   * walk - Every entry under a directory, parents first, with paths relative to it.
+   *
+   * @param  {string} path
+   * @return {Object[]}       `{ relative, entry }`
+   */
+  walk(path) {
+    const real = this.real(path)
+    const prefix = real === '/' ? '/' : real + '/'
+    const found = []
+
+    this.entries.forEach(function(entry, entryPath) {
+      if (entryPath.indexOf(prefix) === 0 && entryPath !== real) {
+        found.push({ relative: entryPath.slice(prefix.length), entry: entry })
+      }
+    })
+    return found.sort(function(a, b) { return a.relative < b.relative ? -1 : 1 })
+  }
+
+  mkdir(path) {
+    const real = this.real(path)
+    const parentEntry = this.entries.get(parent(real))
+
+    if (this.entries.get(real)) {
+      throw new MockError(502, 'ExternalError.MkdirFailed.Exists', 'Path already exists: "' + normalize(path) + '"')
+    }
+    if (!parentEntry || parentEntry.type !== 'dir') {
+      throw new MockError(502, 'ExternalError.MkdirFailed.NotFound', 'Parent directory of "' + normalize(path) + '" not found')
+    }
+    this.entries.set(real, { type: 'dir', last_modified: this.now() })
+  }
+
+  mkdirp(path) {
+    makeParents(this.entries, this.real(path), this.now())
+  }
+
+  /**
+   * writeFile - Create or replace a file, creating its parent directories.
+   *
+   * @param  {string} path
+   * @param  {Object} options
+   * @param  {number} options.size           (**OPTIONAL**) Default: 0
+   * @param  {number|Date} options.last_modified (**OPTIONAL**) Default: now
+   */
+  writeFile(path, options) {
+    options = options || {}
+    const real = this.real(path)
+
+    makeParents(this.entries, parent(real), this.now())
+    this.entries.set(real, {
+      type: 'file',
+      size: options.size || 0,
+      last_modified: options.last_modified !== undefined ? Number(options.last_modified) : this.now()
+    })
+  }
+
+  symlink(path, target) {
+    const real = this.real(path)
+
+    if (this.entries.get(real)) {
+      throw new MockError(502, 'ExternalError.SymlinkFailed.Exists', 'Path already exists: "' + normalize(path) + '"')
+    }
+    makeParents(this.entries, parent(real), this.now())
+    this.entries.set(real, { type: 'link', link_target: target, last_modified: this.now() })
+  }
+
+  rename(oldPath, newPath) {
+    const from = this.real(oldPath)
+    const to = this.real(newPath)
+    const parentEntry = this.entries.get(parent(to))
+
+    if (!this.entries.get(from)) {
+      throw new MockError(502, 'ExternalError.RenameFailed.NotFound', 'Path not found: "' + normalize(oldPath) + '"')
+    }
+    if (this.entries.get(to)) {
+      throw new MockError(502, 'ExternalError.RenameFailed.Exists', 'Path already exists: "' + normalize(newPath) + '"')
+    }
+    if (!parentEntry || parentEntry.type !== 'dir') {
+      throw new MockError(502, 'ExternalError.RenameFailed.NotFound', 'Parent directory of "' + normalize(newPath) + '" not found')
+    }
+
+    const moved = [[from, this.entries.get(from)]].concat(this.walk(oldPath).map(function(found) {
+      return [from + '/' + found.relative, found.entry]
+    }))
+    moved.forEach(function(pair) {
+      this.entries.delete(pair[0])
+      this.entries.set(to + pair[0].slice(from.length), pair[1])
+    }, this)
+  }
+
+  remove(path, recursive) {
+    const real = this.real(path)
+    const entry = this.entries.get(real)
+    const contents = this.walk(path)
+
+    if (entry && entry.type === 'dir' && !recursive) {
+      throw new MockError(409, 'DirectoryNotEmpty', '"' + normalize(path) + '" is a directory, and recursive is false')
+    }
+    this.entries.delete(real)
+    contents.forEach(function(found) {
+      this.entries.delete(real + '/' + found.relative)
+    }, this)
+  }
+
+  /**
+   * fileDocument - The file document of an entry, as listed by the ls operation.
+   *
+   * @param  {string} path
+   * @return {Object}
+   */
+  fileDocument(path) {
+    const entry = this.get(path)
+    const target = this.resolve(path)
+
+    return {
+      DATA_TYPE: 'file',
+      name: basename(path),
+      type: target ? target.type : 'invalid_symlink',
+      link_target: entry.type === 'link' ? entry.link_target : null,
+      permissions: target && target.type === 'dir' ? '0755' : '0644',
+      size: target && target.type === 'file' ? target.size : 4096,
+      user: 'user',
+      group: 'user',
+      last_modified: formatTime((target || entry).last_modified)
+    }
+  }
+}
+
+/**
+ * makeParents - Creates a directory and its missing parents in a map of entries.
+ */
+function makeParents(entries, path, time) {
+  if (path === '/' || entries.get(path)) {
+    return
+  }
+  makeParents(entries, parent(path), time)
+  entries.set(path, { type: 'dir', last_modified: time })
+}
+
+/**
+ * normalize - Makes a path absolute without trailing slash, resolving "/~/", "." and "..".
+ *
+ * @param  {string} path
+ * @return {string}
+ */
+function normalize(path) {
+  const segments = []
+
+  String(path || '/').replace(/^\/?~(\/|$)/, '/').split('/').forEach(function(segment) {
+    if (segment === '..') {
+      segments.pop()
+    } else if (segment && segment !== '.') {
+      segments.push(segment)
+    }
+  })
+  return '/' + segments.join('/')
+}
+
+function parent(path) {
+  return normalize(path).replace(/\/[^/]*$/, '') || '/'
+}
+
+function basename(path) {
+  return normalize(path).replace(/^.*\//, '')
+}
+
+/**
+ * formatTime - Formats a time the way the Transfer API does, e.g. "2017-03-01 12:34:56+00:00".
+ *
+ * @param  {number} time  milliseconds since the epoch
+ * @return {string}
+ */
+function formatTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '+00:00')
+}
+
+module.exports = {
+  FileSystem: FileSystem,
+  normalize: normalize,
+  parent: parent,
+  basename: basename,
+  formatTime: formatTime
+}
@@ -0,0 +1,476 @@
+const crypto = require('crypto')
+const http = require('http')
+const querystring = require('querystring')
+const url = require('url')
+const MockError = require('./error')
+const FileSystem = require('./filesystem').FileSystem
+const transfer = require('./transfer')
+const auth = require('./auth')
+
+/**
+ * MockServer - An in-process fake of the Transfer and Auth APIs, keeping the state of
+ * endpoints, ACLs, servers, roles, bookmarks, directory trees, tasks and identities in
+ * memory. Point a GlobusClient at it to test code using globus-js without network
+ * access. Tasks complete as soon as they are submitted, unless `autoComplete` is false.
+ *
+ * @example
+ * const MockServer = require('globus-js/mock').MockServer
+ *
+ * const mock = new MockServer()
+ * const endpoint = mock.addEndpoint({ display_name: 'lab', files: { '/data/run1.h5': { size: 1024 } } })
+ * await mock.listen()
+ *
+ * const client = mock.client()
+ * await client.listDirectoryContents({ endpoint_xid: endpoint.id, path: '/data/' })
+ * await mock.close()
+ */
+class MockServer {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.username       (**OPTIONAL**) Username of the default user, whose token is `mock.token`. Default: "user@example.org"
+   * @param  {boolean} options.autoComplete  (**OPTIONAL**) Run tasks when they are submitted. Otherwise they stay ACTIVE until completeTask(..). Default: true
+   * @param  {number} options.pageSize      (**OPTIONAL**) Size of the pages of the lists paged with markers. Default: 100
+   * @param  {function} options.now          (**OPTIONAL**) Replaces Date.now.
+   */
+  constructor(options) {
+    options = options || {}
+
+    this.now = options.now || Date.now
+    this.autoComplete = options.autoComplete !== false
+    this.pageSize = options.pageSize || 100
+    this.requests = []
+    this.identities = new Map()
+    this.tokens = new Map()
+    this.clients = new Map()
+    this.endpoints = new Map()
+    this.filesystems = new Map()
+    this.accessRules = new Map()
+    this.roles = new Map()
+    this.bookmarks = new Map()
+    this.tasks = new Map()
+    this.submissions = new Map()
+    this.routes = transfer.routes.map(compile('/v0.10', 'transfer'))
+      .concat(auth.routes.map(compile('/v2/api', 'auth')))
+      .concat(auth.oauth2Routes.map(compile('/v2/oauth2', 'oauth2')))
+    this._nextId = 1
+
+    this.user = this.addIdentity({ username: options.username || 'user@example.org', name: 'Mock User' })
+    this.token = this.addToken(this.user.id)
+  }
+
+  /**
+   * listen - Start answering requests on a local port.
+   *
+   * @param  {number} port  (**OPTIONAL**) Default: a random free port
+   * @return {promise}      containing the server, with its url, transferBaseURL, authBaseURL and oauth2BaseURL set
+   */
+  listen(port) {
+    const self = this
+
+    this.server = http.createServer(function(req, res) {
+      const chunks = []
+      req.on('data', function(chunk) {
+        chunks.push(chunk)
+      })
+      req.on('end', function() {
+        const reply = self.handle(req, Buffer.concat(chunks).toString())
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(reply.body))
+      })
+    })
+
+    return new Promise(function(resolve, reject) {
+      self.server.once('error', reject)
+      self.server.listen(port || 0, '127.0.0.1', function() {
+        self.url = 'http://127.0.0.1:' + self.server.address().port
+        self.transferBaseURL = self.url + '/v0.10'
+        self.authBaseURL = self.url + '/v2/api'
+        self.oauth2BaseURL = self.url + '/v2/oauth2'
+        resolve(self)
+      })
+    })
+  }
+
+  /**
+   * close - Stop the server.
+   *
+   * @return {promise}
+   */
+  close() {
+    const server = this.server
+    return new Promise(function(resolve) {
+      server.close(function() { resolve() })
+    })
+  }
+
+  /**
+   * client - A GlobusClient using the server, authenticated as the default user.
+   *
+   * @param  {Object} options  (**OPTIONAL**) options of GlobusClient, e.g. another token
+   * @return {GlobusClient}
+   */
+  client(options) {
+    const GlobusClient = require('../../globus').GlobusClient
+
+    return new GlobusClient(Object.assign({
+      token: this.token,
+      transferBaseURL: this.transferBaseURL,
+      authBaseURL: this.authBaseURL,
+      oauth2BaseURL: this.oauth2BaseURL
+    }, options))
+  }
+
+  /**
+   * addIdentity - Create a Globus identity.
+   *
+   * @param  {Object} options
+   * @param  {string} options.username
+   * @param  {string} options.name          (**OPTIONAL**)
+   * @param  {string} options.email         (**OPTIONAL**) Default: the username
+   * @param  {string} options.organization  (**OPTIONAL**)
+   * @param  {string} options.status        (**OPTIONAL**) Default: "used"
+   * @return {Object}                       the identity document
+   */
+  addIdentity(options) {
+    const identity = {
+      id: uuid(),
+      username: options.username,
+      status: options.status || 'used',
+      name: options.name || null,
+      email: options.email || options.username,
+      organization: options.organization || null,
+      identity_provider: uuid()
+    }
+
+    this.identities.set(identity.id, identity)
+    return identity
+  }
+
+  /**
+   * addToken - Issue an access token for an identity.
+   *
+   * @param  {string} identity_id
+   * @param  {Object} options
+   * @param  {number} options.expires_in  (**OPTIONAL**) seconds the token is valid for. Default: 172800
+   * @param  {string} options.scope       (**OPTIONAL**)
+   * @param  {string} options.client_id   (**OPTIONAL**) client the token was issued to
+   * @return {string}                     the token
+   */
+  addToken(identity_id, options) {
+    options = options || {}
+    const token = crypto.randomBytes(16).toString('hex')
+
+    this.tokens.set(token, {
+      identity_id: identity_id,
+      client_id: options.client_id,
+      scope: options.scope || '',
+      expires_at: this.now() + (options.expires_in || 172800) * 1000
+    })
+    return token
+  }
+
+  /**
+   * addClient - Register an OAuth2 client, whose credentials can be exchanged for tokens
+   * of its own identity.
+   *
+   * @param  {Object} options
+   * @param  {string} options.client_id      (**OPTIONAL**) Default: a new id
+   * @param  {string} options.client_secret  (**OPTIONAL**) Default: a new secret
+   * @return {Object}                        `{ client_id, client_secret, identity }`
+   */
+  addClient(options) {
+    options = options || {}
+    const client_id = options.client_id || uuid()
+    const client = {
+      client_id: client_id,
+      client_secret: options.client_secret || crypto.randomBytes(16).toString('hex'),
+      identity: this.addIdentity({ username: client_id + '@clients.auth.globus.org' })
+    }
+
+    this.clients.set(client_id, client)
+    return client
+  }
+
+  /**
+   * addRefreshToken - Issue a refresh token for an identity, through a client.
+   *
+   * @param  {string} client_id
+   * @param  {string} identity_id  (**OPTIONAL**) Default: the default user
+   * @return {string}              the refresh token
+   */
+  addRefreshToken(client_id, identity_id) {
+    const token = crypto.randomBytes(16).toString('hex')
+
+    this.tokens.set(token, { refresh: true, client_id: client_id, identity_id: identity_id || this.user.id })
+    return token
+  }
+
+  /**
+   * addEndpoint - Create an endpoint owned by the default user, activated unless told
+   * otherwise.
+   *
+   * @param  {Object} document  fields of the endpoint document, along with:
+   * @param  {Object} document.files       (**OPTIONAL**) Files to create, as a map of path to `{ size, last_modified }`. Paths ending with a slash are directories.
+   * @param  {boolean} document.activated  (**OPTIONAL**) Default: true
+   * @param  {boolean} document.auto_activation (**OPTIONAL**) Whether autoActivateEndpoint succeeds. Default: false
+   * @param  {Object} document.myproxy     (**OPTIONAL**) `{ username, passphrase }` accepted by activateEndpoint. Default: any
+   * @param  {string} document.host_endpoint_id (**OPTIONAL**) for a shared endpoint, with its host_path
+   * @return {Object}                      the endpoint document
+   */
+  addEndpoint(document) {
+    const self = this
+    const options = Object.assign({}, document)
+    const files = options.files || {}
+    const endpoint = transfer.endpointDocument(this, options)
+
+    transfer.registerEndpoint(this, endpoint, {
+      activated: options.activated !== false,
+      auto_activation: options.auto_activation,
+      myproxy: options.myproxy
+    })
+    Object.keys(files).forEach(function(path) {
+      if (/\/$/.test(path)) {
+        self.addDirectory(endpoint.id, path)
+      } else {
+        self.addFile(endpoint.id, path, files[path])
+      }
+    })
+    return endpoint
+  }
+
+  /**
+   * addPauseRule - Pause the tasks using an endpoint, as listed by its effective pause rules.
+   *
+   * @param  {string} endpoint_xid
+   * @param  {Object} rule          fields of the pause_rule_limited document, e.g. `{ message, pause_ls }`
+   * @return {Object}               the pause rule document
+   */
+  addPauseRule(endpoint_xid, rule) {
+    const record = this.endpoints.get(endpoint_xid)
+    const document = Object.assign({
+      DATA_TYPE: 'pause_rule_limited',
+      id: uuid(),
+      message: null,
+      start_time: null,
+      endpoint_id: endpoint_xid,
+      identity_id: null,
+      modified_by_id: this.user.id,
+      created_by_host_manager: false,
+      editable: true,
+      pause_ls: false,
+      pause_mkdir: false,
+      pause_rename: false,
+      pause_task_delete: false,
+      pause_task_transfer_write: false,
+      pause_task_transfer_read: false
+    }, rule)
+
+    record.pause_rules.push(document)
+    return document
+  }
+
+  /**
+   * addFile - Create or replace a file on an endpoint, creating its parent directories.
+   *
+   * @param  {string} endpoint_xid
+   * @param  {string} path
+   * @param  {Object} options       (**OPTIONAL**) `{ size, last_modified }`
+   */
+  addFile(endpoint_xid, path, options) {
+    this.filesystem(endpoint_xid).writeFile(path, options)
+  }
+
+  /**
+   * addDirectory - Create a directory and its parents on an endpoint.
+   *
+   * @param  {string} endpoint_xid
+   * @param  {string} path
+   */
+  addDirectory(endpoint_xid, path) {
+    this.filesystem(endpoint_xid).mkdirp(path)
+  }
+
+  /**
+   * addSymlink - Create a symbolic link on an endpoint.
+   *
+   * @param  {string} endpoint_xid
+   * @param  {string} path
+   * @param  {string} target
+   */
+  addSymlink(endpoint_xid, path, target) {
+    this.filesystem(endpoint_xid).symlink(path, target)
+  }
+
+  /**
+   * getFile - The file document of a path on an endpoint, as listed by ls.
+   *
+   * @param  {string} endpoint_xid
+   * @param  {string} path
+   * @return {Object|undefined}     undefined if the path doesn't exist
+   */
+  getFile(endpoint_xid, path) {
+    const filesystem = this.filesystem(endpoint_xid)
+    return filesystem.get(path) ? filesystem.fileDocument(path) : undefined
+  }
+
+  filesystem(endpoint_xid) {
+    const filesystem = this.filesystems.get(endpoint_xid)
+    if (!filesystem) {
+      throw new Error('No mock endpoint with id ' + endpoint_xid)
+    }
+    return filesystem
+  }
+
+  /**
+   * completeTask - Run an ACTIVE task, when the server doesn't auto complete them.
+   *
+   * @param  {string} task_id
+   * @return {Object}          the task document
+   */
+  completeTask(task_id) {
+    return transfer.runTask(this, this.tasks.get(task_id))
+  }
+
+  /**
+   * failTask - End an ACTIVE task with status FAILED.
+   *
+   * @param  {string} task_id
+   * @param  {string} message  (**OPTIONAL**) description of the fault
+   * @return {Object}          the task document
+   */
+  failTask(task_id, message) {
+    return transfer.failTask(this, this.tasks.get(task_id), message || 'The task failed')
+  }
+
+  nextId() {
+    return this._nextId++
+  }
+
+  /**
+   * handle - Answer a request.
+   *
+   * @param  {http.IncomingMessage} req
+   * @param  {string} raw                the body of the request
+   * @return {Object}                    `{ status, body }`
+   */
+  handle(req, raw) {
+    const parsed = url.parse(req.url, true)
+    const form = /x-www-form-urlencoded/.test(req.headers['content-type'])
+    let body
+    let route
+
+    try {
+      body = raw ? (form ? querystring.parse(raw) : JSON.parse(raw)) : undefined
+    } catch (err) {
+      body = raw
+    }
+    this.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body })
+
+    try {
+      let params = null
+      route = this.routes.find(function(candidate) {
+        params = candidate.method === req.method ? candidate.match(parsed.pathname) : null
+        return params !== null
+      })
+
+      if (!route) {
+        throw new MockError(404, 'ClientError.NotFound', req.method + ' ' + parsed.pathname + ' is not a resource of the mock server')
+      }
+
+      const request = {
+        params: params,
+        query: parsed.query,
+        body: body,
+        headers: req.headers
+      }
+      if (route.api !== 'oauth2') {
+        request.identity = this.authenticate(req.headers.authorization)
+      }
+      return { status: 200, body: route.handler(this, request) }
+    } catch (err) {
+      // Answering rather than throwing, handle runs in a listener where nothing would catch it
+      if (!(err instanceof MockError)) {
+        err = new MockError(500, 'ServerError.InternalError', 'The mock server failed: ' + err.message)
+      }
+      return { status: err.status, body: errorBody(route ? route.api : 'transfer', err) }
+    }
+  }
+
+  /**
+   * authenticate - The identity of the bearer token of a request.
+   *
+   * @param  {string} authorization  Authorization header
+   * @return {Object}                the identity
+   */
+  authenticate(authorization) {
+    const match = /^Bearer (.+)$/.exec(authorization || '')
+    const token = match && this.tokens.get(match[1])
+
+    if (!token || token.refresh || token.expires_at <= this.now()) {
+      throw new MockError(401, 'AuthenticationFailed', 'Token is not active')
+    }
+    return this.identities.get(token.identity_id)
+  }
+}
+
+/**
+ * compile - Turns the routes of an API, given as `[method, path, handler]` with path
+ * parameters such as ":endpoint_xid", into matchers.
+ */
+function compile(prefix, api) {
+  return function(route) {
+    const names = []
+    const pattern = new RegExp('^' + prefix + route[1].replace(/:(\w+)/g, function(m, name) {
+      names.push(name)
+      return '([^/]+)'
+    }) + '/?$')
+
+    return {
+      api: api,
+      method: route[0],
+      handler: route[2],
+      match: function(pathname) {
+        const match = pattern.exec(pathname)
+        if (!match) {
+          return null
+        }
+        const params = {}
+        names.forEach(function(name, i) {
+          try {
+            params[name] = decodeURIComponent(match[i + 1])
+          } catch (err) {
+            throw new MockError(400, 'ClientError.BadRequest', 'Malformed path parameter "' + match[i + 1] + '"')
+          }
+        })
+        return params
+      }
+    }
+  }
+}
+
+/**
+ * errorBody - The error document of an API: Transfer errors have their fields at the top
+ * level, Auth errors in an `errors` list and OAuth2 errors are `error` and `error_description`.
+ */
+function errorBody(api, err) {
+  const request_id = crypto.randomBytes(5).toString('hex')
+
+  if (api === 'oauth2') {
+    return { error: err.code, error_description: err.message }
+  }
+  if (api === 'auth') {
+    return { errors: [{ status: String(err.status), code: err.code, detail: err.message, id: request_id }] }
+  }
+  return { code: err.code, message: err.message, request_id: request_id, resource: '' }
+}
+
+function uuid() {
+  return crypto.randomUUID()
+}
+
+module.exports = {
+  MockServer: MockServer,
+  MockError: MockError,
+  FileSystem: FileSystem,
+  uuid: uuid
+}
@@ -0,0 +1,1518 @@
+const crypto = require('crypto')
+const MockError = require('./error')
+const filesystem = require('./filesystem')
+
+const normalize = filesystem.normalize
+const formatTime = filesystem.formatTime
+
+// https://docs.globus.org/api/transfer/
+//
+// Route handlers are called with the mock server and `{ params, query, body, identity }`,
+// and return the body of the response or throw a MockError.
+
+const defaultActivationHours = 12
+const searchScopes = ['all', 'my-endpoints', 'my-gcp-endpoints', 'recently-used', 'in-use', 'shared-by-me', 'shared-with-me', 'administered-by-me']
+const roleNames = ['administrator', 'access_manager', 'activity_manager', 'activity_monitor']
+const readOnlyEndpointFields = ['DATA_TYPE', 'id', 'owner_id', 'owner_string', 'canonical_name', 'username', 'activated', 'expires_in', 'expire_time', 'host_endpoint_id', 'host_endpoint', 'host_path', 'DATA']
+
+/**
+ * endpointDocument - A new endpoint document, with the defaults of the Transfer API for
+ * the fields not given.
+ *
+ * @param  {MockServer} mock
+ * @param  {Object} fields
+ * @return {Object}
+ */
+function endpointDocument(mock, fields) {
+  const owner = mock.identities.get(fields.owner_id) || mock.user
+  const id = fields.id || crypto.randomUUID()
+  const shared = Boolean(fields.host_endpoint_id)
+
+  const endpoint = {
+    DATA_TYPE: 'endpoint',
+    id: id,
+    display_name: fields.display_name || null,
+    canonical_name: owner.username + '#' + id,
+    owner_id: owner.id,
+    owner_string: owner.username,
+    username: owner.username.replace(/@.*$/, ''),
+    description: fields.description || null,
+    organization: fields.organization || null,
+    department: fields.department || null,
+    contact_email: fields.contact_email || null,
+    contact_info: fields.contact_info || null,
+    info_link: fields.info_link || null,
+    keywords: fields.keywords || null,
+    public: fields.public === true,
+    default_directory: fields.default_directory || null,
+    force_encryption: fields.force_encryption === true,
+    is_globus_connect: fields.is_globus_connect === true,
+    host_endpoint_id: fields.host_endpoint_id || null,
+    host_endpoint: fields.host_endpoint || null,
+    host_path: fields.host_path || null,
+    acl_available: shared,
+    acl_editable: shared,
+    network_use: fields.network_use || 'normal',
+    activated: false,
+    expires_in: 0,
+    expire_time: null,
+    DATA: []
+  }
+
+  if (!shared) {
+    endpoint.DATA = (fields.DATA || [{ hostname: endpoint.id.slice(0, 8) + '.mock.globus.org' }]).map(function(server) {
+      return serverDocument(mock, server)
+    })
+  }
+  return endpoint
+}
+
+/**
+ * registerEndpoint - Adds an endpoint document to the state of the server, with an
+ * empty tree, or a view of its host's tree for a shared endpoint.
+ *
+ * @param  {MockServer} mock
+ * @param  {Object} endpoint  from endpointDocument(..)
+ * @param  {Object} options   `{ activated, auto_activation, myproxy }`
+ * @return {Object}           the record of the endpoint
+ */
+function registerEndpoint(mock, endpoint, options) {
+  const host = endpoint.host_endpoint_id ? mock.endpoints.get(endpoint.host_endpoint_id) : null
+  const record = {
+    document: endpoint,
+    expires_at: options.activated || host ? Infinity : 0,
+    auto_activation: options.auto_activation === true,
+    myproxy: options.myproxy,
+    pause_rules: []
+  }
+
+  mock.endpoints.set(endpoint.id, record)
+  mock.filesystems.set(endpoint.id, host ?
+    mock.filesystem(host.document.id).share(endpoint.host_path) :
+    new filesystem.FileSystem(mock.now))
+  mock.accessRules.set(endpoint.id, new Map())
+  mock.roles.set(endpoint.id, new Map())
+  return record
+}
+
+function serverDocument(mock, fields) {
+  const port = Number(fields.port || 2811)
+  const scheme = fields.scheme || 'gsiftp'
+
+  return {
+    DATA_TYPE: 'server',
+    id: mock.nextId(),
+    hostname: fields.hostname,
+    uri: scheme + '://' + fields.hostname + ':' + port,
+    port: port,
+    scheme: scheme,
+    subject: fields.subject || null,
+    is_connected: true,
+    is_paused: false,
+    incoming_data_port_start: fields.incoming_data_port_start || null,
+    incoming_data_port_end: fields.incoming_data_port_end || null,
+    outgoing_data_port_start: fields.outgoing_data_port_start || null,
+    outgoing_data_port_end: fields.outgoing_data_port_end || null
+  }
+}
+
+function result(DATA_TYPE, code, message, fields) {
+  return Object.assign({
+    DATA_TYPE: DATA_TYPE,
+    code: code,
+    message: message,
+    request_id: crypto.randomBytes(5).toString('hex'),
+    resource: null
+  }, fields)
+}
+
+function badRequest(message) {
+  return new MockError(400, 'ClientError.BadRequest', message)
+}
+
+/**
+ * findEndpoint - The record of an endpoint.
+ *
+ * @throws {MockError} 404 if there is no such endpoint
+ */
+function findEndpoint(mock, endpoint_xid) {
+  const record = mock.endpoints.get(endpoint_xid)
+  if (!record) {
+    throw new MockError(404, 'ClientError.NotFound', 'No such endpoint "' + endpoint_xid + '"')
+  }
+  return record
+}
+
+/**
+ * ownEndpoint - The record of an endpoint the identity may manage: its owner, or an
+ * administrator.
+ *
+ * @throws {MockError} 403 if the identity may not manage the endpoint
+ */
+function ownEndpoint(mock, endpoint_xid, identity) {
+  const record = findEndpoint(mock, endpoint_xid)
+  const administrator = Array.from(mock.roles.get(endpoint_xid).values()).some(function(role) {
+    return role.principal === identity.id && role.role === 'administrator'
+  })
+
+  if (record.document.owner_id !== identity.id && !administrator) {
+    throw new MockError(403, 'PermissionDenied', 'Only the owner or an administrator of the endpoint can do this')
+  }
+  return record
+}
+
+/**
+ * expiresIn - Seconds the activation of an endpoint is still valid for, -1 if it doesn't
+ * expire and 0 if it isn't activated.
+ */
+function expiresIn(mock, record) {
+  if (record.expires_at === Infinity) {
+    return -1
+  }
+  return Math.max(0, Math.floor((record.expires_at - mock.now()) / 1000))
+}
+
+function isActivated(mock, record) {
+  return expiresIn(mock, record) !== 0
+}
+
+/**
+ * describe - The endpoint document, with its activation state as of now.
+ */
+function describe(mock, record) {
+  const expires_in = expiresIn(mock, record)
+
+  return Object.assign({}, record.document, {
+    activated: expires_in !== 0,
+    expires_in: expires_in,
+    expire_time: expires_in > 0 ? formatTime(record.expires_at) : null
+  })
+}
+
+/**
+ * activatedFileSystem - The tree of an endpoint, for a file operation.
+ *
+ * @throws {MockError} 409 if the endpoint isn't activated
+ */
+function activatedFileSystem(mock, endpoint_xid) {
+  const record = findEndpoint(mock, endpoint_xid)
+  if (!isActivated(mock, record)) {
+    throw new MockError(409, 'ClientError.ActivationRequired', 'The endpoint "' + endpoint_xid + '" is not activated')
+  }
+  return mock.filesystems.get(endpoint_xid)
+}
+
+/**
+ * page - A page of a list paged with offset and limit.
+ */
+function page(DATA_TYPE, items, query, defaultLimit, fields) {
+  const offset = Number(query.offset || 0)
+  const limit = Number(query.limit || defaultLimit || items.length)
+  const DATA = items.slice(offset, offset + limit)
+
+  return Object.assign({
+    DATA_TYPE: DATA_TYPE,
+    offset: offset,
+    limit: limit,
+    length: DATA.length,
+    total: items.length,
+    DATA: DATA
+  }, fields)
+}
+
+/**
+ * globMatcher - A regular expression for a shell glob supporting *, ? and [...].
+ */
+function globMatcher(glob) {
+  return new RegExp('^' + glob.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$')
+}
+
+// https://docs.globus.org/api/transfer/endpoint/
+
+function getEndpoint(mock, req) {
+  return describe(mock, findEndpoint(mock, req.params.endpoint_xid))
+}
+
+function createEndpoint(mock, req) {
+  const fields = Object.assign({}, req.body, { owner_id: req.identity.id })
+  delete fields.id
+
+  if (!fields.display_name && !fields.canonical_name) {
+    throw badRequest('display_name or canonical_name is required')
+  }
+
+  const endpoint = endpointDocument(mock, fields)
+  registerEndpoint(mock, endpoint, {})
+  return result('endpoint_create_result', 'Created', 'Endpoint created successfully', {
+    id: endpoint.id,
+    canonical_name: endpoint.canonical_name,
+    globus_connect_setup_key: null,
+    resource: '/endpoint'
+  })
+}
+
+function createSharedEndpoint(mock, req) {
+  const body = req.body || {}
+  const host = findEndpoint(mock, body.host_endpoint)
+
+  if (!body.host_path) {
+    throw badRequest('host_path is required')
+  }
+  if (host.document.host_endpoint_id) {
+    throw badRequest('A shared endpoint can not host another one')
+  }
+  if (!isActivated(mock, host)) {
+    throw new MockError(409, 'ClientError.ActivationRequired', 'The host endpoint "' + body.host_endpoint + '" is not activated')
+  }
+  const root = mock.filesystem(host.document.id).resolve(body.host_path)
+  if (!root || root.type !== 'dir') {
+    throw new MockError(502, 'ExternalError.DirListingFailed.NotFound', 'Host path "' + body.host_path + '" is not a directory')
+  }
+
+  const endpoint = endpointDocument(mock, {
+    display_name: body.display_name,
+    description: body.description,
+    organization: body.organization,
+    owner_id: req.identity.id,
+    host_endpoint_id: host.document.id,
+    host_endpoint: host.document.canonical_name,
+    host_path: normalize(body.host_path) + '/'
+  })
+  endpoint.host_path = endpoint.host_path.replace(/\/+$/, '/')
+  registerEndpoint(mock, endpoint, {})
+  return result('endpoint_create_result', 'Created', 'Shared endpoint created successfully', {
+    id: endpoint.id,
+    canonical_name: endpoint.canonical_name,
+    resource: '/shared_endpoint'
+  })
+}
+
+function updateEndpoint(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const body = req.body || {}
+
+  if (body.DATA_TYPE !== 'endpoint') {
+    throw badRequest('DATA_TYPE must be "endpoint"')
+  }
+  if (body.id !== undefined && body.id !== record.document.id) {
+    throw badRequest('The id of the document doesn\'t match the endpoint')
+  }
+  Object.keys(body).forEach(function(field) {
+    if (readOnlyEndpointFields.indexOf(field) === -1 && body[field] !== undefined) {
+      record.document[field] = body[field]
+    }
+  })
+  return result('result', 'Updated', 'Endpoint updated successfully', { resource: '/endpoint/' + record.document.id })
+}
+
+function deleteEndpoint(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const id = record.document.id
+
+  mock.endpoints.delete(id)
+  mock.filesystems.delete(id)
+  mock.accessRules.delete(id)
+  mock.roles.delete(id)
+  return result('result', 'Deleted', 'Endpoint deleted successfully', { resource: '/endpoint/' + id })
+}
+
+function sharedEndpointList(mock, req) {
+  const host = findEndpoint(mock, req.params.endpoint_xid)
+  const shares = []
+
+  if (host.document.host_endpoint_id) {
+    throw badRequest('The endpoint "' + host.document.id + '" can not host shared endpoints')
+  }
+  mock.endpoints.forEach(function(record) {
+    if (record.document.host_endpoint_id === host.document.id && record.document.owner_id === req.identity.id) {
+      shares.push(describe(mock, record))
+    }
+  })
+
+  const start = Number(req.query.next_token || 0)
+  const end = start + Number(req.query.max_results || mock.pageSize)
+  return {
+    DATA_TYPE: 'endpoint_list',
+    shared_endpoints: shares.slice(start, end),
+    next_token: end < shares.length ? String(end) : null
+  }
+}
+
+function effectivePauseRules(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+  return { DATA_TYPE: 'pause_rule_limited_list', DATA: record.pause_rules.slice() }
+}
+
+function serverList(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+  return { DATA_TYPE: 'endpoint_server_list', endpoint: record.document.canonical_name, DATA: record.document.DATA }
+}
+
+function findServer(record, server_id) {
+  const server = record.document.DATA.filter(function(candidate) {
+    return String(candidate.id) === server_id
+  })[0]
+
+  if (!server) {
+    throw new MockError(404, 'ServerNotFound', 'No server with id ' + server_id + ' on endpoint "' + record.document.id + '"')
+  }
+  return server
+}
+
+function getServer(mock, req) {
+  return findServer(findEndpoint(mock, req.params.endpoint_xid), req.params.server_id)
+}
+
+function addServer(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const body = req.body || {}
+
+  if (record.document.host_endpoint_id) {
+    throw badRequest('Shared endpoints don\'t have servers')
+  }
+  if (!body.hostname) {
+    throw badRequest('hostname is required')
+  }
+  const server = serverDocument(mock, body)
+  record.document.DATA.push(server)
+  return result('endpoint_server_add_result', 'Created', 'Server added to endpoint successfully', { id: server.id })
+}
+
+function updateServer(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const server = findServer(record, req.params.server_id)
+  const body = req.body || {}
+
+  ;['hostname', 'scheme', 'port', 'subject', 'incoming_data_port_start', 'incoming_data_port_end', 'outgoing_data_port_start', 'outgoing_data_port_end'].forEach(function(field) {
+    if (body[field] !== undefined) {
+      server[field] = field === 'port' ? Number(body.port) : body[field]
+    }
+  })
+  server.uri = server.scheme + '://' + server.hostname + ':' + server.port
+  return result('result', 'Updated', 'Server updated successfully')
+}
+
+function deleteServer(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const server = findServer(record, req.params.server_id)
+
+  record.document.DATA.splice(record.document.DATA.indexOf(server), 1)
+  return result('result', 'Deleted', 'Server deleted successfully')
+}
+
+// https://docs.globus.org/api/transfer/acl/
+
+function findRule(mock, req) {
+  findEndpoint(mock, req.params.endpoint_xid)
+  const rule = mock.accessRules.get(req.params.endpoint_xid).get(req.params.id)
+
+  if (!rule) {
+    throw new MockError(404, 'AccessRuleNotFound', 'No access rule with id ' + req.params.id)
+  }
+  return rule
+}
+
+function checkRule(body) {
+  if (['identity', 'group', 'all_authenticated_users', 'anonymous'].indexOf(body.principal_type) === -1) {
+    throw badRequest('Invalid principal_type "' + body.principal_type + '"')
+  }
+  if (['r', 'rw'].indexOf(body.permissions) === -1) {
+    throw badRequest('Invalid permissions "' + body.permissions + '"')
+  }
+  if (!/^\/(.*\/)?$/.test(body.path || '') || /\/\.\.?\//.test(body.path)) {
+    throw badRequest('The path of an access rule must be absolute and end with a slash')
+  }
+}
+
+function accessList(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+  const rules = Array.from(mock.accessRules.get(record.document.id).values())
+
+  return page('access_list', rules, req.query, rules.length, { endpoint: record.document.canonical_name })
+}
+
+function getAccess(mock, req) {
+  return findRule(mock, req)
+}
+
+function createAccess(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const rules = mock.accessRules.get(record.document.id)
+  const body = req.body || {}
+
+  checkRule(body)
+  rules.forEach(function(rule) {
+    if (rule.principal_type === body.principal_type && rule.principal === body.principal && rule.path === body.path) {
+      throw new MockError(409, 'Exists', 'An access rule for this principal and path already exists')
+    }
+  })
+
+  const rule = {
+    DATA_TYPE: 'access',
+    id: mock.nextId(),
+    principal_type: body.principal_type,
+    principal: body.principal || '',
+    path: body.path,
+    permissions: body.permissions,
+    role_id: null,
+    role_type: null,
+    notify_email: body.notify_email || null,
+    create_time: formatTime(mock.now())
+  }
+  rules.set(String(rule.id), rule)
+  return result('access_create_result', 'Created', 'Access rule created successfully.', {
+    access_id: rule.id,
+    resource: '/endpoint/' + record.document.id + '/access'
+  })
+}
+
+function updateAccess(mock, req) {
+  ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const rule = findRule(mock, req)
+  const body = req.body || {}
+
+  if (body.id !== undefined && String(body.id) !== String(rule.id)) {
+    throw badRequest('The id of the document doesn\'t match the access rule')
+  }
+  checkRule(Object.assign({}, rule, { permissions: body.permissions || rule.permissions }))
+  rule.permissions = body.permissions || rule.permissions
+  return result('result', 'Updated', 'Access rule updated successfully')
+}
+
+function deleteAccess(mock, req) {
+  ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const rule = findRule(mock, req)
+
+  mock.accessRules.get(req.params.endpoint_xid).delete(String(rule.id))
+  return result('result', 'Deleted', 'Access rule deleted successfully')
+}
+
+// https://docs.globus.org/api/transfer/endpoint_activation/
+
+/**
+ * activationRequirements - The activation requirements document of an endpoint: the
+ * fields of the myproxy and delegate_proxy methods. The key pair of the delegate_proxy
+ * method is generated once per endpoint.
+ */
+function activationRequirements(mock, record) {
+  const expires_in = expiresIn(mock, record)
+  const DATA = []
+
+  function requirement(type, name, fields) {
+    DATA.push(Object.assign({
+      DATA_TYPE: 'activation_requirement',
+      type: type,
+      name: name,
+      value: null,
+      required: true,
+      private: false,
+      ui_name: name,
+      description: null
+    }, fields))
+  }
+
+  if (!record.document.host_endpoint_id) {
+    if (!record.keys) {
+      record.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    }
+    requirement('delegate_proxy', 'public_key', {
+      value: record.keys.publicKey.export({ type: 'spki', format: 'pem' }),
+      required: false,
+      ui_name: 'Server Public Key'
+    })
+    requirement('delegate_proxy', 'proxy_chain', { ui_name: 'Proxy Chain' })
+    requirement('myproxy', 'hostname', { value: 'myproxy.mock.globus.org', ui_name: 'MyProxy Server' })
+    requirement('myproxy', 'username', { ui_name: 'Username' })
+    requirement('myproxy', 'passphrase', { private: true, ui_name: 'Passphrase' })
+    requirement('myproxy', 'server_dn', { required: false, ui_name: 'Server DN' })
+    requirement('myproxy', 'lifetime_in_hours', { required: false, ui_name: 'Credential Lifetime (hours)' })
+  }
+
+  return {
+    DATA_TYPE: 'activation_requirements',
+    activated: expires_in !== 0,
+    expires_in: expires_in,
+    expire_time: expires_in > 0 ? formatTime(record.expires_at) : null,
+    auto_activation_supported: record.auto_activation,
+    oauth_server: null,
+    length: DATA.length,
+    DATA: DATA
+  }
+}
+
+function getActivationRequirements(mock, req) {
+  return activationRequirements(mock, findEndpoint(mock, req.params.endpoint_xid))
+}
+
+function activationResult(mock, record, code, message) {
+  return Object.assign(activationRequirements(mock, record), {
+    DATA_TYPE: 'activation_result',
+    code: code,
+    message: message,
+    request_id: crypto.randomBytes(5).toString('hex'),
+    resource: '/endpoint/' + record.document.id + '/activate'
+  })
+}
+
+function autoActivate(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+  const expires_in = expiresIn(mock, record)
+  const threshold = Number(req.query.if_expires_in || 0)
+
+  if (expires_in === -1 || expires_in > threshold) {
+    return activationResult(mock, record, 'AlreadyActivated', 'Endpoint already activated')
+  }
+  if (record.auto_activation) {
+    record.expires_at = mock.now() + 7 * 24 * 3600 * 1000
+    return activationResult(mock, record, 'AutoActivated.CachedCredential', 'Endpoint activated successfully using cached credential')
+  }
+  return activationResult(mock, record, 'AutoActivationFailed', 'Auto activation failed, activation requirements are needed')
+}
+
+function activate(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+  const requirements = (req.body && req.body.DATA) || []
+  const values = {}
+
+  requirements.forEach(function(requirement) {
+    values[requirement.type + '.' + requirement.name] = requirement.value
+  })
+  if (record.document.host_endpoint_id) {
+    return activationResult(mock, record, 'AlreadyActivated', 'Shared endpoints don\'t need to be activated')
+  }
+
+  const type = values['delegate_proxy.proxy_chain'] ? 'delegate_proxy' : 'myproxy'
+  activationRequirements(mock, record).DATA.forEach(function(requirement) {
+    if (requirement.type === type && requirement.required && !values[type + '.' + requirement.name]) {
+      throw badRequest('Missing value for the activation requirement "' + requirement.name + '"')
+    }
+  })
+
+  if (type === 'delegate_proxy') {
+    record.expires_at = verifyProxyChain(mock, record, values['delegate_proxy.proxy_chain'])
+    return activationResult(mock, record, 'Activated.DelegateProxy', 'Endpoint activated successfully using a delegated proxy')
+  }
+
+  if (record.myproxy && (values['myproxy.username'] !== record.myproxy.username || values['myproxy.passphrase'] !== record.myproxy.passphrase)) {
+    throw badRequest('MyProxy authentication failed: invalid username or passphrase')
+  }
+  const hours = Number(values['myproxy.lifetime_in_hours'] || defaultActivationHours)
+  record.expires_at = mock.now() + hours * 3600 * 1000
+  return activationResult(mock, record, 'Activated.MyProxyCredential', 'Endpoint activated successfully using a credential fetched from a MyProxy server')
+}
+
+/**
+ * verifyProxyChain - Checks that the first certificate of a proxy chain is a proxy
+ * certificate for the public key of the endpoint, issued by the second certificate. The
+ * user certificate itself isn't checked against any CA.
+ *
+ * @return {number}  the time the proxy certificate expires at
+ */
+function verifyProxyChain(mock, record, proxyChain) {
+  const chain = (String(proxyChain).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || []).map(function(pem) {
+    try {
+      return new crypto.X509Certificate(pem)
+    } catch (err) {
+      throw badRequest('Invalid certificate in proxy_chain: ' + err.message)
+    }
+  })
+
+  if (chain.length < 2) {
+    throw badRequest('proxy_chain must be a PEM encoded proxy certificate followed by the certificate that issued it')
+  }
+
+  const proxy = chain[0]
+  const issuer = chain[1]
+  const spki = { type: 'spki', format: 'der' }
+  if (!record.keys || !proxy.publicKey.export(spki).equals(record.keys.publicKey.export(spki))) {
+    throw badRequest('The proxy certificate is not issued for the public_key of the endpoint')
+  }
+  if (!proxy.checkIssued(issuer) || !proxy.verify(issuer.publicKey) || proxy.subject.indexOf(issuer.subject + '\n') !== 0) {
+    throw badRequest('The proxy certificate is not a proxy of the certificate following it')
+  }
+
+  const expires_at = Date.parse(proxy.validTo)
+  if (Date.parse(proxy.validFrom) > mock.now() || expires_at <= mock.now()) {
+    throw badRequest('The proxy certificate is not valid at this time')
+  }
+  return expires_at
+}
+
+function deactivate(mock, req) {
+  const record = findEndpoint(mock, req.params.endpoint_xid)
+
+  if (!isActivated(mock, record)) {
+    return result('result', 'NotActivated', 'Endpoint is not activated')
+  }
+  record.expires_at = 0
+  return result('result', 'Deactivated', 'Endpoint deactivated successfully')
+}
+
+// https://docs.globus.org/api/transfer/endpoint_roles/
+
+function roleList(mock, req) {
+  findEndpoint(mock, req.params.endpoint_xid)
+  return { DATA_TYPE: 'role_list', DATA: Array.from(mock.roles.get(req.params.endpoint_xid).values()) }
+}
+
+function findRole(mock, req) {
+  findEndpoint(mock, req.params.endpoint_xid)
+  const role = mock.roles.get(req.params.endpoint_xid).get(req.params.role_id)
+
+  if (!role) {
+    throw new MockError(404, 'RoleNotFound', 'No role with id ' + req.params.role_id)
+  }
+  return role
+}
+
+function getRole(mock, req) {
+  return findRole(mock, req)
+}
+
+function createRole(mock, req) {
+  const record = ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const roles = mock.roles.get(record.document.id)
+  const body = req.body || {}
+
+  if (roleNames.indexOf(body.role) === -1) {
+    throw badRequest('Invalid role "' + body.role + '"')
+  }
+  if (['identity', 'group'].indexOf(body.principal_type) === -1 || !body.principal) {
+    throw badRequest('A role needs an identity or group principal')
+  }
+  roles.forEach(function(role) {
+    if (role.principal_type === body.principal_type && role.principal === body.principal && role.role === body.role) {
+      throw new MockError(409, 'Exists', 'The principal already has this role')
+    }
+  })
+
+  const role = {
+    DATA_TYPE: 'role',
+    id: String(mock.nextId()),
+    principal_type: body.principal_type,
+    principal: body.principal,
+    role: body.role
+  }
+  roles.set(role.id, role)
+  return role
+}
+
+function deleteRole(mock, req) {
+  ownEndpoint(mock, req.params.endpoint_xid, req.identity)
+  const role = findRole(mock, req)
+
+  mock.roles.get(req.params.endpoint_xid).delete(role.id)
+  return result('result', 'Deleted', 'Role deleted successfully')
+}
+
+// https://docs.globus.org/api/transfer/endpoint_bookmarks/
+
+function ownBookmarks(mock, identity) {
+  return Array.from(mock.bookmarks.values()).filter(function(bookmark) {
+    return bookmark.owner_id === identity.id
+  })
+}
+
+function findBookmark(mock, req) {
+  const bookmark = mock.bookmarks.get(req.params.bookmark_id)
+
+  if (!bookmark || bookmark.owner_id !== req.identity.id) {
+    throw new MockError(404, 'BookmarkNotFound', 'No bookmark with id "' + req.params.bookmark_id + '"')
+  }
+  return bookmark
+}
+
+function bookmarkDocument(bookmark) {
+  return {
+    DATA_TYPE: 'bookmark',
+    id: bookmark.id,
+    name: bookmark.name,
+    endpoint_id: bookmark.endpoint_id,
+    path: bookmark.path,
+    pinned: bookmark.pinned
+  }
+}
+
+function checkBookmarkName(mock, identity, name, id) {
+  if (!name) {
+    throw badRequest('name is required')
+  }
+  ownBookmarks(mock, identity).forEach(function(bookmark) {
+    if (bookmark.name === name && bookmark.id !== id) {
+      throw new MockError(409, 'Exists', 'A bookmark named "' + name + '" already exists')
+    }
+  })
+}
+
+function bookmarkList(mock, req) {
+  return { DATA_TYPE: 'bookmark_list', DATA: ownBookmarks(mock, req.identity).map(bookmarkDocument) }
+}
+
+function getBookmark(mock, req) {
+  return bookmarkDocument(findBookmark(mock, req))
+}
+
+function createBookmark(mock, req) {
+  const body = req.body || {}
+
+  checkBookmarkName(mock, req.identity, body.name)
+  findEndpoint(mock, body.endpoint_id)
+  if (!/^\/.*\/$/.test(body.path || '')) {
+    throw badRequest('The path of a bookmark must be absolute and end with a slash')
+  }
+
+  const bookmark = {
+    id: crypto.randomUUID(),
+    owner_id: req.identity.id,
+    name: body.name,
+    endpoint_id: body.endpoint_id,
+    path: body.path,
+    pinned: body.pinned === true
+  }
+  mock.bookmarks.set(bookmark.id, bookmark)
+  return bookmarkDocument(bookmark)
+}
+
+function updateBookmark(mock, req) {
+  const bookmark = findBookmark(mock, req)
+  const body = req.body || {}
+
+  if (body.name !== undefined) {
+    checkBookmarkName(mock, req.identity, body.name, bookmark.id)
+    bookmark.name = body.name
+  }
+  if (body.pinned !== undefined) {
+    bookmark.pinned = body.pinned === true
+  }
+  return bookmarkDocument(bookmark)
+}
+
+function deleteBookmark(mock, req) {
+  const bookmark = findBookmark(mock, req)
+
+  mock.bookmarks.delete(bookmark.id)
+  return result('result', 'Deleted', 'Bookmark deleted successfully')
+}
+
+// https://docs.globus.org/api/transfer/endpoint_search/
+
+/**
+ * inScope - Whether an endpoint is part of a search scope, for an identity.
+ */
+function inScope(mock, record, scope, identity) {
+  const endpoint = record.document
+  const mine = endpoint.owner_id === identity.id
+
+  switch (scope) {
+    case 'my-endpoints':
+    case 'recently-used':
+    case 'in-use':
+      return mine
+    case 'my-gcp-endpoints':
+      return mine && endpoint.is_globus_connect
+    case 'shared-by-me':
+      return mine && Boolean(endpoint.host_endpoint_id)
+    case 'shared-with-me':
+      return !mine && Array.from(mock.accessRules.get(endpoint.id).values()).some(function(rule) {
+        return rule.principal_type === 'identity' && rule.principal === identity.id
+      })
+    case 'administered-by-me':
+      return mine || Array.from(mock.roles.get(endpoint.id).values()).some(function(role) {
+        return role.principal === identity.id && role.role === 'administrator'
+      })
+    default:
+      return mine || endpoint.public || inScope(mock, record, 'shared-with-me', identity)
+  }
+}
+
+function searchEndpoints(mock, req) {
+  const query = req.query
+  const scope = query.filter_scope || 'all'
+  const limit = Number(query.limit || 25)
+  const offset = Number(query.offset || 0)
+  const words = (query.filter_fulltext || '').toLowerCase().split(/\s+/).filter(Boolean)
+  const fields = query.fields ? query.fields.split(',') : null
+
+  if (searchScopes.indexOf(scope) === -1) {
+    throw badRequest('Invalid filter_scope "' + scope + '"')
+  }
+  if (limit > 100 || offset + limit > 1000) {
+    throw badRequest('limit can\'t exceed 100, and offset + limit can\'t exceed 1000')
+  }
+
+  const found = []
+  mock.endpoints.forEach(function(record) {
+    const endpoint = record.document
+    const text = [endpoint.display_name, endpoint.canonical_name, endpoint.description, endpoint.organization, endpoint.owner_string, endpoint.keywords]
+      .join(' ').toLowerCase()
+
+    if (inScope(mock, record, scope, req.identity) &&
+      words.every(function(word) { return text.indexOf(word) !== -1 }) &&
+      (!query.filter_owner_id || endpoint.owner_id === query.filter_owner_id) &&
+      (!query.filter_host_endpoint || endpoint.host_endpoint_id === query.filter_host_endpoint) &&
+      (query.filter_non_functional === undefined || String(Boolean(endpoint.host_endpoint_id && !mock.endpoints.get(endpoint.host_endpoint_id))) === query.filter_non_functional)) {
+      found.push(describe(mock, record))
+    }
+  })
+
+  const DATA = found.slice(offset, offset + limit).map(function(endpoint) {
+    if (!fields) {
+      return endpoint
+    }
+    const selected = { DATA_TYPE: 'endpoint' }
+    fields.forEach(function(field) { selected[field] = endpoint[field] })
+    return selected
+  })
+  return {
+    DATA_TYPE: 'endpoint_list',
+    offset: offset,
+    limit: limit,
+    has_next_page: offset + limit < Math.min(found.length, 1000),
+    DATA: DATA
+  }
+}
+
+// https://docs.globus.org/api/transfer/file_operations/
+
+/**
+ * fileFilter - A predicate on file documents for the filter parameter of ls, e.g.
+ * "type:file/name:~*.txt". Each filter is a field, then values separated by commas,
+ * which may be prefixed by ~ (glob), ! (not), !~, or <, >, <=, >= for size and last_modified.
+ */
+function fileFilter(filter) {
+  const tests = (filter || '').split('/').filter(Boolean).map(function(part) {
+    const colon = part.indexOf(':')
+    const field = part.slice(0, colon)
+    const values = part.slice(colon + 1).split(',')
+
+    return function(file) {
+      return values.some(function(spec) {
+        const match = /^(!~|!|~|<=|>=|<|>|=)?(.*)$/.exec(spec)
+        const op = match[1] || '='
+        const value = match[2]
+        const actual = file[field]
+        const number = field === 'size' ? Number(value) : Date.parse(value.replace(' ', 'T'))
+        const compared = field === 'size' ? actual : Date.parse(String(actual).replace(' ', 'T'))
+
+        switch (op) {
+          case '~': return globMatcher(value).test(actual)
+          case '!~': return !globMatcher(value).test(actual)
+          case '!': return String(actual) !== value
+          case '<': return compared < number
+          case '>': return compared > number
+          case '<=': return compared <= number
+          case '>=': return compared >= number
+          default: return String(actual) === value
+        }
+      })
+    }
+  })
+
+  return function(file) {
+    return tests.every(function(test) { return test(file) })
+  }
+}
+
+/**
+ * fileOrder - A comparator of file documents for the orderby parameter of ls, e.g.
+ * "type ASC, name DESC".
+ */
+function fileOrder(orderby) {
+  const keys = (orderby || 'name ASC').split(',').map(function(key) {
+    const parts = key.trim().split(/\s+/)
+    return { field: parts[0], sign: /^desc$/i.test(parts[1] || '') ? -1 : 1 }
+  })
+
+  return function(a, b) {
+    for (const key of keys) {
+      if (a[key.field] < b[key.field]) {
+        return -key.sign
+      }
+      if (a[key.field] > b[key.field]) {
+        return key.sign
+      }
+    }
+    return 0
+  }
+}
+
+function ls(mock, req) {
+  const fs = activatedFileSystem(mock, req.params.endpoint_xid)
+  const path = req.query.path || '/~/'
+  const showHidden = req.query.show_hidden === undefined || /^(true|1)$/i.test(req.query.show_hidden)
+  const files = fs.list(path).map(function(child) {
+    return fs.fileDocument(normalize(path) + '/' + child.name)
+  }).filter(function(file) {
+    return showHidden || file.name[0] !== '.'
+  }).filter(fileFilter(req.query.filter)).sort(fileOrder(req.query.orderby))
+
+  return page('file_list', files, req.query, 100000, {
+    endpoint: req.params.endpoint_xid,
+    path: path.replace(/\/?$/, '/'),
+    absolute_path: normalize(path).replace(/\/?$/, '/'),
+    rename_supported: true,
+    symlink_supported: true
+  })
+}
+
+function mkdir(mock, req) {
+  const fs = activatedFileSystem(mock, req.params.endpoint_xid)
+
+  fs.mkdir(req.body.path)
+  return result('mkdir_result', 'DirectoryCreated', 'The directory was created successfully')
+}
+
+function rename(mock, req) {
+  const fs = activatedFileSystem(mock, req.params.endpoint_xid)
+
+  fs.rename(req.body.old_path, req.body.new_path)
+  return result('result', 'FileRenamed', 'File or directory renamed successfully')
+}
+
+function symlink(mock, req) {
+  const fs = activatedFileSystem(mock, req.params.endpoint_xid)
+
+  fs.symlink(req.body.path, req.body.symlink_target)
+  return result('result', 'SymlinkCreated', 'Symlink created successfully')
+}
+
+// https://docs.globus.org/api/transfer/task_submit/
+
+function submissionId() {
+  return { DATA_TYPE: 'submission_id', value: crypto.randomUUID() }
+}
+
+/**
+ * submitTask - Creates a task from a transfer or delete document, or returns the task of
+ * an earlier submission with the same submission_id.
+ */
+function submitTask(mock, req, type) {
+  const body = req.body || {}
+  const resource = '/' + type.toLowerCase()
+
+  if (!body.submission_id) {
+    throw badRequest('submission_id is required')
+  }
+  if (mock.submissions.has(body.submission_id)) {
+    return result(type.toLowerCase() + '_result', 'Duplicate', 'A task with the same submission id was already submitted', {
+      task_id: mock.submissions.get(body.submission_id),
+      submission_id: body.submission_id,
+      resource: resource
+    })
+  }
+  if (!Array.isArray(body.DATA) || body.DATA.length === 0) {
+    throw badRequest('DATA must list at least one item')
+  }
+
+  const endpoints = type === 'TRANSFER' ? [body.source_endpoint, body.destination_endpoint] : [body.endpoint]
+  const records = endpoints.map(function(endpoint_xid) { return findEndpoint(mock, endpoint_xid) })
+  const task_id = crypto.randomUUID()
+  const task = {
+    document: {
+      DATA_TYPE: 'task',
+      task_id: task_id,
+      type: type,
+      status: 'ACTIVE',
+      nice_status: 'Queued',
+      nice_status_short_description: 'Queued',
+      label: body.label || null,
+      owner_id: req.identity.id,
+      username: req.identity.username,
+      request_time: formatTime(mock.now()),
+      completion_time: null,
+      deadline: body.deadline ? formatTime(Date.parse(body.deadline)) : formatTime(mock.now() + 24 * 3600 * 1000),
+      source_endpoint_id: records[0].document.id,
+      source_endpoint_display_name: records[0].document.display_name,
+      destination_endpoint_id: type === 'TRANSFER' ? records[1].document.id : null,
+      destination_endpoint_display_name: type === 'TRANSFER' ? records[1].document.display_name : null,
+      sync_level: body.sync_level !== undefined ? body.sync_level : null,
+      verify_checksum: body.verify_checksum === true,
+      encrypt_data: body.encrypt_data === true,
+      preserve_timestamp: body.preserve_timestamp === true,
+      delete_destination_extra: body.delete_destination_extra === true,
+      recursive_symlinks: body.recursive_symlinks || 'ignore',
+      files: 0,
+      directories: 0,
+      symlinks: 0,
+      files_skipped: 0,
+      files_transferred: 0,
+      subtasks_total: body.DATA.length,
+      subtasks_pending: body.DATA.length,
+      subtasks_retrying: 0,
+      subtasks_succeeded: 0,
+      subtasks_expired: 0,
+      subtasks_canceled: 0,
+      subtasks_failed: 0,
+      bytes_transferred: 0,
+      bytes_checksummed: 0,
+      effective_bytes_per_second: 0,
+      faults: 0,
+      is_paused: false,
+      fatal_error: null,
+      canceled_by_admin: null,
+      canceled_by_admin_message: null,
+      history_deleted: false
+    },
+    request: body,
+    events: [],
+    transfers: []
+  }
+
+  mock.tasks.set(task_id, task)
+  mock.submissions.set(body.submission_id, task_id)
+  addEvent(mock, task, 'STARTED', 'started', false)
+  if (mock.autoComplete) {
+    runTask(mock, task)
+  }
+
+  return result(type.toLowerCase() + '_result', 'Accepted', 'The ' + type.toLowerCase() + ' has been accepted and a task has been created and queued for execution', {
+    task_id: task_id,
+    submission_id: body.submission_id,
+    task_link: { DATA_TYPE: 'link', rel: 'related', resource: 'task', href: 'task/' + task_id + '?format=json', title: 'related task' },
+    resource: resource
+  })
+}
+
+function addEvent(mock, task, code, description, is_error, details) {
+  task.events.unshift({
+    DATA_TYPE: 'event',
+    code: code,
+    description: description,
+    details: details || '',
+    is_error: is_error,
+    time: formatTime(mock.now())
+  })
+}
+
+/**
+ * TaskFault - A fault ending a task, such as a missing source file.
+ */
+class TaskFault extends Error {
+  constructor(code, message) {
+    super(message)
+    this.code = code
+  }
+}
+
+/**
+ * runTask - Executes an ACTIVE task against the trees of its endpoints. A task whose
+ * endpoints aren't activated becomes INACTIVE instead, and runs once they are.
+ *
+ * @param  {MockServer} mock
+ * @param  {Object} task
+ * @return {Object}           the task document
+ */
+function runTask(mock, task) {
+  const document = task.document
+  const endpoints = [document.source_endpoint_id, document.destination_endpoint_id].filter(Boolean)
+
+  if (['ACTIVE', 'INACTIVE'].indexOf(document.status) === -1) {
+    return document
+  }
+  for (const endpoint_xid of endpoints) {
+    const record = mock.endpoints.get(endpoint_xid)
+    if (!record) {
+      return failTask(mock, task, 'The endpoint "' + endpoint_xid + '" was deleted', 'ENDPOINT_NOT_FOUND')
+    }
+    if (!isActivated(mock, record)) {
+      document.status = 'INACTIVE'
+      document.nice_status = 'CREDENTIAL_EXPIRED'
+      document.nice_status_short_description = 'Credential expired'
+      addEvent(mock, task, 'CREDENTIAL_EXPIRED', 'Endpoint "' + endpoint_xid + '" is not activated', true)
+      return document
+    }
+  }
+
+  try {
+    if (document.type === 'TRANSFER') {
+      runTransfer(mock, task)
+    } else {
+      runDelete(mock, task)
+    }
+  } catch (err) {
+    if (!(err instanceof TaskFault) && !(err instanceof MockError)) {
+      throw err
+    }
+    return failTask(mock, task, err.message, err.code)
+  }
+
+  document.status = 'SUCCEEDED'
+  document.nice_status = null
+  document.nice_status_short_description = null
+  document.subtasks_succeeded = document.subtasks_total
+  document.subtasks_pending = 0
+  document.completion_time = formatTime(mock.now())
+  addEvent(mock, task, 'SUCCEEDED', 'succeeded', false)
+  return document
+}
+
+/**
+ * failTask - Ends a task with status FAILED.
+ */
+function failTask(mock, task, message, code) {
+  const document = task.document
+
+  if (['ACTIVE', 'INACTIVE'].indexOf(document.status) === -1) {
+    return document
+  }
+  document.status = 'FAILED'
+  document.nice_status = null
+  document.faults += 1
+  document.subtasks_failed = document.subtasks_pending
+  document.subtasks_pending = 0
+  document.fatal_error = { code: code || 'FAILED', description: message }
+  document.completion_time = formatTime(mock.now())
+  addEvent(mock, task, code || 'FAILED', message, true)
+  return document
+}
+
+/**
+ * skipFile - Whether the sync_level of a transfer lets it skip a file: 0 if the
+ * destination exists, 1 if it has the same size, 2 if it is as recent as the source,
+ * 3 if the checksums match, which the mock approximates by size and time.
+ */
+function skipFile(level, source, destination) {
+  if (level === null || level === undefined || !destination || destination.type !== 'file') {
+    return false
+  }
+  switch (Number(level)) {
+    case 0: return true
+    case 1: return destination.size === source.size
+    case 2: return destination.last_modified >= source.last_modified
+    default: return destination.size === source.size && destination.last_modified === source.last_modified
+  }
+}
+
+/**
+ * filtered - Whether the filter_rules of a transfer exclude an entry. The first rule
+ * matching the name and type of the entry decides.
+ */
+function filtered(rules, name, type) {
+  for (const rule of rules || []) {
+    if ((!rule.type || rule.type === type) && globMatcher(rule.name).test(name)) {
+      return rule.method === 'exclude'
+    }
+  }
+  return false
+}
+
+function runTransfer(mock, task) {
+  const document = task.document
+  const request = task.request
+  const source = mock.filesystems.get(document.source_endpoint_id)
+  const destination = mock.filesystems.get(document.destination_endpoint_id)
+
+  function copyFile(sourcePath, destinationPath, entry) {
+    if (skipFile(request.sync_level, entry, destination.resolve(destinationPath))) {
+      document.files_skipped += 1
+      return
+    }
+    destination.writeFile(destinationPath, {
+      size: entry.size,
+      last_modified: request.preserve_timestamp ? entry.last_modified : mock.now()
+    })
+    document.files_transferred += 1
+    document.bytes_transferred += entry.size
+    task.transfers.push({ DATA_TYPE: 'successful_transfer', source_path: sourcePath, destination_path: destinationPath })
+  }
+
+  request.DATA.forEach(function(item) {
+    if (item.DATA_TYPE === 'transfer_symlink_item') {
+      const link = source.get(item.source_path)
+      if (!link || link.type !== 'link') {
+        throw new TaskFault('FILE_NOT_FOUND', 'Symlink "' + item.source_path + '" not found')
+      }
+      destination.remove(item.destination_path, true)
+      destination.symlink(item.destination_path, link.link_target)
+      document.symlinks += 1
+      return
+    }
+
+    const entry = source.resolve(item.source_path)
+    if (!entry) {
+      if (request.skip_source_errors) {
+        document.files_skipped += 1
+        addEvent(mock, task, 'FILE_NOT_FOUND', 'Source "' + item.source_path + '" not found, skipped', true)
+        document.faults += 1
+        return
+      }
+      throw new TaskFault('FILE_NOT_FOUND', 'Source "' + item.source_path + '" not found')
+    }
+
+    document.files += entry.type === 'file' ? 1 : 0
+    if (entry.type === 'file') {
+      copyFile(item.source_path, item.destination_path, entry)
+      return
+    }
+    if (!item.recursive) {
+      throw new TaskFault('NOT_A_FILE', '"' + item.source_path + '" is a directory, and recursive is false')
+    }
+
+    const sourceRoot = normalize(item.source_path)
+    const destinationRoot = normalize(item.destination_path)
+    const copied = new Set()
+    const excluded = []
+
+    destination.mkdirp(destinationRoot)
+    document.directories += 1
+    source.walk(sourceRoot).forEach(function(found) {
+      const name = found.relative.replace(/^.*\//, '')
+      const type = found.entry.type === 'dir' ? 'dir' : 'file'
+      const sourcePath = sourceRoot + '/' + found.relative
+      const destinationPath = destinationRoot + '/' + found.relative
+
+      if (excluded.some(function(prefix) { return found.relative.indexOf(prefix + '/') === 0 }) ||
+        filtered(request.filter_rules, name, type)) {
+        if (type === 'dir') {
+          excluded.push(found.relative)
+        }
+        return
+      }
+      copied.add(found.relative)
+      if (found.entry.type === 'dir') {
+        destination.mkdirp(destinationPath)
+        document.directories += 1
+      } else if (found.entry.type === 'link') {
+        if (!destination.get(destinationPath)) {
+          destination.symlink(destinationPath, found.entry.link_target)
+        }
+        document.symlinks += 1
+      } else {
+        document.files += 1
+        copyFile(sourcePath, destinationPath, found.entry)
+      }
+    })
+
+    if (request.delete_destination_extra) {
+      destination.walk(destinationRoot).reverse().forEach(function(found) {
+        if (!copied.has(found.relative) && destination.get(destinationRoot + '/' + found.relative)) {
+          destination.remove(destinationRoot + '/' + found.relative, true)
+        }
+      })
+    }
+  })
+}
+
+function runDelete(mock, task) {
+  const document = task.document
+  const request = task.request
+  const fs = mock.filesystems.get(document.source_endpoint_id)
+
+  request.DATA.forEach(function(item) {
+    const path = normalize(item.path)
+    let paths = [path]
+
+    if (request.interpret_globs && /[*?[]/.test(filesystem.basename(path))) {
+      const matcher = globMatcher(filesystem.basename(path))
+      const dir = filesystem.parent(path)
+      paths = fs.get(dir) ? fs.list(dir).filter(function(child) {
+        return matcher.test(child.name)
+      }).map(function(child) {
+        return (dir === '/' ? '' : dir) + '/' + child.name
+      }) : []
+    }
+
+    if (paths.length === 0 || !fs.get(paths[0])) {
+      if (request.ignore_missing) {
+        return
+      }
+      throw new TaskFault('FILE_NOT_FOUND', 'Path "' + item.path + '" not found')
+    }
+    paths.forEach(function(found) {
+      const entry = fs.get(found)
+      if (entry.type === 'dir' && !request.recursive) {
+        throw new TaskFault('DIRECTORY_NOT_EMPTY', '"' + found + '" is a directory, and recursive is false')
+      }
+      document[entry.type === 'dir' ? 'directories' : 'files'] += 1
+      fs.remove(found, true)
+    })
+  })
+}
+
+// https://docs.globus.org/api/transfer/task/
+
+function findTask(mock, req) {
+  const task = mock.tasks.get(req.params.task_id)
+
+  if (!task || task.document.owner_id !== req.identity.id) {
+    throw new MockError(404, 'TaskNotFound', 'Task "' + req.params.task_id + '" not found')
+  }
+  return task
+}
+
+/**
+ * taskFilter - A predicate on task documents for the filter parameter of task_list,
+ * e.g. "status:ACTIVE,INACTIVE/type:TRANSFER".
+ */
+function taskFilter(filter) {
+  const tests = (filter || '').split('/').filter(Boolean).map(function(part) {
+    const colon = part.indexOf(':')
+    const field = part.slice(0, colon)
+    const values = part.slice(colon + 1).split(',')
+
+    if (field === 'request_time') {
+      const from = values[0] ? Date.parse(values[0]) : -Infinity
+      const to = values[1] ? Date.parse(values[1]) : Infinity
+      return function(task) {
+        const time = Date.parse(task.request_time.replace(' ', 'T'))
+        return time >= from && time <= to
+      }
+    }
+    return function(task) {
+      return values.indexOf(String(task[field])) !== -1
+    }
+  })
+
+  return function(task) {
+    return tests.every(function(test) { return test(task) })
+  }
+}
+
+function taskList(mock, req) {
+  const tasks = Array.from(mock.tasks.values()).map(function(task) {
+    return task.document
+  }).filter(function(task) {
+    return task.owner_id === req.identity.id
+  }).filter(taskFilter(req.query.filter)).reverse()
+
+  if (req.query.orderby) {
+    tasks.sort(fileOrder(req.query.orderby))
+  }
+  if (Number(req.query.limit) > 1000) {
+    throw badRequest('limit can\'t exceed 1000')
+  }
+  return page('task_list', tasks, req.query, 10)
+}
+
+function getTask(mock, req) {
+  return findTask(mock, req).document
+}
+
+function updateTask(mock, req) {
+  const task = findTask(mock, req)
+  const body = req.body || {}
+
+  if (['ACTIVE', 'INACTIVE'].indexOf(task.document.status) === -1) {
+    throw new MockError(409, 'Conflict', 'The task is complete and can\'t be updated')
+  }
+  if (body.label !== undefined) {
+    task.document.label = body.label
+  }
+  if (body.deadline !== undefined) {
+    task.document.deadline = formatTime(Date.parse(body.deadline))
+  }
+  return result('result', 'Updated', 'Updated task ' + task.document.task_id)
+}
+
+function cancelTask(mock, req) {
+  const task = findTask(mock, req)
+
+  if (['ACTIVE', 'INACTIVE'].indexOf(task.document.status) === -1) {
+    return result('result', 'TaskComplete', 'The task completed before the cancel request was processed', { resource: '/task/' + task.document.task_id + '/cancel' })
+  }
+  failTask(mock, task, 'The task was canceled by the user', 'CANCELED')
+  task.document.subtasks_canceled = task.document.subtasks_failed
+  task.document.subtasks_failed = 0
+  return result('result', 'Canceled', 'The task has been cancelled successfully', { resource: '/task/' + task.document.task_id + '/cancel' })
+}
+
+function eventList(mock, req) {
+  const task = findTask(mock, req)
+  const events = task.events.filter(function(event) {
+    return req.query.filter !== 'is_error:1' || event.is_error
+  })
+
+  if (Number(req.query.limit) > 1000) {
+    throw badRequest('limit can\'t exceed 1000')
+  }
+  return page('event_list', events, req.query, 10)
+}
+
+function successfulTransfers(mock, req) {
+  const task = findTask(mock, req)
+  const marker = Number(req.query.marker || 0)
+  const end = marker + mock.pageSize
+
+  if (task.document.type !== 'TRANSFER') {
+    throw badRequest('Only transfer tasks have successful transfers')
+  }
+  return {
+    DATA_TYPE: 'successful_transfers',
+    marker: marker,
+    next_marker: end < task.transfers.length ? end : null,
+    DATA: task.transfers.slice(marker, end)
+  }
+}
+
+function pauseInfo(mock, req) {
+  const task = findTask(mock, req)
+  const rules = [task.document.source_endpoint_id, task.document.destination_endpoint_id].filter(Boolean).map(function(endpoint_xid) {
+    const record = mock.endpoints.get(endpoint_xid)
+    return record ? record.pause_rules : []
+  })
+
+  return {
+    DATA_TYPE: 'pause_info_limited',
+    pause_rules: [].concat.apply([], rules),
+    source_pause_message: null,
+    source_pause_message_share: null,
+    destination_pause_message: null,
+    destination_pause_message_share: null
+  }
+}
+
+const routes = [
+  ['GET', '/endpoint_search', searchEndpoints],
+  ['POST', '/endpoint', createEndpoint],
+  ['GET', '/endpoint/:endpoint_xid', getEndpoint],
+  ['PUT', '/endpoint/:endpoint_xid', updateEndpoint],
+  ['DELETE', '/endpoint/:endpoint_xid', deleteEndpoint],
+  ['POST', '/shared_endpoint', createSharedEndpoint],
+  ['GET', '/endpoint/:endpoint_xid/my_shared_endpoint_list', sharedEndpointList],
+  ['GET', '/endpoint/:endpoint_xid/my_effective_pause_rule_list', effectivePauseRules],
+  ['GET', '/endpoint/:endpoint_xid/server_list', serverList],
+  ['POST', '/endpoint/:endpoint_xid/server', addServer],
+  ['GET', '/endpoint/:endpoint_xid/server/:server_id', getServer],
+  ['PUT', '/endpoint/:endpoint_xid/server/:server_id', updateServer],
+  ['DELETE', '/endpoint/:endpoint_xid/server/:server_id', deleteServer],
+  ['GET', '/endpoint/:endpoint_xid/access_list', accessList],
+  ['POST', '/endpoint/:endpoint_xid/access', createAccess],
+  ['GET', '/endpoint/:endpoint_xid/access/:id', getAccess],
+  ['PUT', '/endpoint/:endpoint_xid/access/:id', updateAccess],
+  ['DELETE', '/endpoint/:endpoint_xid/access/:id', deleteAccess],
+  ['GET', '/endpoint/:endpoint_xid/activation_requirements', getActivationRequirements],
+  ['POST', '/endpoint/:endpoint_xid/autoactivate', autoActivate],
+  ['POST', '/endpoint/:endpoint_xid/activate', activate],
+  ['POST', '/endpoint/:endpoint_xid/deactivate', deactivate],
+  ['GET', '/endpoint/:endpoint_xid/role_list', roleList],
+  ['POST', '/endpoint/:endpoint_xid/role', createRole],
+  ['GET', '/endpoint/:endpoint_xid/role/:role_id', getRole],
+  ['DELETE', '/endpoint/:endpoint_xid/role/:role_id', deleteRole],
+  ['GET', '/bookmark_list', bookmarkList],
+  ['POST', '/bookmark', createBookmark],
+  ['GET', '/bookmark/:bookmark_id', getBookmark],
+  ['PUT', '/bookmark/:bookmark_id', updateBookmark],
+  ['DELETE', '/bookmark/:bookmark_id', deleteBookmark],
+  ['GET', '/operation/endpoint/:endpoint_xid/ls', ls],
+  ['POST', '/operation/endpoint/:endpoint_xid/mkdir', mkdir],
+  ['POST', '/operation/endpoint/:endpoint_xid/rename', rename],
+  ['POST', '/operation/endpoint/:endpoint_xid/symlink', symlink],
+  ['GET', '/submission_id', submissionId],
+  ['POST', '/transfer', function(mock, req) { return submitTask(mock, req, 'TRANSFER') }],
+  ['POST', '/delete', function(mock, req) { return submitTask(mock, req, 'DELETE') }],
+  ['GET', '/task_list', taskList],
+  ['GET', '/task/:task_id', getTask],
+  ['PUT', '/task/:task_id', updateTask],
+  ['POST', '/task/:task_id/cancel', cancelTask],
+  ['GET', '/task/:task_id/event_list', eventList],
+  ['GET', '/task/:task_id/successful_transfers', successfulTransfers],
+  ['GET', '/task/:task_id/pause_info', pauseInfo]
+]
+
+module.exports = {
+  routes: routes,
+  endpointDocument: endpointDocument,
+  registerEndpoint: registerEndpoint,
+  runTask: runTask,
+  failTask: failTask
+}
@@ -0,0 +1,314 @@
+const crypto = require('crypto')
+const querystring = require('querystring')
+const request = require('request-promise-native')
+const errors = require('./errors')
+
+// https://docs.globus.org/api/auth/reference/#oauth2_endpoints
+
+const oauth2BaseURL = 'https://auth.globus.org/v2/oauth2'
+
+const scopes = {
+  transfer: 'urn:globus:auth:scope:transfer.api.globus.org:all',
+  auth: 'openid profile email urn:globus:auth:scope:auth.globus.org:view_identities'
+}
+
+/**
+ * send - Posts a form to an OAuth2 endpoint. Confidential clients authenticate with
+ * their secret, public clients only send their client_id.
+ *
+ * @param  {string} path     path under the OAuth2 base URL
+ * @param  {Object} options  client_id, client_secret and oauth2BaseURL
+ * @param  {Object} form     parameters of the request
+ * @return {promise}         containing the body of the response
+ */
+function send(path, options, form) {
+  const requestOptions = {
+    method: 'POST',
+    form: form,
+    json: true,
+    timeout: options.timeout,
+    proxy: options.proxy
+  }
+
+  if (options.client_secret) {
+    requestOptions.auth = { user: options.client_id, pass: options.client_secret }
+  } else {
+    form.client_id = options.client_id
+  }
+
+  return request((options.oauth2BaseURL || oauth2BaseURL) + path, requestOptions).catch(function(err) {
+    if (err.name === 'StatusCodeError') {
+      throw errors.GlobusAPIError.fromResponse(err.response)
+    }
+    throw err
+  })
+}
+
+/**
+ * createPKCE - Create a code verifier and its challenge, for the authorization code
+ * flow of clients that can't keep a secret (RFC 7636).
+ *
+ * @return {Object}  `{ code_verifier, code_challenge, code_challenge_method }`
+ */
+function createPKCE() {
+  const verifier = base64url(crypto.randomBytes(32))
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest())
+
+  return {
+    code_verifier: verifier,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  }
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * authorizeURL - URL of the page where the user logs in and grants access to the
+ * client. Globus Auth then redirects to redirect_uri with a code to give to exchangeCode(..).
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id       id of the client registered at developers.globus.org
+ * @param  {string} options.redirect_uri    where to redirect the user to, registered with the client
+ * @param  {string} options.scope           (**OPTIONAL**) space separated scopes to request. Default: the Transfer scope.
+ * @param  {string} options.state           (**OPTIONAL**) opaque value sent back with the redirect, to protect against CSRF.
+ * @param  {string} options.code_challenge  (**OPTIONAL**) challenge from createPKCE(..).
+ * @param  {string} options.code_challenge_method (**OPTIONAL**) Default: "S256" when code_challenge is given.
+ * @param  {boolean} options.offline        (**OPTIONAL**) Also request a refresh token.
+ * @param  {string} options.oauth2BaseURL   (**OPTIONAL**) Default: https://auth.globus.org/v2/oauth2
+ * @return {string}
+ */
+function authorizeURL(options) {
+  const query = {
+    client_id: options.client_id,
+    redirect_uri: options.redirect_uri,
+    scope: options.scope || scopes.transfer,
+    state: options.state,
+    response_type: 'code',
+    access_type: options.offline ? 'offline' : 'online'
+  }
+
+  if (options.code_challenge) {
+    query.code_challenge = options.code_challenge
+    query.code_challenge_method = options.code_challenge_method || 'S256'
+  }
+  if (query.state === undefined) {
+    delete query.state
+  }
+
+  return (options.oauth2BaseURL || oauth2BaseURL) + '/authorize?' + querystring.stringify(query)
+}
+
+/**
+ * exchangeCode - Exchange the code of the authorization redirect for tokens.
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id
+ * @param  {string} options.client_secret  (**OPTIONAL**) for confidential clients
+ * @param  {string} options.code           code given to the redirect_uri
+ * @param  {string} options.redirect_uri   same redirect_uri as given to authorizeURL(..)
+ * @param  {string} options.code_verifier  (**OPTIONAL**) verifier from createPKCE(..), for public clients
+ * @return {promise}                       containing the token response
+ */
+function exchangeCode(options) {
+  return send('/token', options, {
+    grant_type: 'authorization_code',
+    code: options.code,
+    redirect_uri: options.redirect_uri,
+    code_verifier: options.code_verifier
+  })
+}
+
+/**
+ * refreshToken - Get new access tokens with a refresh token.
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id
+ * @param  {string} options.client_secret  (**OPTIONAL**) for confidential clients
+ * @param  {string} options.refresh_token
+ * @return {promise}                       containing the token response
+ */
+function refreshToken(options) {
+  return send('/token', options, {
+    grant_type: 'refresh_token',
+    refresh_token: options.refresh_token
+  })
+}
+
+/**
+ * clientCredentials - Get access tokens for a confidential client acting as itself.
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id
+ * @param  {string} options.client_secret
+ * @param  {string} options.scope          (**OPTIONAL**) space separated scopes. Default: the Transfer scope.
+ * @return {promise}                       containing the token response
+ */
+function clientCredentials(options) {
+  return send('/token', options, {
+    grant_type: 'client_credentials',
+    scope: options.scope || scopes.transfer
+  })
+}
+
+/**
+ * introspectToken - Get whether a token is active, and who and what it was issued for.
+ * Only available to confidential clients.
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id
+ * @param  {string} options.client_secret
+ * @param  {string} options.token          the token to introspect
+ * @param  {string} options.include        (**OPTIONAL**) e.g. "identities_set"
+ * @return {promise}                       containing the introspection response
+ */
+function introspectToken(options) {
+  return send('/token/introspect', options, {
+    token: options.token,
+    include: options.include
+  })
+}
+
+/**
+ * revokeToken - Revoke an access or refresh token.
+ *
+ * @param  {Object} options
+ * @param  {string} options.client_id
+ * @param  {string} options.client_secret  (**OPTIONAL**) for confidential clients
+ * @param  {string} options.token          the token to revoke
+ * @return {promise}                       containing the body of the response
+ */
+function revokeToken(options) {
+  return send('/token/revoke', options, {
+    token: options.token
+  })
+}
+
+/**
+ * findToken - The token of a token response for a resource server. When several scopes
+ * were requested, the tokens of the other resource servers are under other_tokens.
+ *
+ * @param  {Object} response
+ * @param  {string} resourceServer  e.g. "transfer.api.globus.org"
+ * @return {Object|undefined}
+ */
+function findToken(response, resourceServer) {
+  return [response].concat(response.other_tokens || []).filter(function(token) {
+    return !resourceServer || !token.resource_server || token.resource_server === resourceServer
+  })[0]
+}
+
+/**
+ * Authorizer - Keeps an access token valid, renewing it shortly before it expires.
+ * Given to a GlobusClient as `authorizer`, it is asked for a token before each request.
+ * Subclasses implement renew().
+ */
+class Authorizer {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.access_token     (**OPTIONAL**) current access token
+   * @param  {number} options.expires_at       (**OPTIONAL**) when it expires, in milliseconds since the epoch
+   * @param  {string} options.resource_server  (**OPTIONAL**) resource server of the token to use. Default: "transfer.api.globus.org"
+   * @param  {number} options.minValidity      (**OPTIONAL**) renew tokens expiring within this many milliseconds. Default: 60000
+   * @param  {function} options.onRenew        (**OPTIONAL**) called with each token response, e.g. to store a rotated refresh token
+   * @param  {string} options.oauth2BaseURL    (**OPTIONAL**) Default: https://auth.globus.org/v2/oauth2
+   * @param  {function} options.now            (**OPTIONAL**) Replaces Date.now. Used for testing.
+   */
+  constructor(options) {
+    this.options = Object.assign({}, options)
+    this.access_token = options.access_token
+    this.expires_at = options.expires_at
+    this.resource_server = options.resource_server || 'transfer.api.globus.org'
+    this.minValidity = options.minValidity !== undefined ? options.minValidity : 60000
+    this.now = options.now || Date.now
+    this._pending = null
+  }
+
+  /**
+   * getToken - A valid access token, renewed first if it is missing or about to expire.
+   *
+   * @return {promise}  containing the access token
+   */
+  getToken() {
+    const expiring = this.expires_at !== undefined && this.expires_at - this.now() <= this.minValidity
+
+    if (this.access_token && !expiring) {
+      return Promise.resolve(this.access_token)
+    }
+    if (!this._pending) {
+      this._pending = this.renew().then(function(response) {
+        this._pending = null
+        this.update(response)
+        return this.access_token
+      }.bind(this), function(err) {
+        this._pending = null
+        throw err
+      }.bind(this))
+    }
+    return this._pending
+  }
+
+  /**
+   * update - Store the token of a token response.
+   *
+   * @param  {Object} response
+   */
+  update(response) {
+    const token = findToken(response, this.resource_server)
+    if (!token) {
+      throw new Error('The token response has no token for ' + this.resource_server)
+    }
+
+    this.access_token = token.access_token
+    this.expires_at = this.now() + token.expires_in * 1000
+    if (token.refresh_token) {
+      this.options.refresh_token = token.refresh_token
+    }
+    if (this.options.onRenew) {
+      this.options.onRenew(response)
+    }
+  }
+}
+
+/**
+ * RefreshTokenAuthorizer - Renews the access token with a refresh token, e.g. one
+ * obtained with exchangeCode(..) and `offline: true`. Takes the options of Authorizer
+ * along with client_id, client_secret (for confidential clients) and refresh_token.
+ *
+ * @example
+ * const client = new GlobusClient({
+ *   authorizer: new RefreshTokenAuthorizer({ client_id: CLIENT_ID, refresh_token: refresh_token })
+ * })
+ */
+class RefreshTokenAuthorizer extends Authorizer {
+  renew() {
+    return refreshToken(this.options)
+  }
+}
+
+/**
+ * ClientCredentialsAuthorizer - Gets a new access token with the credentials of a
+ * confidential client whenever the previous one expires. Takes the options of
+ * Authorizer along with client_id, client_secret and scope (default: the Transfer scope).
+ */
+class ClientCredentialsAuthorizer extends Authorizer {
+  renew() {
+    return clientCredentials(this.options)
+  }
+}
+
+module.exports = {
+  scopes: scopes,
+  createPKCE: createPKCE,
+  authorizeURL: authorizeURL,
+  exchangeCode: exchangeCode,
+  refreshToken: refreshToken,
+  clientCredentials: clientCredentials,
+  introspectToken: introspectToken,
+  revokeToken: revokeToken,
+  Authorizer: Authorizer,
+  RefreshTokenAuthorizer: RefreshTokenAuthorizer,
+  ClientCredentialsAuthorizer: ClientCredentialsAuthorizer
+}
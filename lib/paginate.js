@@ -0,0 +1,135 @@
+/**
+ * PageIterator - Iterates over the items of a paged list resource, fetching further
+ * pages as needed. Use it with `for await`, or collect the items with toArray(..).
+ *
+ * @example
+ * for await (const rule of client.iterAccessRules({ endpoint_xid: endpoint_xid })) {
+ *   console.log(rule.principal, rule.permissions)
+ * }
+ */
+class PageIterator {
+  /**
+   * @param  {function} pages  async generator function yielding the response of each page
+   */
+  constructor(pages) {
+    this._pages = pages
+  }
+
+  /**
+   * pages - Iterate over the raw responses of each page instead of their items.
+   *
+   * @return {AsyncIterator}
+   */
+  pages() {
+    return this._pages()
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      yield* pageItems(page)
+    }
+  }
+
+  /**
+   * toArray - Collect the items of all pages.
+   *
+   * @param  {Object} options
+   * @param  {number} options.max (**OPTIONAL**) Stop after this many items. Default: no limit.
+   * @return {promise}            containing the list of items
+   */
+  async toArray(options) {
+    const max = options && options.max !== undefined ? options.max : Infinity
+    const items = []
+
+    if (max <= 0) {
+      return items
+    }
+    for await (const item of this) {
+      items.push(item)
+      if (items.length >= max) {
+        break
+      }
+    }
+    return items
+  }
+}
+
+/**
+ * pageItems - The items of a page. Most lists have them under DATA, the shared
+ * endpoint list under shared_endpoints.
+ *
+ * @param  {Object} page
+ * @return {Object[]}
+ */
+function pageItems(page) {
+  return page.DATA || page.shared_endpoints || []
+}
+
+/**
+ * offsetPages - Pages of a list paged with offset and limit. A next page is only
+ * requested if the response says there is one, through has_next_page or total, so
+ * lists that aren't paged by the server are fetched once.
+ *
+ * @param  {function} fetch   fetches one page, given the options with offset and limit
+ * @param  {Object} options   options of the list, limit being the size of each page
+ * @return {PageIterator}
+ */
+function offsetPages(fetch, options) {
+  options = options || {}
+
+  return new PageIterator(async function*() {
+    let offset = options.offset || 0
+
+    while (true) {
+      const page = await fetch(Object.assign({}, options, { offset: offset }))
+      const count = pageItems(page).length
+
+      yield page
+
+      const hasNextPage = page.has_next_page !== undefined ?
+        page.has_next_page :
+        typeof page.total === 'number' && offset + count < page.total
+      if (!hasNextPage || count === 0) {
+        return
+      }
+      offset += count
+    }
+  })
+}
+
+/**
+ * markerPages - Pages of a list paged with markers: each response gives the marker of
+ * the next page, null on the last page.
+ *
+ * @param  {function} fetch   fetches one page, given the options with the marker
+ * @param  {Object} options   options of the list
+ * @param  {string} name      (**OPTIONAL**) name of the marker parameter, the field of the response being "next_" + name. Default: "marker"
+ * @return {PageIterator}
+ */
+function markerPages(fetch, options, name) {
+  options = options || {}
+  name = name || 'marker'
+
+  const field = name.indexOf('next_') === 0 ? name : 'next_' + name
+
+  return new PageIterator(async function*() {
+    let marker = options[name]
+
+    while (true) {
+      const page = await fetch(Object.assign({}, options, { [name]: marker }))
+
+      yield page
+
+      marker = page[field]
+      if (marker === null || marker === undefined) {
+        return
+      }
+    }
+  })
+}
+
+module.exports = {
+  PageIterator: PageIterator,
+  offsetPages: offsetPages,
+  markerPages: markerPages
+}
@@ -0,0 +1,328 @@
+const crypto = require('crypto')
+
+// https://tools.ietf.org/html/rfc3820
+//
+// Node's crypto reads certificates but can't create them, so the proxy certificate is
+// encoded here: a DER encoder of the few ASN.1 types a certificate is made of, and a
+// reader just good enough to copy the subject out of the issuing certificate.
+
+const oids = {
+  commonName: '2.5.4.3',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19',
+  proxyCertInfo: '1.3.6.1.5.5.7.1.14',
+  inheritAll: '1.3.6.1.5.5.7.21.1'
+}
+
+// Attribute types of the distinguished names given as strings, e.g. "/O=Grid/CN=Alice"
+const attributeTypes = {
+  C: '2.5.4.6',
+  ST: '2.5.4.8',
+  L: '2.5.4.7',
+  O: '2.5.4.10',
+  OU: '2.5.4.11',
+  CN: oids.commonName,
+  DC: '0.9.2342.19200300.100.1.25'
+}
+
+// Default lifetime of a proxy certificate, as grid-proxy-init's
+const defaultLifetimeInHours = 12
+
+// Proxy certificates are valid from a few minutes ago, in case the clock of the
+// endpoint is behind
+const clockSkew = 5 * 60 * 1000
+
+function der(tag, content) {
+  const length = content.length
+  let header
+
+  if (length < 0x80) {
+    header = Buffer.from([tag, length])
+  } else {
+    const bytes = []
+    for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+      bytes.unshift(rest % 256)
+    }
+    header = Buffer.from([tag, 0x80 | bytes.length].concat(bytes))
+  }
+  return Buffer.concat([header, content])
+}
+
+function sequence(items) {
+  return der(0x30, Buffer.concat(items))
+}
+
+function set(items) {
+  return der(0x31, Buffer.concat(items))
+}
+
+function integer(bytes) {
+  let start = 0
+  while (start < bytes.length - 1 && bytes[start] === 0 && bytes[start + 1] < 0x80) {
+    start++
+  }
+  bytes = bytes.slice(start)
+  return der(0x02, bytes[0] >= 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes)
+}
+
+function objectIdentifier(dotted) {
+  const parts = dotted.split('.').map(Number)
+  const bytes = [parts[0] * 40 + parts[1]]
+
+  parts.slice(2).forEach(function(part) {
+    const encoded = [part & 0x7f]
+    for (part = Math.floor(part / 128); part > 0; part = Math.floor(part / 128)) {
+      encoded.unshift(0x80 | (part & 0x7f))
+    }
+    bytes.push.apply(bytes, encoded)
+  })
+  return der(0x06, Buffer.from(bytes))
+}
+
+function bitString(bytes, unusedBits) {
+  return der(0x03, Buffer.concat([Buffer.from([unusedBits || 0]), bytes]))
+}
+
+function octetString(bytes) {
+  return der(0x04, bytes)
+}
+
+function boolean(value) {
+  return der(0x01, Buffer.from([value ? 0xff : 0]))
+}
+
+function utf8String(value) {
+  return der(0x0c, Buffer.from(value, 'utf8'))
+}
+
+function explicit(number, content) {
+  return der(0xa0 + number, content)
+}
+
+/**
+ * time - UTCTime until 2049, GeneralizedTime after, as RFC 5280 requires.
+ */
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z')
+  return date.getUTCFullYear() < 2050 ?
+    der(0x17, Buffer.from(iso.slice(2), 'ascii')) :
+    der(0x18, Buffer.from(iso, 'ascii'))
+}
+
+function extension(id, critical, value) {
+  return sequence([objectIdentifier(id), boolean(critical), octetString(value)])
+}
+
+/**
+ * children - The encoded elements of a DER sequence, each one as `{ tag, bytes }`.
+ *
+ * @param  {Buffer} encoded  a whole DER element
+ * @return {Object[]}
+ */
+function children(encoded) {
+  const found = []
+  let offset = headerLength(encoded, 0)
+
+  while (offset < encoded.length) {
+    const length = headerLength(encoded, offset) + contentLength(encoded, offset)
+    found.push({ tag: encoded[offset], bytes: encoded.slice(offset, offset + length) })
+    offset += length
+  }
+  return found
+}
+
+function headerLength(encoded, offset) {
+  return encoded[offset + 1] < 0x80 ? 2 : 2 + (encoded[offset + 1] & 0x7f)
+}
+
+function contentLength(encoded, offset) {
+  if (encoded[offset + 1] < 0x80) {
+    return encoded[offset + 1]
+  }
+  let length = 0
+  for (let i = 0; i < (encoded[offset + 1] & 0x7f); i++) {
+    length = length * 256 + encoded[offset + 2 + i]
+  }
+  return length
+}
+
+/**
+ * name - The DER encoding of a distinguished name given as a string, e.g.
+ * "/DC=org/DC=example/O=Grid/CN=Alice".
+ *
+ * @param  {string} dn
+ * @return {Buffer}
+ */
+function name(dn) {
+  return sequence(dn.split('/').filter(Boolean).map(function(attribute) {
+    const match = /^([A-Za-z]+)=(.*)$/.exec(attribute)
+    if (!match || !attributeTypes[match[1].toUpperCase()]) {
+      throw new Error('Invalid distinguished name "' + dn + '"')
+    }
+    return set([sequence([objectIdentifier(attributeTypes[match[1].toUpperCase()]), utf8String(match[2])])])
+  }))
+}
+
+/**
+ * signatureAlgorithm - The AlgorithmIdentifier of the SHA-256 signatures of a key.
+ */
+function signatureAlgorithm(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return sequence([objectIdentifier(oids.sha256WithRSAEncryption), der(0x05, Buffer.alloc(0))])
+  }
+  if (key.asymmetricKeyType === 'ec') {
+    return sequence([objectIdentifier(oids.ecdsaWithSHA256)])
+  }
+  throw new Error('Unsupported key type "' + key.asymmetricKeyType + '", expected an RSA or EC key')
+}
+
+/**
+ * createCertificate - Create a signed X.509 v3 certificate.
+ *
+ * @param  {Object} options
+ * @param  {Buffer|string} options.subject     DER encoded subject, or a distinguished name, e.g. "/O=Grid/CN=Alice".
+ * @param  {Buffer|string} options.issuer      (**OPTIONAL**) DER encoded issuer, or a distinguished name. Default: the subject, for a self-signed certificate.
+ * @param  {KeyObject|string} options.publicKey  public key of the certificate, or a PEM encoding of it.
+ * @param  {KeyObject|string} options.signingKey private key of the issuer, or a PEM encoding of it.
+ * @param  {Date} options.notBefore             (**OPTIONAL**) Default: now
+ * @param  {Date} options.notAfter              end of the validity of the certificate.
+ * @param  {Buffer} options.serial              (**OPTIONAL**) serial number. Default: 8 random bytes.
+ * @param  {boolean} options.ca                 (**OPTIONAL**) Mark the certificate as a CA certificate.
+ * @param  {Buffer[]} options.extensions        (**OPTIONAL**) other DER encoded extensions.
+ * @return {string}                             PEM encoded certificate
+ */
+function createCertificate(options) {
+  const signingKey = options.signingKey instanceof crypto.KeyObject ? options.signingKey : crypto.createPrivateKey(options.signingKey)
+  const publicKey = options.publicKey instanceof crypto.KeyObject ? options.publicKey : crypto.createPublicKey(options.publicKey)
+  const subject = Buffer.isBuffer(options.subject) ? options.subject : name(options.subject)
+  const issuer = options.issuer === undefined ? subject : Buffer.isBuffer(options.issuer) ? options.issuer : name(options.issuer)
+  const algorithm = signatureAlgorithm(signingKey)
+  const extensions = (options.ca ? [extension(oids.basicConstraints, true, sequence([boolean(true)]))] : [])
+    .concat(options.extensions || [])
+
+  const tbs = sequence([
+    explicit(0, integer(Buffer.from([2]))),
+    integer(options.serial || crypto.randomBytes(8)),
+    algorithm,
+    issuer,
+    sequence([time(options.notBefore || new Date()), time(options.notAfter)]),
+    subject,
+    publicKey.export({ type: 'spki', format: 'der' })
+  ].concat(extensions.length > 0 ? [explicit(3, sequence(extensions))] : []))
+  const signature = crypto.sign('sha256', tbs, signingKey)
+
+  return pem(sequence([tbs, algorithm, bitString(signature)]))
+}
+
+function pem(encoded) {
+  return '-----BEGIN CERTIFICATE-----\n' +
+    encoded.toString('base64').match(/.{1,64}/g).join('\n') +
+    '\n-----END CERTIFICATE-----\n'
+}
+
+/**
+ * certificates - The PEM encoded certificates of a PEM file, in order.
+ */
+function certificates(text) {
+  return String(text).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || []
+}
+
+/**
+ * createProxyChain - Create an RFC 3820 proxy certificate of a user certificate, for a
+ * public key, e.g. the public_key activation requirement of an endpoint. The proxy
+ * inherits all the rights of the user certificate, and can't outlive it.
+ *
+ * @param  {Object} options
+ * @param  {string} options.certificate         PEM encoded user certificate, followed by the certificates that issued it if it is itself a proxy.
+ * @param  {KeyObject|string} options.key       private key of the user certificate, or a PEM encoding of it.
+ * @param  {string} options.passphrase          (**OPTIONAL**) passphrase of an encrypted key.
+ * @param  {string} options.public_key          PEM encoded public key the proxy certificate is issued for.
+ * @param  {number} options.lifetime_in_hours   (**OPTIONAL**) Default: 12
+ * @return {string}                             the PEM encoded proxy certificate, followed by the certificate chain
+ */
+function createProxyChain(options) {
+  const chain = certificates(options.certificate)
+  if (chain.length === 0) {
+    throw new Error('No PEM encoded certificate given')
+  }
+
+  const user = new crypto.X509Certificate(chain[0])
+  const key = options.key instanceof crypto.KeyObject ?
+    options.key :
+    crypto.createPrivateKey({ key: options.key, passphrase: options.passphrase })
+  if (!user.checkPrivateKey(key)) {
+    throw new Error('The key doesn\'t match the certificate')
+  }
+
+  const now = Date.now()
+  const lifetime = (options.lifetime_in_hours || defaultLifetimeInHours) * 3600 * 1000
+  const notAfter = Math.min(now + lifetime, Date.parse(user.validTo))
+  if (notAfter <= now) {
+    throw new Error('The certificate expired on ' + user.validTo)
+  }
+
+  // The subject of a proxy is the one of its issuer with a CN of its serial number
+  const serial = crypto.randomBytes(4)
+  serial[0] &= 0x7f
+  const tbs = children(user.raw)[0].bytes
+  const fields = children(tbs).filter(function(field) { return field.tag !== 0xa0 })
+  const issuer = fields[4].bytes
+  const subject = sequence(children(issuer).map(function(rdn) { return rdn.bytes }).concat([
+    set([sequence([objectIdentifier(oids.commonName), utf8String(String(serial.readUInt32BE(0)))])])
+  ]))
+
+  const proxy = createCertificate({
+    subject: subject,
+    issuer: issuer,
+    publicKey: options.public_key,
+    signingKey: key,
+    serial: serial,
+    notBefore: new Date(Math.max(now - clockSkew, Date.parse(user.validFrom))),
+    notAfter: new Date(notAfter),
+    extensions: [
+      // digitalSignature and keyEncipherment
+      extension(oids.keyUsage, true, bitString(Buffer.from([0xa0]), 5)),
+      extension(oids.proxyCertInfo, true, sequence([sequence([objectIdentifier(oids.inheritAll)])]))
+    ]
+  })
+
+  return [proxy].concat(chain.map(function(certificate) { return certificate + '\n' })).join('')
+}
+
+/**
+ * fillDelegateProxy - The activation requirements document of the delegate_proxy
+ * method of an endpoint, its proxy_chain filled with a proxy certificate issued for its
+ * public_key. It can be given to activateEndpoint(..) as is.
+ *
+ * @param  {Object} requirements  activation requirements document of the endpoint
+ * @param  {Object} options       certificate, key, passphrase and lifetime_in_hours, see createProxyChain(..)
+ * @return {Object}               activation requirements document
+ */
+function fillDelegateProxy(requirements, options) {
+  const DATA = requirements.DATA.filter(function(requirement) {
+    return requirement.type === 'delegate_proxy'
+  })
+  const publicKey = DATA.filter(function(requirement) {
+    return requirement.name === 'public_key'
+  })[0]
+
+  if (!publicKey || !publicKey.value) {
+    throw new Error('The endpoint doesn\'t support delegate_proxy activation')
+  }
+
+  const proxyChain = createProxyChain(Object.assign({}, options, { public_key: publicKey.value }))
+  return {
+    DATA_TYPE: 'activation_requirements',
+    DATA: DATA.map(function(requirement) {
+      return requirement.name === 'proxy_chain' ? Object.assign({}, requirement, { value: proxyChain }) : requirement
+    })
+  }
+}
+
+module.exports = {
+  createCertificate: createCertificate,
+  createProxyChain: createProxyChain,
+  fillDelegateProxy: fillDelegateProxy
+}
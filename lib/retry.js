@@ -0,0 +1,126 @@
+const errors = require('./errors')
+
+const defaults = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.5,
+  respectRetryAfter: true,
+  sleep: function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms) })
+  }
+}
+
+// Methods that can be repeated without changing the result. POST requests are only
+// retried when the caller marks them as retryable, e.g. submissions with a submission_id.
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+const transientStatuses = [429, 502, 503, 504]
+
+// Last segment of the ExternalError.* codes reporting that the endpoint's server couldn't be
+// reached for now. The others, e.g. ExternalError.DirListingFailed.PermissionDenied, fail
+// again the same way.
+const transientExternalErrors = ['GCDisconnected', 'GCPaused', 'ConnectFailed', 'ConnectionFailed', 'Timeout', 'TimedOut', 'ServiceUnavailable']
+
+const transientNetworkCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+
+/**
+ * retryPolicy - Resolves the retry configuration of a client. `false` disables retries.
+ *
+ * @param  {Object|boolean} options
+ * @return {Object}
+ */
+function retryPolicy(options) {
+  if (options === false) {
+    return Object.assign({}, defaults, { maxAttempts: 1 })
+  }
+  return Object.assign({}, defaults, options)
+}
+
+/**
+ * isTransient - Whether a failed request may succeed if sent again: rate limiting,
+ * unavailable services, the endpoint's server being unreachable (ExternalError, or an
+ * ExternalError.* connection or timeout failure) and dropped connections.
+ *
+ * @param  {Error} err
+ * @return {boolean}
+ */
+function isTransient(err) {
+  if (err instanceof errors.GlobusAPIError) {
+    // The endpoint's server errors come with a 502 whether they're transient or not
+    if (/^ExternalError(\.|$)/.test(err.code || '')) {
+      return isTransientExternalError(err.code)
+    }
+    return transientStatuses.indexOf(err.status) !== -1
+  }
+  const cause = err.cause || err
+  return transientNetworkCodes.indexOf(cause.code) !== -1
+}
+
+/**
+ * isTransientExternalError - Whether an ExternalError code is the bare ExternalError or ends
+ * with one of the transientExternalErrors.
+ */
+function isTransientExternalError(code) {
+  const segments = code.split('.')
+  return segments.length === 1 || transientExternalErrors.indexOf(segments[segments.length - 1]) !== -1
+}
+
+/**
+ * isIdempotent - Whether a request with this method is safe to send more than once.
+ *
+ * @param  {string} method
+ * @return {boolean}
+ */
+function isIdempotent(method) {
+  return idempotentMethods.indexOf((method || 'GET').toUpperCase()) !== -1
+}
+
+/**
+ * delayFor - Milliseconds to wait before the given retry (1 for the first retry). The
+ * delay doubles with each attempt, up to maxDelay, and `jitter` is the fraction of it
+ * that is randomized. A Retry-After given by the server takes precedence, still capped at
+ * maxDelay so that a server can't stall a call for hours.
+ *
+ * @param  {Object} policy
+ * @param  {number} retry
+ * @param  {Error} err
+ * @return {number}
+ */
+function delayFor(policy, retry, err) {
+  if (policy.respectRetryAfter && err.retryAfter !== undefined) {
+    return Math.min(err.retryAfter * 1000, policy.maxDelay)
+  }
+  const delay = Math.min(policy.baseDelay * Math.pow(2, retry - 1), policy.maxDelay)
+  return Math.round(delay * (1 - policy.jitter * Math.random()))
+}
+
+/**
+ * withRetry - Calls `send` until it resolves, it rejects with an error that isn't
+ * transient, or maxAttempts is reached.
+ *
+ * @param  {function} send     sends the request, returns a promise
+ * @param  {Object} policy     from retryPolicy(..)
+ * @return {promise}           containing the result of the last attempt
+ */
+function withRetry(send, policy) {
+  function attempt(n) {
+    return send().catch(function(err) {
+      if (n >= policy.maxAttempts || !isTransient(err)) {
+        throw err
+      }
+      return policy.sleep(delayFor(policy, n, err)).then(function() {
+        return attempt(n + 1)
+      })
+    })
+  }
+
+  return attempt(1)
+}
+
+module.exports = {
+  retryPolicy: retryPolicy,
+  isTransient: isTransient,
+  isIdempotent: isIdempotent,
+  withRetry: withRetry
+}
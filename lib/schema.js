@@ -0,0 +1,162 @@
+const ValidationError = require('./errors').ValidationError
+
+/**
+ * schemas - The JSON schemas of the documents sent to the Transfer API, by name. They
+ * only use the part of JSON Schema implemented by check(..): type, const, enum,
+ * required, properties, items, minItems, oneOf, $ref to another schema, minLength,
+ * maxLength, pattern, minimum and maximum.
+ */
+const schemas = {
+  access: require('./schemas/access.json'),
+  activation: require('./schemas/activation.json'),
+  delete: require('./schemas/delete.json'),
+  endpoint: require('./schemas/endpoint.json'),
+  server: require('./schemas/server.json'),
+  shared_endpoint: require('./schemas/shared_endpoint.json'),
+  transfer: require('./schemas/transfer.json')
+}
+
+/**
+ * validate - Check a document against a schema.
+ *
+ * @param  {string} name             name of the schema, e.g. "access"
+ * @param  {Object} document
+ * @param  {Object} options
+ * @param  {boolean} options.partial (**OPTIONAL**) Don't require the top level fields, for partial updates.
+ * @return {Object[]}                the problems found, as `{ path, message }`
+ */
+function validate(name, document, options) {
+  const problems = []
+  check(schemas[name], document, '', problems, !(options && options.partial))
+  return problems
+}
+
+/**
+ * assertValid - Like validate(..), but throws instead of returning the problems.
+ *
+ * @throws {ValidationError} if the document has problems
+ */
+function assertValid(name, document, options) {
+  const problems = validate(name, document, options)
+  if (problems.length > 0) {
+    throw new ValidationError(problems, name + ' document')
+  }
+}
+
+function check(schema, value, path, problems, required) {
+  if (schema.$ref) {
+    schema = schemas[schema.$ref.replace(/\.json$/, '')]
+  }
+  if (value === undefined) {
+    return
+  }
+
+  function problem(message) {
+    problems.push({ path: path || 'document', message: message })
+  }
+
+  if (schema.oneOf) {
+    return checkOneOf(schema.oneOf, value, path, problems)
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return problem('must be ' + JSON.stringify(schema.const))
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return problem('must be one of ' + schema.enum.filter(function(v) { return v !== null }).map(function(v) {
+      return JSON.stringify(v)
+    }).join(', '))
+  }
+  if (schema.type && [].concat(schema.type).indexOf(typeOf(value)) === -1 &&
+    !(typeOf(value) === 'integer' && [].concat(schema.type).indexOf('number') !== -1)) {
+    return problem('must be ' + [].concat(schema.type).map(article).join(' or '))
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problem(schema.minLength === 1 ? 'must not be empty' : 'must be at least ' + schema.minLength + ' characters long')
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problem('must be at most ' + schema.maxLength + ' characters long')
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      problem('must match ' + schema.pattern)
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problem('must be at least ' + schema.minimum)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problem('must be at most ' + schema.maximum)
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problem('must have at least ' + schema.minItems + ' item' + (schema.minItems > 1 ? 's' : ''))
+    }
+    if (schema.items) {
+      value.forEach(function(item, i) {
+        check(schema.items, item, path + '[' + i + ']', problems, true)
+      })
+    }
+  }
+  if (typeOf(value) === 'object') {
+    if (required) {
+      (schema.required || []).forEach(function(field) {
+        if (value[field] === undefined) {
+          problems.push({ path: join(path, field), message: 'is required' })
+        }
+      })
+    }
+    Object.keys(schema.properties || {}).forEach(function(field) {
+      check(schema.properties[field], value[field], join(path, field), problems, true)
+    })
+  }
+}
+
+/**
+ * checkOneOf - Check a value against the schema of its DATA_TYPE, or against each of
+ * the alternatives when none matches it.
+ */
+function checkOneOf(alternatives, value, path, problems) {
+  const matching = alternatives.filter(function(schema) {
+    return value && schema.properties && schema.properties.DATA_TYPE.const === value.DATA_TYPE
+  })
+
+  if (matching.length > 0) {
+    return check(matching[0], value, path, problems, true)
+  }
+  problems.push({
+    path: join(path, 'DATA_TYPE'),
+    message: 'must be one of ' + alternatives.map(function(schema) {
+      return JSON.stringify(schema.properties.DATA_TYPE.const)
+    }).join(', ')
+  })
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (Number.isInteger(value)) {
+    return 'integer'
+  }
+  return typeof value
+}
+
+function article(type) {
+  return type === 'null' ? 'null' : (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type
+}
+
+function join(path, field) {
+  return path ? path + '.' + field : field
+}
+
+module.exports = {
+  schemas: schemas,
+  validate: validate,
+  assertValid: assertValid
+}
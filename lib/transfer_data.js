@@ -0,0 +1,240 @@
+const ValidationError = require('./errors').ValidationError
+
+// Names of the sync levels, by their value in transfer documents
+const syncLevels = ['exists', 'size', 'mtime', 'checksum']
+
+// Maximum length of a task label
+const maxLabelLength = 128
+
+// Fields of a transfer document copied as they are from the builder
+const transferFields = [
+  'submission_id',
+  'label',
+  'source_endpoint',
+  'destination_endpoint',
+  'encrypt_data',
+  'verify_checksum',
+  'preserve_timestamp',
+  'delete_destination_extra',
+  'skip_source_errors',
+  'fail_on_quota_errors',
+  'notify_on_succeeded',
+  'notify_on_failed',
+  'notify_on_inactive'
+]
+
+/**
+ * TransferData - Builds the document of a transfer task, to give to submitTransferTask(..)
+ * instead of its options. The document is validated before it is submitted.
+ *
+ * @example
+ * const data = new TransferData({
+ *   source_endpoint: source_xid,
+ *   destination_endpoint: destination_xid,
+ *   label: 'nightly backup',
+ *   sync_level: 'checksum',
+ *   deadline: new Date(Date.now() + 24 * 3600 * 1000)
+ * })
+ *   .addItem('/data/run1/', '/backup/run1/', { recursive: true })
+ *   .addSymlinkItem('/data/latest', '/backup/latest')
+ *   .addFilterRule('exclude', '*.tmp')
+ *
+ * client.submitTransferTask(data)
+ */
+class TransferData {
+  /**
+   * @param  {Object} options
+   * @param  {string} options.source_endpoint          UUID of the endpoint to transfer data from.
+   * @param  {string} options.destination_endpoint     UUID of the endpoint to transfer data to.
+   * @param  {string} options.submission_id            (**OPTIONAL**) Id acquired from getSubmissionId. One is acquired when submitting if missing.
+   * @param  {string} options.label                    (**OPTIONAL**) user specified string to help identify the task, at most 128 characters.
+   * @param  {string|number} options.sync_level        (**OPTIONAL**) Only transfer files that don't exist ("exists" or 0), differ in size ("size" or 1), are newer ("mtime" or 2) or differ in checksum ("checksum" or 3) on the destination.
+   * @param  {Date|string} options.deadline            (**OPTIONAL**) Date after which the task is aborted if it hasn't completed yet.
+   * @param  {Object[]} options.filter_rules           (**OPTIONAL**) Rules selecting the files of recursive items, see addFilterRule(..).
+   * @param  {boolean} options.skip_source_errors      (**OPTIONAL**) Skip the files and directories of the source that can't be read instead of failing.
+   * @param  {boolean} options.fail_on_quota_errors    (**OPTIONAL**) Fail the task when the destination is over quota instead of retrying.
+   * @param  {boolean} options.encrypt_data            (**OPTIONAL**) Encrypt the data channel.
+   * @param  {boolean} options.verify_checksum         (**OPTIONAL**) Verify the checksum of each file after it is transferred.
+   * @param  {boolean} options.preserve_timestamp      (**OPTIONAL**) Preserve file modification time.
+   * @param  {boolean} options.delete_destination_extra (**OPTIONAL**) Delete extraneous files in the destination directory of recursive items.
+   * @param  {boolean} options.notify_on_succeeded     (**OPTIONAL**) Send a notification email when the task succeeds.
+   * @param  {boolean} options.notify_on_failed        (**OPTIONAL**) Send a notification email when the task fails.
+   * @param  {boolean} options.notify_on_inactive      (**OPTIONAL**) Send a notification email when the task becomes inactive.
+   */
+  constructor(options) {
+    options = options || {}
+
+    transferFields.forEach(function(field) {
+      this[field] = options[field]
+    }, this)
+    this.sync_level = options.sync_level
+    this.deadline = options.deadline
+    this.filter_rules = (options.filter_rules || []).slice()
+    this.DATA = []
+  }
+
+  /**
+   * addItem - Add a file, or a directory with `recursive: true`, to transfer.
+   *
+   * @param  {string} source_path       path on the source endpoint
+   * @param  {string} destination_path  path on the destination endpoint
+   * @param  {Object} options
+   * @param  {boolean} options.recursive          (**OPTIONAL**) Transfer the contents of the directory.
+   * @param  {string} options.external_checksum   (**OPTIONAL**) Checksum of the source file, verified after the transfer.
+   * @param  {string} options.checksum_algorithm  (**OPTIONAL**) Algorithm of external_checksum, or used by verify_checksum, e.g. "MD5" or "SHA1".
+   * @return {TransferData}             this, to chain calls
+   */
+  addItem(source_path, destination_path, options) {
+    options = options || {}
+
+    this.DATA.push({
+      DATA_TYPE: 'transfer_item',
+      source_path: source_path,
+      destination_path: destination_path,
+      recursive: options.recursive,
+      external_checksum: options.external_checksum,
+      checksum_algorithm: options.checksum_algorithm
+    })
+    return this
+  }
+
+  /**
+   * addSymlinkItem - Add a symbolic link to recreate on the destination, instead of
+   * transferring the file it points to.
+   *
+   * @param  {string} source_path       path of the link on the source endpoint
+   * @param  {string} destination_path  path of the link on the destination endpoint
+   * @return {TransferData}             this, to chain calls
+   */
+  addSymlinkItem(source_path, destination_path) {
+    this.DATA.push({
+      DATA_TYPE: 'transfer_symlink_item',
+      source_path: source_path,
+      destination_path: destination_path
+    })
+    return this
+  }
+
+  /**
+   * addFilterRule - Include or exclude the files of recursive items whose name matches
+   * a pattern. Rules are applied in order, the first one matching decides.
+   *
+   * @param  {string} method   "include" or "exclude"
+   * @param  {string} name     Shell glob matched against the name of files, e.g. "*.tmp".
+   * @param  {string} type     (**OPTIONAL**) Only apply the rule to "file" or to "dir" entries.
+   * @return {TransferData}    this, to chain calls
+   */
+  addFilterRule(method, name, type) {
+    this.filter_rules.push({
+      DATA_TYPE: 'filter_rule',
+      method: method,
+      name: name,
+      type: type
+    })
+    return this
+  }
+
+  /**
+   * validate - Check the document for the mistakes the API would reject it for.
+   *
+   * @return {TransferData}    this
+   * @throws {ValidationError} listing every invalid field
+   */
+  validate() {
+    const problems = []
+
+    function check(condition, path, message) {
+      if (!condition) {
+        problems.push({ path: path, message: message })
+      }
+    }
+
+    check(isNonEmptyString(this.source_endpoint), 'source_endpoint', 'is required')
+    check(isNonEmptyString(this.destination_endpoint), 'destination_endpoint', 'is required')
+    check(this.DATA.length > 0, 'DATA', 'needs at least one item')
+    check(this.label === undefined || (typeof this.label === 'string' && this.label.length <= maxLabelLength),
+      'label', 'must be a string of at most ' + maxLabelLength + ' characters')
+    check(this.sync_level === undefined || syncLevel(this.sync_level) !== undefined,
+      'sync_level', 'must be one of ' + syncLevels.join(', ') + ' or 0 to 3')
+    check(this.deadline === undefined || typeof this.deadline === 'string' ||
+      (this.deadline instanceof Date && !isNaN(this.deadline.getTime())), 'deadline', 'must be a valid Date')
+
+    this.DATA.forEach(function(item, i) {
+      const path = 'DATA[' + i + ']'
+      check(isNonEmptyString(item.source_path), path + '.source_path', 'is required')
+      check(isNonEmptyString(item.destination_path), path + '.destination_path', 'is required')
+      check(item.external_checksum === undefined || isNonEmptyString(item.external_checksum),
+        path + '.external_checksum', 'must be a string')
+    })
+
+    this.filter_rules.forEach(function(rule, i) {
+      const path = 'filter_rules[' + i + ']'
+      check(rule.method === 'include' || rule.method === 'exclude', path + '.method', 'must be "include" or "exclude"')
+      check(isNonEmptyString(rule.name), path + '.name', 'is required')
+      check(rule.type === undefined || rule.type === 'file' || rule.type === 'dir', path + '.type', 'must be "file" or "dir"')
+    })
+
+    if (problems.length > 0) {
+      throw new ValidationError(problems, 'transfer document')
+    }
+    return this
+  }
+
+  /**
+   * toJSON - The transfer document, as sent to the API.
+   *
+   * @return {Object}
+   */
+  toJSON() {
+    const document = { DATA_TYPE: 'transfer' }
+
+    transferFields.forEach(function(field) {
+      if (this[field] !== undefined) {
+        document[field] = this[field]
+      }
+    }, this)
+    if (this.sync_level !== undefined) {
+      document.sync_level = syncLevel(this.sync_level)
+    }
+    if (this.deadline !== undefined) {
+      document.deadline = this.deadline instanceof Date ? this.deadline.toISOString() : this.deadline
+    }
+    if (this.filter_rules.length > 0) {
+      document.filter_rules = this.filter_rules.map(withoutUndefined)
+    }
+    document.DATA = this.DATA.map(withoutUndefined)
+    return document
+  }
+}
+
+/**
+ * syncLevel - The value of a sync level given by name or by value.
+ *
+ * @param  {string|number} level
+ * @return {number|undefined}  undefined if the level is invalid
+ */
+function syncLevel(level) {
+  if (typeof level === 'string') {
+    return syncLevels.indexOf(level) !== -1 ? syncLevels.indexOf(level) : undefined
+  }
+  return Number.isInteger(level) && level >= 0 && level < syncLevels.length ? level : undefined
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0
+}
+
+function withoutUndefined(object) {
+  const result = {}
+  Object.keys(object).forEach(function(key) {
+    if (object[key] !== undefined) {
+      result[key] = object[key]
+    }
+  })
+  return result
+}
+
+module.exports = {
+  TransferData: TransferData,
+  syncLevels: syncLevels
+}
@@ -0,0 +1,112 @@
+const TransferData = require('./transfer_data').TransferData
+const errors = require('./errors')
+
+/**
+ * walk - Iterate over every entry under a directory, listing up to `concurrency`
+ * directories at once. The entries of a directory are yielded before the ones of its
+ * subdirectories. Symbolic links to directories aren't followed.
+ *
+ * @param  {GlobusClient} client
+ * @param  {string} endpoint_xid
+ * @param  {string} path       directory to walk
+ * @param  {Object} options    see GlobusClient.prototype.walk
+ * @return {AsyncIterator}     of file documents, with their `path` and their path `relative` to the walked directory
+ */
+async function* walk(client, endpoint_xid, path, options) {
+  options = options || {}
+  const maxDepth = options.maxDepth !== undefined ? options.maxDepth : Infinity
+  const concurrency = Math.max(options.concurrency || 4, 1)
+  let queue = [{ path: directory(path), relative: '', depth: 0 }]
+
+  while (queue.length > 0) {
+    const batch = queue.slice(0, concurrency)
+    const listings = await Promise.all(batch.map(function(dir) {
+      return client.iterDirectoryContents({ endpoint_xid: endpoint_xid, path: dir.path }).toArray()
+    }))
+
+    queue = queue.slice(batch.length)
+    for (let i = 0; i < batch.length; i++) {
+      const dir = batch[i]
+
+      for (const file of listings[i]) {
+        const entry = Object.assign({}, file, {
+          path: dir.path + file.name,
+          relative: dir.relative + file.name
+        })
+        if (options.filter && !options.filter(entry)) {
+          continue
+        }
+
+        yield entry
+
+        if (entry.type === 'dir' && !entry.link_target && dir.depth < maxDepth) {
+          queue.push({ path: entry.path + '/', relative: entry.relative + '/', depth: dir.depth + 1 })
+        }
+      }
+    }
+  }
+}
+
+/**
+ * diffTrees - The transfer of the files of a source directory that are missing from a
+ * destination directory, differ in size, or were modified after their copy. A missing
+ * destination directory is treated as an empty one.
+ *
+ * @param  {GlobusClient} client
+ * @param  {string} source_endpoint
+ * @param  {string} source_path
+ * @param  {string} destination_endpoint
+ * @param  {string} destination_path
+ * @param  {Object} options    see GlobusClient.prototype.diffTrees
+ * @return {promise}           containing a TransferData
+ */
+async function diffTrees(client, source_endpoint, source_path, destination_endpoint, destination_path, options) {
+  options = options || {}
+  const walkOptions = { maxDepth: options.maxDepth, filter: options.filter, concurrency: options.concurrency }
+  const destination = new Map()
+  const data = new TransferData(Object.assign({}, options.transfer, {
+    source_endpoint: source_endpoint,
+    destination_endpoint: destination_endpoint
+  }))
+
+  try {
+    for await (const entry of walk(client, destination_endpoint, destination_path, walkOptions)) {
+      destination.set(entry.relative, entry)
+    }
+  } catch (err) {
+    // Nothing listed yet means the destination directory itself is missing, e.g. before
+    // a first sync, every source file is then missing from it.
+    if (!(err instanceof errors.NotFoundError) || destination.size > 0) {
+      throw err
+    }
+  }
+  for await (const entry of walk(client, source_endpoint, source_path, walkOptions)) {
+    const copy = destination.get(entry.relative)
+
+    if (entry.type === 'file' && (!copy || copy.type !== 'file' || copy.size !== entry.size ||
+        modified(entry) > modified(copy))) {
+      data.addItem(entry.path, directory(destination_path) + entry.relative)
+    }
+  }
+  return data
+}
+
+/**
+ * directory - A directory path ending with a slash.
+ */
+function directory(path) {
+  return /\/$/.test(path || '/') ? path || '/' : path + '/'
+}
+
+/**
+ * modified - The last modification time of a file document in milliseconds, from its
+ * last_modified, e.g. "2017-03-01 12:34:56+00:00".
+ */
+function modified(file) {
+  return Date.parse(String(file.last_modified).replace(' ', 'T'))
+}
+
+module.exports = {
+  walk: walk,
+  diffTrees: diffTrees
+}
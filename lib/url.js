@@ -0,0 +1,44 @@
+/**
+ * build - The URL of a resource of an API, its path segments and query values being
+ * percent-encoded so that ids and paths with spaces, "#", "&", "/" or non-ASCII
+ * characters reach the API unaltered.
+ *
+ * @example
+ * build('https://transfer.api.globusonline.org/v0.10', ['operation', 'endpoint', endpoint_xid, 'ls'], { path: '/~/run #1/' })
+ * // https://transfer.api.globusonline.org/v0.10/operation/endpoint/ddb5.../ls?path=%2F~%2Frun%20%231%2F
+ *
+ * @param  {string} base       base URL of the API, without trailing slash
+ * @param  {Array} segments    path segments, each one encoded as a whole
+ * @param  {Object} query      (**OPTIONAL**) query parameters. Undefined and null values are left out, lists are joined with commas.
+ * @return {string}
+ */
+function build(base, segments, query) {
+  const path = segments.map(function(segment) {
+    return '/' + encodeURIComponent(segment)
+  }).join('')
+
+  return base + path + queryString(query)
+}
+
+/**
+ * queryString - The encoded query string of parameters, with its leading "?", or an
+ * empty string if there are none.
+ *
+ * @param  {Object} query
+ * @return {string}
+ */
+function queryString(query) {
+  const pairs = Object.keys(query || {}).filter(function(name) {
+    return query[name] !== undefined && query[name] !== null
+  }).map(function(name) {
+    const value = Array.isArray(query[name]) ? query[name].join(',') : String(query[name])
+    return encodeURIComponent(name) + '=' + encodeURIComponent(value)
+  })
+
+  return pairs.length > 0 ? '?' + pairs.join('&') : ''
+}
+
+module.exports = {
+  build: build,
+  queryString: queryString
+}
@@ -0,0 +1,108 @@
+// Type definitions of globus-js/mock, the offline fake of the Transfer and Auth APIs.
+
+import { Endpoint, FileDocument, GlobusClient, GlobusClientOptions, Identity, Task } from './globus'
+
+export interface MockServerOptions {
+  /** Username of the default user, whose token is `mock.token`. Default: "user@example.org" */
+  username?: string
+  /** Run tasks when they are submitted. Otherwise they stay ACTIVE until completeTask(..). Default: true */
+  autoComplete?: boolean
+  /** Size of the pages of the lists paged with markers. Default: 100 */
+  pageSize?: number
+  /** Replaces Date.now. */
+  now?: () => number
+}
+
+export interface MockFile {
+  size?: number
+  last_modified?: number | Date
+}
+
+export interface MockEndpointDocument extends Partial<Omit<Endpoint, 'DATA_TYPE'>> {
+  /** Files to create, as a map of path to `{ size, last_modified }`. Paths ending with a slash are directories. */
+  files?: { [path: string]: MockFile }
+  /** Default: true */
+  activated?: boolean
+  /** Whether autoActivateEndpoint succeeds. Default: false */
+  auto_activation?: boolean
+  /** Credentials accepted by activateEndpoint. Default: any */
+  myproxy?: { username: string, passphrase: string }
+}
+
+export interface MockIdentityOptions {
+  username: string
+  name?: string
+  email?: string
+  organization?: string
+  status?: 'used' | 'unused' | 'private' | 'closed'
+}
+
+export interface MockTokenOptions {
+  expires_in?: number
+  scope?: string
+  client_id?: string
+}
+
+export interface MockClient {
+  client_id: string
+  client_secret: string
+  identity: Identity
+}
+
+export interface MockRequest {
+  method: string
+  url: string
+  headers: { [name: string]: string | string[] | undefined }
+  body: any
+}
+
+export class MockServer {
+  constructor(options?: MockServerOptions)
+
+  /** Set by listen(..). */
+  url: string
+  transferBaseURL: string
+  authBaseURL: string
+  oauth2BaseURL: string
+
+  user: Identity
+  token: string
+  autoComplete: boolean
+  pageSize: number
+  /** Every request received, in order. */
+  requests: MockRequest[]
+  /** The state of the server, by id. */
+  identities: Map<string, Identity>
+  endpoints: Map<string, { document: Endpoint, expires_at: number, [field: string]: any }>
+  tasks: Map<string, { document: Task, [field: string]: any }>
+
+  listen(port?: number): Promise<this>
+  close(): Promise<void>
+  client(options?: GlobusClientOptions): GlobusClient
+
+  addIdentity(options: MockIdentityOptions): Identity
+  addToken(identity_id: string, options?: MockTokenOptions): string
+  addClient(options?: { client_id?: string, client_secret?: string }): MockClient
+  addRefreshToken(client_id: string, identity_id?: string): string
+  addEndpoint(document: MockEndpointDocument): Endpoint
+  addPauseRule(endpoint_xid: string, rule: { [field: string]: any }): { [field: string]: any }
+  addFile(endpoint_xid: string, path: string, options?: MockFile): void
+  addDirectory(endpoint_xid: string, path: string): void
+  addSymlink(endpoint_xid: string, path: string, target: string): void
+  getFile(endpoint_xid: string, path: string): FileDocument | undefined
+
+  completeTask(task_id: string): Task
+  failTask(task_id: string, message?: string): Task
+}
+
+export class MockError extends Error {
+  constructor(status: number, code: string, message: string)
+  status: number
+  code: string
+}
+
+export class FileSystem {
+  constructor(now: () => number, options?: { entries?: Map<string, any>, root?: string })
+}
+
+export function uuid(): string
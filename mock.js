@@ -0,0 +1,5 @@
+/**
+ * globus-js/mock - An offline fake of the Transfer and Auth APIs, to test code using
+ * globus-js without network access. See MockServer.
+ */
+module.exports = require('./lib/mock')
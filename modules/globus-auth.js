@@ -11,7 +11,7 @@
  */
 exports.getUserId = function(bearerToken, userEmail) {
     return new Promise(function(resolve, reject) {
-        var url = authBaseURL + 'identities?usernames=' + userEmail.replace('@', '%40');
+        var url = authBaseURL + 'identities?usernames=' + encodeURIComponent(userEmail);
 
         function callback(err, response, body) {
             if (err) {
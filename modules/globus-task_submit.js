@@ -88,19 +88,29 @@ exports.submitTransferTask = function(bearerToken, submission_id, label, notify_
  * @return {promise}                 containing the body of the response object
  */
 exports.submitDeletionTask = function(bearerToken, endpoint, DATA, recursive, ignore_missing, interpret_globs) {
-    return new Promise(function(resolve, reject) {
-        var url = transferBaseURL + '/delete';
-        var reqBody = {
-            json: activation_requirements_document
-        };
+    return exports.getSubmissionId(bearerToken).then(function(submission) {
+        return new Promise(function(resolve, reject) {
+            var url = transferBaseURL + 'delete';
+            var reqBody = {
+                json: {
+                    DATA_TYPE: 'delete',
+                    submission_id: JSON.parse(submission).value,
+                    endpoint: endpoint,
+                    DATA: DATA,
+                    recursive: recursive,
+                    ignore_missing: ignore_missing,
+                    interpret_globs: interpret_globs
+                }
+            };
 
-        function callback(err, response, body) {
-            if (err) {
-                reject(new Error(err));
+            function callback(err, response, body) {
+                if (err) {
+                    reject(new Error(err));
+                }
+                resolve(body);
             }
-            resolve(body);
-        }
 
-        request.post(url, reqBody, callback).auth(null, null, true, bearerToken);
+            request.post(url, reqBody, callback).auth(null, null, true, bearerToken);
+        });
     });
 };
@@ -1,48 +1,206 @@
 var assert = require('chai').assert,
-    privateInfo = require('./private-info'),
-    bearerToken = privateInfo.getBearerToken(),
-    endpoint_xid = privateInfo.getEndpointId(),
-    id = privateInfo.getACLId(),
-    activation_requirements_document = privateInfo.getActivationRequirementsDocument(),
-    access_document = privateInfo.getAccessRuleDocument(),
+    MockServer = require('../mock').MockServer,
     acl = require('../globus');
 
-describe('Get Access Rules List', function() {
-    it('should return a list of access rules in the ACL for', function() {
-        acl.getAccessRulesList(bearerToken, endpoint_xid).then(function(obj) {
-            obj.should.not.have.property('code');
+describe('Endpoint ACL', function() {
+    var mock, client, endpoint_xid, rule_id;
+    var grantee = 'c2b1a3d8-5d4f-4e57-a5a3-7d0c4b8b9f3e';
+
+    before(function() {
+        mock = new MockServer();
+        var host = mock.addEndpoint({ display_name: 'host', files: { '/projects/shared/': {} } });
+        endpoint_xid = mock.addEndpoint({ display_name: 'share', host_endpoint_id: host.id, host_path: '/projects/' }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
         });
     });
-});
 
-describe('Get An Access Rule By Id', function() {
-    it('should return access rules for a specific endpoint', function() {
-        acl.getAccessRulesListById(bearerToken, endpoint_xid, id).then(function(obj) {
-            obj.should.not.have.property('code');
+    after(function() {
+        return mock.close();
+    });
+
+    describe('Create A New Access Rule', function() {
+        it('should create a new access rule for a specific endpoint', function() {
+            return client.createAccessRule({ endpoint_xid: endpoint_xid, userId: grantee, path: '/shared/', permissions: 'rw' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Created');
+                assert.property(obj, 'access_id');
+                rule_id = obj.access_id;
+            });
+        });
+
+        it('should fail when the rule already exists', function() {
+            return client.createAccessRule({ endpoint_xid: endpoint_xid, userId: grantee, path: '/shared/', permissions: 'rw' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, acl.ConflictError);
+                assert.propertyVal(err, 'code', 'Exists');
+            });
         });
     });
-});
 
-describe('Create A New Access Rule', function() {
-    it('should create a new access rule for a specific endpoint', function() {
-        acl.createAccessRule(bearerToken, endpoint_xid, access_document.principal, access_document.path, access_document.permissions, access_document.notify_email).then(function(obj) {
-            obj.should.have.property('code', 'Created');
+    describe('Get Access Rules List', function() {
+        it('should return a list of access rules in the ACL for', function() {
+            return client.getAccessRulesList({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'access_list');
+                assert.lengthOf(obj.DATA, 1);
+                assert.propertyVal(obj.DATA[0], 'principal', grantee);
+            });
         });
     });
-});
 
-describe('Update An Access Rule', function() {
-    it('should update an existing access rule for a specific endpoint', function() {
-        acl.updateAccessRule(bearerToken, endpoint_xid, access_document.id, access_document.role_id, access_document.principal_type, access_document.principal, access_document.path, access_document.permissions).then(function(obj) {
-            obj.should.have.property('code', 'Updated');
+    describe('Get An Access Rule By Id', function() {
+        it('should return access rules for a specific endpoint', function() {
+            return client.getAccessRulesListById({ endpoint_xid: endpoint_xid, id: rule_id }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'access');
+                assert.propertyVal(obj, 'path', '/shared/');
+                assert.propertyVal(obj, 'permissions', 'rw');
+            });
         });
     });
-});
 
-describe('Delete An Access Rule', function() {
-    it('should delete an existing access rule for a specific endpoint', function() {
-        acl.deleteAccessRule(bearerToken, endpoint_xid, access_document.id).then(function() {
-            obj.should.have.property('code', 'Deleted');
+    describe('Update An Access Rule', function() {
+        it('should update an existing access rule for a specific endpoint', function() {
+            return client.updateAccessRule({ endpoint_xid: endpoint_xid, id: rule_id, permissions: 'r' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Updated');
+                return client.getAccessRulesListById({ endpoint_xid: endpoint_xid, id: rule_id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'permissions', 'r');
+            });
+        });
+    });
+
+    describe('Delete An Access Rule', function() {
+        it('should delete an existing access rule for a specific endpoint', function() {
+            return client.deleteAccessRule({ endpoint_xid: endpoint_xid, id: rule_id }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Deleted');
+            });
+        });
+
+        it('should fail when the rule was already deleted', function() {
+            return client.deleteAccessRule({ endpoint_xid: endpoint_xid, id: rule_id }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, acl.NotFoundError);
+                assert.propertyVal(err, 'code', 'AccessRuleNotFound');
+            });
+        });
+    });
+
+    describe('Reconcile Access Rules', function() {
+        var share_xid, bob, group = 'b9a4e2c0-6f3e-11e7-8cf7-a6006ad3dba0';
+
+        before(function() {
+            var host = mock.addEndpoint({ display_name: 'policy host', files: { '/projects/a/': {}, '/projects/b/': {} } });
+            share_xid = mock.addEndpoint({ display_name: 'policy share', host_endpoint_id: host.id, host_path: '/projects/' }).id;
+            bob = mock.addIdentity({ username: 'bob@example.org' });
+            return Promise.all([
+                client.createAccessRule({ endpoint_xid: share_xid, userId: grantee, path: '/a/', permissions: 'r' }),
+                client.createAccessRule({ endpoint_xid: share_xid, userId: grantee, path: '/b/', permissions: 'r' }),
+                client.createAccessRule({ endpoint_xid: share_xid, principal_type: 'group', principal: group, path: '/a/', permissions: 'r' })
+            ]);
+        });
+
+        function desired() {
+            return [
+                { principal_type: 'identity', principal: grantee, path: '/a/', permissions: 'rw' },
+                { principal_type: 'group', principal: group, path: '/a/', permissions: 'r' },
+                { username: 'bob@example.org', path: '/b/', permissions: 'r' },
+                { principal_type: 'all_authenticated_users', path: '/', permissions: 'r' }
+            ];
+        }
+
+        function summary(rules) {
+            return rules.map(function(rule) { return [rule.principal_type, rule.principal, rule.path, rule.permissions].join(' '); }).sort();
+        }
+
+        function current() {
+            return client.getAccessRulesList({ endpoint_xid: share_xid }).then(function(list) {
+                return summary(list.DATA);
+            });
+        }
+
+        it('should plan the changes without applying them on a dry run', function() {
+            var before = mock.requests.length;
+            return client.reconcileAccessRules(share_xid, desired(), { dryRun: true, prune: true }).then(function(plan) {
+                assert.deepEqual(summary(plan.create), ['all_authenticated_users  / r', 'identity ' + bob.id + ' /b/ r']);
+                assert.deepEqual(summary(plan.update), ['identity ' + grantee + ' /a/ rw']);
+                assert.propertyVal(plan.update[0], 'previous_permissions', 'r');
+                assert.deepEqual(summary(plan.delete), ['identity ' + grantee + ' /b/ r']);
+                assert.deepEqual(summary(plan.unchanged), ['group ' + group + ' /a/ r']);
+                assert.deepEqual(plan.results, []);
+                assert.lengthOf(mock.requests.slice(before).filter(function(req) { return req.method !== 'GET'; }), 0);
+            });
+        });
+
+        it('should leave the rules that aren\'t desired without prune', function() {
+            return client.reconcileAccessRules(share_xid, desired().slice(0, 1)).then(function(plan) {
+                assert.lengthOf(plan.delete, 0);
+                assert.deepEqual(plan.results.map(function(result) { return [result.action, result.code]; }), [['update', 'Updated']]);
+                return current();
+            }).then(function(rules) {
+                assert.lengthOf(rules, 3);
+            });
+        });
+
+        it('should apply the plan and report the result of each change', function() {
+            return client.reconcileAccessRules(share_xid, desired(), { prune: true }).then(function(plan) {
+                assert.deepEqual(plan.results.map(function(result) { return [result.action, result.code]; }), [
+                    ['create', 'Created'],
+                    ['create', 'Created'],
+                    ['delete', 'Deleted']
+                ]);
+                assert.isTrue(mock.accessRules.get(share_xid).has(String(plan.results[0].id)));
+                return Promise.all([current(), client.reconcileAccessRules(share_xid, desired(), { prune: true })]);
+            }).then(function(results) {
+                assert.deepEqual(results[0], summary(desired().map(function(rule) {
+                    return Object.assign({ principal_type: 'identity', principal: rule.username ? bob.id : '' }, rule);
+                })));
+                assert.lengthOf(results[1].unchanged, 4);
+                assert.deepEqual(results[1].results, []);
+            });
+        });
+
+        it('should go on with the other changes when one fails', function() {
+            var updateAccessRule = client.updateAccessRule;
+            client.updateAccessRule = function() {
+                return Promise.reject(new acl.ServiceUnavailableError(503, { code: 'ServiceUnavailable', message: 'Down for maintenance' }));
+            };
+            var rules = desired();
+            rules[0].permissions = 'r';
+            rules.pop();
+            return client.reconcileAccessRules(share_xid, rules, { prune: true }).then(function(plan) {
+                client.updateAccessRule = updateAccessRule;
+                assert.deepEqual(plan.results.map(function(result) { return [result.action, result.code]; }), [
+                    ['update', 'ServiceUnavailable'],
+                    ['delete', 'Deleted']
+                ]);
+                assert.instanceOf(plan.results[0].error, acl.ServiceUnavailableError);
+            }, function(err) {
+                client.updateAccessRule = updateAccessRule;
+                throw err;
+            });
+        });
+
+        it('should reject invalid desired rules before changing anything', function() {
+            return client.reconcileAccessRules(share_xid, [
+                { principal: grantee, path: '/a', permissions: 'rw' },
+                { principal_type: 'group', path: '/b/', permissions: 'w' }
+            ]).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, acl.ValidationError);
+                assert.sameMembers(err.problems.map(function(problem) { return problem.path; }), [
+                    'desiredRules[0].path', 'desiredRules[1].principal', 'desiredRules[1].permissions'
+                ]);
+            });
+        });
+
+        it('should reject a rule desired twice', function() {
+            return client.reconcileAccessRules(share_xid, desired().concat([desired()[0]])).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.include(err.message, 'desired more than once');
+            });
         });
     });
 });
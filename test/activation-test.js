@@ -1,62 +1,249 @@
 var assert = require('chai').assert,
-    privateInfo = require('./private-info'),
-    bearerToken = privateInfo.getBearerToken(),
-    endpoint_xid = privateInfo.getEndpointId(),
-    activation_requirements_document = privateInfo.getActivationRequirementsDocument(),
+    crypto = require('crypto'),
+    proxy = require('../lib/proxy'),
+    MockServer = require('../mock').MockServer,
     activation = require('../globus');
 
-describe('Get Activation Requirements', function() {
-    it('should return activation requirements', function() {
-        activation.getActivationRequirements(bearerToken, endpoint_xid).then(function(obj) {
-            obj.should.not.have.property('code');
+describe('Endpoint Activation', function() {
+    var mock, client, endpoint_xid;
+
+    before(function() {
+        mock = new MockServer();
+        endpoint_xid = mock.addEndpoint({
+            display_name: 'gridftp',
+            activated: false,
+            myproxy: { username: 'user', passphrase: 'secret' }
+        }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
         });
     });
 
-    it('should fail when given a false activation bearerToken', function() {
-        activation.getActivationRequirements('', endpoint_xid).then(function(obj) {
-            obj.should.have.property('code');
-        });
+    after(function() {
+        return mock.close();
     });
 
-    it('should fail when given a false endpoint_xid', function() {
-        activation.getActivationRequirements('', endpoint_xid).then(function(obj) {
-            obj.should.have.property('code');
+    /**
+     * requirements - The activation requirements of the endpoint, with the MyProxy values filled in.
+     */
+    function requirements(values) {
+        return client.getActivationRequirements({ endpoint_xid: endpoint_xid }).then(function(document) {
+            document.DATA = document.DATA.filter(function(requirement) {
+                return requirement.type === 'myproxy';
+            });
+            document.DATA.forEach(function(requirement) {
+                if (values[requirement.name] !== undefined) {
+                    requirement.value = values[requirement.name];
+                }
+            });
+            return document;
         });
-    });
-});
+    }
 
-// TODO: before each test ensure the endpoint is either activated or deactivated...
-describe('Activate Endpoint', function() {
-    it('should return a successful activation', function() {
-        activation.activateEndpoint(bearerToken, endpoint_xid, activation_requirements_document).then(function(obj) {
-            obj.should.have.property('code', 'Activated.MyProxyCredential');
+    describe('Get Activation Requirements', function() {
+        it('should return activation requirements', function() {
+            return client.getActivationRequirements({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'activation_requirements');
+                assert.propertyVal(obj, 'activated', false);
+                assert.includeMembers(obj.DATA.map(function(requirement) { return requirement.name; }), ['public_key', 'proxy_chain', 'hostname', 'username', 'passphrase']);
+            });
         });
-    });
 
-    it('should fail when given a bad password', function() {
-        activation_requirements_document.DATA[3].value = null;
-        activation.activateEndpoint(bearerToken, endpoint_xid, activation_requirements_document).then(function(obj) {
-            obj.should.have.property('code', 'ClientError.BadRequest');
+        it('should fail when given a false activation bearerToken', function() {
+            return mock.client({ token: 'bad_token' }).getActivationRequirements({ endpoint_xid: endpoint_xid }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.AuthError);
+            });
+        });
+
+        it('should fail when given a false endpoint_xid', function() {
+            return client.getActivationRequirements({ endpoint_xid: 'badCode' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.GlobusAPIError);
+            });
         });
     });
-});
 
-describe('Deactivate Endpoint', function() {
-    it('should return a successful deactivation', function() {
-        activation.deactivateEndpoint(bearerToken, endpoint_xid).then(function(obj) {
-            obj.should.have.property('code', 'Deactivated');
+    describe('Activate Endpoint', function() {
+        it('should fail when given a bad password', function() {
+            return requirements({ username: 'user', passphrase: null }).then(function(document) {
+                return client.activateEndpoint({ endpoint_xid: endpoint_xid, document: document });
+            }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.GlobusAPIError);
+                assert.propertyVal(err, 'code', 'ClientError.BadRequest');
+            });
+        });
+
+        it('should return a successful activation', function() {
+            return requirements({ username: 'user', passphrase: 'secret', lifetime_in_hours: '2' }).then(function(document) {
+                return client.activateEndpoint({ endpoint_xid: endpoint_xid, document: document });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Activated.MyProxyCredential');
+                assert.closeTo(obj.expires_in, 7200, 5);
+            });
+        });
+
+        it('should report an activated endpoint when auto activating', function() {
+            return client.autoActivateEndpoint({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'AlreadyActivated');
+            });
         });
     });
 
-    it('should return non-active if already de-activated', function() {
-        activation.deactivateEndpoint(bearerToken, endpoint_xid).then(function(obj) {
-            obj.should.have.property('code', 'NotActivated');
+    describe('Deactivate Endpoint', function() {
+        it('should return a successful deactivation', function() {
+            return client.deactivateEndpoint({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Deactivated');
+            });
+        });
+
+        it('should return non-active if already de-activated', function() {
+            return client.deactivateEndpoint({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'NotActivated');
+            });
+        });
+
+        it('should return an error if endpoint_xid non-existent', function() {
+            return client.deactivateEndpoint({ endpoint_xid: 'badCode' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.NotFoundError);
+                assert.propertyVal(err, 'code', 'ClientError.NotFound');
+            });
         });
     });
 
-    it('should return an error if endpoint_xid non-existent', function() {
-        activation.deactivateEndpoint(bearerToken, 'badCode').then(function(obj) {
-            obj.should.have.property('code', 'ClientError.NotFound');
+    describe('Ensure Activated', function() {
+        var myproxy_xid, auto_xid;
+
+        before(function() {
+            myproxy_xid = mock.addEndpoint({
+                display_name: 'myproxy only',
+                activated: false,
+                myproxy: { username: 'user', passphrase: 'secret' }
+            }).id;
+            auto_xid = mock.addEndpoint({ display_name: 'auto', activated: false, auto_activation: true }).id;
+        });
+
+        function activations(id) {
+            return mock.requests.filter(function(req) {
+                return req.method === 'POST' && req.url.indexOf('/endpoint/' + id + '/') !== -1;
+            }).length;
+        }
+
+        it('should auto-activate an endpoint', function() {
+            return client.ensureActivated(auto_xid).then(function(status) {
+                assert.propertyVal(status, 'code', 'AutoActivated.CachedCredential');
+                assert.isAbove(status.expires_in, 0);
+                assert.isString(status.expire_time);
+            });
+        });
+
+        it('should leave an endpoint activated for long enough as is', function() {
+            var before = activations(auto_xid);
+            return client.ensureActivated(auto_xid, { minRemainingSeconds: 3600 }).then(function(status) {
+                assert.propertyVal(status, 'code', 'AlreadyActivated');
+                assert.equal(activations(auto_xid), before);
+            });
+        });
+
+        it('should reject with the requirements when no credentials are given', function() {
+            return client.ensureActivated(myproxy_xid).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.ActivationError);
+                assert.propertyVal(err, 'endpoint_xid', myproxy_xid);
+                assert.propertyVal(err.requirements, 'code', 'AutoActivationFailed');
+                assert.include(err.message, 'delegate_proxy, myproxy');
+            });
+        });
+
+        it('should reject when the MyProxy credentials are wrong', function() {
+            return client.ensureActivated(myproxy_xid, { myproxy: { username: 'user', passphrase: 'wrong' } }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.GlobusAPIError);
+                assert.propertyVal(err, 'code', 'ClientError.BadRequest');
+            });
+        });
+
+        it('should fill the MyProxy requirements by name', function() {
+            return client.ensureActivated(myproxy_xid, {
+                myproxy: { username: 'user', passphrase: 'secret', lifetime_in_hours: 2 }
+            }).then(function(status) {
+                var submitted = mock.requests[mock.requests.length - 1].body;
+                assert.propertyVal(status, 'code', 'Activated.MyProxyCredential');
+                assert.closeTo(status.expires_in, 7200, 5);
+                assert.deepEqual(submitted.DATA.map(function(requirement) { return [requirement.name, requirement.value]; }), [
+                    ['hostname', 'myproxy.mock.globus.org'],
+                    ['username', 'user'],
+                    ['passphrase', 'secret'],
+                    ['server_dn', null],
+                    ['lifetime_in_hours', '2']
+                ]);
+            });
+        });
+
+        it('should activate again when the activation expires too soon', function() {
+            return client.ensureActivated(myproxy_xid, {
+                myproxy: { username: 'user', passphrase: 'secret', lifetime_in_hours: 12 },
+                minRemainingSeconds: 4 * 3600
+            }).then(function(status) {
+                assert.propertyVal(status, 'code', 'Activated.MyProxyCredential');
+                assert.closeTo(status.expires_in, 12 * 3600, 5);
+            });
+        });
+
+        it('should prefer a delegated proxy, issued for the public key of the endpoint', function() {
+            var user = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            var certificate = proxy.createCertificate({
+                subject: '/O=Grid/CN=User',
+                publicKey: user.publicKey,
+                signingKey: user.privateKey,
+                notAfter: new Date(Date.now() + 7 * 24 * 3600 * 1000)
+            });
+            return client.deactivateEndpoint({ endpoint_xid: myproxy_xid }).then(function() {
+                return client.ensureActivated(myproxy_xid, {
+                    myproxy: { username: 'user', passphrase: 'secret' },
+                    delegate_proxy: { certificate: certificate, key: user.privateKey, lifetime_in_hours: 6 }
+                });
+            }).then(function(status) {
+                var submitted = mock.requests[mock.requests.length - 1].body;
+                assert.propertyVal(status, 'code', 'Activated.DelegateProxy');
+                assert.closeTo(status.expires_in, 6 * 3600, 5);
+                assert.deepEqual(submitted.DATA.map(function(requirement) { return requirement.name; }), ['public_key', 'proxy_chain']);
+            });
+        });
+
+        it('should be refused a proxy issued for another public key', function() {
+            var user = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            var other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            var certificate = proxy.createCertificate({
+                subject: '/O=Grid/CN=User',
+                publicKey: user.publicKey,
+                signingKey: user.privateKey,
+                notAfter: new Date(Date.now() + 24 * 3600 * 1000)
+            });
+            return client.deactivateEndpoint({ endpoint_xid: myproxy_xid }).then(function() {
+                return client.getActivationRequirements({ endpoint_xid: myproxy_xid });
+            }).then(function(requirements) {
+                var filled = activation.fillDelegateProxy(requirements, { certificate: certificate, key: user.privateKey });
+                filled.DATA[1].value = activation.createProxyChain({
+                    certificate: certificate,
+                    key: user.privateKey,
+                    public_key: other.publicKey.export({ type: 'spki', format: 'pem' })
+                });
+                return client.activateEndpoint({ endpoint_xid: myproxy_xid, document: filled });
+            }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, activation.GlobusAPIError);
+                assert.match(err.message, /not issued for the public_key/);
+            });
         });
     });
 });
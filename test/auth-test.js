@@ -0,0 +1,115 @@
+var assert = require('chai').assert,
+    url = require('url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+function identity(username) {
+    return { id: 'id-' + username, username: username, status: 'used' };
+}
+
+describe('Auth API', function() {
+    var server, client;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            var parsed = url.parse(req.url, true);
+
+            if (parsed.pathname === '/identities') {
+                var usernames = parsed.query.usernames ? parsed.query.usernames.split(',') : [];
+                var ids = parsed.query.ids ? parsed.query.ids.split(',') : [];
+                return {
+                    identities: usernames.map(identity).concat(ids.map(function(id) {
+                        return { id: id, username: id.replace(/^id-/, '') };
+                    }))
+                };
+            }
+            if (parsed.pathname.indexOf('/identities/') === 0) {
+                return { identity: identity(decodeURIComponent(parsed.pathname.split('/')[2]).replace(/^id-/, '')) };
+            }
+            if (parsed.pathname === '/userinfo') {
+                return {
+                    sub: 'id-alice@globusid.org',
+                    preferred_username: 'alice@globusid.org',
+                    identity_set: [{ sub: 'id-alice@uchicago.edu', username: 'alice@uchicago.edu' }]
+                };
+            }
+            if (parsed.pathname === '/identity_providers') {
+                return { identity_providers: [{ id: 'idp1', domains: parsed.query.domains.split(',') }] };
+            }
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', authBaseURL: server.url, oauth2BaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    it('should encode special characters of usernames', function() {
+        return client.getIdentities({ usernames: ['bob+lab@example.edu', 'carol@example.org'] }).then(function(result) {
+            assert.equal(server.requests[0].url, '/identities?usernames=bob%2Blab%40example.edu%2Ccarol%40example.org');
+            assert.deepEqual(result.identity_ids, {
+                'bob+lab@example.edu': 'id-bob+lab@example.edu',
+                'carol@example.org': 'id-carol@example.org'
+            });
+        });
+    });
+
+    it('should split long lists of usernames into several requests', function() {
+        var usernames = [];
+        for (var i = 0; i < 250; i++) {
+            usernames.push('user' + i + '@example.org');
+        }
+
+        return client.getIdentities({ usernames: usernames, provision: true }).then(function(result) {
+            assert.lengthOf(server.requests, 3);
+            assert.lengthOf(result.identities, 250);
+            assert.lengthOf(Object.keys(result.identity_ids), 250);
+            assert.equal(result.identity_ids['user249@example.org'], 'id-user249@example.org');
+            assert.include(server.requests[0].url, 'provision=true');
+        });
+    });
+
+    it('should look up identities by id', function() {
+        return client.getIdentities({ ids: ['id-dave@example.org'] }).then(function(result) {
+            assert.include(server.requests[0].url, 'ids=id-dave%40example.org');
+            assert.deepEqual(result.identity_ids, { 'dave@example.org': 'id-dave@example.org' });
+        });
+    });
+
+    it('should keep getUserId working for plus-addresses', function() {
+        return client.getUserId({ userEmail: 'erin+test@example.org' }).then(function(result) {
+            assert.equal(server.requests[0].url, '/identities?usernames=erin%2Btest%40example.org');
+            assert.equal(result.identities[0].id, 'id-erin+test@example.org');
+        });
+    });
+
+    it('should get a single identity', function() {
+        return client.getIdentity({ id: 'id-frank@example.org' }).then(function(result) {
+            assert.propertyVal(result.identity, 'username', 'frank@example.org');
+            assert.deepEqual(result.identity_ids, { 'frank@example.org': 'id-frank@example.org' });
+        });
+    });
+
+    it('should get the user info with the linked identities', function() {
+        return client.getUserInfo().then(function(result) {
+            assert.propertyVal(result, 'sub', 'id-alice@globusid.org');
+            assert.deepEqual(result.identity_ids, {
+                'alice@globusid.org': 'id-alice@globusid.org',
+                'alice@uchicago.edu': 'id-alice@uchicago.edu'
+            });
+        });
+    });
+
+    it('should get identity providers by domain', function() {
+        return client.getIdentityProviders({ domains: ['uchicago.edu', 'example.edu'] }).then(function(result) {
+            assert.equal(server.requests[0].url, '/identity_providers?domains=uchicago.edu%2Cexample.edu');
+            assert.deepEqual(result.identity_providers[0].domains, ['uchicago.edu', 'example.edu']);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Endpoint Bookmarks', function() {
+    var server, client;
+    var bookmarks = [
+        { DATA_TYPE: 'bookmark', id: 'bm1', name: 'project data', endpoint_id: 'ep1', path: '/projects/data/' },
+        { DATA_TYPE: 'bookmark', id: 'bm2', name: 'scratch', endpoint_id: 'ep2', path: '/scratch/' }
+    ];
+
+    before(function() {
+        return helpers.listen(function(req, body) {
+            if (req.url === '/bookmark_list') {
+                return { DATA_TYPE: 'bookmark_list', DATA: bookmarks };
+            }
+            if (req.method === 'DELETE') {
+                return { DATA_TYPE: 'result', code: 'Deleted' };
+            }
+            if (req.method === 'POST' || req.method === 'PUT') {
+                return Object.assign({ id: 'bm3' }, body);
+            }
+            return bookmarks[1];
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    it('should list the bookmarks', function() {
+        return client.getBookmarkList().then(function(obj) {
+            assert.propertyVal(obj, 'DATA_TYPE', 'bookmark_list');
+            assert.equal(server.requests[0].url, '/bookmark_list');
+        });
+    });
+
+    it('should get a bookmark by id', function() {
+        return client.getBookmark({ bookmark_id: 'bm2' }).then(function(obj) {
+            assert.propertyVal(obj, 'name', 'scratch');
+            assert.equal(server.requests[0].url, '/bookmark/bm2');
+        });
+    });
+
+    it('should create a bookmark', function() {
+        return client.createBookmark({ name: 'results', endpoint_xid: 'ep1', path: '/results/' }).then(function() {
+            assert.propertyVal(server.requests[0], 'method', 'POST');
+            assert.equal(server.requests[0].url, '/bookmark');
+            assert.deepEqual(server.requests[0].body, {
+                DATA_TYPE: 'bookmark',
+                name: 'results',
+                endpoint_id: 'ep1',
+                path: '/results/'
+            });
+        });
+    });
+
+    it('should rename a bookmark', function() {
+        return client.updateBookmark({ bookmark_id: 'bm1', name: 'old data' }).then(function() {
+            assert.propertyVal(server.requests[0], 'method', 'PUT');
+            assert.equal(server.requests[0].url, '/bookmark/bm1');
+            assert.deepEqual(server.requests[0].body, { DATA_TYPE: 'bookmark', name: 'old data' });
+        });
+    });
+
+    it('should delete a bookmark', function() {
+        return client.deleteBookmark({ bookmark_id: 'bm1' }).then(function(obj) {
+            assert.propertyVal(obj, 'code', 'Deleted');
+            assert.propertyVal(server.requests[0], 'method', 'DELETE');
+            assert.equal(server.requests[0].url, '/bookmark/bm1');
+        });
+    });
+
+    it('should resolve a bookmark by name', function() {
+        return client.resolveBookmark({ name: 'project data' }).then(function(location) {
+            assert.deepEqual(location, { endpoint_xid: 'ep1', path: '/projects/data/' });
+        });
+    });
+
+    it('should resolve a bookmark by id', function() {
+        return client.resolveBookmark({ bookmark_id: 'bm2' }).then(function(location) {
+            assert.deepEqual(location, { endpoint_xid: 'ep2', path: '/scratch/' });
+            assert.equal(server.requests[0].url, '/bookmark/bm2');
+        });
+    });
+
+    it('should reject unknown bookmark names', function() {
+        return client.resolveBookmark({ name: 'missing' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.include(err.message, 'missing');
+        });
+    });
+
+    it('should convert a bookmark document', function() {
+        assert.deepEqual(globus.bookmarkLocation(bookmarks[0]), { endpoint_xid: 'ep1', path: '/projects/data/' });
+    });
+});
@@ -0,0 +1,219 @@
+var assert = require('chai').assert,
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    MockServer = require('../mock').MockServer,
+    cli = require('../lib/cli');
+
+describe('Command Line', function() {
+    var mock, env, endpoint_xid;
+
+    before(function() {
+        mock = new MockServer();
+        mock.addIdentity({ username: 'bob@example.org' });
+        endpoint_xid = mock.addEndpoint({
+            display_name: 'Genomics Lab',
+            activated: false,
+            myproxy: { username: 'user', passphrase: 'secret' },
+            files: {
+                '/data/reads.fastq': { size: 300 },
+                '/data/.hidden': {},
+                '/data/raw/': {}
+            }
+        }).id;
+        return mock.listen().then(function() {
+            env = {
+                GLOBUS_TOKEN: mock.token,
+                GLOBUS_TRANSFER_BASE_URL: mock.transferBaseURL,
+                GLOBUS_AUTH_BASE_URL: mock.authBaseURL,
+                GLOBUS_OAUTH2_BASE_URL: mock.oauth2BaseURL,
+                GLOBUS_JS_CONFIG: path.join(os.tmpdir(), 'globus-js-cli-test.json')
+            };
+            fs.writeFileSync(env.GLOBUS_JS_CONFIG, '{}');
+        });
+    });
+
+    after(function() {
+        fs.unlinkSync(env.GLOBUS_JS_CONFIG);
+        return mock.close();
+    });
+
+    /**
+     * globusJs - Runs a command line, resolving to its exit code and output.
+     */
+    function globusJs(argv, extraEnv) {
+        var result = { stdout: '', stderr: '' };
+        return cli.run(argv, {
+            env: Object.assign({}, env, extraEnv),
+            stdout: { write: function(text) { result.stdout += text; } },
+            stderr: { write: function(text) { result.stderr += text; } }
+        }).then(function(code) {
+            result.code = code;
+            return result;
+        });
+    }
+
+    describe('Arguments', function() {
+        it('should parse positionals, options and repeated options', function() {
+            var args = cli.parseArgs(['endpoint', 'create', '--display-name=Lab', '--hostname', 'a.org', '--hostname', 'b.org', '--json']);
+            assert.deepEqual(args.positionals, ['endpoint', 'create']);
+            assert.deepEqual(args.options, { 'display-name': 'Lab', hostname: ['a.org', 'b.org'], json: true });
+        });
+
+        it('should print the usage, exiting with 2 on an unknown command', function() {
+            return globusJs(['--help']).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.include(result.stdout, 'globus-js acl add ENDPOINT_ID PATH');
+                return globusJs(['frobnicate']);
+            }).then(function(result) {
+                assert.equal(result.code, 2);
+                assert.include(result.stderr, 'Unknown command "frobnicate"');
+            });
+        });
+
+        it('should exit with 2 when arguments are missing', function() {
+            return globusJs(['rename', endpoint_xid, '/data/raw/']).then(function(result) {
+                assert.equal(result.code, 2);
+                assert.include(result.stderr, 'Usage: globus-js rename ENDPOINT_ID OLD_PATH NEW_PATH');
+            });
+        });
+    });
+
+    describe('Configuration', function() {
+        it('should read the token from the configuration file', function() {
+            fs.writeFileSync(env.GLOBUS_JS_CONFIG, JSON.stringify({ token: mock.token }));
+            return globusJs(['endpoint', 'show', endpoint_xid], { GLOBUS_TOKEN: '' }).then(function(result) {
+                fs.writeFileSync(env.GLOBUS_JS_CONFIG, '{}');
+                assert.equal(result.code, 0);
+                assert.match(result.stdout, /^display_name: +Genomics Lab$/m);
+            });
+        });
+
+        it('should fail without a token', function() {
+            return globusJs(['whoami'], { GLOBUS_TOKEN: '' }).then(function(result) {
+                assert.equal(result.code, 1);
+                assert.include(result.stderr, 'globus-js: No token');
+            });
+        });
+
+        it('should report API errors', function() {
+            return globusJs(['endpoint', 'show', 'missing']).then(function(result) {
+                assert.equal(result.code, 1);
+                assert.match(result.stderr, /^globus-js: .+/);
+                assert.equal(result.stdout, '');
+            });
+        });
+    });
+
+    describe('Commands', function() {
+        it('should print who the token belongs to', function() {
+            return globusJs(['whoami', '--json']).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.propertyVal(JSON.parse(result.stdout), 'preferred_username', 'user@example.org');
+            });
+        });
+
+        it('should activate an endpoint with MyProxy', function() {
+            return globusJs(['activate', endpoint_xid]).then(function(result) {
+                assert.equal(result.code, 1);
+                assert.include(result.stderr, '--myproxy-username');
+                return globusJs(['activate', endpoint_xid, '--myproxy-username', 'user'], { GLOBUS_MYPROXY_PASSPHRASE: 'secret' });
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.match(result.stdout, /^code: +Activated\.MyProxyCredential$/m);
+            });
+        });
+
+        it('should list a directory as a table', function() {
+            return globusJs(['ls', endpoint_xid, '/data/']).then(function(result) {
+                var lines = result.stdout.trim().split('\n');
+                assert.equal(result.code, 0);
+                assert.match(lines[0], /^TYPE +PERMISSIONS +SIZE +LAST_MODIFIED +NAME$/);
+                assert.deepEqual(lines.slice(1).map(function(line) { return line.split(/ +/).pop(); }), ['raw', 'reads.fastq']);
+                return globusJs(['ls', endpoint_xid, '/data/', '--all', '--json']);
+            }).then(function(result) {
+                assert.lengthOf(JSON.parse(result.stdout), 3);
+            });
+        });
+
+        it('should make and rename directories', function() {
+            return globusJs(['mkdir', endpoint_xid, '/data/new/']).then(function(result) {
+                assert.equal(result.code, 0);
+                return globusJs(['rename', endpoint_xid, '/data/new/', '/data/old/']);
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.equal(mock.getFile(endpoint_xid, '/data/old').type, 'dir');
+            });
+        });
+
+        it('should transfer and delete files, waiting for the tasks', function() {
+            return globusJs(['transfer', endpoint_xid, '/data/reads.fastq', endpoint_xid, '/backup/reads.fastq', '--label', 'cli', '--wait']).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.match(result.stdout, /^status: +SUCCEEDED$/m);
+                assert.propertyVal(mock.getFile(endpoint_xid, '/backup/reads.fastq'), 'size', 300);
+                return globusJs(['delete', endpoint_xid, '/backup/', '--recursive', '--wait', '--json']);
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.propertyVal(JSON.parse(result.stdout), 'status', 'SUCCEEDED');
+                assert.notOk(mock.getFile(endpoint_xid, '/backup/'));
+            });
+        });
+
+        it('should create, show and delete a shared endpoint', function() {
+            var shared_xid;
+            return globusJs(['endpoint', 'create', '--display-name', 'Shared Data', '--host-endpoint', endpoint_xid, '--host-path', '/data/', '--json']).then(function(result) {
+                assert.equal(result.code, 0);
+                shared_xid = JSON.parse(result.stdout).id;
+                return globusJs(['endpoint', 'show', shared_xid]);
+            }).then(function(result) {
+                assert.match(result.stdout, /^host_path: +\/data\/$/m);
+                return globusJs(['endpoint', 'delete', shared_xid]);
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.notOk(mock.endpoints.has(shared_xid));
+            });
+        });
+
+        it('should add, list and remove access rules by username', function() {
+            var shared_xid = mock.addEndpoint({ display_name: 'Shared', host_endpoint_id: endpoint_xid, host_path: '/data/' }).id,
+                access_id, rules;
+            return globusJs(['acl', 'add', shared_xid, '/raw/', '--username', 'bob@example.org', '--permissions', 'rw', '--json']).then(function(result) {
+                assert.equal(result.code, 0);
+                access_id = JSON.parse(result.stdout).access_id;
+                return globusJs(['acl', 'list', shared_xid]);
+            }).then(function(result) {
+                assert.match(result.stdout, new RegExp('^' + access_id + ' +identity +\\S+ +/raw/ +rw$', 'm'));
+                rules = result.stdout.trim().split('\n').length;
+                return globusJs(['acl', 'rm', shared_xid, String(access_id)]);
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                return globusJs(['acl', 'list', shared_xid]);
+            }).then(function(result) {
+                assert.lengthOf(result.stdout.trim().split('\n'), rules - 1);
+                assert.notInclude(result.stdout, '/raw/');
+            });
+        });
+
+        it('should sync access rules with a file, printing the plan on a dry run', function() {
+            var shared_xid = mock.addEndpoint({ display_name: 'Synced', host_endpoint_id: endpoint_xid, host_path: '/data/' }).id,
+                file = path.join(os.tmpdir(), 'globus-js-cli-test-rules.json');
+            fs.writeFileSync(file, JSON.stringify([{ username: 'bob@example.org', path: '/raw/', permissions: 'r' }]));
+            return globusJs(['acl', 'sync', shared_xid, file, '--prune', '--dry-run']).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.match(result.stdout, /^create +- +identity +\S+ +\/raw\/ +r +planned$/m);
+                assert.equal(mock.accessRules.get(shared_xid).size, 0);
+                return globusJs(['acl', 'sync', shared_xid, file, '--prune']);
+            }).then(function(result) {
+                assert.equal(result.code, 0);
+                assert.match(result.stdout, /^create +\d+ +identity +\S+ +\/raw\/ +r +Created$/m);
+                assert.equal(mock.accessRules.get(shared_xid).size, 1);
+                fs.writeFileSync(file, '{}');
+                return globusJs(['acl', 'sync', shared_xid, file]);
+            }).then(function(result) {
+                fs.unlinkSync(file);
+                assert.equal(result.code, 1);
+                assert.include(result.stderr, 'must be a JSON list');
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Globus Client', function() {
+    var server;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            if (req.url.indexOf('/identities') === 0) {
+                return { identities: [] };
+            }
+            return { DATA_TYPE: 'endpoint', id: req.url.split('/').pop() };
+        }).then(function(s) {
+            server = s;
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    it('should send requests to the configured base URLs with the token', function() {
+        var client = new globus.GlobusClient({ token: 'abc', transferBaseURL: server.url, authBaseURL: server.url });
+
+        return client.getEndpointById({ endpoint_xid: 'ep1' }).then(function(obj) {
+            assert.propertyVal(obj, 'id', 'ep1');
+            return client.getUserId({ userEmail: 'user@example.org' });
+        }).then(function(obj) {
+            assert.property(obj, 'identities');
+            assert.equal(server.requests[0].url, '/endpoint/ep1');
+            assert.equal(server.requests[0].headers.authorization, 'Bearer abc');
+            assert.equal(server.requests[1].url.indexOf('/identities'), 0);
+        });
+    });
+
+    it('should send the User-Agent header', function() {
+        var client = new globus.GlobusClient({ token: 'abc', transferBaseURL: server.url, userAgent: 'my-dashboard/1.0' });
+        var defaultClient = new globus.GlobusClient({ token: 'abc', transferBaseURL: server.url });
+
+        return client.getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            return defaultClient.getEndpointById({ endpoint_xid: 'ep1' });
+        }).then(function() {
+            var requests = server.requests.slice(-2);
+            assert.equal(requests[0].headers['user-agent'], 'my-dashboard/1.0');
+            assert.match(requests[1].headers['user-agent'], /^globus-js\//);
+        });
+    });
+
+    it('should default to the globus.org APIs', function() {
+        var client = new globus.GlobusClient({ token: 'abc' });
+
+        assert.equal(client.transferBaseURL, 'https://transfer.api.globusonline.org/v0.10');
+        assert.equal(client.authBaseURL, 'https://auth.globus.org/v2/api');
+    });
+
+    it('should export every method as a function taking the bearer token', function() {
+        Object.keys(globus.GlobusClient.prototype).forEach(function(name) {
+            if (name !== 'request') {
+                assert.isFunction(globus[name], name);
+            }
+        });
+        assert.isUndefined(globus.request);
+    });
+
+    it('should pass the bearer token of the exported functions to the client', function() {
+        var getEndpointById = globus.GlobusClient.prototype.getEndpointById;
+        var seen;
+
+        globus.GlobusClient.prototype.getEndpointById = function(options) {
+            seen = { token: this.token, options: options };
+            return Promise.resolve();
+        };
+
+        return globus.getEndpointById('abc', { endpoint_xid: 'ep1' }).then(function() {
+            globus.GlobusClient.prototype.getEndpointById = getEndpointById;
+            assert.deepEqual(seen, { token: 'abc', options: { endpoint_xid: 'ep1' } });
+        }, function(err) {
+            globus.GlobusClient.prototype.getEndpointById = getEndpointById;
+            throw err;
+        });
+    });
+});
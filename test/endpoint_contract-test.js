@@ -0,0 +1,157 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+// The exact request each endpoint management function sends, checked against a server
+// recording them rather than the mock, which would accept some wrong ones.
+describe('Endpoint Management Requests', function() {
+    var server, client;
+    var ep = 'ddb59aef-6d04-11e5-ba46-22000b92c6ec';
+
+    before(function() {
+        return helpers.listen(function(req) {
+            if (/my_effective_pause_rule_list/.test(req.url)) {
+                return { DATA_TYPE: 'pause_rule_limited_list', DATA: [] };
+            }
+            return { DATA_TYPE: 'result', code: 'OK' };
+        }).then(function(listening) {
+            server = listening;
+            client = new globus.GlobusClient({ token: 'abc', transferBaseURL: server.url + '/v0.10', authBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    var contracts = [
+        {
+            name: 'getAccessRulesList',
+            options: { endpoint_xid: ep, limit: 10, offset: 20 },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/access_list?limit=10&offset=20'
+        },
+        {
+            name: 'getAccessRulesListById',
+            options: { endpoint_xid: ep, id: 42 },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/access/42'
+        },
+        {
+            name: 'createAccessRule',
+            options: { endpoint_xid: ep, userId: 'u1', path: '/shared/', permissions: 'rw', userEmail: 'bob@example.org' },
+            method: 'POST',
+            url: '/v0.10/endpoint/' + ep + '/access',
+            body: { DATA_TYPE: 'access', principal_type: 'identity', principal: 'u1', path: '/shared/', permissions: 'rw', notify_email: 'bob@example.org' }
+        },
+        {
+            name: 'updateAccessRule',
+            options: { endpoint_xid: ep, id: 42, permissions: 'r' },
+            method: 'PUT',
+            url: '/v0.10/endpoint/' + ep + '/access/42',
+            body: { DATA_TYPE: 'access', id: 42, permissions: 'r' }
+        },
+        {
+            name: 'deleteAccessRule',
+            options: { endpoint_xid: ep, id: 42 },
+            method: 'DELETE',
+            url: '/v0.10/endpoint/' + ep + '/access/42'
+        },
+        {
+            name: 'getEndpointById',
+            options: { endpoint_xid: ep },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep
+        },
+        {
+            name: 'createEndpoint',
+            options: { display_name: 'Lab', documents: [{ DATA_TYPE: 'server', hostname: 'gridftp.example.org' }] },
+            method: 'POST',
+            url: '/v0.10/endpoint',
+            body: { DATA_TYPE: 'endpoint', display_name: 'Lab', DATA: [{ DATA_TYPE: 'server', hostname: 'gridftp.example.org' }] }
+        },
+        {
+            name: 'createSharedEndpoint',
+            options: { display_name: 'Share', host_endpoint: ep, host_path: '/projects/', description: 'data' },
+            method: 'POST',
+            url: '/v0.10/shared_endpoint',
+            body: { DATA_TYPE: 'shared_endpoint', display_name: 'Share', host_endpoint: ep, host_path: '/projects/', description: 'data' }
+        },
+        {
+            name: 'updateEndpointById',
+            options: { endpoint_xid: ep, document: { DATA_TYPE: 'endpoint', description: 'Lab storage' } },
+            method: 'PUT',
+            url: '/v0.10/endpoint/' + ep,
+            body: { DATA_TYPE: 'endpoint', description: 'Lab storage' }
+        },
+        {
+            name: 'deleteEndpointById',
+            options: { endpoint_xid: ep },
+            method: 'DELETE',
+            url: '/v0.10/endpoint/' + ep
+        },
+        {
+            name: 'getMyEffectivePauseRuleList',
+            options: { endpoint_xid: ep, operations: ['ls'] },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/my_effective_pause_rule_list'
+        },
+        {
+            name: 'getEffectivePauseRuleList',
+            options: { endpoint_xid: ep },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/my_effective_pause_rule_list'
+        },
+        {
+            name: 'getEndpointServerList',
+            options: { endpoint_xid: ep },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/server_list'
+        },
+        {
+            name: 'getEndpointServerById',
+            options: { endpoint_xid: ep, server_id: 7 },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/server/7'
+        },
+        {
+            name: 'addEndpointServer',
+            options: { endpoint_xid: ep, hostname: 'gridftp.example.org' },
+            method: 'POST',
+            url: '/v0.10/endpoint/' + ep + '/server',
+            body: { DATA_TYPE: 'server', hostname: 'gridftp.example.org', port: '2811', scheme: 'gsiftp' }
+        },
+        {
+            name: 'updateEndpointServerById',
+            options: { endpoint_xid: ep, server_id: 7, subject: '/CN=gridftp.example.org' },
+            method: 'PUT',
+            url: '/v0.10/endpoint/' + ep + '/server/7',
+            body: { DATA_TYPE: 'server', subject: '/CN=gridftp.example.org' }
+        },
+        {
+            name: 'deleteEndpointServerById',
+            options: { endpoint_xid: ep, server_id: 7 },
+            method: 'DELETE',
+            url: '/v0.10/endpoint/' + ep + '/server/7'
+        },
+        {
+            name: 'getSharedEndpointList',
+            options: { endpoint_xid: ep, max_results: 50, next_token: 't2' },
+            method: 'GET',
+            url: '/v0.10/endpoint/' + ep + '/my_shared_endpoint_list?next_token=t2&max_results=50'
+        }
+    ];
+
+    contracts.forEach(function(contract) {
+        it('should send ' + contract.method + ' ' + contract.url.replace(ep, '{endpoint_xid}') + ' for ' + contract.name, function() {
+            var before = server.requests.length;
+            return client[contract.name](contract.options).then(function() {
+                var sent = server.requests.slice(before);
+                assert.lengthOf(sent, 1);
+                assert.equal(sent[0].method, contract.method);
+                assert.equal(sent[0].url, contract.url);
+                assert.deepEqual(sent[0].body, contract.body);
+            });
+        });
+    });
+});
@@ -1,31 +1,195 @@
 var assert = require('chai').assert,
-    privateInfo = require('./private-info'),
-    bearerToken = privateInfo.getBearerToken(),
-    endpoint_xid = privateInfo.getEndpointId(),
-    endpoint_document = privateInfo.getEndpointDocument(),
+    MockServer = require('../mock').MockServer,
     g = require('../globus');
 
-describe('Get An Endpoint By Id', function() {
-    it('should return an endpoint_document', function() {
-        g.getEndpointById(bearerToken, endpoint_xid).then(function(obj) {
-            obj.should.have.property('DATA_TYPE', 'endpoint');
+describe('Endpoint Management', function() {
+    var mock, client, endpoint_xid;
+
+    before(function() {
+        mock = new MockServer();
+        endpoint_xid = mock.addEndpoint({ display_name: 'host', files: { '/projects/shared/': {} } }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    describe('Get An Endpoint By Id', function() {
+        it('should return an endpoint_document', function() {
+            return client.getEndpointById({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'endpoint');
+                assert.propertyVal(obj, 'id', endpoint_xid);
+                assert.propertyVal(obj, 'display_name', 'host');
+            });
+        });
+
+        it('should fail for an unknown endpoint', function() {
+            return client.getEndpointById({ endpoint_xid: 'badCode' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, g.NotFoundError);
+            });
+        });
+    });
+
+    describe('Create An Endpoint', function() {
+        it('should create an endpoint and return an id', function() {
+            return client.createEndpoint({
+                display_name: 'Testing Endpoint',
+                documents: [{ DATA_TYPE: 'server', hostname: 'gridftp.example.org' }]
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Created');
+                return client.getEndpointById({ endpoint_xid: obj.id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'display_name', 'Testing Endpoint');
+                assert.propertyVal(obj.DATA[0], 'uri', 'gsiftp://gridftp.example.org:2811');
+            });
+        });
+    });
+
+    describe('Create A Shared Endpoint', function() {
+        it('should create a shared endpoint and return an id', function() {
+            return client.createSharedEndpoint({
+                displayName: 'Testing Shared Endpoint',
+                hostId: endpoint_xid,
+                path: '/projects/',
+                description: 'shared for testing',
+                organization: 'Example Lab'
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Created');
+                return client.listDirectoryContents({ endpoint_xid: obj.id, path: '/' });
+            }).then(function(obj) {
+                assert.deepEqual(obj.DATA.map(function(file) { return file.name; }), ['shared']);
+            });
+        });
+
+        it('should fail when the host path does not exist', function() {
+            return client.createSharedEndpoint({ displayName: 'missing', hostId: endpoint_xid, path: '/missing/' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, g.GlobusAPIError);
+            });
+        });
+    });
+
+    describe('Delete An Endpoint', function() {
+        it('should delete the endpoint', function() {
+            var id = mock.addEndpoint({ display_name: 'doomed' }).id;
+            return client.deleteEndpointById({ endpoint_xid: id }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Deleted');
+                assert.isFalse(mock.endpoints.has(id));
+            });
+        });
+    });
+
+    describe('Update An Endpoint', function() {
+        it('should update the fields of a partial document', function() {
+            return client.updateEndpointById({
+                endpoint_xid: endpoint_xid,
+                document: { DATA_TYPE: 'endpoint', description: 'Lab storage' }
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Updated');
+                return client.getEndpointById({ endpoint_xid: endpoint_xid });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'description', 'Lab storage');
+                assert.propertyVal(obj, 'display_name', 'host');
+            });
+        });
+    });
+
+    describe('Endpoint Servers', function() {
+        var server_id;
+
+        it('should add a server and get it by id', function() {
+            return client.addEndpointServer({ endpoint_xid: endpoint_xid, hostname: 'gridftp2.example.org', subject: '/CN=gridftp2.example.org' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Created');
+                server_id = obj.id;
+                return client.getEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'server');
+                assert.propertyVal(obj, 'hostname', 'gridftp2.example.org');
+                assert.propertyVal(obj, 'subject', '/CN=gridftp2.example.org');
+            });
+        });
+
+        it('should only change the fields given on update', function() {
+            return client.updateEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id, port: 2812 }).then(function() {
+                return client.updateEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id, hostname: 'gridftp3.example.org' });
+            }).then(function() {
+                return client.getEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'uri', 'gsiftp://gridftp3.example.org:2812');
+            });
+        });
+
+        it('should delete a server', function() {
+            return client.deleteEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Deleted');
+                return client.getEndpointServerById({ endpoint_xid: endpoint_xid, server_id: server_id });
+            }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, g.NotFoundError);
+            });
+        });
+    });
+
+    describe('My Effective Pause Rules', function() {
+        before(function() {
+            mock.addPauseRule(endpoint_xid, { message: 'Listing paused', pause_ls: true });
+            mock.addPauseRule(endpoint_xid, { message: 'Reads paused', pause_task_transfer_read: true });
+            mock.addPauseRule(endpoint_xid, { message: 'Maintenance', pause_task_transfer_read: true, start_time: '2999-01-01T00:00:00+00:00' });
+        });
+
+        function messages(list) {
+            return list.DATA.map(function(rule) { return rule.message; });
+        }
+
+        it('should list the pause rules', function() {
+            return client.getMyEffectivePauseRuleList({ endpoint_xid: endpoint_xid }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'pause_rule_limited_list');
+                assert.deepEqual(messages(obj), ['Listing paused', 'Reads paused', 'Maintenance']);
+            });
+        });
+
+        it('should filter the rules on operations and start time', function() {
+            return client.getMyEffectivePauseRuleList({ endpoint_xid: endpoint_xid, operations: ['task_transfer_read', 'mkdir'] }).then(function(obj) {
+                assert.deepEqual(messages(obj), ['Reads paused', 'Maintenance']);
+                return client.getMyEffectivePauseRuleList({ endpoint_xid: endpoint_xid, operations: 'task_transfer_read', active: true });
+            }).then(function(obj) {
+                assert.deepEqual(messages(obj), ['Reads paused']);
+            });
+        });
+
+        it('should reject an unknown operation', function() {
+            return client.getMyEffectivePauseRuleList({ endpoint_xid: endpoint_xid, operations: ['transfer'] }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.include(err.message, 'Invalid operation "transfer"');
+            });
         });
     });
-});
 
-// TODO: create some server documents and then test with them...
-// describe('Create An Endpoint', function() {
-//   it('should create an endpoint and return an id', function() {
-//     g.createEndpoint().then(function (obj) {
-//       obj.should.have.property('DATA_TYPE', 'endpoint');
-//     });
-//   });
-// });
-
-describe('Create A Shared Endpoint', function() {
-    it('should create a shared endpoint and return an id', function() {
-        g.createSharedEndpoint(bearerToken, 'Testing Shared Endpoint', endpoint_document.host_endpoint_id, endpoint_document.path, endpoint_document.description, endpoint_document.organization).then(function(obj) {
-            obj.should.have.property('DATA_TYPE', 'endpoint');
+    describe('My Shared Endpoint List', function() {
+        it('should page the shared endpoints', function() {
+            var host = mock.addEndpoint({ display_name: 'paged host', files: { '/a/': {}, '/b/': {}, '/c/': {} } }).id;
+            ['/a/', '/b/', '/c/'].forEach(function(path) {
+                mock.addEndpoint({ display_name: 'share ' + path, host_endpoint_id: host, host_path: path });
+            });
+            return client.getSharedEndpointList({ endpoint_xid: host, max_results: 2 }).then(function(obj) {
+                assert.lengthOf(obj.shared_endpoints, 2);
+                assert.isString(obj.next_token);
+                return client.getSharedEndpointList({ endpoint_xid: host, max_results: 2, next_token: obj.next_token });
+            }).then(function(obj) {
+                assert.lengthOf(obj.shared_endpoints, 1);
+                assert.isNull(obj.next_token);
+                return client.iterSharedEndpoints({ endpoint_xid: host, max_results: 1 }).toArray();
+            }).then(function(shares) {
+                assert.deepEqual(shares.map(function(share) { return share.host_path; }), ['/a/', '/b/', '/c/']);
+            });
         });
     });
 });
@@ -0,0 +1,133 @@
+var assert = require('chai').assert,
+    url = require('url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Endpoint Roles', function() {
+    var server, client;
+
+    before(function() {
+        return helpers.listen(function(req, body) {
+            var parsed = url.parse(req.url, true);
+
+            if (parsed.pathname === '/auth/identities') {
+                var usernames = parsed.query.usernames.split(',');
+                return {
+                    identities: usernames.filter(function(username) {
+                        return username !== 'nobody@example.org';
+                    }).map(function(username) {
+                        return { id: 'id-' + username, username: username };
+                    })
+                };
+            }
+            if (req.method === 'POST') {
+                return Object.assign({ id: 'role1' }, body);
+            }
+            if (req.method === 'DELETE') {
+                return { DATA_TYPE: 'result', code: 'Deleted' };
+            }
+            if (parsed.pathname === '/transfer/endpoint/ep1/role_list') {
+                return { DATA_TYPE: 'role_list', DATA: [{ DATA_TYPE: 'role', id: 'role1', role: 'administrator' }] };
+            }
+            return { DATA_TYPE: 'role', id: 'role1', role: 'administrator' };
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({
+                token: 'transfer-token',
+                authToken: 'auth-token',
+                transferBaseURL: server.url + '/transfer',
+                authBaseURL: server.url + '/auth'
+            });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    it('should list the roles of an endpoint', function() {
+        return client.getRoleList({ endpoint_xid: 'ep1' }).then(function(obj) {
+            assert.propertyVal(obj, 'DATA_TYPE', 'role_list');
+            assert.propertyVal(server.requests[0], 'method', 'GET');
+            assert.equal(server.requests[0].url, '/transfer/endpoint/ep1/role_list');
+        });
+    });
+
+    it('should get a single role', function() {
+        return client.getRole({ endpoint_xid: 'ep1', role_id: 'role1' }).then(function(obj) {
+            assert.propertyVal(obj, 'DATA_TYPE', 'role');
+            assert.equal(server.requests[0].url, '/transfer/endpoint/ep1/role/role1');
+        });
+    });
+
+    it('should grant a role to a group', function() {
+        return client.createRole({
+            endpoint_xid: 'ep1',
+            role: 'activity_monitor',
+            principal_type: 'group',
+            principal: 'group1'
+        }).then(function(obj) {
+            assert.propertyVal(obj, 'id', 'role1');
+            assert.lengthOf(server.requests, 1);
+            assert.equal(server.requests[0].url, '/transfer/endpoint/ep1/role');
+            assert.deepEqual(server.requests[0].body, {
+                DATA_TYPE: 'role',
+                principal_type: 'group',
+                principal: 'group1',
+                role: 'activity_monitor'
+            });
+        });
+    });
+
+    it('should resolve a username with the auth token', function() {
+        return client.createRole({
+            endpoint_xid: 'ep1',
+            role: 'access_manager',
+            username: 'alice@globusid.org'
+        }).then(function() {
+            assert.lengthOf(server.requests, 2);
+            assert.equal(server.requests[0].headers.authorization, 'Bearer auth-token');
+            assert.equal(server.requests[1].headers.authorization, 'Bearer transfer-token');
+            assert.deepEqual(server.requests[1].body, {
+                DATA_TYPE: 'role',
+                principal_type: 'identity',
+                principal: 'id-alice@globusid.org',
+                role: 'access_manager'
+            });
+        });
+    });
+
+    it('should reject unknown usernames', function() {
+        return client.createRole({
+            endpoint_xid: 'ep1',
+            role: 'administrator',
+            username: 'nobody@example.org'
+        }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.include(err.message, 'nobody@example.org');
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should reject invalid roles before sending a request', function() {
+        return client.createRole({ endpoint_xid: 'ep1', role: 'owner', principal: 'id1' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.include(err.message, 'owner');
+            assert.lengthOf(server.requests, 0);
+        });
+    });
+
+    it('should delete a role', function() {
+        return client.deleteRole({ endpoint_xid: 'ep1', role_id: 'role1' }).then(function(obj) {
+            assert.propertyVal(obj, 'code', 'Deleted');
+            assert.propertyVal(server.requests[0], 'method', 'DELETE');
+            assert.equal(server.requests[0].url, '/transfer/endpoint/ep1/role/role1');
+        });
+    });
+});
@@ -0,0 +1,81 @@
+var assert = require('chai').assert,
+    url = require('url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Endpoint Search', function() {
+    var server, client;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            var query = url.parse(req.url, true).query;
+            var offset = Number(query.offset || 0);
+            var limit = Number(query.limit || 25);
+            var total = 30;
+            var DATA = [];
+
+            for (var i = offset; i < Math.min(offset + limit, total); i++) {
+                DATA.push({ DATA_TYPE: 'endpoint', id: 'ep' + i, display_name: query.filter_fulltext + ' ' + i });
+            }
+            return {
+                DATA_TYPE: 'endpoint_list',
+                offset: offset,
+                limit: limit,
+                has_next_page: offset + limit < total,
+                DATA: DATA
+            };
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    it('should send the filters as query parameters', function() {
+        return client.searchEndpoints({
+            filter_fulltext: 'genomics lab',
+            filter_scope: 'shared-with-me',
+            filter_owner_id: 'owner1',
+            filter_non_functional: false,
+            limit: 10
+        }).then(function(obj) {
+            assert.propertyVal(obj, 'DATA_TYPE', 'endpoint_list');
+            assert.lengthOf(obj.DATA, 10);
+            var query = url.parse(server.requests[0].url, true).query;
+            assert.equal(url.parse(server.requests[0].url).pathname, '/endpoint_search');
+            assert.deepEqual(query, {
+                filter_fulltext: 'genomics lab',
+                filter_scope: 'shared-with-me',
+                filter_owner_id: 'owner1',
+                filter_non_functional: 'false',
+                limit: '10'
+            });
+        });
+    });
+
+    it('should reject an unknown filter_scope without sending a request', function() {
+        return client.searchEndpoints({ filter_scope: 'mine' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.include(err.message, 'filter_scope');
+            assert.include(err.message, 'my-endpoints');
+            assert.lengthOf(server.requests, 0);
+        });
+    });
+
+    it('should iterate over all the results', function() {
+        return client.iterEndpoints({ filter_fulltext: 'genomics', filter_scope: 'all', limit: 25 }).toArray().then(function(endpoints) {
+            assert.lengthOf(endpoints, 30);
+            assert.lengthOf(server.requests, 2);
+            assert.include(server.requests[1].url, 'offset=25');
+            assert.include(server.requests[1].url, 'filter_scope=all');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Globus API Errors', function() {
+    var server, client, reply;
+
+    before(function() {
+        return helpers.listen(function() {
+            return reply;
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url, authBaseURL: server.url, retry: false });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    function expectError(promise) {
+        return promise.then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            return err;
+        });
+    }
+
+    it('should reject with a NotFoundError carrying the error document', function() {
+        reply = helpers.reply(404, {
+            DATA_TYPE: 'result',
+            code: 'EndpointNotFound',
+            message: 'No such endpoint',
+            request_id: 'AbC123',
+            resource: '/endpoint/missing'
+        });
+
+        return expectError(client.getEndpointById({ endpoint_xid: 'missing' })).then(function(err) {
+            assert.instanceOf(err, globus.NotFoundError);
+            assert.instanceOf(err, globus.GlobusAPIError);
+            assert.instanceOf(err, Error);
+            assert.propertyVal(err, 'name', 'NotFoundError');
+            assert.propertyVal(err, 'status', 404);
+            assert.propertyVal(err, 'code', 'EndpointNotFound');
+            assert.propertyVal(err, 'message', 'No such endpoint');
+            assert.propertyVal(err, 'request_id', 'AbC123');
+            assert.propertyVal(err, 'resource', '/endpoint/missing');
+            assert.propertyVal(err.error, 'code', 'EndpointNotFound');
+        });
+    });
+
+    it('should reject with an AuthError for 401 and 403 responses', function() {
+        reply = helpers.reply(401, { code: 'AuthenticationFailed', message: 'Token is not active' });
+
+        return expectError(client.getTaskList()).then(function(err) {
+            assert.instanceOf(err, globus.AuthError);
+            reply = helpers.reply(403, { code: 'PermissionDenied', message: 'No' });
+            return expectError(client.getTaskList());
+        }).then(function(err) {
+            assert.instanceOf(err, globus.AuthError);
+            assert.propertyVal(err, 'code', 'PermissionDenied');
+        });
+    });
+
+    it('should reject with a ConflictError for a 409 response', function() {
+        reply = helpers.reply(409, { code: 'EndpointNotActivated', message: 'Not activated' });
+
+        return expectError(client.listDirectoryContents({ endpoint_xid: 'ep1' })).then(function(err) {
+            assert.instanceOf(err, globus.ConflictError);
+            assert.propertyVal(err, 'code', 'EndpointNotActivated');
+        });
+    });
+
+    it('should read the Retry-After header of rate limit and unavailable errors', function() {
+        reply = helpers.reply(429, { code: 'ClientError.RateLimited' }, { 'Retry-After': '30' });
+
+        return expectError(client.getTaskList()).then(function(err) {
+            assert.instanceOf(err, globus.RateLimitError);
+            assert.propertyVal(err, 'retryAfter', 30);
+            reply = helpers.reply(503, { code: 'ServiceUnavailable', message: 'Down for maintenance' });
+            return expectError(client.getTaskList());
+        }).then(function(err) {
+            assert.instanceOf(err, globus.ServiceUnavailableError);
+            assert.isUndefined(err.retryAfter);
+        });
+    });
+
+    it('should read Auth API error documents', function() {
+        reply = helpers.reply(400, { errors: [{ code: 'INVALID_PARAMETERS', detail: 'Invalid usernames', id: 'req-1', status: '400' }] });
+
+        return expectError(client.getUserId({ userEmail: 'nobody' })).then(function(err) {
+            assert.strictEqual(err.constructor, globus.GlobusAPIError);
+            assert.propertyVal(err, 'status', 400);
+            assert.propertyVal(err, 'code', 'INVALID_PARAMETERS');
+            assert.propertyVal(err, 'message', 'Invalid usernames');
+            assert.propertyVal(err, 'request_id', 'req-1');
+        });
+    });
+});
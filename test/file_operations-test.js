@@ -0,0 +1,154 @@
+var assert = require('chai').assert,
+    MockServer = require('../mock').MockServer,
+    globus = require('../globus');
+
+describe('File Operations', function() {
+    var mock, client, endpoint_xid;
+
+    before(function() {
+        mock = new MockServer();
+        endpoint_xid = mock.addEndpoint({
+            display_name: 'staging',
+            files: {
+                '/data/run1/reads.fastq': { size: 300 },
+                '/data/a,b.txt': { size: 3 },
+                '/data/~tmp': { size: 1 },
+                '/data/notes.txt': { size: 5 }
+            }
+        }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    describe('Stat', function() {
+        it('should return the file document of a file or a directory', function() {
+            return client.stat(endpoint_xid, '/~/data/run1/reads.fastq').then(function(file) {
+                assert.propertyVal(file, 'type', 'file');
+                assert.propertyVal(file, 'size', 300);
+                return client.stat(endpoint_xid, '/data/run1/');
+            }).then(function(file) {
+                assert.propertyVal(file, 'name', 'run1');
+                assert.propertyVal(file, 'type', 'dir');
+            });
+        });
+
+        it('should filter the listing of the parent on the name', function() {
+            return client.stat(endpoint_xid, '/data/notes.txt').then(function() {
+                assert.match(mock.requests[mock.requests.length - 1].url, /&filter=name%3Anotes\.txt$/);
+            });
+        });
+
+        it('should find names the filter syntax can\'t match', function() {
+            return client.stat(endpoint_xid, '/data/a,b.txt').then(function(file) {
+                assert.propertyVal(file, 'size', 3);
+                return client.stat(endpoint_xid, '/data/~tmp');
+            }).then(function(file) {
+                assert.propertyVal(file, 'size', 1);
+            });
+        });
+
+        it('should stat the root directory', function() {
+            return client.stat(endpoint_xid, '/~/').then(function(file) {
+                assert.propertyVal(file, 'type', 'dir');
+            });
+        });
+
+        it('should reject with a NotFoundError', function() {
+            return client.stat(endpoint_xid, '/data/missing.txt').then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.NotFoundError);
+                assert.propertyVal(err, 'code', 'ClientError.NotFound');
+                return client.stat(endpoint_xid, '/missing/missing.txt');
+            }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.NotFoundError);
+            });
+        });
+    });
+
+    describe('Exists', function() {
+        it('should tell whether there is something at a path', function() {
+            return Promise.all([
+                client.exists(endpoint_xid, '/data/notes.txt'),
+                client.exists(endpoint_xid, '/data/other.txt'),
+                client.exists(endpoint_xid, '/other/')
+            ]).then(function(results) {
+                assert.deepEqual(results, [true, false, false]);
+            });
+        });
+
+        it('should reject on other errors', function() {
+            return mock.client({ token: 'bad_token' }).exists(endpoint_xid, '/data/notes.txt').then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.AuthError);
+            });
+        });
+    });
+
+    describe('Ensure Directory', function() {
+        it('should create a directory and its parents', function() {
+            return client.ensureDirectory(endpoint_xid, '/staging/2017/03/').then(function(created) {
+                assert.isTrue(created);
+                assert.equal(mock.getFile(endpoint_xid, '/staging/2017/03').type, 'dir');
+            });
+        });
+
+        it('should tolerate an existing directory', function() {
+            return client.ensureDirectory(endpoint_xid, '/data/run1/').then(function(created) {
+                assert.isFalse(created);
+            });
+        });
+
+        it('should reject when a file is in the way', function() {
+            return client.ensureDirectory(endpoint_xid, '/data/notes.txt/').then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.propertyVal(err, 'code', 'ExternalError.MkdirFailed.Exists');
+            });
+        });
+    });
+
+    describe('Symlink', function() {
+        it('should create a symbolic link', function() {
+            return client.symlink({ endpoint_xid: endpoint_xid, path: '/data/latest', symlink_target: '/data/run1' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'SymlinkCreated');
+                return client.stat(endpoint_xid, '/data/latest');
+            }).then(function(file) {
+                assert.propertyVal(file, 'link_target', '/data/run1');
+            });
+        });
+    });
+
+    describe('Remove Path', function() {
+        it('should delete a file and wait for the task', function() {
+            return client.removePath(endpoint_xid, '/data/notes.txt', { label: 'cleanup' }).then(function(task) {
+                assert.propertyVal(task, 'status', 'SUCCEEDED');
+                assert.propertyVal(task, 'label', 'cleanup');
+                assert.notOk(mock.getFile(endpoint_xid, '/data/notes.txt'));
+            });
+        });
+
+        it('should delete a directory recursively', function() {
+            return client.removePath(endpoint_xid, '/staging/', { recursive: true }).then(function() {
+                assert.notOk(mock.getFile(endpoint_xid, '/staging/2017'));
+            });
+        });
+
+        it('should reject when the task fails', function() {
+            return client.removePath(endpoint_xid, '/data/run1/').then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.TaskFailedError);
+                assert.equal(mock.getFile(endpoint_xid, '/data/run1').type, 'dir');
+            });
+        });
+    });
+});
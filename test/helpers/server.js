@@ -0,0 +1,66 @@
+var http = require('http'),
+    querystring = require('querystring');
+
+function Reply(status, body, headers) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+}
+
+/**
+ * reply - A response with a status other than 200, or with extra headers, for the
+ * handler given to listen(..) to return.
+ *
+ * @param  {number} status
+ * @param  {Object} body
+ * @param  {Object} headers
+ * @return {Reply}
+ */
+exports.reply = function(status, body, headers) {
+    return new Reply(status, body, headers);
+};
+
+/**
+ * listen - Starts an HTTP server on a random local port. Each request is recorded
+ * in `server.requests` with its parsed JSON or form body, then answered by the handler, which
+ * returns the body of a 200 response or a reply(..).
+ *
+ * @param  {function} handler  called with (req, body)
+ * @return {promise}           containing `{ url, requests, close() }`
+ */
+exports.listen = function(handler) {
+    var requests = [];
+    var server = http.createServer(function(req, res) {
+        var chunks = [];
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            var raw = Buffer.concat(chunks).toString();
+            var form = /x-www-form-urlencoded/.test(req.headers['content-type']);
+            var body = raw ? (form ? querystring.parse(raw) : JSON.parse(raw)) : undefined;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+
+            var reply = handler(req, body);
+            if (!(reply instanceof Reply)) {
+                reply = new Reply(200, reply);
+            }
+            res.writeHead(reply.status, Object.assign({ 'Content-Type': 'application/json' }, reply.headers));
+            res.end(JSON.stringify(reply.body));
+        });
+    });
+
+    return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', function() {
+            resolve({
+                url: 'http://127.0.0.1:' + server.address().port,
+                requests: requests,
+                close: function() {
+                    return new Promise(function(done) {
+                        server.close(done);
+                    });
+                }
+            });
+        });
+    });
+};
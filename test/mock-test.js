@@ -0,0 +1,240 @@
+var assert = require('chai').assert,
+    MockServer = require('../mock').MockServer,
+    globus = require('../globus');
+
+describe('Mock Server', function() {
+    var mock, client, endpoint_xid;
+
+    before(function() {
+        mock = new MockServer();
+        endpoint_xid = mock.addEndpoint({
+            display_name: 'Genomics Lab',
+            files: {
+                '/data/reads 1.fastq': { size: 300 },
+                '/data/reads 2.fastq': { size: 100 },
+                '/data/notes.txt': { size: 5 },
+                '/data/.hidden': {},
+                '/data/raw/': {}
+            }
+        }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    describe('File Operations', function() {
+        it('should list a directory relative to the home directory', function() {
+            return client.listDirectoryContents({ endpoint_xid: endpoint_xid, path: '/~/data/' }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'file_list');
+                assert.propertyVal(obj, 'absolute_path', '/data/');
+                assert.deepEqual(obj.DATA.map(function(file) { return file.name; }), ['.hidden', 'notes.txt', 'raw', 'reads 1.fastq', 'reads 2.fastq']);
+            });
+        });
+
+        it('should filter and order the listing', function() {
+            return client.listDirectoryContents({
+                endpoint_xid: endpoint_xid,
+                path: '/data/',
+                filter: ['type:file', 'name:~*.fastq'],
+                orderby: 'size ASC'
+            }).then(function(obj) {
+                assert.deepEqual(obj.DATA.map(function(file) { return file.name; }), ['reads 2.fastq', 'reads 1.fastq']);
+            });
+        });
+
+        it('should still accept query_parameters', function() {
+            return client.listDirectoryContents({
+                endpoint_xid: endpoint_xid,
+                path: '/data/',
+                query_parameters: '&filter=type:file/name:~*.fastq&orderby=size%20DESC'
+            }).then(function(obj) {
+                assert.deepEqual(obj.DATA.map(function(file) { return file.name; }), ['reads 1.fastq', 'reads 2.fastq']);
+            });
+        });
+
+        it('should leave out hidden files', function() {
+            return client.listDirectoryContents({ endpoint_xid: endpoint_xid, path: '/data/', show_hidden: false }).then(function(obj) {
+                assert.notInclude(obj.DATA.map(function(file) { return file.name; }), '.hidden');
+            });
+        });
+
+        it('should encode paths with reserved and non-ASCII characters', function() {
+            var dir = '/data/run #1 & ctrl=ok/séquences/';
+            mock.addFile(endpoint_xid, dir + 'R1 100%.fastq', { size: 7 });
+            return client.listDirectoryContents({ endpoint_xid: endpoint_xid, path: dir, limit: 10 }).then(function(obj) {
+                assert.propertyVal(obj, 'path', dir);
+                assert.deepEqual(obj.DATA.map(function(file) { return file.name; }), ['R1 100%.fastq']);
+                assert.equal(mock.requests[mock.requests.length - 1].url.split('?')[1],
+                    'path=%2Fdata%2Frun%20%231%20%26%20ctrl%3Dok%2Fs%C3%A9quences%2F&limit=10');
+                return client.makeDirectory({ endpoint_xid: endpoint_xid, path: dir + 'a?b#c/' });
+            }).then(function() {
+                assert.equal(mock.getFile(endpoint_xid, dir + 'a?b#c').type, 'dir');
+            });
+        });
+
+        it('should report a missing directory', function() {
+            return client.listDirectoryContents({ endpoint_xid: endpoint_xid, path: '/missing/' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.NotFoundError);
+            });
+        });
+
+        it('should create and rename directories', function() {
+            return client.makeDirectory({ endpoint_xid: endpoint_xid, path: '/data/new/' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'DirectoryCreated');
+                return client.rename({ endpoint_xid: endpoint_xid, old_path: '/data/new/', new_path: '/data/renamed/' });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'FileRenamed');
+                assert.propertyVal(mock.getFile(endpoint_xid, '/data/renamed'), 'type', 'dir');
+                assert.isUndefined(mock.getFile(endpoint_xid, '/data/new'));
+            });
+        });
+
+        it('should fail to create an existing directory', function() {
+            return client.makeDirectory({ endpoint_xid: endpoint_xid, path: '/data/raw/' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.propertyVal(err, 'code', 'ExternalError.MkdirFailed.Exists');
+            });
+        });
+
+        it('should require an activated endpoint', function() {
+            var inactive = mock.addEndpoint({ display_name: 'inactive', activated: false }).id;
+            return client.listDirectoryContents({ endpoint_xid: inactive, path: '/' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.ConflictError);
+                assert.propertyVal(err, 'code', 'ClientError.ActivationRequired');
+            });
+        });
+    });
+
+    describe('Errors', function() {
+        it('should answer a malformed path and keep serving requests', function() {
+            return client.request(mock.transferBaseURL + '/endpoint/%E0%A4%A').then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.GlobusAPIError);
+                assert.propertyVal(err, 'status', 400);
+                assert.propertyVal(err, 'code', 'ClientError.BadRequest');
+                return client.getEndpointById({ endpoint_xid: endpoint_xid });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'id', endpoint_xid);
+            });
+        });
+
+        it('should answer a 500 when a route fails unexpectedly', function() {
+            var authenticate = mock.authenticate;
+            mock.authenticate = function() {
+                throw new TypeError('Cannot read properties of undefined');
+            };
+            return client.getEndpointById({ endpoint_xid: endpoint_xid }).then(function() {
+                mock.authenticate = authenticate;
+                assert.fail('should have rejected');
+            }, function(err) {
+                mock.authenticate = authenticate;
+                assert.instanceOf(err, globus.GlobusAPIError);
+                assert.propertyVal(err, 'status', 500);
+                assert.propertyVal(err, 'code', 'ServerError.InternalError');
+            });
+        });
+    });
+
+    describe('Tasks', function() {
+        it('should keep a task INACTIVE until its endpoints are activated', function() {
+            var inactive = mock.addEndpoint({ display_name: 'backup', activated: false }).id;
+            var data = new globus.TransferData({ source_endpoint: endpoint_xid, destination_endpoint: inactive })
+                .addItem('/data/notes.txt', '/notes.txt');
+
+            return client.submitTransferTask(data).then(function(obj) {
+                assert.propertyVal(mock.tasks.get(obj.task_id).document, 'status', 'INACTIVE');
+                mock.endpoints.get(inactive).expires_at = Infinity;
+                assert.propertyVal(mock.completeTask(obj.task_id), 'status', 'SUCCEEDED');
+                assert.propertyVal(mock.getFile(inactive, '/notes.txt'), 'size', 5);
+            });
+        });
+
+        it('should fail a task on request', function() {
+            mock.autoComplete = false;
+            var data = new globus.TransferData({ source_endpoint: endpoint_xid, destination_endpoint: endpoint_xid })
+                .addItem('/data/notes.txt', '/data/copy.txt');
+
+            return client.submitTransferTask(data).then(function(obj) {
+                mock.failTask(obj.task_id, 'Disk quota exceeded');
+                return client.waitForTask({ task_id: obj.task_id });
+            }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.TaskFailedError);
+            }).then(function() {
+                mock.autoComplete = true;
+            });
+        });
+    });
+
+    describe('Endpoint Search', function() {
+        it('should find endpoints by their display name', function() {
+            return client.searchEndpoints({ filter_fulltext: 'genomics', filter_scope: 'my-endpoints' }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'endpoint_list');
+                assert.deepEqual(obj.DATA.map(function(endpoint) { return endpoint.id; }), [endpoint_xid]);
+            });
+        });
+
+        it('should find the endpoints the user administers', function() {
+            var owner = mock.addIdentity({ username: 'carol@example.org' });
+            var core_xid = mock.addEndpoint({ display_name: 'Genomics Core', owner_id: owner.id }).id;
+            mock.addEndpoint({ display_name: 'Genomics Archive', owner_id: owner.id });
+
+            return mock.client({ token: mock.addToken(owner.id) }).createRole({ endpoint_xid: core_xid, role: 'administrator', principal: mock.user.id }).then(function() {
+                return client.searchEndpoints({ filter_fulltext: 'genomics', filter_scope: 'administered-by-me' });
+            }).then(function(obj) {
+                assert.sameMembers(obj.DATA.map(function(endpoint) { return endpoint.id; }), [endpoint_xid, core_xid]);
+            });
+        });
+    });
+
+    describe('Auth', function() {
+        it('should look up and provision identities', function() {
+            return client.getIdentities({ usernames: ['user@example.org', 'new@example.org'], provision: true }).then(function(obj) {
+                assert.propertyVal(obj.identity_ids, 'user@example.org', mock.user.id);
+                assert.property(obj.identity_ids, 'new@example.org');
+                assert.propertyVal(obj.identities[1], 'status', 'unused');
+            });
+        });
+
+        it('should return the identity of the token', function() {
+            return client.getUserInfo().then(function(obj) {
+                assert.propertyVal(obj, 'sub', mock.user.id);
+                assert.propertyVal(obj, 'preferred_username', 'user@example.org');
+            });
+        });
+
+        it('should issue tokens to clients', function() {
+            var registered = mock.addClient();
+            var options = { client_id: registered.client_id, client_secret: registered.client_secret, oauth2BaseURL: mock.oauth2BaseURL };
+
+            return globus.oauth2.clientCredentials(options).then(function(response) {
+                assert.propertyVal(response, 'resource_server', 'transfer.api.globus.org');
+                return globus.oauth2.introspectToken(Object.assign({ token: response.access_token }, options));
+            }).then(function(response) {
+                assert.propertyVal(response, 'active', true);
+                assert.propertyVal(response, 'sub', registered.identity.id);
+            });
+        });
+
+        it('should reject wrong client credentials', function() {
+            var registered = mock.addClient();
+            return globus.oauth2.clientCredentials({ client_id: registered.client_id, client_secret: 'wrong', oauth2BaseURL: mock.oauth2BaseURL }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.AuthError);
+                assert.propertyVal(err, 'code', 'invalid_client');
+            });
+        });
+    });
+});
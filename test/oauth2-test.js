@@ -0,0 +1,224 @@
+var assert = require('chai').assert,
+    crypto = require('crypto'),
+    url = require('url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('OAuth2', function() {
+    var server, issued, oauth2BaseURL;
+
+    before(function() {
+        return helpers.listen(function(req, body) {
+            if (req.url === '/token') {
+                if (body.grant_type === 'refresh_token' && body.refresh_token !== 'valid-refresh') {
+                    return helpers.reply(401, { error: 'invalid_grant', error_description: 'Refresh token expired' });
+                }
+                issued += 1;
+                return {
+                    access_token: 'auth-token-' + issued,
+                    expires_in: 3600,
+                    resource_server: 'auth.globus.org',
+                    token_type: 'Bearer',
+                    refresh_token: body.grant_type === 'client_credentials' ? undefined : 'valid-refresh',
+                    other_tokens: [{
+                        access_token: 'transfer-token-' + issued,
+                        expires_in: 3600,
+                        resource_server: 'transfer.api.globus.org',
+                        token_type: 'Bearer'
+                    }]
+                };
+            }
+            if (req.url === '/token/introspect') {
+                return { active: body.token === 'transfer-token-1', scope: 'urn:globus:auth:scope:transfer.api.globus.org:all' };
+            }
+            if (req.url === '/token/revoke') {
+                return { active: false };
+            }
+            return { DATA_TYPE: 'endpoint', authorization: req.headers.authorization };
+        }).then(function(s) {
+            server = s;
+            oauth2BaseURL = server.url;
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+        issued = 0;
+    });
+
+    it('should build the authorize URL with a PKCE challenge', function() {
+        var pkce = globus.oauth2.createPKCE();
+        var parsed = url.parse(globus.oauth2.authorizeURL({
+            client_id: 'client1',
+            redirect_uri: 'https://example.org/callback',
+            state: 'xyz',
+            code_challenge: pkce.code_challenge,
+            offline: true
+        }), true);
+
+        assert.equal(parsed.host, 'auth.globus.org');
+        assert.equal(parsed.pathname, '/v2/oauth2/authorize');
+        assert.propertyVal(parsed.query, 'client_id', 'client1');
+        assert.propertyVal(parsed.query, 'redirect_uri', 'https://example.org/callback');
+        assert.propertyVal(parsed.query, 'scope', globus.oauth2.scopes.transfer);
+        assert.propertyVal(parsed.query, 'response_type', 'code');
+        assert.propertyVal(parsed.query, 'access_type', 'offline');
+        assert.propertyVal(parsed.query, 'state', 'xyz');
+        assert.propertyVal(parsed.query, 'code_challenge_method', 'S256');
+
+        var expected = crypto.createHash('sha256').update(pkce.code_verifier).digest('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        assert.equal(parsed.query.code_challenge, expected);
+    });
+
+    it('should exchange a code with its verifier as a public client', function() {
+        return globus.oauth2.exchangeCode({
+            oauth2BaseURL: oauth2BaseURL,
+            client_id: 'client1',
+            code: 'the-code',
+            redirect_uri: 'https://example.org/callback',
+            code_verifier: 'the-verifier'
+        }).then(function(response) {
+            assert.propertyVal(response, 'access_token', 'auth-token-1');
+            assert.deepEqual(server.requests[0].body, {
+                grant_type: 'authorization_code',
+                code: 'the-code',
+                redirect_uri: 'https://example.org/callback',
+                code_verifier: 'the-verifier',
+                client_id: 'client1'
+            });
+            assert.isUndefined(server.requests[0].headers.authorization);
+        });
+    });
+
+    it('should authenticate confidential clients with their secret', function() {
+        return globus.oauth2.clientCredentials({
+            oauth2BaseURL: oauth2BaseURL,
+            client_id: 'client1',
+            client_secret: 'secret'
+        }).then(function() {
+            var request = server.requests[0];
+            assert.equal(request.headers.authorization, 'Basic ' + Buffer.from('client1:secret').toString('base64'));
+            assert.propertyVal(request.body, 'grant_type', 'client_credentials');
+            assert.propertyVal(request.body, 'scope', globus.oauth2.scopes.transfer);
+            assert.notProperty(request.body, 'client_id');
+        });
+    });
+
+    it('should introspect and revoke tokens', function() {
+        var client = { oauth2BaseURL: oauth2BaseURL, client_id: 'client1', client_secret: 'secret' };
+
+        return globus.oauth2.introspectToken(Object.assign({ token: 'transfer-token-1' }, client)).then(function(response) {
+            assert.propertyVal(response, 'active', true);
+            return globus.oauth2.revokeToken(Object.assign({ token: 'transfer-token-1' }, client));
+        }).then(function() {
+            assert.equal(server.requests[1].url, '/token/revoke');
+            assert.propertyVal(server.requests[1].body, 'token', 'transfer-token-1');
+        });
+    });
+
+    it('should reject failed grants with a GlobusAPIError', function() {
+        return globus.oauth2.refreshToken({
+            oauth2BaseURL: oauth2BaseURL,
+            client_id: 'client1',
+            refresh_token: 'expired'
+        }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.AuthError);
+            assert.propertyVal(err, 'code', 'invalid_grant');
+            assert.propertyVal(err, 'message', 'Refresh token expired');
+        });
+    });
+
+    describe('Authorizers', function() {
+        var time;
+
+        function now() {
+            return time;
+        }
+
+        beforeEach(function() {
+            time = 0;
+        });
+
+        it('should get a transfer token before the first request', function() {
+            var authorizer = new globus.RefreshTokenAuthorizer({
+                oauth2BaseURL: oauth2BaseURL,
+                client_id: 'client1',
+                refresh_token: 'valid-refresh',
+                now: now
+            });
+            var client = new globus.GlobusClient({ authorizer: authorizer, transferBaseURL: server.url });
+
+            return client.getEndpointById({ endpoint_xid: 'ep1' }).then(function(obj) {
+                assert.propertyVal(obj, 'authorization', 'Bearer transfer-token-1');
+                assert.equal(authorizer.expires_at, 3600 * 1000);
+            });
+        });
+
+        it('should refresh an expiring token before a request', function() {
+            var renewed = [];
+            var authorizer = new globus.RefreshTokenAuthorizer({
+                oauth2BaseURL: oauth2BaseURL,
+                client_id: 'client1',
+                refresh_token: 'valid-refresh',
+                access_token: 'old-token',
+                expires_at: 120 * 1000,
+                now: now,
+                onRenew: function(response) {
+                    renewed.push(response.refresh_token);
+                }
+            });
+            var client = new globus.GlobusClient({ authorizer: authorizer, transferBaseURL: server.url });
+
+            return client.getEndpointById({ endpoint_xid: 'ep1' }).then(function(obj) {
+                assert.propertyVal(obj, 'authorization', 'Bearer old-token');
+                time = 90 * 1000;
+                return client.getEndpointById({ endpoint_xid: 'ep1' });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'authorization', 'Bearer transfer-token-1');
+                assert.deepEqual(renewed, ['valid-refresh']);
+            });
+        });
+
+        it('should renew the token once for concurrent requests', function() {
+            var authorizer = new globus.ClientCredentialsAuthorizer({
+                oauth2BaseURL: oauth2BaseURL,
+                client_id: 'client1',
+                client_secret: 'secret',
+                now: now
+            });
+            var client = new globus.GlobusClient({ authorizer: authorizer, transferBaseURL: server.url });
+
+            return Promise.all([
+                client.getEndpointById({ endpoint_xid: 'ep1' }),
+                client.getEndpointById({ endpoint_xid: 'ep2' })
+            ]).then(function(results) {
+                assert.equal(issued, 1);
+                assert.propertyVal(results[1], 'authorization', 'Bearer transfer-token-1');
+            });
+        });
+
+        it('should reject the request when the token cannot be renewed', function() {
+            var authorizer = new globus.RefreshTokenAuthorizer({
+                oauth2BaseURL: oauth2BaseURL,
+                client_id: 'client1',
+                refresh_token: 'expired',
+                now: now
+            });
+            var client = new globus.GlobusClient({ authorizer: authorizer, transferBaseURL: server.url });
+
+            return client.getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.AuthError);
+                assert.lengthOf(server.requests, 1);
+            });
+        });
+    });
+});
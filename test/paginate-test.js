@@ -0,0 +1,140 @@
+var assert = require('chai').assert,
+    url = require('url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+function range(from, to) {
+    var list = [];
+    for (var i = from; i < to; i++) {
+        list.push(i);
+    }
+    return list;
+}
+
+describe('Iterate Over Paged Lists', function() {
+    var server, client;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            var parsed = url.parse(req.url, true);
+            var query = parsed.query;
+            var offset = Number(query.offset || 0);
+            var limit = Number(query.limit || 10);
+
+            if (/\/access_list$/.test(parsed.pathname)) {
+                // 25 access rules, paged with offset and has_next_page
+                return {
+                    DATA_TYPE: 'access_list',
+                    offset: offset,
+                    limit: limit,
+                    has_next_page: offset + limit < 25,
+                    DATA: range(offset, Math.min(offset + limit, 25)).map(function(id) {
+                        return { DATA_TYPE: 'access', id: id };
+                    })
+                };
+            }
+            if (/\/task_list$/.test(parsed.pathname)) {
+                // 12 tasks, paged with offset and total
+                return {
+                    DATA_TYPE: 'task_list',
+                    offset: offset,
+                    limit: limit,
+                    total: 12,
+                    DATA: range(offset, Math.min(offset + limit, 12)).map(function(id) {
+                        return { DATA_TYPE: 'task', task_id: 'task' + id };
+                    })
+                };
+            }
+            if (/\/server_list$/.test(parsed.pathname)) {
+                // not paged by the server
+                return { DATA_TYPE: 'endpoint_server_list', DATA: [{ id: 1 }, { id: 2 }] };
+            }
+            if (/\/successful_transfers$/.test(parsed.pathname)) {
+                var marker = Number(query.marker || 0);
+                return {
+                    DATA_TYPE: 'successful_transfers',
+                    marker: marker,
+                    next_marker: marker < 2 ? marker + 1 : null,
+                    DATA: [{ source_path: '/file' + marker }]
+                };
+            }
+            if (/\/my_shared_endpoint_list$/.test(parsed.pathname)) {
+                return query.next_token === 'page2' ?
+                    { shared_endpoints: [{ id: 'shared2' }], next_token: null } :
+                    { shared_endpoints: [{ id: 'shared1' }], next_token: 'page2' };
+            }
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    it('should iterate over all pages with for await', async function() {
+        var ids = [];
+        for await (var rule of client.iterAccessRules({ endpoint_xid: 'ep1', limit: 10 })) {
+            ids.push(rule.id);
+        }
+        assert.deepEqual(ids, range(0, 25));
+        assert.deepEqual(server.requests.map(function(r) { return r.url; }), [
+            '/endpoint/ep1/access_list?limit=10&offset=0',
+            '/endpoint/ep1/access_list?limit=10&offset=10',
+            '/endpoint/ep1/access_list?limit=10&offset=20'
+        ]);
+    });
+
+    it('should stop fetching pages once max items are collected', function() {
+        return client.iterAccessRules({ endpoint_xid: 'ep1', limit: 10 }).toArray({ max: 15 }).then(function(rules) {
+            assert.lengthOf(rules, 15);
+            assert.lengthOf(server.requests, 2);
+        });
+    });
+
+    it('should follow the total of offset paged lists', function() {
+        return client.iterTasks({ filter_status: 'SUCCEEDED', limit: 5 }).toArray().then(function(tasks) {
+            assert.lengthOf(tasks, 12);
+            assert.lengthOf(server.requests, 3);
+            assert.include(server.requests[2].url, 'offset=10');
+            assert.include(server.requests[2].url, 'filter=status%3ASUCCEEDED');
+        });
+    });
+
+    it('should fetch lists that are not paged once', function() {
+        return client.iterEndpointServers({ endpoint_xid: 'ep1' }).toArray().then(function(servers) {
+            assert.lengthOf(servers, 2);
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should follow the markers of marker paged lists', function() {
+        return client.iterSuccessfulTransfers({ task_id: 'task1' }).toArray().then(function(transfers) {
+            assert.deepEqual(transfers.map(function(t) { return t.source_path; }), ['/file0', '/file1', '/file2']);
+        });
+    });
+
+    it('should follow the next_token of the shared endpoint list', function() {
+        return client.iterSharedEndpoints({ endpoint_xid: 'ep1' }).toArray().then(function(endpoints) {
+            assert.deepEqual(endpoints.map(function(e) { return e.id; }), ['shared1', 'shared2']);
+            assert.equal(server.requests[1].url, '/endpoint/ep1/my_shared_endpoint_list?next_token=page2');
+        });
+    });
+
+    it('should iterate over the raw pages', async function() {
+        var pages = [];
+        for await (var page of client.iterTasks({ limit: 5 }).pages()) {
+            pages.push(page.offset);
+        }
+        assert.deepEqual(pages, [0, 5, 10]);
+    });
+
+    it('should be available as exported functions', function() {
+        assert.instanceOf(globus.iterEndpointServers('token', { endpoint_xid: 'ep1' }), globus.PageIterator);
+    });
+});
@@ -0,0 +1,162 @@
+var assert = require('chai').assert,
+    crypto = require('crypto'),
+    proxy = require('../lib/proxy'),
+    globus = require('../globus');
+
+describe('Delegate Proxy', function() {
+    var user, certificate, server, hour = 3600 * 1000;
+
+    before(function() {
+        user = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        server = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        certificate = proxy.createCertificate({
+            subject: '/DC=org/DC=example/O=Grid/CN=Alice',
+            publicKey: user.publicKey,
+            signingKey: user.privateKey,
+            notAfter: new Date(Date.now() + 48 * hour)
+        });
+    });
+
+    /**
+     * parse - The certificates of a PEM proxy chain.
+     */
+    function parse(chain) {
+        return chain.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g).map(function(pem) {
+            return new crypto.X509Certificate(pem);
+        });
+    }
+
+    function publicKeyPem(keys) {
+        return keys.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    describe('Create Certificate', function() {
+        it('should create a self-signed certificate', function() {
+            var parsed = new crypto.X509Certificate(certificate);
+            assert.equal(parsed.subject, 'DC=org\nDC=example\nO=Grid\nCN=Alice');
+            assert.equal(parsed.issuer, parsed.subject);
+            assert.isTrue(parsed.verify(user.publicKey));
+            assert.isTrue(parsed.checkPrivateKey(user.privateKey));
+        });
+
+        it('should encode dates after 2049', function() {
+            var parsed = new crypto.X509Certificate(proxy.createCertificate({
+                subject: '/CN=Long Lived',
+                publicKey: user.publicKey,
+                signingKey: user.privateKey,
+                notAfter: new Date(Date.UTC(2060, 0, 1))
+            }));
+            assert.equal(Date.parse(parsed.validTo), Date.UTC(2060, 0, 1));
+        });
+    });
+
+    describe('Create Proxy Chain', function() {
+        it('should issue an RFC 3820 proxy for the public key', function() {
+            var chain = parse(globus.createProxyChain({
+                certificate: certificate,
+                key: user.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+                public_key: publicKeyPem(server),
+                lifetime_in_hours: 2
+            }));
+            var issued = chain[0];
+
+            assert.lengthOf(chain, 2);
+            assert.equal(chain[1].fingerprint256, new crypto.X509Certificate(certificate).fingerprint256);
+            assert.isTrue(issued.publicKey.equals(server.publicKey));
+            assert.isTrue(issued.checkIssued(chain[1]));
+            assert.isTrue(issued.verify(user.publicKey));
+            assert.match(issued.subject, /^DC=org\nDC=example\nO=Grid\nCN=Alice\nCN=(\d+)$/);
+            assert.equal(issued.subject.split('CN=').pop(), String(parseInt(issued.serialNumber, 16)));
+            assert.closeTo(Date.parse(issued.validTo) - Date.now(), 2 * hour, 60 * 1000);
+            assert.isBelow(Date.parse(issued.validFrom), Date.now());
+        });
+
+        it('should mark the proxy with the proxyCertInfo extension', function() {
+            var der = parse(globus.createProxyChain({ certificate: certificate, key: user.privateKey, public_key: publicKeyPem(server) }))[0].raw;
+            // id-pe-proxyCertInfo, critical, with the inheritAll policy language
+            assert.notEqual(der.indexOf(Buffer.from('06082b0601050507010e0101ff', 'hex')), -1);
+            assert.notEqual(der.indexOf(Buffer.from('06082b06010505071501', 'hex')), -1);
+        });
+
+        it('should sign with an EC key and an encrypted key', function() {
+            var ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            var ecCertificate = proxy.createCertificate({
+                subject: '/O=Grid/CN=Bob',
+                publicKey: ec.publicKey,
+                signingKey: ec.privateKey,
+                notAfter: new Date(Date.now() + hour)
+            });
+            var chain = parse(globus.createProxyChain({
+                certificate: ecCertificate,
+                key: ec.privateKey.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase: 'secret' }),
+                passphrase: 'secret',
+                public_key: publicKeyPem(server),
+                lifetime_in_hours: 12
+            }));
+            assert.isTrue(chain[0].verify(ec.publicKey));
+            // A proxy can't outlive the certificate that issued it
+            assert.equal(chain[0].validTo, chain[1].validTo);
+        });
+
+        it('should keep the rest of the chain of a proxy', function() {
+            var first = globus.createProxyChain({ certificate: certificate, key: user.privateKey, public_key: publicKeyPem(server) });
+            var second = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            var chain = parse(globus.createProxyChain({
+                certificate: first.replace(/^[\s\S]*?-----END CERTIFICATE-----\n/, globus.createProxyChain({
+                    certificate: certificate,
+                    key: user.privateKey,
+                    public_key: publicKeyPem(second)
+                }).match(/^[\s\S]*?-----END CERTIFICATE-----\n/)[0]),
+                key: second.privateKey,
+                public_key: publicKeyPem(server)
+            }));
+            assert.lengthOf(chain, 3);
+            assert.isTrue(chain[0].checkIssued(chain[1]));
+            assert.isTrue(chain[1].checkIssued(chain[2]));
+        });
+
+        it('should refuse a key that doesn\'t match the certificate', function() {
+            assert.throws(function() {
+                globus.createProxyChain({ certificate: certificate, key: server.privateKey, public_key: publicKeyPem(server) });
+            }, /doesn't match the certificate/);
+        });
+
+        it('should refuse an expired certificate', function() {
+            var expired = proxy.createCertificate({
+                subject: '/CN=Expired',
+                publicKey: user.publicKey,
+                signingKey: user.privateKey,
+                notBefore: new Date(Date.now() - 2 * hour),
+                notAfter: new Date(Date.now() - hour)
+            });
+            assert.throws(function() {
+                globus.createProxyChain({ certificate: expired, key: user.privateKey, public_key: publicKeyPem(server) });
+            }, /expired/);
+        });
+    });
+
+    describe('Fill Delegate Proxy', function() {
+        var requirements = {
+            DATA_TYPE: 'activation_requirements',
+            DATA: [
+                { DATA_TYPE: 'activation_requirement', type: 'delegate_proxy', name: 'public_key', value: null },
+                { DATA_TYPE: 'activation_requirement', type: 'delegate_proxy', name: 'proxy_chain', value: null },
+                { DATA_TYPE: 'activation_requirement', type: 'myproxy', name: 'username', value: null }
+            ]
+        };
+
+        it('should fill proxy_chain and drop the other methods', function() {
+            requirements.DATA[0].value = publicKeyPem(server);
+            var document = globus.fillDelegateProxy(requirements, { certificate: certificate, key: user.privateKey });
+            assert.deepEqual(document.DATA.map(function(requirement) { return requirement.name; }), ['public_key', 'proxy_chain']);
+            assert.isTrue(parse(document.DATA[1].value)[0].publicKey.equals(server.publicKey));
+            assert.isNull(requirements.DATA[1].value);
+        });
+
+        it('should refuse an endpoint without delegate_proxy activation', function() {
+            assert.throws(function() {
+                globus.fillDelegateProxy({ DATA_TYPE: 'activation_requirements', DATA: [requirements.DATA[2]] }, { certificate: certificate, key: user.privateKey });
+            }, /doesn't support delegate_proxy/);
+        });
+    });
+});
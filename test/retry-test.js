@@ -0,0 +1,177 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Retry Transient Failures', function() {
+    var server, replies, sleeps;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            var reply = replies.length > 1 ? replies.shift() : replies[0];
+            if (reply === 'ECONNRESET') {
+                req.socket.destroy();
+                return;
+            }
+            return reply;
+        }).then(function(s) {
+            server = s;
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+        sleeps = [];
+    });
+
+    function client(retry) {
+        return new globus.GlobusClient({
+            token: 'token',
+            transferBaseURL: server.url,
+            validate: false,
+            retry: Object.assign({
+                jitter: 0,
+                sleep: function(ms) {
+                    sleeps.push(ms);
+                    return Promise.resolve();
+                }
+            }, retry)
+        });
+    }
+
+    var unavailable = helpers.reply(503, { code: 'ServiceUnavailable' });
+    var endpoint = { DATA_TYPE: 'endpoint', id: 'ep1' };
+
+    it('should retry a GET with exponential backoff until it succeeds', function() {
+        replies = [unavailable, unavailable, endpoint];
+
+        return client({ maxAttempts: 5, baseDelay: 100 }).getEndpointById({ endpoint_xid: 'ep1' }).then(function(obj) {
+            assert.propertyVal(obj, 'id', 'ep1');
+            assert.lengthOf(server.requests, 3);
+            assert.deepEqual(sleeps, [100, 200]);
+        });
+    });
+
+    it('should give up after maxAttempts', function() {
+        replies = [unavailable];
+
+        return client({ maxAttempts: 3, baseDelay: 100, maxDelay: 150 }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.ServiceUnavailableError);
+            assert.lengthOf(server.requests, 3);
+            assert.deepEqual(sleeps, [100, 150]);
+        });
+    });
+
+    it('should honour the Retry-After header', function() {
+        replies = [helpers.reply(429, { code: 'ClientError.RateLimited' }, { 'Retry-After': '7' }), endpoint];
+
+        return client({ baseDelay: 100 }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.deepEqual(sleeps, [7000]);
+        });
+    });
+
+    it('should wait no longer than maxDelay whatever the Retry-After header says', function() {
+        replies = [helpers.reply(503, { code: 'ServiceUnavailable' }, { 'Retry-After': '86400' }), endpoint];
+
+        return client({ maxDelay: 20000 }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.deepEqual(sleeps, [20000]);
+        });
+    });
+
+    it('should ignore the Retry-After header when told to', function() {
+        replies = [helpers.reply(429, { code: 'ClientError.RateLimited' }, { 'Retry-After': '7' }), endpoint];
+
+        return client({ baseDelay: 100, respectRetryAfter: false }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.deepEqual(sleeps, [100]);
+        });
+    });
+
+    it('should retry ExternalError responses and dropped connections', function() {
+        replies = [helpers.reply(502, { code: 'ExternalError.DirListingFailed.GCDisconnected' }), 'ECONNRESET', { DATA_TYPE: 'file_list', DATA: [] }];
+
+        return client({ baseDelay: 1 }).listDirectoryContents({ endpoint_xid: 'ep1' }).then(function(obj) {
+            assert.propertyVal(obj, 'DATA_TYPE', 'file_list');
+            assert.lengthOf(server.requests, 3);
+        });
+    });
+
+    it('should not retry an ExternalError that will fail again', function() {
+        replies = [helpers.reply(502, { code: 'ExternalError.DirListingFailed.PermissionDenied' }), { DATA_TYPE: 'file_list', DATA: [] }];
+
+        return client({ baseDelay: 1 }).listDirectoryContents({ endpoint_xid: 'ep1' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.GlobusAPIError);
+            assert.propertyVal(err, 'code', 'ExternalError.DirListingFailed.PermissionDenied');
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should not retry errors that are not transient', function() {
+        replies = [helpers.reply(404, { code: 'EndpointNotFound' }), endpoint];
+
+        return client({ baseDelay: 1 }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.NotFoundError);
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should not retry a POST by default', function() {
+        replies = [unavailable, { code: 'Created' }];
+
+        return client({ baseDelay: 1 }).makeDirectory({ endpoint_xid: 'ep1', path: '/~/new' }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.ServiceUnavailableError);
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should retry a transfer submitted with a submission_id', function() {
+        replies = [unavailable, { code: 'Accepted', task_id: 'task1' }];
+
+        return client({ baseDelay: 1 }).submitTransferTask({ submission_id: 'sub1', DATA: [] }).then(function(obj) {
+            assert.propertyVal(obj, 'task_id', 'task1');
+            assert.lengthOf(server.requests, 2);
+            assert.equal(server.requests[0].body.submission_id, server.requests[1].body.submission_id);
+        });
+    });
+
+    it('should not retry a transfer submitted without a submission_id', function() {
+        replies = [unavailable, { code: 'Accepted', task_id: 'task1' }];
+
+        return client({ baseDelay: 1 }).submitTransferTask({ DATA: [] }).then(function() {
+            assert.fail('should have rejected');
+        }, function() {
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should retry a deletion with the same submission_id', function() {
+        replies = [{ value: 'sub1' }, unavailable, { code: 'Accepted', task_id: 'task1' }];
+
+        return client({ baseDelay: 1 }).submitDeletionTask({ endpoint: 'ep1', DATA: ['/~/old'] }).then(function(obj) {
+            assert.propertyVal(obj, 'task_id', 'task1');
+            assert.lengthOf(server.requests, 3);
+            assert.equal(server.requests[1].body.submission_id, 'sub1');
+            assert.equal(server.requests[2].body.submission_id, 'sub1');
+        });
+    });
+
+    it('should not retry when retries are disabled', function() {
+        replies = [unavailable, endpoint];
+
+        return new globus.GlobusClient({ token: 'token', transferBaseURL: server.url, retry: false }).getEndpointById({ endpoint_xid: 'ep1' }).then(function() {
+            assert.fail('should have rejected');
+        }, function() {
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    schema = require('../lib/schema'),
+    globus = require('../globus');
+
+describe('Document Schemas', function() {
+    function paths(problems) {
+        return problems.map(function(problem) { return problem.path + ' ' + problem.message; });
+    }
+
+    it('should accept a valid access rule', function() {
+        assert.deepEqual(schema.validate('access', {
+            DATA_TYPE: 'access',
+            principal_type: 'identity',
+            principal: 'id1',
+            path: '/projects/',
+            permissions: 'rw'
+        }), []);
+    });
+
+    it('should report missing and invalid fields by path', function() {
+        assert.deepEqual(paths(schema.validate('access', {
+            DATA_TYPE: 'access',
+            principal: 'id1',
+            path: 'projects',
+            permissions: 'w'
+        })), [
+            'principal_type is required',
+            'path must match ^/(.*/)?$',
+            'permissions must be one of "r", "rw"'
+        ]);
+    });
+
+    it('should not require fields of partial documents', function() {
+        assert.deepEqual(schema.validate('access', { DATA_TYPE: 'access', permissions: 'r' }, { partial: true }), []);
+        assert.deepEqual(paths(schema.validate('access', { DATA_TYPE: 'access', permissions: 'x' }, { partial: true })), [
+            'permissions must be one of "r", "rw"'
+        ]);
+    });
+
+    it('should check nested items by DATA_TYPE', function() {
+        assert.deepEqual(paths(schema.validate('transfer', {
+            DATA_TYPE: 'transfer',
+            submission_id: 'sub1',
+            source_endpoint: 'src',
+            destination_endpoint: 'dst',
+            sync_level: 5,
+            DATA: [
+                { DATA_TYPE: 'transfer_item', source_path: '/a', destination_path: '/b', recursive: 'yes' },
+                { DATA_TYPE: 'transfer_symlink_item', source_path: '/c' },
+                { DATA_TYPE: 'delete_item', path: '/d' }
+            ]
+        })), [
+            'sync_level must be at most 3',
+            'DATA[0].recursive must be a boolean',
+            'DATA[1].destination_path is required',
+            'DATA[2].DATA_TYPE must be one of "transfer_item", "transfer_symlink_item"'
+        ]);
+    });
+
+    it('should check the servers of an endpoint', function() {
+        assert.deepEqual(paths(schema.validate('endpoint', {
+            DATA_TYPE: 'endpoint',
+            display_name: 'lab\ncluster',
+            DATA: [{ DATA_TYPE: 'server', port: 70000 }]
+        })), [
+            'display_name must match ^[^\\r\\n]*$',
+            'DATA[0].hostname is required',
+            'DATA[0].port must be at most 65535'
+        ]);
+    });
+
+    it('should check every bundled schema', function() {
+        assert.sameMembers(Object.keys(schema.schemas), [
+            'access', 'activation', 'delete', 'endpoint', 'server', 'shared_endpoint', 'transfer'
+        ]);
+        assert.lengthOf(schema.validate('activation', { DATA_TYPE: 'activation_requirements', DATA: [
+            { DATA_TYPE: 'activation_requirement', type: 'password', name: 'passphrase' }
+        ] }), 1);
+        assert.lengthOf(schema.validate('delete', { DATA_TYPE: 'delete', submission_id: 'sub1', endpoint: 'ep1', DATA: [] }), 1);
+        assert.lengthOf(schema.validate('shared_endpoint', { DATA_TYPE: 'shared_endpoint', display_name: 'share' }), 2);
+        assert.lengthOf(schema.validate('server', { DATA_TYPE: 'server', hostname: 'gridftp.example.org', scheme: 'http' }), 1);
+    });
+
+    describe('GlobusClient', function() {
+        var server;
+
+        before(function() {
+            return helpers.listen(function(req, body) {
+                return Object.assign({ code: 'Created' }, body);
+            }).then(function(s) {
+                server = s;
+            });
+        });
+
+        after(function() {
+            return server.close();
+        });
+
+        beforeEach(function() {
+            server.requests.length = 0;
+        });
+
+        var rule = { endpoint_xid: 'ep1', id: 1, DATA_TYPE: 'access', principal_type: 'identity', principal: 'id1', permissions: 'rwx' };
+
+        it('should reject invalid documents without sending a request', function() {
+            var client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+
+            return client.updateAccessRule(rule).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.ValidationError);
+                assert.deepEqual(err.problems, [{ path: 'permissions', message: 'must be one of "r", "rw"' }]);
+                assert.lengthOf(server.requests, 0);
+            });
+        });
+
+        it('should send invalid documents when validation is disabled', function() {
+            var client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url, validate: false });
+
+            return client.updateAccessRule(rule).then(function() {
+                assert.lengthOf(server.requests, 1);
+                assert.equal(server.requests[0].body.permissions, 'rwx');
+            });
+        });
+
+        it('should send valid documents', function() {
+            var client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+
+            return client.addEndpointServer({ endpoint_xid: 'ep1', hostname: 'gridftp.example.org' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Created');
+                assert.deepEqual(server.requests[0].body, {
+                    DATA_TYPE: 'server',
+                    hostname: 'gridftp.example.org',
+                    port: '2811',
+                    scheme: 'gsiftp'
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,169 @@
+var assert = require('chai').assert,
+    MockServer = require('../mock').MockServer,
+    globus = require('../globus');
+
+describe('Share Directory', function() {
+    var mock, client, host_xid, bob, group_id = 'b9a4e2c0-6f3e-11e7-8cf7-a6006ad3dba0';
+
+    before(function() {
+        mock = new MockServer();
+        host_xid = mock.addEndpoint({
+            display_name: 'lab storage',
+            files: { '/datasets/run41/reads.fastq': { size: 300 } }
+        }).id;
+        bob = mock.addIdentity({ username: 'bob@example.org' });
+        return mock.listen().then(function() {
+            client = mock.client();
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    function shares() {
+        return client.getSharedEndpointList({ endpoint_xid: host_xid }).then(function(list) {
+            return list.shared_endpoints;
+        });
+    }
+
+    function rules(endpoint_xid) {
+        return client.getAccessRulesList({ endpoint_xid: endpoint_xid }).then(function(list) {
+            return list.DATA;
+        });
+    }
+
+    function options(overrides) {
+        return Object.assign({
+            host_endpoint: host_xid,
+            path: '/datasets/run42',
+            display_name: 'run42',
+            grantees: [{ email: 'bob@example.org', permissions: 'rw' }, { group_id: group_id }],
+            notify_email: true
+        }, overrides);
+    }
+
+    /**
+     * failing - Run a test with createAccessRule failing for the group grantees.
+     */
+    function failing(test) {
+        var createAccessRule = client.createAccessRule;
+        client.createAccessRule = function(options) {
+            if (options.principal_type === 'group') {
+                return Promise.reject(new globus.ServiceUnavailableError(503, { code: 'ServiceUnavailable', message: 'Down for maintenance' }));
+            }
+            return createAccessRule.apply(this, arguments);
+        };
+        return test().then(function() {
+            client.createAccessRule = createAccessRule;
+        }, function(err) {
+            client.createAccessRule = createAccessRule;
+            throw err;
+        });
+    }
+
+    it('should create the directory, the shared endpoint and the access rules', function() {
+        return client.shareDirectory(options()).then(function(share) {
+            assert.isTrue(share.directory_created);
+            assert.isTrue(share.endpoint_created);
+            assert.equal(mock.getFile(host_xid, '/datasets/run42').type, 'dir');
+            assert.deepEqual(share.access_rules.map(function(rule) { return [rule.principal_type, rule.principal, rule.permissions, rule.code]; }), [
+                ['identity', bob.id, 'rw', 'Created'],
+                ['group', group_id, 'r', 'Created']
+            ]);
+            return Promise.all([shares(), rules(share.endpoint_xid), share.access_rules]);
+        }).then(function(results) {
+            assert.lengthOf(results[0], 1);
+            assert.deepEqual(results[1].map(function(rule) { return rule.id; }), results[2].map(function(rule) { return rule.id; }));
+            assert.propertyVal(results[0][0], 'host_path', '/datasets/run42/');
+            assert.deepEqual(results[1].map(function(rule) { return [rule.path, rule.notify_email]; }), [['/', 'bob@example.org'], ['/', null]]);
+        });
+    });
+
+    it('should change nothing when run again', function() {
+        var before = mock.requests.length;
+        return client.shareDirectory(options()).then(function(share) {
+            assert.isFalse(share.directory_created);
+            assert.isFalse(share.endpoint_created);
+            assert.deepEqual(share.access_rules.map(function(rule) { return rule.code; }), ['Unchanged', 'Unchanged']);
+            assert.deepEqual(share.access_rules.map(function(rule) { return typeof rule.id; }), ['number', 'number']);
+            assert.lengthOf(mock.requests.slice(before).filter(function(req) { return req.method !== 'GET'; }), 1);
+            return shares();
+        }).then(function(list) {
+            assert.lengthOf(list, 1);
+        });
+    });
+
+    it('should update the permissions of an existing grantee', function() {
+        return client.shareDirectory(options({
+            grantees: [{ identity_id: bob.id, permissions: 'r' }]
+        })).then(function(share) {
+            assert.propertyVal(share.access_rules[0], 'code', 'Updated');
+            return rules(share.endpoint_xid);
+        }).then(function(list) {
+            assert.deepEqual(list.map(function(rule) { return rule.permissions; }), ['r', 'r']);
+        });
+    });
+
+    it('should undo what it created when a step fails', function() {
+        return failing(function() {
+            return client.shareDirectory(options({
+                path: '/datasets/run43/',
+                display_name: 'run43',
+                grantees: [{ email: 'bob@example.org' }, { group_id: group_id }]
+            })).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.ServiceUnavailableError);
+                assert.notProperty(err, 'rollbackErrors');
+                assert.notOk(mock.getFile(host_xid, '/datasets/run43'));
+                return shares();
+            }).then(function(list) {
+                assert.deepEqual(list.map(function(share) { return share.display_name; }), ['run42']);
+            });
+        });
+    });
+
+    it('should keep what existed before when a step fails', function() {
+        return failing(function() {
+            return client.shareDirectory(options({
+                grantees: [{ email: 'bob@example.org', permissions: 'rw' }, { group_id: 'c0ffee00-6f3e-11e7-8cf7-a6006ad3dba0' }]
+            })).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.ServiceUnavailableError);
+                return shares();
+            }).then(function(list) {
+                assert.lengthOf(list, 1);
+                assert.equal(mock.getFile(host_xid, '/datasets/run42').type, 'dir');
+                return rules(list[0].id);
+            }).then(function(list) {
+                // The permissions of bob were set back to what they were
+                assert.deepEqual(list.map(function(rule) { return rule.permissions; }), ['r', 'r']);
+            });
+        });
+    });
+
+    it('should reject unknown emails before changing anything', function() {
+        var before = mock.requests.length;
+        return client.shareDirectory(options({
+            path: '/datasets/run44/',
+            grantees: [{ email: 'nobody@example.org' }]
+        })).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.include(err.message, 'nobody@example.org');
+            assert.lengthOf(mock.requests.slice(before).filter(function(req) { return req.method !== 'GET'; }), 0);
+        });
+    });
+
+    it('should reject invalid grantees', function() {
+        return client.shareDirectory(options({
+            grantees: [{ email: 'bob@example.org', group_id: group_id }]
+        })).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.match(err.message, /^Invalid grantee/);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+var assert = require('chai').assert,
+    MockServer = require('../mock').MockServer,
+    task = require('../globus');
+
+describe('Task Management', function() {
+    var mock, client, source, destination, task_id, active_id;
+
+    /**
+     * transfer - Submits a transfer of the given files to the destination endpoint.
+     */
+    function transfer(label, paths) {
+        return client.submitTransferTask(new task.TransferData({ source_endpoint: source, destination_endpoint: destination, label: label })
+            .addItem(paths[0], paths[1])).then(function(obj) {
+            return obj.task_id;
+        });
+    }
+
+    before(function() {
+        mock = new MockServer({ pageSize: 1 });
+        source = mock.addEndpoint({ display_name: 'source', files: { '/a.txt': { size: 10 }, '/b.txt': { size: 20 } } }).id;
+        destination = mock.addEndpoint({ display_name: 'destination' }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
+            return transfer('globus-js first', ['/a.txt', '/copy/a.txt']);
+        }).then(function(id) {
+            task_id = id;
+            return transfer('globus-js missing', ['/missing.txt', '/copy/missing.txt']);
+        }).then(function() {
+            mock.autoComplete = false;
+            return transfer('globus-js active', ['/b.txt', '/copy/b.txt']);
+        }).then(function(id) {
+            active_id = id;
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    describe('Get Task List', function() {
+        it('should return a task_list document', function() {
+            return client.getTaskList({ limit: 2 }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'task_list');
+                assert.lengthOf(obj.DATA, 2);
+                assert.propertyVal(obj, 'total', 3);
+                assert.propertyVal(obj.DATA[0], 'task_id', active_id);
+            });
+        });
+
+        it('should only return tasks matching the filters', function() {
+            return client.getTaskList({ filter_status: ['SUCCEEDED', 'FAILED'], filter_type: 'TRANSFER' }).then(function(obj) {
+                assert.lengthOf(obj.DATA, 2);
+                obj.DATA.forEach(function(t) {
+                    assert.include(['SUCCEEDED', 'FAILED'], t.status);
+                    assert.propertyVal(t, 'type', 'TRANSFER');
+                });
+            });
+        });
+    });
+
+    describe('Get A Task By Id', function() {
+        it('should return a task document', function() {
+            return client.getTask({ task_id: task_id }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'task');
+                assert.propertyVal(obj, 'task_id', task_id);
+                assert.propertyVal(obj, 'status', 'SUCCEEDED');
+            });
+        });
+
+        it('should fail for an unknown task', function() {
+            return client.getTask({ task_id: 'badCode' }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, task.NotFoundError);
+            });
+        });
+    });
+
+    describe('Get A Task Event List', function() {
+        it('should return an event_list document', function() {
+            return client.getTaskEventList({ task_id: task_id, limit: 1 }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'event_list');
+                assert.lengthOf(obj.DATA, 1);
+                assert.propertyVal(obj.DATA[0], 'code', 'SUCCEEDED');
+            });
+        });
+    });
+
+    describe('Get Successful Transfers', function() {
+        it('should return a successful_transfers document', function() {
+            return client.getSuccessfulTransfers({ task_id: task_id }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'successful_transfers');
+                assert.property(obj, 'next_marker');
+                assert.deepEqual(obj.DATA.map(function(item) { return item.destination_path; }), ['/copy/a.txt']);
+            });
+        });
+    });
+
+    describe('Get Task Pause Info', function() {
+        it('should return a pause_info_limited document', function() {
+            return client.getTaskPauseInfo({ task_id: task_id }).then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'pause_info_limited');
+            });
+        });
+    });
+
+    describe('Update A Task', function() {
+        it('should update the label of a task', function() {
+            return client.updateTask({ task_id: active_id, label: 'globus-js test' }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Updated');
+                return client.getTask({ task_id: active_id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'label', 'globus-js test');
+            });
+        });
+    });
+
+    describe('Wait For A Task', function() {
+        it('should resolve once the task completes', function() {
+            var waiting = client.waitForTask({ task_id: active_id, interval: 10 });
+            setTimeout(function() {
+                mock.completeTask(active_id);
+            }, 20);
+            return waiting.then(function(obj) {
+                assert.propertyVal(obj, 'status', 'SUCCEEDED');
+            });
+        });
+    });
+
+    describe('Cancel A Task', function() {
+        it('should cancel the task or report it as complete', function() {
+            return client.cancelTask({ task_id: task_id }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'TaskComplete');
+                return transfer('globus-js canceled', ['/a.txt', '/canceled/a.txt']);
+            }).then(function(id) {
+                return client.cancelTask({ task_id: id });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Canceled');
+            });
+        });
+    });
+});
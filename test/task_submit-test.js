@@ -1,37 +1,127 @@
 var assert = require('chai').assert,
-    privateInfo = require('./private-info'),
-    bearerToken = privateInfo.getBearerToken(),
-    endpoint_xid = privateInfo.getEndpointId(),
-    task_submit = require('../globus'),
-    transferDocument = privateInfo.getTransferDocument(),
-    deletionDocument = privateInfo.getDeleteDocument();
-
-describe('Get Submission Id', function() {
-    it('should return submission id successfully', function() {
-        task_submit.getSubmissionId(bearerToken).then(function(obj) {
-            obj.should.not.have.property('value');
+    MockServer = require('../mock').MockServer,
+    task_submit = require('../globus');
+
+describe('Task Submission', function() {
+    var mock, client, source, destination;
+
+    before(function() {
+        mock = new MockServer();
+        source = mock.addEndpoint({
+            display_name: 'source',
+            files: {
+                '/data/run1/a.h5': { size: 100 },
+                '/data/run1/b.h5': { size: 200 },
+                '/data/run1/tmp/c.tmp': { size: 5 }
+            }
+        }).id;
+        destination = mock.addEndpoint({ display_name: 'destination' }).id;
+        return mock.listen().then(function() {
+            client = mock.client();
         });
     });
 
-    it('should return error response when given faulty bearer token', function() {
-        task_submit.getSubmissionId('bad_code').then(function(obj) {
-            obj.should.not.have.property('value');
+    after(function() {
+        return mock.close();
+    });
+
+    describe('Get Submission Id', function() {
+        it('should return submission id successfully', function() {
+            return client.getSubmissionId().then(function(obj) {
+                assert.propertyVal(obj, 'DATA_TYPE', 'submission_id');
+                assert.isString(obj.value);
+            });
+        });
+
+        it('should return error response when given faulty bearer token', function() {
+            return mock.client({ token: 'bad_code' }).getSubmissionId().then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, task_submit.AuthError);
+            });
         });
     });
-});
 
-describe('Submit A Transfer Task', function() {
-    it('should return a successful transfer request response', function() {
-        task_submit.submitTransferTask(bearerToken, transferDocument.submission_id, transferDocument.label, transferDocument.notify_on_succeeded, transferDocument.notify_on_failed, transferDocument.notify_on_inactive, transferDocument.source_endpoint, transferDocument.destination_endpoint, transferDocument.DATA, transferDocument.encrypt_data, transferDocument.sync_level, transferDocument.verify_checksum, transferDocument.preserve_timestamp, transferDocument.delete_destination_etransferDocumenttra).then(function(obj) {
-            obj.should.have.property('code', 'Accepted');
+    describe('Submit A Transfer Task', function() {
+        it('should return a successful transfer request response', function() {
+            return client.getSubmissionId().then(function(submission) {
+                return client.submitTransferTask({
+                    submission_id: submission.value,
+                    label: 'copy run1',
+                    source_endpoint: source,
+                    destination_endpoint: destination,
+                    DATA: [{ DATA_TYPE: 'transfer_item', source_path: '/data/run1/', destination_path: '/backup/run1/', recursive: true }]
+                });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Accepted');
+                return client.getTask({ task_id: obj.task_id });
+            }).then(function(task) {
+                assert.propertyVal(task, 'status', 'SUCCEEDED');
+                assert.propertyVal(task, 'bytes_transferred', 305);
+                assert.propertyVal(mock.getFile(destination, '/backup/run1/tmp/c.tmp'), 'size', 5);
+            });
+        });
+
+        it('should submit a TransferData with its filter rules', function() {
+            var data = new task_submit.TransferData({ source_endpoint: source, destination_endpoint: destination })
+                .addItem('/data/run1/', '/filtered/', { recursive: true })
+                .addFilterRule('exclude', '*.tmp');
+
+            return client.submitTransferTask(data).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Accepted');
+                assert.isOk(mock.getFile(destination, '/filtered/a.h5'));
+                assert.isUndefined(mock.getFile(destination, '/filtered/tmp/c.tmp'));
+            });
+        });
+
+        it('should only create the task once for a submission id', function() {
+            var data = new task_submit.TransferData({ source_endpoint: source, destination_endpoint: destination, submission_id: 'resubmitted' })
+                .addItem('/data/run1/a.h5', '/once/a.h5');
+
+            return client.submitTransferTask(data).then(function(first) {
+                return client.submitTransferTask(data).then(function(second) {
+                    assert.propertyVal(second, 'code', 'Duplicate');
+                    assert.propertyVal(second, 'task_id', first.task_id);
+                });
+            });
         });
     });
-});
 
-describe('Submit A Deletion Task', function() {
-    it('should return a successful deletion request response', function() {
-        task_submit.submitDeletionTask(bearerToken, deletionDocument.endpoint, deletionDocument.DATA, deletionDocument.recursive, deletionDocument.ignore_missing, deletionDocument.interpret_globs).then(function(obj) {
-            obj.should.have.property('code', 'Accepted');
+    describe('Submit A Deletion Task', function() {
+        it('should return a successful deletion request response', function() {
+            return client.submitDeletionTask({
+                endpoint: destination,
+                label: 'clean up',
+                DATA: [{ DATA_TYPE: 'delete_item', path: '/backup/run1/' }],
+                recursive: true
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Accepted');
+                assert.property(obj, 'task_id');
+                assert.isUndefined(mock.getFile(destination, '/backup/run1/'));
+            });
+        });
+
+        it('should accept plain paths and a given submission id', function() {
+            return client.getSubmissionId().then(function(submission) {
+                return client.submitDeletionTask({
+                    endpoint: destination,
+                    submission_id: submission.value,
+                    DATA: ['/once/a.h5', '/missing.h5'],
+                    ignore_missing: true
+                });
+            }).then(function(obj) {
+                assert.propertyVal(obj, 'code', 'Accepted');
+                assert.isUndefined(mock.getFile(destination, '/once/a.h5'));
+            });
+        });
+
+        it('should fail the task when a path is missing', function() {
+            return client.submitDeletionTask({ endpoint: destination, DATA: ['/missing.h5'] }).then(function(obj) {
+                return client.getTask({ task_id: obj.task_id });
+            }).then(function(task) {
+                assert.propertyVal(task, 'status', 'FAILED');
+                assert.propertyVal(task.fatal_error, 'code', 'FILE_NOT_FOUND');
+            });
         });
     });
 });
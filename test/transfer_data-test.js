@@ -0,0 +1,119 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('Transfer Data', function() {
+    var server, client;
+
+    before(function() {
+        return helpers.listen(function(req, body) {
+            if (req.url === '/submission_id') {
+                return { DATA_TYPE: 'submission_id', value: 'sub1' };
+            }
+            return { DATA_TYPE: 'transfer_result', code: 'Accepted', task_id: 'task1', submission_id: body.submission_id };
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    beforeEach(function() {
+        server.requests.length = 0;
+    });
+
+    function transferData(options) {
+        return new globus.TransferData(Object.assign({
+            source_endpoint: 'src',
+            destination_endpoint: 'dst'
+        }, options));
+    }
+
+    it('should build a transfer document', function() {
+        var data = transferData({
+            label: 'backup',
+            sync_level: 'mtime',
+            deadline: new Date(Date.UTC(2030, 0, 1)),
+            skip_source_errors: true
+        })
+            .addItem('/data/run1/', '/backup/run1/', { recursive: true })
+            .addItem('/data/a.h5', '/backup/a.h5', { external_checksum: 'abc', checksum_algorithm: 'MD5' })
+            .addSymlinkItem('/data/latest', '/backup/latest')
+            .addFilterRule('exclude', '*.tmp', 'file');
+
+        assert.deepEqual(data.toJSON(), {
+            DATA_TYPE: 'transfer',
+            label: 'backup',
+            source_endpoint: 'src',
+            destination_endpoint: 'dst',
+            skip_source_errors: true,
+            sync_level: 2,
+            deadline: '2030-01-01T00:00:00.000Z',
+            filter_rules: [{ DATA_TYPE: 'filter_rule', method: 'exclude', name: '*.tmp', type: 'file' }],
+            DATA: [
+                { DATA_TYPE: 'transfer_item', source_path: '/data/run1/', destination_path: '/backup/run1/', recursive: true },
+                { DATA_TYPE: 'transfer_item', source_path: '/data/a.h5', destination_path: '/backup/a.h5', external_checksum: 'abc', checksum_algorithm: 'MD5' },
+                { DATA_TYPE: 'transfer_symlink_item', source_path: '/data/latest', destination_path: '/backup/latest' }
+            ]
+        });
+    });
+
+    it('should accept sync levels as integers', function() {
+        var data = transferData({ sync_level: 3 }).addItem('/a', '/b');
+        assert.equal(data.validate().toJSON().sync_level, 3);
+    });
+
+    it('should list every invalid field', function() {
+        var data = new globus.TransferData({ sync_level: 'newer', deadline: new Date('not a date') })
+            .addItem('/a', '')
+            .addFilterRule('skip', '*.tmp');
+
+        assert.throws(function() { data.validate(); }, globus.ValidationError);
+        try {
+            data.validate();
+        } catch (err) {
+            assert.deepEqual(err.problems.map(function(problem) { return problem.path; }), [
+                'source_endpoint',
+                'destination_endpoint',
+                'sync_level',
+                'deadline',
+                'DATA[0].destination_path',
+                'filter_rules[0].method'
+            ]);
+            assert.include(err.message, 'DATA[0].destination_path is required');
+        }
+    });
+
+    it('should require at least one item', function() {
+        assert.throws(function() { transferData().validate(); }, /DATA needs at least one item/);
+    });
+
+    it('should submit with a new submission id', function() {
+        return client.submitTransferTask(transferData().addItem('/a', '/b')).then(function(obj) {
+            assert.propertyVal(obj, 'task_id', 'task1');
+            assert.lengthOf(server.requests, 2);
+            assert.equal(server.requests[1].url, '/transfer');
+            assert.propertyVal(server.requests[1].body, 'DATA_TYPE', 'transfer');
+            assert.propertyVal(server.requests[1].body, 'submission_id', 'sub1');
+        });
+    });
+
+    it('should keep a given submission id', function() {
+        return client.submitTransferTask(transferData({ submission_id: 'mine' }).addItem('/a', '/b')).then(function(obj) {
+            assert.propertyVal(obj, 'submission_id', 'mine');
+            assert.lengthOf(server.requests, 1);
+        });
+    });
+
+    it('should reject invalid documents without sending a request', function() {
+        return client.submitTransferTask(transferData()).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.ValidationError);
+            assert.lengthOf(server.requests, 0);
+        });
+    });
+});
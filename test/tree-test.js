@@ -0,0 +1,154 @@
+var assert = require('chai').assert,
+    MockServer = require('../mock').MockServer,
+    globus = require('../globus');
+
+describe('Directory Trees', function() {
+    var mock, client, lab_xid, backup_xid,
+        old = Date.UTC(2017, 2, 1),
+        recent = Date.UTC(2017, 5, 1);
+
+    before(function() {
+        mock = new MockServer();
+        lab_xid = mock.addEndpoint({
+            display_name: 'lab',
+            files: {
+                '/data/run1/reads.fastq': { size: 300, last_modified: old },
+                '/data/run1/qc/report.html': { size: 20, last_modified: old },
+                '/data/run2/reads.fastq': { size: 500, last_modified: recent },
+                '/data/run2/.partial': { size: 1, last_modified: old },
+                '/data/empty/': {},
+                '/data/notes.txt': { size: 5, last_modified: recent }
+            }
+        }).id;
+        backup_xid = mock.addEndpoint({
+            display_name: 'backup',
+            files: {
+                '/backup/run1/reads.fastq': { size: 300, last_modified: recent },
+                '/backup/run1/qc/report.html': { size: 10, last_modified: recent },
+                '/backup/run2/reads.fastq': { size: 500, last_modified: old },
+                '/backup/extra.txt': { size: 1, last_modified: old }
+            }
+        }).id;
+        mock.addSymlink(lab_xid, '/data/latest', '/data/run2');
+        return mock.listen().then(function() {
+            client = mock.client();
+        });
+    });
+
+    after(function() {
+        return mock.close();
+    });
+
+    /**
+     * collect - The entries of an async iterator.
+     */
+    function collect(iterator) {
+        var entries = [];
+        return (async function() {
+            for await (const entry of iterator) {
+                entries.push(entry);
+            }
+            return entries;
+        })();
+    }
+
+    describe('Walk', function() {
+        it('should yield every entry with its path, parents first', function() {
+            return collect(client.walk(lab_xid, '/data')).then(function(entries) {
+                assert.deepEqual(entries.map(function(entry) { return entry.relative; }), [
+                    'empty', 'latest', 'notes.txt', 'run1', 'run2',
+                    'run1/qc', 'run1/reads.fastq', 'run2/.partial', 'run2/reads.fastq',
+                    'run1/qc/report.html'
+                ]);
+                assert.propertyVal(entries[6], 'path', '/data/run1/reads.fastq');
+                assert.propertyVal(entries[6], 'size', 300);
+                assert.propertyVal(entries[1], 'link_target', '/data/run2');
+            });
+        });
+
+        it('should stop at maxDepth', function() {
+            return collect(client.walk(lab_xid, '/data/', { maxDepth: 1 })).then(function(entries) {
+                assert.notInclude(entries.map(function(entry) { return entry.relative; }), 'run1/qc/report.html');
+                assert.include(entries.map(function(entry) { return entry.relative; }), 'run1/qc');
+            });
+        });
+
+        it('should skip the entries and directories rejected by the filter', function() {
+            return collect(client.walk(lab_xid, '/data/', {
+                filter: function(entry) { return entry.name[0] !== '.' && entry.name !== 'run1'; }
+            })).then(function(entries) {
+                assert.deepEqual(entries.map(function(entry) { return entry.relative; }), ['empty', 'latest', 'notes.txt', 'run2', 'run2/reads.fastq']);
+            });
+        });
+
+        it('should list at most concurrency directories at once', function() {
+            var listing = 0, most = 0,
+                list = client.listDirectoryContents;
+            client.listDirectoryContents = function(options) {
+                listing += 1;
+                most = Math.max(most, listing);
+                return list.call(client, options).then(function(result) {
+                    listing -= 1;
+                    return result;
+                });
+            };
+            return collect(client.walk(lab_xid, '/data/', { concurrency: 2 })).then(function(entries) {
+                delete client.listDirectoryContents;
+                assert.lengthOf(entries, 10);
+                assert.equal(most, 2);
+            });
+        });
+
+        it('should reject when the directory is missing', function() {
+            return collect(client.walk(lab_xid, '/missing/')).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.instanceOf(err, globus.NotFoundError);
+            });
+        });
+    });
+
+    describe('Diff Trees', function() {
+        it('should transfer the missing, resized and modified files', function() {
+            return client.diffTrees(lab_xid, '/data/', backup_xid, '/backup', { transfer: { label: 'sync' } }).then(function(data) {
+                assert.instanceOf(data, globus.TransferData);
+                assert.propertyVal(data, 'source_endpoint', lab_xid);
+                assert.propertyVal(data, 'destination_endpoint', backup_xid);
+                assert.propertyVal(data, 'label', 'sync');
+                assert.deepEqual(data.DATA.map(function(item) { return [item.source_path, item.destination_path]; }), [
+                    ['/data/notes.txt', '/backup/notes.txt'],
+                    ['/data/run2/.partial', '/backup/run2/.partial'],
+                    ['/data/run2/reads.fastq', '/backup/run2/reads.fastq'],
+                    ['/data/run1/qc/report.html', '/backup/run1/qc/report.html']
+                ]);
+            });
+        });
+
+        it('should transfer every file when the destination doesn\'t exist yet', function() {
+            return client.diffTrees(lab_xid, '/data/run1', backup_xid, '/new/run1').then(function(data) {
+                assert.deepEqual(data.DATA.map(function(item) { return [item.source_path, item.destination_path]; }), [
+                    ['/data/run1/reads.fastq', '/new/run1/reads.fastq'],
+                    ['/data/run1/qc/report.html', '/new/run1/qc/report.html']
+                ]);
+            });
+        });
+
+        it('should apply the filter to both trees', function() {
+            return client.diffTrees(lab_xid, '/data/', backup_xid, '/backup/', {
+                filter: function(entry) { return entry.name[0] !== '.'; }
+            }).then(function(data) {
+                assert.notInclude(data.DATA.map(function(item) { return item.source_path; }), '/data/run2/.partial');
+            });
+        });
+
+        it('should have nothing to transfer once the trees are in sync', function() {
+            return client.diffTrees(lab_xid, '/data/', backup_xid, '/backup/').then(function(data) {
+                return client.submitTransferTask(data);
+            }).then(function() {
+                return client.diffTrees(lab_xid, '/data/', backup_xid, '/backup/');
+            }).then(function(data) {
+                assert.lengthOf(data.DATA, 0);
+            });
+        });
+    });
+});
@@ -0,0 +1,30 @@
+var assert = require('chai').assert,
+    fs = require('fs'),
+    path = require('path'),
+    globus = require('../globus'),
+    mock = require('../mock');
+
+/**
+ * declarations - The names exported by a type definitions file.
+ */
+function declarations(file) {
+    var source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    var declared = [];
+    var pattern = /^export (?:abstract )?(?:const|function|class|namespace) (\w+)/gm;
+    var match;
+
+    while ((match = pattern.exec(source))) {
+        declared.push(match[1]);
+    }
+    return declared;
+}
+
+describe('Type Definitions', function() {
+    it('should declare every export of the module', function() {
+        assert.sameMembers(declarations('globus.d.ts'), Object.keys(globus));
+    });
+
+    it('should declare every export of the mock server module', function() {
+        assert.sameMembers(declarations('mock.d.ts'), Object.keys(mock));
+    });
+});
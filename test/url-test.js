@@ -0,0 +1,48 @@
+var assert = require('chai').assert,
+    urls = require('../lib/url'),
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+describe('URL Building', function() {
+    it('should encode each path segment as a whole', function() {
+        assert.equal(urls.build('https://api.example.org/v0.10', ['bookmark', 'a/b c#d']),
+            'https://api.example.org/v0.10/bookmark/a%2Fb%20c%23d');
+    });
+
+    it('should encode query values and leave out the missing ones', function() {
+        assert.equal(urls.build('https://api.example.org', ['task_list'], {
+            filter: 'label:run #1&2',
+            orderby: ['request_time DESC', 'label ASC'],
+            limit: 0,
+            offset: undefined,
+            fields: null
+        }), 'https://api.example.org/task_list?filter=label%3Arun%20%231%262&orderby=request_time%20DESC%2Clabel%20ASC&limit=0');
+        assert.equal(urls.queryString({}), '');
+    });
+
+    describe('Client Requests', function() {
+        var server, client;
+
+        before(function() {
+            return helpers.listen(function() {
+                return { DATA_TYPE: 'result' };
+            }).then(function(listening) {
+                server = listening;
+                client = new globus.GlobusClient({ token: 'abc', transferBaseURL: server.url, authBaseURL: server.url });
+            });
+        });
+
+        after(function() {
+            return server.close();
+        });
+
+        it('should not let ids add path segments or parameters', function() {
+            return client.getTask({ task_id: '../endpoint/ep1?x=1' }).then(function() {
+                assert.equal(server.requests[0].url, '/task/..%2Fendpoint%2Fep1%3Fx%3D1');
+                return client.getIdentities({ usernames: ['a+b@example.org', 'c&d@example.org'] });
+            }).then(function() {
+                assert.equal(server.requests[1].url, '/identities?usernames=a%2Bb%40example.org%2Cc%26d%40example.org');
+            });
+        });
+    });
+});
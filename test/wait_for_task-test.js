@@ -0,0 +1,152 @@
+var assert = require('chai').assert,
+    helpers = require('./helpers/server'),
+    globus = require('../globus');
+
+function fakeClock() {
+    var clock = {
+        time: 0,
+        sleeps: [],
+        now: function() {
+            return clock.time;
+        },
+        sleep: function(ms) {
+            clock.sleeps.push(ms);
+            clock.time += ms;
+            return Promise.resolve();
+        }
+    };
+    return clock;
+}
+
+describe('Wait For A Task', function() {
+    var server, client, statuses, polls;
+
+    before(function() {
+        return helpers.listen(function(req) {
+            var task_id = req.url.split('/').pop();
+            polls.push(task_id);
+            if (statuses === null) {
+                return helpers.reply(500, { code: 'InternalError' });
+            }
+            var status = statuses[Math.min(polls.length, statuses.length) - 1];
+            return {
+                DATA_TYPE: 'task',
+                task_id: task_id,
+                status: status,
+                nice_status: status === 'INACTIVE' ? 'CREDENTIAL_EXPIRED' : null,
+                bytes_transferred: polls.length * 100,
+                files: 3,
+                files_transferred: polls.length,
+                files_skipped: 0,
+                faults: 0
+            };
+        }).then(function(s) {
+            server = s;
+            client = new globus.GlobusClient({ token: 'token', transferBaseURL: server.url });
+        });
+    });
+
+    after(function() {
+        return server.close();
+    });
+
+    function stubTasks(list) {
+        statuses = list;
+        polls = [];
+    }
+
+    it('should resolve with the task once it succeeded', function() {
+        stubTasks(['ACTIVE', 'ACTIVE', 'SUCCEEDED']);
+        var clock = fakeClock();
+
+        return client.waitForTask({ task_id: 'abc', clock: clock }).then(function(task) {
+            assert.propertyVal(task, 'status', 'SUCCEEDED');
+            assert.deepEqual(polls, ['abc', 'abc', 'abc']);
+        });
+    });
+
+    it('should back off between polls up to maxInterval', function() {
+        stubTasks(['ACTIVE', 'ACTIVE', 'ACTIVE', 'ACTIVE', 'SUCCEEDED']);
+        var clock = fakeClock();
+
+        return client.waitForTask({ task_id: 'abc', interval: 100, maxInterval: 300, clock: clock }).then(function() {
+            assert.deepEqual(clock.sleeps, [100, 200, 300, 300]);
+        });
+    });
+
+    it('should report progress after each poll', function() {
+        stubTasks(['ACTIVE', 'SUCCEEDED']);
+        var progress = [];
+
+        return client.waitForTask({
+            task_id: 'abc',
+            clock: fakeClock(),
+            onProgress: function(p) {
+                progress.push(p);
+            }
+        }).then(function() {
+            assert.lengthOf(progress, 2);
+            assert.propertyVal(progress[0], 'status', 'ACTIVE');
+            assert.propertyVal(progress[0], 'bytes_transferred', 100);
+            assert.propertyVal(progress[1], 'files_transferred', 2);
+            assert.propertyVal(progress[1], 'faults', 0);
+        });
+    });
+
+    it('should reject with a TaskFailedError when the task failed', function() {
+        stubTasks(['ACTIVE', 'FAILED']);
+
+        return client.waitForTask({ task_id: 'abc', clock: fakeClock() }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.TaskFailedError);
+            assert.instanceOf(err, globus.TaskError);
+            assert.propertyVal(err, 'task_id', 'abc');
+            assert.propertyVal(err.task, 'status', 'FAILED');
+        });
+    });
+
+    it('should reject with a TaskTimeoutError after the timeout', function() {
+        stubTasks(['ACTIVE']);
+        var clock = fakeClock();
+
+        return client.waitForTask({ task_id: 'abc', interval: 1000, timeout: 2500, clock: clock }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.TaskTimeoutError);
+            assert.propertyVal(err, 'timeout', 2500);
+            assert.deepEqual(clock.sleeps, [1000, 1500]);
+        });
+    });
+
+    it('should reject with a TaskInactiveError when inactive for too long', function() {
+        stubTasks(['ACTIVE', 'INACTIVE', 'INACTIVE', 'INACTIVE', 'INACTIVE']);
+
+        return client.waitForTask({ task_id: 'abc', interval: 1000, inactiveTimeout: 5000, clock: fakeClock() }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.TaskInactiveError);
+            assert.include(err.message, 'CREDENTIAL_EXPIRED');
+        });
+    });
+
+    it('should not count inactivity the task recovered from', function() {
+        stubTasks(['INACTIVE', 'INACTIVE', 'ACTIVE', 'INACTIVE', 'SUCCEEDED']);
+
+        return client.waitForTask({ task_id: 'abc', interval: 1000, inactiveTimeout: 2000, clock: fakeClock() }).then(function(task) {
+            assert.propertyVal(task, 'status', 'SUCCEEDED');
+        });
+    });
+
+    it('should reject when the task could not be fetched', function() {
+        stubTasks(null);
+
+        return client.waitForTask({ task_id: 'abc', clock: fakeClock() }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.instanceOf(err, globus.GlobusAPIError);
+            assert.propertyVal(err, 'status', 500);
+            assert.propertyVal(err, 'code', 'InternalError');
+        });
+    });
+});